@@ -0,0 +1,649 @@
+/**
+ * In-memory firebase-admin for the jest tests. Jest uses it in place of the real package, so
+ * modules under test read and write a Firestore that lives in the test process.
+ *
+ * Covers what the functions use: documents, subcollections, where/orderBy/limit/startAfter
+ * queries, transactions, batches and the FieldValue sentinels. Call admin.__reset() between tests.
+ */
+
+let documents = new Map();
+let autoId = 0;
+
+/**
+ * Firestore Timestamp: seconds and nanoseconds since the epoch
+ */
+class Timestamp {
+  /**
+   * Timestamp from its parts
+   * @param {number} seconds - Whole seconds
+   * @param {number} nanoseconds - Remaining nanoseconds
+   */
+  constructor(seconds, nanoseconds = 0) {
+    this.seconds = seconds;
+    this.nanoseconds = nanoseconds;
+  }
+
+  /**
+   * Timestamp from milliseconds
+   * @param {number} ms - Milliseconds since the epoch
+   * @return {Timestamp} Timestamp
+   */
+  static fromMillis(ms) {
+    return new Timestamp(Math.floor(ms / 1000), (ms % 1000) * 1e6);
+  }
+
+  /**
+   * Timestamp from a Date
+   * @param {Date} date - Date
+   * @return {Timestamp} Timestamp
+   */
+  static fromDate(date) {
+    return Timestamp.fromMillis(date.getTime());
+  }
+
+  /**
+   * Current time
+   * @return {Timestamp} Timestamp
+   */
+  static now() {
+    return Timestamp.fromMillis(Date.now());
+  }
+
+  /**
+   * Milliseconds since the epoch
+   * @return {number} Milliseconds
+   */
+  toMillis() {
+    return this.seconds * 1000 + Math.floor(this.nanoseconds / 1e6);
+  }
+
+  /**
+   * Date of the timestamp
+   * @return {Date} Date
+   */
+  toDate() {
+    return new Date(this.toMillis());
+  }
+}
+
+/**
+ * Placeholder written in place of a value and resolved when the write is applied
+ */
+class FieldValueSentinel {
+  /**
+   * Sentinel of a kind
+   * @param {string} kind - serverTimestamp, increment, arrayUnion, arrayRemove or delete
+   * @param {*} operand - Increment or array elements
+   */
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new FieldValueSentinel('serverTimestamp'),
+  increment: (n) => new FieldValueSentinel('increment', n),
+  arrayUnion: (...elements) => new FieldValueSentinel('arrayUnion', elements),
+  arrayRemove: (...elements) => new FieldValueSentinel('arrayRemove', elements),
+  delete: () => new FieldValueSentinel('delete')
+};
+
+const DOCUMENT_ID = '__name__';
+const FieldPath = { documentId: () => DOCUMENT_ID };
+
+/**
+ * Stored form of a value: Dates become Timestamps, as they do in Firestore
+ * @param {*} value - Value written
+ * @return {*} Value stored
+ */
+function toStored(value) {
+  if (value instanceof Date) {
+    return Timestamp.fromDate(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toStored);
+  }
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toStored(item)]));
+  }
+  return value;
+}
+
+/**
+ * Apply one field write (with dot paths and sentinels) to document data
+ * @param {Object} data - Document data, changed in place
+ * @param {string} fieldPath - Dot separated field path
+ * @param {*} value - Value or sentinel
+ */
+function writeField(data, fieldPath, value) {
+  const parts = fieldPath.split('.');
+  const last = parts.pop();
+  let target = data;
+  for (const part of parts) {
+    if (!target[part] || typeof target[part] !== 'object') {
+      target[part] = {};
+    }
+    target = target[part];
+  }
+
+  if (!(value instanceof FieldValueSentinel)) {
+    target[last] = toStored(value);
+    return;
+  }
+
+  const current = target[last];
+  switch (value.kind) {
+  case 'serverTimestamp':
+    target[last] = Timestamp.now();
+    break;
+  case 'increment':
+    target[last] = (current || 0) + value.operand;
+    break;
+  case 'arrayUnion':
+    target[last] = [...(current || []), ...value.operand.filter((item) => !(current || []).includes(item))];
+    break;
+  case 'arrayRemove':
+    target[last] = (current || []).filter((item) => !value.operand.includes(item));
+    break;
+  default:
+    delete target[last];
+  }
+}
+
+/**
+ * Nested objects with sentinels as dot-path writes, so a merge keeps sibling fields
+ * @param {Object} data - Fields
+ * @param {string} prefix - Path of data in the document
+ * @return {Object} Values by field path
+ */
+function flatten(data, prefix = '') {
+  return Object.entries(data).reduce((fields, [key, value]) => {
+    const path = prefix + key;
+    if (value && typeof value === 'object' && value.constructor === Object) {
+      return { ...fields, ...flatten(value, `${path}.`) };
+    }
+    return { ...fields, [path]: value };
+  }, {});
+}
+
+const clone = (data) => (data === undefined ? undefined : copyData(data));
+
+/**
+ * Deep copy that keeps Timestamps as Timestamps
+ * @param {*} value - Stored value
+ * @return {*} Copy
+ */
+function copyData(value) {
+  if (value instanceof Timestamp) {
+    return new Timestamp(value.seconds, value.nanoseconds);
+  }
+  if (Array.isArray(value)) {
+    return value.map(copyData);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyData(item)]));
+  }
+  return value;
+}
+
+/**
+ * Comparable form of a stored value
+ * @param {*} value - Stored value
+ * @return {*} Number for times, the value otherwise
+ */
+function comparable(value) {
+  if (value instanceof Timestamp) {
+    return value.toMillis();
+  }
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  return value;
+}
+
+/**
+ * Order two stored values
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @return {number} -1, 0 or 1
+ */
+function compare(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) {
+    return 0;
+  }
+  return left > right ? 1 : -1;
+}
+
+/**
+ * Value of a field path, or the id for FieldPath.documentId()
+ * @param {DocumentSnapshot} snapshot - Document
+ * @param {string} field - Field path
+ * @return {*} Value
+ */
+function readField(snapshot, field) {
+  if (field === DOCUMENT_ID) {
+    return snapshot.id;
+  }
+  return field.split('.').reduce((value, part) => (value == null ? undefined : value[part]), snapshot.data());
+}
+
+/**
+ * Whether a value passes a where filter
+ * @param {*} value - Field value
+ * @param {string} op - Operator
+ * @param {*} expected - Operand
+ * @return {boolean} Match
+ */
+function matches(value, op, expected) {
+  const present = value !== undefined && value !== null;
+  switch (op) {
+  case '==':
+    return compare(value, expected) === 0;
+  case '!=':
+    return compare(value, expected) !== 0;
+  case '<':
+    return present && compare(value, expected) < 0;
+  case '<=':
+    return present && compare(value, expected) <= 0;
+  case '>':
+    return present && compare(value, expected) > 0;
+  case '>=':
+    return present && compare(value, expected) >= 0;
+  case 'in':
+    return expected.some((item) => compare(value, item) === 0);
+  case 'not-in':
+    return !expected.some((item) => compare(value, item) === 0);
+  case 'array-contains':
+    return Array.isArray(value) && value.some((item) => compare(item, expected) === 0);
+  default:
+    throw new Error(`Unsupported query operator ${op}`);
+  }
+}
+
+/**
+ * Document as read
+ */
+class DocumentSnapshot {
+  /**
+   * Snapshot of stored data
+   * @param {DocumentReference} ref - Document read
+   * @param {Object} data - Stored data, undefined when missing
+   */
+  constructor(ref, data) {
+    this.id = ref.id;
+    this.ref = ref;
+    this.exists = data !== undefined;
+    this.stored = data;
+  }
+
+  /**
+   * Copy of the document data
+   * @return {Object} Data
+   */
+  data() {
+    return clone(this.stored);
+  }
+
+  /**
+   * One field of the document
+   * @param {string} field - Field path
+   * @return {*} Value
+   */
+  get(field) {
+    return readField(this, field);
+  }
+}
+
+/**
+ * Reference to a document path
+ */
+class DocumentReference {
+  /**
+   * Reference to a path
+   * @param {string} path - collection/doc path
+   */
+  constructor(path) {
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  /**
+   * Subcollection of the document
+   * @param {string} name - Subcollection
+   * @return {CollectionReference} Collection
+   */
+  collection(name) {
+    return new CollectionReference(`${this.path}/${name}`);
+  }
+
+  /**
+   * Read the document
+   * @return {DocumentSnapshot} Snapshot
+   */
+  async get() {
+    return new DocumentSnapshot(this, documents.get(this.path));
+  }
+
+  /**
+   * Write the document, merging into it when asked
+   * @param {Object} data - Fields
+   * @param {Object} options - { merge }
+   */
+  async set(data, options = {}) {
+    const base = options.merge ? clone(documents.get(this.path)) || {} : {};
+    const fields = options.merge ? flatten(data) : data;
+    Object.entries(fields).forEach(([field, value]) => writeField(base, field, value));
+    documents.set(this.path, base);
+  }
+
+  /**
+   * Write a document that must not exist yet
+   * @param {Object} data - Fields
+   */
+  async create(data) {
+    if (documents.has(this.path)) {
+      const error = new Error(`6 ALREADY_EXISTS: ${this.path}`);
+      error.code = 6;
+      throw error;
+    }
+    await this.set(data);
+  }
+
+  /**
+   * Update fields of a document that must exist
+   * @param {Object} data - Fields by path
+   */
+  async update(data) {
+    if (!documents.has(this.path)) {
+      const error = new Error(`5 NOT_FOUND: ${this.path}`);
+      error.code = 5;
+      throw error;
+    }
+    const next = clone(documents.get(this.path));
+    Object.entries(data).forEach(([field, value]) => writeField(next, field, value));
+    documents.set(this.path, next);
+  }
+
+  /**
+   * Delete the document
+   */
+  async delete() {
+    documents.delete(this.path);
+  }
+}
+
+/**
+ * Query over the documents of a collection
+ */
+class Query {
+  /**
+   * Query of a collection path
+   * @param {string} path - Collection path
+   * @param {Object} options - { filters, orders, limit, cursor }
+   */
+  constructor(path, options = {}) {
+    this.path = path;
+    this.options = { filters: [], orders: [], limit: null, cursor: null, ...options };
+  }
+
+  /**
+   * Query with changed options
+   * @param {Object} change - Options to replace
+   * @return {Query} Query
+   */
+  derive(change) {
+    return new Query(this.path, { ...this.options, ...change });
+  }
+
+  /**
+   * Add a filter
+   * @param {string} field - Field path
+   * @param {string} op - Operator
+   * @param {*} value - Operand
+   * @return {Query} Query
+   */
+  where(field, op, value) {
+    return this.derive({ filters: [...this.options.filters, [String(field), op, value]] });
+  }
+
+  /**
+   * Add an ordering
+   * @param {string} field - Field path
+   * @param {string} direction - asc or desc
+   * @return {Query} Query
+   */
+  orderBy(field, direction = 'asc') {
+    return this.derive({ orders: [...this.options.orders, [String(field), direction]] });
+  }
+
+  /**
+   * Limit the results
+   * @param {number} limit - Maximum documents
+   * @return {Query} Query
+   */
+  limit(limit) {
+    return this.derive({ limit });
+  }
+
+  /**
+   * Start after a document
+   * @param {DocumentSnapshot|string} cursor - Snapshot or document id
+   * @return {Query} Query
+   */
+  startAfter(cursor) {
+    return this.derive({ cursor });
+  }
+
+  /**
+   * Field selection is ignored
+   * @return {Query} Query
+   */
+  select() {
+    return this;
+  }
+
+  /**
+   * Run the query
+   * @return {Object} { docs, size, empty, forEach }
+   */
+  async get() {
+    const depth = this.path.split('/').length + 1;
+    const orders = this.options.orders.length > 0 ? this.options.orders : [[DOCUMENT_ID, 'asc']];
+    const order = (a, b) => {
+      for (const [field, direction] of orders) {
+        const result = compare(readField(a, field), readField(b, field));
+        if (result !== 0) {
+          return direction === 'desc' ? -result : result;
+        }
+      }
+      return compare(a.id, b.id);
+    };
+
+    let docs = [...documents.keys()]
+      .filter((path) => path.startsWith(`${this.path}/`) && path.split('/').length === depth)
+      .map((path) => new DocumentSnapshot(new DocumentReference(path), documents.get(path)))
+      .filter((doc) => this.options.filters.every(([field, op, value]) => matches(readField(doc, field), op, value)))
+      .sort(order);
+
+    const cursor = this.options.cursor;
+    if (cursor) {
+      const cursorDoc = cursor instanceof DocumentSnapshot ?
+        cursor :
+        { id: cursor, data: () => ({}) };
+      docs = docs.filter((doc) => order(doc, cursorDoc) > 0);
+    }
+    if (this.options.limit !== null) {
+      docs = docs.slice(0, this.options.limit);
+    }
+
+    return {
+      docs,
+      size: docs.length,
+      empty: docs.length === 0,
+      forEach: (callback) => docs.forEach(callback)
+    };
+  }
+}
+
+/**
+ * Collection: a query over all of its documents
+ */
+class CollectionReference extends Query {
+  /**
+   * Collection at a path
+   * @param {string} path - Collection path
+   */
+  constructor(path) {
+    super(path);
+    this.id = path.split('/').pop();
+  }
+
+  /**
+   * Document of the collection
+   * @param {string} id - Document id, generated when omitted
+   * @return {DocumentReference} Reference
+   */
+  doc(id = `auto${++autoId}`) {
+    return new DocumentReference(`${this.path}/${id}`);
+  }
+
+  /**
+   * Write a document with a generated id
+   * @param {Object} data - Fields
+   * @return {DocumentReference} Reference
+   */
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+/**
+ * Writes queued by a transaction or batch, applied together
+ */
+class WriteBatch {
+  /**
+   * Empty batch
+   */
+  constructor() {
+    this.writes = [];
+  }
+
+  /**
+   * Queue a set
+   * @param {DocumentReference} ref - Document
+   * @param {Object} data - Fields
+   * @param {Object} options - { merge }
+   * @return {WriteBatch} Batch
+   */
+  set(ref, data, options) {
+    this.writes.push(() => ref.set(data, options));
+    return this;
+  }
+
+  /**
+   * Queue a create
+   * @param {DocumentReference} ref - Document
+   * @param {Object} data - Fields
+   * @return {WriteBatch} Batch
+   */
+  create(ref, data) {
+    this.writes.push(() => ref.create(data));
+    return this;
+  }
+
+  /**
+   * Queue an update
+   * @param {DocumentReference} ref - Document
+   * @param {Object} data - Fields by path
+   * @return {WriteBatch} Batch
+   */
+  update(ref, data) {
+    this.writes.push(() => ref.update(data));
+    return this;
+  }
+
+  /**
+   * Queue a delete
+   * @param {DocumentReference} ref - Document
+   * @return {WriteBatch} Batch
+   */
+  delete(ref) {
+    this.writes.push(() => ref.delete());
+    return this;
+  }
+
+  /**
+   * Apply the queued writes; none stay applied if one fails
+   */
+  async commit() {
+    const before = new Map(documents);
+    try {
+      for (const write of this.writes) {
+        await write();
+      }
+    } catch (error) {
+      documents = before;
+      throw error;
+    }
+  }
+}
+
+/**
+ * Transaction: reads go straight to the store, writes are applied when it commits
+ */
+class Transaction extends WriteBatch {
+  /**
+   * Read a document or query
+   * @param {DocumentReference|Query} refOrQuery - What to read
+   * @return {Object} Snapshot
+   */
+  async get(refOrQuery) {
+    return refOrQuery.get();
+  }
+
+  /**
+   * Read several documents
+   * @param {...DocumentReference} refs - Documents
+   * @return {DocumentSnapshot[]} Snapshots
+   */
+  async getAll(...refs) {
+    return Promise.all(refs.map((ref) => ref.get()));
+  }
+}
+
+const db = {
+  collection: (name) => new CollectionReference(name),
+  doc: (path) => new DocumentReference(path),
+  batch: () => new WriteBatch(),
+  getAll: (...refs) => Promise.all(refs.map((ref) => ref.get())),
+  runTransaction: async (updateFunction) => {
+    const transaction = new Transaction();
+    const result = await updateFunction(transaction);
+    await transaction.commit();
+    return result;
+  }
+};
+
+const firestore = () => db;
+Object.assign(firestore, { Timestamp, FieldValue, FieldPath });
+
+module.exports = {
+  apps: [],
+  initializeApp: jest.fn(),
+  firestore,
+  auth: jest.fn(() => ({ getUser: jest.fn(), verifyIdToken: jest.fn(), setCustomUserClaims: jest.fn() })),
+  messaging: jest.fn(() => ({ send: jest.fn(), sendEachForMulticast: jest.fn() })),
+  storage: jest.fn(() => ({ bucket: jest.fn() })),
+  /**
+   * Empty the in-memory database
+   */
+  __reset: () => {
+    documents = new Map();
+    autoId = 0;
+  }
+};
@@ -0,0 +1,482 @@
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const { security } = require('../utils/security');
+const { COLLECTIONS, SECURITY } = require('../utils/constants');
+const {
+  ValidationError,
+  RateLimitError,
+  MfaRequiredError
+} = require('../middleware/errorHandler');
+const { validateAdminPermissions } = require('../middleware/auth');
+
+/**
+ * TOTP two-factor authentication for admin accounts.
+ *
+ * A sign-in session is identified by the ID token's auth_time, which stays the same while the
+ * token refreshes and changes on every new password sign-in. Verifying a code stamps that session
+ * in admin_mfa/{adminId}.sessions; routes then require either a stamped session ("session") or
+ * one stamped within SECURITY.TOTP.FRESH_WINDOW ("fresh").
+ *
+ * The TOTP secret is stored encrypted with the platform encryption key. Recovery codes are stored
+ * as SHA-256 hashes and each works once.
+ */
+class AdminMfa {
+  /**
+   * Enrollment lifetime, how many verified sessions to keep and the route levels
+   */
+  constructor() {
+    this.db = admin.firestore();
+    this.enrollmentTTL = 15 * 60 * 1000;
+    this.sessionsKept = 5;
+    this.levels = ['none', 'session', 'fresh'];
+  }
+
+  /**
+   * Two-factor state of the admin and of the caller's session
+   * @param {string} adminId - Admin uid
+   * @param {Object} token - Decoded ID token of the caller
+   * @return {Object} { enabled, pendingEnrollment, sessionVerified, verifiedAt, fresh, recoveryCodesRemaining }
+   */
+  async getStatus(adminId, token) {
+    const mfa = await this.getRecord(adminId);
+
+    if (!mfa || !mfa.enabled) {
+      return {
+        enabled: false,
+        pendingEnrollment: Boolean(mfa && mfa.pendingSecret),
+        sessionVerified: false,
+        verifiedAt: null,
+        fresh: false,
+        recoveryCodesRemaining: 0
+      };
+    }
+
+    const verifiedAt = this.getSessionVerifiedAt(mfa, token);
+
+    return {
+      enabled: true,
+      pendingEnrollment: false,
+      sessionVerified: Boolean(verifiedAt),
+      verifiedAt: verifiedAt ? verifiedAt.toISOString() : null,
+      fresh: this.isFresh(verifiedAt),
+      recoveryCodesRemaining: (mfa.recoveryCodes || []).length
+    };
+  }
+
+  /**
+   * Start enrollment: create a secret for the admin's authenticator app.
+   * Two-factor is not enabled until confirmEnrollment receives a code from the app.
+   * @param {string} adminId - Admin uid
+   * @param {string} email - Account label shown in the authenticator app
+   * @return {Object} { secret, otpauthUrl }
+   */
+  async startEnrollment(adminId, email) {
+    try {
+      const mfaRef = this.getRef(adminId);
+      const mfa = await this.getRecord(adminId);
+
+      if (mfa && mfa.enabled) {
+        throw new ValidationError('Two-factor authentication is already enabled');
+      }
+
+      const secret = security.generateTOTPSecret();
+
+      await mfaRef.set({
+        enabled: false,
+        pendingSecret: security.encrypt(secret, this.getEncryptionKey()),
+        pendingCreatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      logger.info(`Two-factor enrollment started for admin ${adminId}`);
+
+      return {
+        secret,
+        otpauthUrl: security.buildOtpAuthUrl(secret, email || adminId)
+      };
+    } catch (error) {
+      logger.error('Failed to start two-factor enrollment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator app. Stamps the current session.
+   * @param {string} adminId - Admin uid
+   * @param {Object} token - Decoded ID token of the caller
+   * @param {string} code - TOTP from the authenticator app
+   * @return {Object} { enabled, recoveryCodes, verifiedAt } - recovery codes are shown once
+   */
+  async confirmEnrollment(adminId, token, code) {
+    try {
+      const mfaRef = this.getRef(adminId);
+      const recoveryCodes = this.generateRecoveryCodes();
+      const now = new Date();
+
+      const outcome = await this.db.runTransaction(async (transaction) => {
+        const mfaDoc = await transaction.get(mfaRef);
+        const mfa = mfaDoc.exists ? mfaDoc.data() : null;
+
+        if (!mfa || !mfa.pendingSecret) {
+          throw new ValidationError('Start two-factor enrollment first');
+        }
+
+        if (mfa.enabled) {
+          throw new ValidationError('Two-factor authentication is already enabled');
+        }
+
+        const startedAt = this.toDate(mfa.pendingCreatedAt);
+        if (!startedAt || now - startedAt > this.enrollmentTTL) {
+          throw new ValidationError('Enrollment expired, start again');
+        }
+
+        const secret = security.decrypt(mfa.pendingSecret, this.getEncryptionKey());
+        const step = security.verifyTOTP(secret, code);
+        if (step === null) {
+          return { ok: false };
+        }
+
+        transaction.set(mfaRef, {
+          enabled: true,
+          secret: mfa.pendingSecret,
+          lastUsedStep: step,
+          recoveryCodes: recoveryCodes.map((recoveryCode) => this.hashRecoveryCode(recoveryCode)),
+          recoveryCodesGeneratedAt: now,
+          sessions: { [this.getSessionKey(token)]: now },
+          failedAttempts: 0,
+          lockedUntil: null,
+          enabledAt: now,
+          updatedAt: now
+        });
+
+        return { ok: true };
+      });
+
+      if (!outcome.ok) {
+        throw new ValidationError('Invalid verification code');
+      }
+
+      await this.logAction(adminId, 'mfa_enabled');
+
+      return { enabled: true, recoveryCodes, verifiedAt: now.toISOString() };
+    } catch (error) {
+      logger.error('Failed to confirm two-factor enrollment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a TOTP or a recovery code and stamp the caller's session
+   * @param {string} adminId - Admin uid
+   * @param {Object} token - Decoded ID token of the caller
+   * @param {Object} factor - { code } or { recoveryCode }
+   * @return {Object} { verifiedAt, method, recoveryCodesRemaining }
+   */
+  async verify(adminId, token, factor = {}) {
+    try {
+      const mfaRef = this.getRef(adminId);
+      const now = new Date();
+
+      const outcome = await this.db.runTransaction(async (transaction) => {
+        const mfaDoc = await transaction.get(mfaRef);
+        const mfa = mfaDoc.exists ? mfaDoc.data() : null;
+
+        if (!mfa || !mfa.enabled) {
+          throw new ValidationError('Two-factor authentication is not enabled');
+        }
+
+        const lockedUntil = this.toDate(mfa.lockedUntil);
+        if (lockedUntil && lockedUntil > now) {
+          return { ok: false, lockedUntil };
+        }
+
+        const updates = { updatedAt: now };
+        let method = null;
+        let recoveryCodes = mfa.recoveryCodes || [];
+
+        if (factor.code) {
+          const secret = security.decrypt(mfa.secret, this.getEncryptionKey());
+          const step = security.verifyTOTP(secret, factor.code);
+
+          // A code is accepted once: a step at or before the last used one is a replay
+          if (step !== null && step > (mfa.lastUsedStep || 0)) {
+            method = 'totp';
+            updates.lastUsedStep = step;
+          }
+        } else if (factor.recoveryCode) {
+          const hash = this.hashRecoveryCode(factor.recoveryCode);
+          if (recoveryCodes.includes(hash)) {
+            method = 'recovery_code';
+            recoveryCodes = recoveryCodes.filter((stored) => stored !== hash);
+            updates.recoveryCodes = recoveryCodes;
+          }
+        }
+
+        if (!method) {
+          const failedAttempts = (mfa.failedAttempts || 0) + 1;
+          const locked = failedAttempts >= SECURITY.TOTP.MAX_FAILED_ATTEMPTS;
+
+          transaction.update(mfaRef, {
+            failedAttempts: locked ? 0 : failedAttempts,
+            lockedUntil: locked ? new Date(now.getTime() + SECURITY.TOTP.LOCKOUT_DURATION) : null,
+            updatedAt: now
+          });
+
+          return { ok: false, failedAttempts, locked };
+        }
+
+        updates.sessions = this.pruneSessions({ ...(mfa.sessions || {}), [this.getSessionKey(token)]: now });
+        updates.failedAttempts = 0;
+        updates.lockedUntil = null;
+        transaction.update(mfaRef, updates);
+
+        return { ok: true, method, recoveryCodesRemaining: recoveryCodes.length };
+      });
+
+      if (outcome.lockedUntil) {
+        throw new RateLimitError(
+          'Too many failed verification attempts',
+          Math.ceil((outcome.lockedUntil - now) / 1000)
+        );
+      }
+
+      if (!outcome.ok) {
+        if (outcome.locked) {
+          await this.logAction(adminId, 'mfa_locked');
+        }
+        throw new ValidationError('Invalid verification code');
+      }
+
+      if (outcome.method === 'recovery_code') {
+        await this.logAction(adminId, 'mfa_recovery_code_used', {
+          recoveryCodesRemaining: outcome.recoveryCodesRemaining
+        });
+      }
+
+      return {
+        verifiedAt: now.toISOString(),
+        method: outcome.method,
+        recoveryCodesRemaining: outcome.recoveryCodesRemaining
+      };
+    } catch (error) {
+      logger.error('Two-factor verification failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the recovery codes. The caller's route requires a fresh verification.
+   * @param {string} adminId - Admin uid
+   * @return {Object} { recoveryCodes }
+   */
+  async regenerateRecoveryCodes(adminId) {
+    try {
+      const mfa = await this.getRecord(adminId);
+      if (!mfa || !mfa.enabled) {
+        throw new ValidationError('Two-factor authentication is not enabled');
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+
+      await this.getRef(adminId).update({
+        recoveryCodes: recoveryCodes.map((recoveryCode) => this.hashRecoveryCode(recoveryCode)),
+        recoveryCodesGeneratedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await this.logAction(adminId, 'mfa_recovery_codes_regenerated');
+
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error('Failed to regenerate recovery codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove two-factor from an admin account: the admin's own (the route requires a fresh
+   * verification), or another admin's who lost their device (needs user_management)
+   * @param {string} requestingAdminId - Admin making the change
+   * @param {string} targetAdminId - Admin whose two-factor is disabled
+   */
+  async disable(requestingAdminId, targetAdminId = requestingAdminId) {
+    try {
+      if (targetAdminId !== requestingAdminId) {
+        await validateAdminPermissions(requestingAdminId, 'user_management');
+      }
+
+      const mfaRef = this.getRef(targetAdminId);
+      const mfaDoc = await mfaRef.get();
+      if (!mfaDoc.exists) {
+        throw new ValidationError('Two-factor authentication is not enabled');
+      }
+
+      await mfaRef.delete();
+
+      await this.logAction(requestingAdminId, 'mfa_disabled', { targetAdminId });
+
+      return { disabled: true, adminId: targetAdminId };
+    } catch (error) {
+      logger.error('Failed to disable two-factor authentication:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Enforce a route's two-factor level for the caller
+   * @param {string} adminId - Admin uid
+   * @param {Object} token - Decoded ID token of the caller
+   * @param {string} level - "none", "session" (verified this sign-in, when enrolled) or
+   *   "fresh" (enrolled and verified within SECURITY.TOTP.FRESH_WINDOW)
+   */
+  async assertVerified(adminId, token, level = 'session') {
+    if (level === 'none') {
+      return;
+    }
+
+    const mfa = await this.getRecord(adminId);
+
+    if (!mfa || !mfa.enabled) {
+      if (level === 'fresh') {
+        throw new MfaRequiredError('enrollment_required', 'Enable two-factor authentication to perform this action');
+      }
+      return;
+    }
+
+    const verifiedAt = this.getSessionVerifiedAt(mfa, token);
+    if (!verifiedAt) {
+      throw new MfaRequiredError('verification_required', 'Enter your two-factor code to continue');
+    }
+
+    if (level === 'fresh' && !this.isFresh(verifiedAt)) {
+      throw new MfaRequiredError('fresh_verification_required', 'Enter your two-factor code again to confirm this action');
+    }
+  }
+
+  /**
+   * When the caller's session was last verified
+   * @param {Object} mfa - Two-factor record
+   * @param {Object} token - Decoded ID token
+   * @return {Date|null} Verification time
+   */
+  getSessionVerifiedAt(mfa, token) {
+    const sessions = mfa.sessions || {};
+    return this.toDate(sessions[this.getSessionKey(token)]);
+  }
+
+  /**
+   * Whether a verification is recent enough for sensitive actions
+   * @param {Date} verifiedAt - Verification time
+   * @return {boolean} True when within the fresh window
+   */
+  isFresh(verifiedAt) {
+    return Boolean(verifiedAt) && Date.now() - verifiedAt.getTime() <= SECURITY.TOTP.FRESH_WINDOW;
+  }
+
+  /**
+   * Session key: the sign-in time of the ID token
+   * @param {Object} token - Decoded ID token
+   * @return {string} Session key
+   */
+  getSessionKey(token) {
+    if (!token || !token.auth_time) {
+      throw new ValidationError('Sign-in time missing from the ID token');
+    }
+    return String(token.auth_time);
+  }
+
+  /**
+   * Keep the most recently verified sessions
+   * @param {Object} sessions - Verification time by session key
+   * @return {Object} The kept sessions
+   */
+  pruneSessions(sessions) {
+    return Object.fromEntries(
+      Object.entries(sessions)
+        .sort(([, a], [, b]) => this.toDate(b) - this.toDate(a))
+        .slice(0, this.sessionsKept)
+    );
+  }
+
+  /**
+   * New one-time recovery codes, formatted xxxxx-xxxxx
+   * @return {string[]} Recovery codes
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: SECURITY.TOTP.RECOVERY_CODES }, () => {
+      const code = security.generateRandomString(10, 'abcdefghjkmnpqrstuvwxyz23456789');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code, ignoring case, spaces and dashes
+   * @param {string} recoveryCode - Code as entered
+   * @return {string} SHA-256 hash
+   */
+  hashRecoveryCode(recoveryCode) {
+    return security.hashSHA256(String(recoveryCode).toLowerCase().replace(/[\s-]/g, ''));
+  }
+
+  /**
+   * Key used to encrypt TOTP secrets; must be configured so every instance can read them
+   * @return {Buffer} 32 byte key
+   */
+  getEncryptionKey() {
+    const configured = require('../config/environment').getSecurityConfig().encryptionKey;
+    const key = configured ? Buffer.from(configured, 'base64') : null;
+
+    if (!key || key.length !== SECURITY.ENCRYPTION.KEY_LENGTH) {
+      throw new Error('ENCRYPTION_KEY must be a base64 encoded 32 byte key for two-factor authentication');
+    }
+
+    return key;
+  }
+
+  /**
+   * Record a two-factor change in the admin log
+   * @param {string} adminId - Admin making the change
+   * @param {string} action - Log action
+   * @param {Object} details - Extra log fields
+   */
+  async logAction(adminId, action, details = {}) {
+    await this.db.collection(COLLECTIONS.ADMIN_LOGS).add({
+      action,
+      adminId,
+      details,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  /**
+   * Two-factor record of an admin, or null
+   * @param {string} adminId - Admin uid
+   */
+  async getRecord(adminId) {
+    const mfaDoc = await this.getRef(adminId).get();
+    return mfaDoc.exists ? mfaDoc.data() : null;
+  }
+
+  /**
+   * Reference to an admin's two-factor record
+   * @param {string} adminId - Admin uid
+   * @return {DocumentReference} admin_mfa document
+   */
+  getRef(adminId) {
+    return this.db.collection(COLLECTIONS.ADMIN_MFA).doc(adminId);
+  }
+
+  /**
+   * Firestore Timestamp or Date to Date
+   * @param {*} value - Timestamp, Date or date string
+   * @return {Date|null} Date, or null when empty
+   */
+  toDate(value) {
+    if (!value) {
+      return null;
+    }
+    return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  }
+}
+
+module.exports = new AdminMfa();
@@ -0,0 +1,726 @@
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const { COLLECTIONS } = require('../utils/constants');
+const { ValidationError } = require('../middleware/errorHandler');
+const { validateAdminPermissions } = require('../middleware/auth');
+
+/**
+ * Collections included in every backup
+ */
+const BACKUP_COLLECTIONS = [
+  // Financial records
+  COLLECTIONS.PAYMENT_TRANSACTIONS,
+  COLLECTIONS.USER_ENTRIES,
+  COLLECTIONS.LOTTERY_INSTANCES,
+  COLLECTIONS.LOTTERY_WINNERS,
+  COLLECTIONS.PRIZE_TRANSFERS,
+  COLLECTIONS.REFUNDS,
+  COLLECTIONS.JACKPOT_ROLLOVERS,
+  // Configuration
+  COLLECTIONS.SYSTEM_CONFIG,
+  COLLECTIONS.LOTTERY_TYPES,
+  COLLECTIONS.ADMIN_USERS
+];
+
+/**
+ * Collections that drive Pi payouts. They are backed up for the record but never restored:
+ * writing back a pre-payout state ('approved' or 'pending' without a piPaymentId) would make
+ * the payout workers pay the same prize or refund a second time.
+ */
+const NON_RESTORABLE_COLLECTIONS = [
+  COLLECTIONS.LOTTERY_WINNERS,
+  COLLECTIONS.PRIZE_TRANSFERS,
+  COLLECTIONS.REFUNDS
+];
+
+/**
+ * Full backups of the financial and configuration collections in Cloud Storage, and verified restores.
+ *
+ * Layout: backups/<backupId>/<collection>/part-00000.ndjson, one `{"id", "data"}` line per document,
+ * plus backups/<backupId>/manifest.json listing every chunk with its document count and SHA-256.
+ * The system_backups record holds the manifest's own checksum, so a manifest edited or truncated
+ * in Storage is detected before anything is restored.
+ *
+ * Firestore types that JSON cannot carry (timestamps, references, geo points, bytes) are written
+ * as `{"__type": ...}` objects and turned back into the same types on restore.
+ */
+class BackupManager {
+  /**
+   * Collections to back up, page and chunk sizes; settings are read on first use
+   */
+  constructor() {
+    this.db = admin.firestore();
+    this.settings = null;
+    this.storagePath = 'backups';
+    this.collections = BACKUP_COLLECTIONS;
+    this.nonRestorableCollections = NON_RESTORABLE_COLLECTIONS;
+    this.pageSize = 500;
+    this.maxChunkBytes = 8 * 1024 * 1024;
+    this.writeBatchSize = 400;
+  }
+
+  /**
+   * Get backup settings from the environment configuration
+   * @return {Object} { retentionDays, pointInTimeReads }
+   */
+  getSettings() {
+    if (!this.settings) {
+      const database = require('../config/environment').getDatabaseConfig();
+      this.settings = {
+        retentionDays: database.backupRetention,
+        pointInTimeReads: database.pointInTimeReads
+      };
+    }
+    return this.settings;
+  }
+
+  /**
+   * Export the collections into Cloud Storage
+   * @param {Object} options - { trigger, adminId, collections }
+   * @return {Object} { backupId, snapshotTime, consistent, documents, bytes, collections }
+   */
+  async createBackup(options = {}) {
+    const { trigger = 'scheduled', adminId = null, collections = this.collections } = options;
+    const settings = this.getSettings();
+    const startedAt = new Date();
+    const backupId = `backup_${startedAt.toISOString().replace(/[:.]/g, '-')}`;
+    const backupRef = this.db.collection(COLLECTIONS.SYSTEM_BACKUPS).doc(backupId);
+
+    // With point-in-time recovery enabled every page is read at the same whole minute,
+    // so the backup is one consistent snapshot. Otherwise collections are read as they are.
+    const snapshotTime = settings.pointInTimeReads ?
+      new Date(Math.floor(startedAt.getTime() / 60000) * 60000) :
+      startedAt;
+
+    try {
+      if (adminId) {
+        await validateAdminPermissions(adminId, 'system_config');
+      }
+
+      await backupRef.set({
+        id: backupId,
+        status: 'running',
+        trigger,
+        createdBy: adminId,
+        collections,
+        snapshotTime,
+        consistent: Boolean(settings.pointInTimeReads),
+        storagePath: `${this.storagePath}/${backupId}`,
+        startedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      logger.info(`Starting backup ${backupId}`, { trigger, collections: collections.length });
+
+      const readTime = settings.pointInTimeReads ? admin.firestore.Timestamp.fromDate(snapshotTime) : null;
+      const manifest = {
+        version: 1,
+        backupId,
+        snapshotTime: snapshotTime.toISOString(),
+        consistent: Boolean(settings.pointInTimeReads),
+        collections: {}
+      };
+
+      for (const collectionName of collections) {
+        manifest.collections[collectionName] = await this.exportCollection(backupId, collectionName, readTime);
+      }
+
+      const manifestBody = Buffer.from(JSON.stringify(manifest, null, 2), 'utf8');
+      const manifestChecksum = this.checksum(manifestBody);
+      const manifestPath = `${this.storagePath}/${backupId}/manifest.json`;
+
+      await this.getBucket().file(manifestPath).save(manifestBody, {
+        resumable: false,
+        contentType: 'application/json'
+      });
+
+      const stats = Object.values(manifest.collections);
+      const summary = {
+        documents: stats.reduce((sum, collection) => sum + collection.documents, 0),
+        bytes: stats.reduce((sum, collection) => sum + collection.bytes, 0),
+        chunks: stats.reduce((sum, collection) => sum + collection.chunks.length, 0)
+      };
+
+      await backupRef.update({
+        status: 'completed',
+        manifestPath,
+        manifestChecksum,
+        ...summary,
+        collectionStats: Object.fromEntries(Object.entries(manifest.collections).map(([name, collection]) => [
+          name,
+          { documents: collection.documents, chunks: collection.chunks.length }
+        ])),
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      logger.info(`Backup ${backupId} completed`, summary);
+
+      await this.pruneBackups();
+
+      return {
+        backupId,
+        snapshotTime: manifest.snapshotTime,
+        consistent: manifest.consistent,
+        collections,
+        ...summary
+      };
+    } catch (error) {
+      logger.error(`Backup ${backupId} failed:`, error);
+
+      await backupRef.set({
+        status: 'failed',
+        error: error.message,
+        failedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Write one collection as NDJSON chunks, paging through it by document id
+   * @param {string} backupId - Backup being written
+   * @param {string} collectionName - Collection to export
+   * @param {Timestamp} readTime - Snapshot time, or null to read the live data
+   * @return {Object} { documents, bytes, chunks: [{ path, documents, bytes, sha256 }] }
+   */
+  async exportCollection(backupId, collectionName, readTime) {
+    const result = { documents: 0, bytes: 0, chunks: [] };
+    let lines = [];
+    let chunkBytes = 0;
+    let lastId = null;
+
+    const flush = async () => {
+      const chunk = await this.writeChunk(backupId, collectionName, result.chunks.length, lines);
+      result.chunks.push(chunk);
+      result.bytes += chunk.bytes;
+      lines = [];
+      chunkBytes = 0;
+    };
+
+    for (;;) {
+      let pageQuery = this.db.collection(collectionName)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(this.pageSize);
+
+      if (lastId) {
+        pageQuery = pageQuery.startAfter(lastId);
+      }
+
+      const snapshot = await this.readPage(pageQuery, readTime);
+
+      for (const doc of snapshot.docs) {
+        const line = JSON.stringify({ id: doc.id, data: this.encodeValue(doc.data()) });
+        const lineBytes = Buffer.byteLength(line) + 1;
+
+        if (lines.length > 0 && chunkBytes + lineBytes > this.maxChunkBytes) {
+          await flush();
+        }
+
+        lines.push(line);
+        chunkBytes += lineBytes;
+        result.documents++;
+      }
+
+      if (snapshot.size < this.pageSize) {
+        break;
+      }
+      lastId = snapshot.docs[snapshot.docs.length - 1].id;
+    }
+
+    if (lines.length > 0) {
+      await flush();
+    }
+
+    return result;
+  }
+
+  /**
+   * Read a page, at the snapshot time when one is given
+   * @param {Query} pageQuery - Page of the collection
+   * @param {Timestamp} readTime - Snapshot time, or null
+   */
+  async readPage(pageQuery, readTime) {
+    if (!readTime) {
+      return pageQuery.get();
+    }
+    return this.db.runTransaction((transaction) => transaction.get(pageQuery), { readOnly: true, readTime });
+  }
+
+  /**
+   * Store one chunk and return its manifest entry
+   * @param {string} backupId - Backup being written
+   * @param {string} collectionName - Exported collection
+   * @param {number} index - Chunk number
+   * @param {string[]} lines - NDJSON lines
+   */
+  async writeChunk(backupId, collectionName, index, lines) {
+    const body = Buffer.from(`${lines.join('\n')}\n`, 'utf8');
+    const sha256 = this.checksum(body);
+    const path = `${this.storagePath}/${backupId}/${collectionName}/part-${String(index).padStart(5, '0')}.ndjson`;
+
+    await this.getBucket().file(path).save(body, {
+      resumable: false,
+      contentType: 'application/x-ndjson',
+      metadata: { metadata: { sha256, documents: String(lines.length) } }
+    });
+
+    return { path, documents: lines.length, bytes: body.length, sha256 };
+  }
+
+  /**
+   * Download a chunk, check it against the manifest and parse it
+   * @param {Object} chunk - Manifest entry { path, documents, bytes, sha256 }
+   * @return {Array} [{ id, data }] with data still encoded
+   */
+  async readChunk(chunk) {
+    const [body] = await this.getBucket().file(chunk.path).download();
+
+    const sha256 = this.checksum(body);
+    if (sha256 !== chunk.sha256) {
+      throw new Error(`Checksum mismatch for ${chunk.path}`);
+    }
+
+    const entries = body.toString('utf8').split('\n').filter((line) => line.length > 0).map((line) => JSON.parse(line));
+    if (entries.length !== chunk.documents) {
+      throw new Error(`${chunk.path} has ${entries.length} documents, manifest lists ${chunk.documents}`);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Check every chunk of a backup against its manifest
+   * @param {string} backupId - Backup to check
+   * @param {Array} collections - Limit the check to these collections
+   * @return {Object} { backupId, valid, chunksChecked, documents, errors }
+   */
+  async verifyBackup(backupId, collections = null) {
+    try {
+      const { manifest } = await this.loadManifest(backupId);
+      const names = collections || Object.keys(manifest.collections);
+      const result = { backupId, valid: true, chunksChecked: 0, documents: 0, errors: [] };
+
+      for (const name of names) {
+        for (const chunk of manifest.collections[name].chunks) {
+          try {
+            const entries = await this.readChunk(chunk);
+            result.documents += entries.length;
+          } catch (error) {
+            result.errors.push(error.message);
+          }
+          result.chunksChecked++;
+        }
+      }
+
+      result.valid = result.errors.length === 0;
+
+      await this.db.collection(COLLECTIONS.SYSTEM_BACKUPS).doc(backupId).update({
+        lastVerifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastVerification: {
+          valid: result.valid,
+          chunksChecked: result.chunksChecked,
+          errors: result.errors.slice(0, 20)
+        }
+      });
+
+      return result;
+    } catch (error) {
+      logger.error(`Failed to verify backup ${backupId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore collections from a backup. The backup is verified first; nothing is written when
+   * any chunk fails its checksum. Documents created after the backup are counted but kept.
+   * A real restore first takes a "pre_restore" backup of the same collections to undo it.
+   * Payout collections (see NON_RESTORABLE_COLLECTIONS) are skipped, and naming one is an error.
+   * @param {string} adminId - Admin running the restore
+   * @param {Object} options - { backupId | pointInTime, collections, dryRun (default true) }
+   * @return {Object} { restoreId, backupId, snapshotTime, dryRun, safetyBackupId, collections, skippedCollections }
+   */
+  async restoreBackup(adminId, options = {}) {
+    const { collections = null, dryRun = true } = options;
+
+    try {
+      await validateAdminPermissions(adminId, 'system_config');
+
+      const backup = options.backupId ?
+        await this.getBackup(options.backupId) :
+        await this.findBackupAt(options.pointInTime);
+
+      const { manifest } = await this.loadManifest(backup.id);
+      const requested = collections && collections.length > 0;
+      const names = requested ?
+        collections :
+        Object.keys(manifest.collections).filter((name) => !this.nonRestorableCollections.includes(name));
+      const skippedCollections = Object.keys(manifest.collections).filter((name) => !names.includes(name));
+
+      const unknown = names.filter((name) => !manifest.collections[name]);
+      if (unknown.length > 0) {
+        throw new ValidationError(`Backup ${backup.id} does not contain: ${unknown.join(', ')}`);
+      }
+
+      const payouts = names.filter((name) => this.nonRestorableCollections.includes(name));
+      if (payouts.length > 0) {
+        throw new ValidationError(`Payout collections cannot be restored: ${payouts.join(', ')}`);
+      }
+
+      const verification = await this.verifyBackup(backup.id, names);
+      if (!verification.valid) {
+        throw new ValidationError(`Backup ${backup.id} failed verification: ${verification.errors[0]}`);
+      }
+
+      const restoreRef = this.db.collection(COLLECTIONS.SYSTEM_RESTORES).doc();
+      await restoreRef.set({
+        backupId: backup.id,
+        snapshotTime: manifest.snapshotTime,
+        collections: names,
+        dryRun,
+        requestedBy: adminId,
+        status: 'running',
+        startedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      try {
+        const safetyBackup = dryRun ?
+          null :
+          await this.createBackup({ trigger: 'pre_restore', adminId, collections: names });
+
+        const results = {};
+        for (const name of names) {
+          results[name] = await this.restoreCollection(name, manifest.collections[name], dryRun);
+        }
+
+        const summary = {
+          restoreId: restoreRef.id,
+          backupId: backup.id,
+          snapshotTime: manifest.snapshotTime,
+          dryRun,
+          safetyBackupId: safetyBackup ? safetyBackup.backupId : null,
+          collections: results,
+          skippedCollections
+        };
+
+        await restoreRef.update({
+          status: 'completed',
+          safetyBackupId: summary.safetyBackupId,
+          results,
+          completedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        logger.info(`${dryRun ? 'Dry run of restore' : 'Restore'} from ${backup.id} completed`, {
+          restoreId: restoreRef.id,
+          adminId
+        });
+
+        return summary;
+      } catch (error) {
+        await restoreRef.update({
+          status: 'failed',
+          error: error.message,
+          completedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        throw error;
+      }
+    } catch (error) {
+      logger.error('Failed to restore backup:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare one collection with its backup and, unless dry-running, write back what differs
+   * @param {string} collectionName - Collection to restore
+   * @param {Object} collectionManifest - Its manifest entry
+   * @param {boolean} dryRun - Count the changes without writing them
+   * @return {Object} { documents, created, updated, unchanged, newerDocuments }
+   */
+  async restoreCollection(collectionName, collectionManifest, dryRun) {
+    const result = { documents: 0, created: 0, updated: 0, unchanged: 0, newerDocuments: 0 };
+    const backedUpIds = new Set();
+    const collectionRef = this.db.collection(collectionName);
+
+    for (const chunk of collectionManifest.chunks) {
+      const entries = await this.readChunk(chunk);
+
+      for (let i = 0; i < entries.length; i += this.writeBatchSize) {
+        const slice = entries.slice(i, i + this.writeBatchSize);
+        const refs = slice.map((entry) => collectionRef.doc(entry.id));
+        const current = await this.db.getAll(...refs);
+        const batch = this.db.batch();
+        let writes = 0;
+
+        slice.forEach((entry, index) => {
+          backedUpIds.add(entry.id);
+          result.documents++;
+
+          if (!current[index].exists) {
+            result.created++;
+          } else if (JSON.stringify(this.encodeValue(current[index].data())) !== JSON.stringify(entry.data)) {
+            result.updated++;
+          } else {
+            result.unchanged++;
+            return;
+          }
+
+          if (!dryRun) {
+            batch.set(refs[index], this.decodeValue(entry.data));
+            writes++;
+          }
+        });
+
+        if (writes > 0) {
+          await batch.commit();
+        }
+      }
+    }
+
+    result.newerDocuments = await this.countNewerDocuments(collectionRef, backedUpIds);
+
+    return result;
+  }
+
+  /**
+   * Documents that exist now but are not in the backup
+   * @param {CollectionReference} collectionRef - Restored collection
+   * @param {Set<string>} backedUpIds - Document ids in the backup
+   */
+  async countNewerDocuments(collectionRef, backedUpIds) {
+    let count = 0;
+    let lastId = null;
+
+    for (;;) {
+      let pageQuery = collectionRef.select().orderBy(admin.firestore.FieldPath.documentId()).limit(this.pageSize);
+      if (lastId) {
+        pageQuery = pageQuery.startAfter(lastId);
+      }
+
+      const snapshot = await pageQuery.get();
+      count += snapshot.docs.filter((doc) => !backedUpIds.has(doc.id)).length;
+
+      if (snapshot.size < this.pageSize) {
+        return count;
+      }
+      lastId = snapshot.docs[snapshot.docs.length - 1].id;
+    }
+  }
+
+  /**
+   * Recent backups, newest first
+   * @param {number} limit - Maximum backups returned
+   */
+  async listBackups(limit = 20) {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.SYSTEM_BACKUPS)
+        .orderBy('startedAt', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map((doc) => this.serialize(doc.id, doc.data()));
+    } catch (error) {
+      logger.error('Failed to list backups:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A completed backup by id
+   * @param {string} backupId - Backup id
+   */
+  async getBackup(backupId) {
+    const backupDoc = await this.db.collection(COLLECTIONS.SYSTEM_BACKUPS).doc(backupId).get();
+
+    if (!backupDoc.exists) {
+      throw new ValidationError('Backup not found');
+    }
+
+    const backup = backupDoc.data();
+    if (backup.status !== 'completed') {
+      throw new ValidationError(`Backup ${backupId} is ${backup.status}`);
+    }
+
+    return { id: backupDoc.id, ...backup };
+  }
+
+  /**
+   * The newest completed backup taken at or before a moment
+   * @param {Date} pointInTime - Moment to restore to
+   */
+  async findBackupAt(pointInTime) {
+    const moment = pointInTime ? new Date(pointInTime) : new Date();
+    if (isNaN(moment.getTime())) {
+      throw new ValidationError('Point in time must be a date');
+    }
+
+    const snapshot = await this.db.collection(COLLECTIONS.SYSTEM_BACKUPS)
+      .where('status', '==', 'completed')
+      .where('snapshotTime', '<=', moment)
+      .orderBy('snapshotTime', 'desc')
+      .limit(1)
+      .get();
+
+    if (snapshot.empty) {
+      throw new ValidationError(`No backup was taken before ${moment.toISOString()}`);
+    }
+
+    return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  }
+
+  /**
+   * Download a backup's manifest and check it against the recorded checksum
+   * @param {string} backupId - Backup id
+   */
+  async loadManifest(backupId) {
+    const backup = await this.getBackup(backupId);
+    const [body] = await this.getBucket().file(backup.manifestPath).download();
+
+    if (this.checksum(body) !== backup.manifestChecksum) {
+      throw new ValidationError(`Manifest of backup ${backupId} does not match its checksum`);
+    }
+
+    return { backup, manifest: JSON.parse(body.toString('utf8')) };
+  }
+
+  /**
+   * Delete backups older than the retention period, files first
+   */
+  async pruneBackups() {
+    try {
+      const cutoff = new Date(Date.now() - this.getSettings().retentionDays * 24 * 60 * 60 * 1000);
+      const snapshot = await this.db.collection(COLLECTIONS.SYSTEM_BACKUPS)
+        .where('startedAt', '<', cutoff)
+        .get();
+
+      for (const doc of snapshot.docs) {
+        await this.getBucket().deleteFiles({ prefix: `${this.storagePath}/${doc.id}/` });
+        await doc.ref.delete();
+      }
+
+      if (!snapshot.empty) {
+        logger.info(`Pruned ${snapshot.size} backups older than ${cutoff.toISOString()}`);
+      }
+
+      return snapshot.size;
+    } catch (error) {
+      // A failed prune must not fail the backup that triggered it
+      logger.error('Failed to prune old backups:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Turn Firestore values into JSON-safe values, with object keys sorted so that equal
+   * documents always encode to the same string
+   * @param {*} value - Firestore value
+   * @return {*} JSON-safe value
+   */
+  encodeValue(value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    if (value instanceof admin.firestore.Timestamp || value instanceof Date) {
+      const timestamp = value instanceof Date ? admin.firestore.Timestamp.fromDate(value) : value;
+      return { __type: 'timestamp', seconds: timestamp.seconds, nanoseconds: timestamp.nanoseconds };
+    }
+
+    if (value instanceof admin.firestore.GeoPoint) {
+      return { __type: 'geopoint', latitude: value.latitude, longitude: value.longitude };
+    }
+
+    if (value instanceof admin.firestore.DocumentReference) {
+      return { __type: 'reference', path: value.path };
+    }
+
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+      return { __type: 'bytes', base64: Buffer.from(value).toString('base64') };
+    }
+
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      return { __type: 'number', value: String(value) };
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item) => this.encodeValue(item));
+    }
+
+    if (typeof value === 'object') {
+      return Object.keys(value).sort().reduce((encoded, key) => {
+        encoded[key] = this.encodeValue(value[key]);
+        return encoded;
+      }, {});
+    }
+
+    return value;
+  }
+
+  /**
+   * Reverse of encodeValue
+   * @param {*} value - Encoded value
+   * @return {*} Firestore value
+   */
+  decodeValue(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.decodeValue(item));
+    }
+
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    switch (value.__type) {
+    case 'timestamp':
+      return new admin.firestore.Timestamp(value.seconds, value.nanoseconds);
+    case 'geopoint':
+      return new admin.firestore.GeoPoint(value.latitude, value.longitude);
+    case 'reference':
+      return this.db.doc(value.path);
+    case 'bytes':
+      return Buffer.from(value.base64, 'base64');
+    case 'number':
+      return Number(value.value);
+    default:
+      return Object.keys(value).reduce((decoded, key) => {
+        decoded[key] = this.decodeValue(value[key]);
+        return decoded;
+      }, {});
+    }
+  }
+
+  /**
+   * SHA-256 of a buffer, hex encoded
+   * @param {Buffer} buffer - Data to hash
+   * @return {string} Hex digest
+   */
+  checksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+  }
+
+  /**
+   * Default Cloud Storage bucket
+   * @return {Bucket} Storage bucket
+   */
+  getBucket() {
+    return admin.storage().bucket();
+  }
+
+  /**
+   * Document data with timestamps as ISO strings
+   * @param {string} id - Document id
+   * @param {Object} data - Document data
+   * @return {Object} Serialized record
+   */
+  serialize(id, data) {
+    const result = { id, ...data };
+    ['snapshotTime', 'startedAt', 'completedAt', 'failedAt', 'lastVerifiedAt'].forEach((field) => {
+      if (result[field] && typeof result[field].toDate === 'function') {
+        result[field] = result[field].toDate().toISOString();
+      }
+    });
+    return result;
+  }
+}
+
+module.exports = new BackupManager();
@@ -1,6 +1,9 @@
 const admin = require('firebase-admin');
 const { logger } = require('../utils/logger');
 const { validateAdminPermissions } = require('../middleware/auth');
+const drawingVerifier = require('../lottery/drawingVerifier');
+const drawSchedule = require('../lottery/drawSchedule');
+const jackpotRollover = require('../lottery/jackpotRollover');
 
 class ConfigManager {
   constructor() {
@@ -530,10 +533,31 @@ class ConfigManager {
 
       const allowedUpdates = [
         'entryFee', 'platformFee', 'maxTicketsPerUser',
-        'minParticipants', 'drawFrequency', 'scheduledTime',
-        'isEnabled'
+        'minParticipants', 'drawFrequency', 'scheduledTime', 'timezone', 'schedule',
+        'isEnabled', 'drawStrategy', 'rollover'
       ];
 
+      if (updates.scheduledTime !== undefined) {
+        drawSchedule.normalizeSchedule({ scheduledTime: updates.scheduledTime });
+      }
+
+      // A saved schedule (cron, several draws a day, one-off dates, blackouts) replaces scheduledTime
+      if (updates.schedule) {
+        drawSchedule.normalizeSchedule(updates.schedule);
+      }
+
+      if (updates.timezone !== undefined && !drawSchedule.isValidTimeZone(updates.timezone)) {
+        throw new Error(`Unknown timezone: ${updates.timezone}`);
+      }
+
+      if (updates.drawStrategy !== undefined && !drawingVerifier.isSupportedStrategy(updates.drawStrategy)) {
+        throw new Error(`Unknown draw strategy: ${updates.drawStrategy}`);
+      }
+
+      if (updates.rollover !== undefined) {
+        updates = { ...updates, rollover: jackpotRollover.normalizeSettings(updates.rollover) };
+      }
+
       const filteredUpdates = {};
       for (const [key, value] of Object.entries(updates)) {
         if (allowedUpdates.includes(key)) {
@@ -571,6 +595,72 @@ class ConfigManager {
     }
   }
 
+  /**
+   * Set the draw strategy for a lottery type.
+   * Applies to instances opened afterwards; open instances keep the strategy they committed to.
+   */
+  async updateDrawStrategy(lotteryTypeId, drawStrategy, adminId) {
+    try {
+      if (!drawingVerifier.isSupportedStrategy(drawStrategy)) {
+        throw new Error(`Unknown draw strategy: ${drawStrategy}`);
+      }
+
+      return await this.updateLotteryTypeConfig(lotteryTypeId, { drawStrategy }, adminId);
+    } catch (error) {
+      logger.error(`Failed to update draw strategy for ${lotteryTypeId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set the draw time and IANA timezone of a lottery type, e.g. { scheduledTime: 'sunday_18:00',
+   * timezone: 'Europe/Berlin' }, replacing any saved schedule. Applies to instances opened afterwards.
+   */
+  async updateDrawSchedule(lotteryTypeId, { scheduledTime, timezone }, adminId) {
+    try {
+      const lotteryTypeDoc = await this.db.collection('lottery_types').doc(lotteryTypeId).get();
+      if (!lotteryTypeDoc.exists) {
+        throw new Error(`Lottery type ${lotteryTypeId} not found`);
+      }
+
+      const current = lotteryTypeDoc.data();
+      const schedule = {
+        scheduledTime: scheduledTime !== undefined ? scheduledTime : current.scheduledTime,
+        timezone: timezone !== undefined ? timezone : current.timezone || drawSchedule.DEFAULT_TIMEZONE
+      };
+
+      // Throws for an invalid time or unknown timezone
+      const nextDrawTime = drawSchedule.nextDrawTime(schedule);
+
+      const result = await this.updateLotteryTypeConfig(lotteryTypeId, { ...schedule, schedule: null }, adminId);
+
+      return { ...result, nextDrawTime: nextDrawTime.toISOString() };
+    } catch (error) {
+      logger.error(`Failed to update draw schedule for ${lotteryTypeId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update jackpot rollover settings for a lottery type:
+   * { enabled, unclaimedPrizes, cancelledPools, claimWindowDays }
+   */
+  async updateRolloverSettings(lotteryTypeId, rollover, adminId) {
+    try {
+      return await this.updateLotteryTypeConfig(lotteryTypeId, { rollover }, adminId);
+    } catch (error) {
+      logger.error(`Failed to update rollover settings for ${lotteryTypeId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get available draw strategies
+   */
+  getDrawStrategies() {
+    return drawingVerifier.listStrategies();
+  }
+
   /**
    * Clear configuration cache
    */
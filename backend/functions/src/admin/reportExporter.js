@@ -0,0 +1,508 @@
+const { finished } = require('stream/promises');
+
+/**
+ * Summary section: one Metric/Value row per entry of the picked object
+ */
+function summarySection(title, pick) {
+  return {
+    title,
+    columns: [
+      { key: 'metric', header: 'Metric', width: 32 },
+      { key: 'value', header: 'Value', width: 28 }
+    ],
+    rows: report => Object.entries(pick(report) || {}).map(([metric, value]) => ({ metric, value }))
+  };
+}
+
+/**
+ * Entries of a { key: value } map sorted by key (dates sort chronologically)
+ */
+function sortedEntries(map) {
+  return Object.entries(map || {}).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Run a report's sections against a nested part of a larger report (dashboard)
+ */
+function scoped(sections, pick) {
+  return sections.map(section => ({ ...section, rows: report => section.rows(pick(report) || {}) }));
+}
+
+const REVENUE_SECTIONS = [
+  summarySection('Revenue summary', report => ({
+    'Period start': report.period?.start,
+    'Period end': report.period?.end,
+    'Total revenue (π)': report.totalRevenue,
+    'Transactions': report.totalTransactions,
+    'Average revenue per transaction (π)': report.avgRevenuePerTransaction,
+    'Average revenue per day (π)': report.avgRevenuePerDay,
+    'Growth vs previous period (%)': report.revenueGrowth
+  })),
+  {
+    title: 'Revenue by date',
+    columns: [
+      { key: 'date', header: 'Date', type: 'date' },
+      { key: 'revenue', header: 'Revenue (π)', type: 'number' }
+    ],
+    rows: report => sortedEntries(report.revenueByDate).map(([date, revenue]) => ({ date, revenue }))
+  },
+  {
+    title: 'Revenue by lottery',
+    columns: [
+      { key: 'lotteryType', header: 'Lottery type', width: 20 },
+      { key: 'revenue', header: 'Revenue (π)', type: 'number' },
+      { key: 'transactions', header: 'Transactions', type: 'number' }
+    ],
+    rows: report => sortedEntries(report.revenueByLottery).map(([lotteryType, stats]) => ({
+      lotteryType,
+      revenue: stats.revenue,
+      transactions: stats.count
+    }))
+  },
+  {
+    title: 'Platform fees',
+    columns: [
+      { key: 'fee', header: 'Fee (π)', type: 'number' },
+      { key: 'transactions', header: 'Transactions', type: 'number' },
+      { key: 'revenue', header: 'Revenue (π)', type: 'number' }
+    ],
+    rows: report => sortedEntries(report.platformFees).map(([fee, stats]) => ({
+      fee: Number(fee),
+      transactions: stats.count,
+      revenue: stats.revenue
+    }))
+  }
+];
+
+const USER_SECTIONS = [
+  summarySection('User summary', report => ({
+    'Period start': report.period?.start,
+    'Period end': report.period?.end,
+    'Total users': report.totalUsers,
+    'Active users': report.activeUsers,
+    'New users': report.newUsers,
+    'Average entries per user': report.avgEntriesPerUser,
+    'Retention rate (%)': report.userRetentionRate,
+    'Total entries': report.totalEntries,
+    'Total winnings (π)': report.totalWinnings
+  })),
+  {
+    title: 'Entries by date',
+    columns: [
+      { key: 'date', header: 'Date', type: 'date' },
+      { key: 'entries', header: 'Entries', type: 'number' }
+    ],
+    rows: report => sortedEntries(report.entriesByDate).map(([date, entries]) => ({ date, entries }))
+  },
+  {
+    title: 'Entries by lottery',
+    columns: [
+      { key: 'lotteryType', header: 'Lottery type', width: 20 },
+      { key: 'entries', header: 'Entries', type: 'number' }
+    ],
+    rows: report => sortedEntries(report.entriesByLottery).map(([lotteryType, entries]) => ({ lotteryType, entries }))
+  },
+  {
+    title: 'Registrations by date',
+    columns: [
+      { key: 'date', header: 'Date', type: 'date' },
+      { key: 'users', header: 'New users', type: 'number' }
+    ],
+    rows: report => sortedEntries(report.usersByRegDate).map(([date, users]) => ({ date, users }))
+  },
+  {
+    title: 'Users by activity',
+    columns: [
+      { key: 'level', header: 'Activity level' },
+      { key: 'users', header: 'Users', type: 'number' }
+    ],
+    rows: report => ['low', 'medium', 'high'].map(level => ({ level, users: report.usersByActivity?.[level] || 0 }))
+  }
+];
+
+const LOTTERY_SECTIONS = [
+  summarySection('Lottery summary', report => ({
+    'Period start': report.period?.start,
+    'Period end': report.period?.end,
+    'Total lotteries': report.summary?.totalLotteries,
+    'Completed lotteries': report.summary?.completedLotteries,
+    'Active lotteries': report.summary?.activeLotteries,
+    'Completion rate (%)': report.summary?.completionRate,
+    'Average participants per lottery': report.summary?.avgParticipantsPerLottery,
+    'Average prize pool per lottery (π)': report.summary?.avgPrizePoolPerLottery,
+    'Total participants': report.summary?.totalParticipants,
+    'Total prize pool (π)': report.summary?.totalPrizePool
+  })),
+  {
+    title: 'Performance by lottery',
+    columns: [
+      { key: 'lotteryType', header: 'Lottery type', width: 20 },
+      { key: 'total', header: 'Instances', type: 'number' },
+      { key: 'completed', header: 'Completed', type: 'number' },
+      { key: 'active', header: 'Active', type: 'number' },
+      { key: 'completionRate', header: 'Completion rate (%)', type: 'number' },
+      { key: 'totalParticipants', header: 'Participants', type: 'number' },
+      { key: 'avgParticipants', header: 'Average participants', type: 'number' },
+      { key: 'totalPrizePool', header: 'Prize pool (π)', type: 'number' },
+      { key: 'avgPrizePool', header: 'Average prize pool (π)', type: 'number' }
+    ],
+    rows: report => sortedEntries(report.lotteryPerformance).map(([lotteryType, perf]) => ({ lotteryType, ...perf }))
+  },
+  {
+    title: 'Recent winners',
+    columns: [
+      { key: 'id', header: 'Winner ID', width: 30 },
+      { key: 'username', header: 'Username', width: 20 },
+      { key: 'lotteryType', header: 'Lottery type', width: 20 },
+      { key: 'position', header: 'Position', type: 'number' },
+      { key: 'prizeAmount', header: 'Prize (π)', type: 'number' },
+      { key: 'status', header: 'Status', width: 18 },
+      { key: 'createdAt', header: 'Created at', type: 'datetime' }
+    ],
+    rows: report => report.recentWinners || []
+  }
+];
+
+const ROLLOVER_SECTIONS = [
+  summarySection('Rollover summary', report => ({
+    'Period start': report.period?.start,
+    'Period end': report.period?.end,
+    'Rollovers': report.summary?.totalRollovers,
+    'Total amount (π)': report.summary?.totalAmount,
+    'Applied amount (π)': report.summary?.appliedAmount,
+    'Pending amount (π)': report.summary?.pendingAmount
+  })),
+  {
+    title: 'Rollovers by lottery',
+    columns: [
+      { key: 'lotteryType', header: 'Lottery type', width: 20 },
+      { key: 'count', header: 'Rollovers', type: 'number' },
+      { key: 'totalAmount', header: 'Total amount (π)', type: 'number' },
+      { key: 'unclaimedPrizes', header: 'From unclaimed prizes (π)', type: 'number' },
+      { key: 'cancelledPools', header: 'From cancelled pools (π)', type: 'number' }
+    ],
+    rows: report => sortedEntries(report.byLotteryType).map(([lotteryType, stats]) => ({ lotteryType, ...stats }))
+  },
+  {
+    title: 'Rollovers',
+    columns: [
+      { key: 'id', header: 'Rollover ID', width: 30 },
+      { key: 'lotteryType', header: 'Lottery type', width: 20 },
+      { key: 'sourceType', header: 'Source', width: 18 },
+      { key: 'sourceInstanceId', header: 'Source instance', width: 30 },
+      { key: 'targetInstanceId', header: 'Target instance', width: 30 },
+      { key: 'winnerId', header: 'Winner ID', width: 30 },
+      { key: 'amount', header: 'Amount (π)', type: 'number' },
+      { key: 'status', header: 'Status' },
+      { key: 'createdAt', header: 'Created at', type: 'datetime' }
+    ],
+    rows: report => report.rollovers || []
+  }
+];
+
+const FINANCIAL_AUDIT_SECTIONS = [
+  summarySection('Audit summary', report => ({
+    'Period start': report.period?.start,
+    'Period end': report.period?.end,
+    'Total income (π)': report.summary?.totalIncome,
+    'Platform fees (π)': report.summary?.totalPlatformFees,
+    'Prizes awarded (π)': report.summary?.totalPrizesAwarded,
+    'Net revenue (π)': report.summary?.netRevenue,
+    'Profit margin (%)': report.summary?.profitMargin,
+    'Transactions': report.summary?.transactionCount,
+    'Prizes': report.summary?.prizeCount,
+    'Generated by': report.generatedBy
+  })),
+  {
+    title: 'Transactions',
+    columns: [
+      { key: 'id', header: 'Transaction ID', width: 30 },
+      { key: 'paymentId', header: 'Payment ID', width: 30 },
+      { key: 'userId', header: 'User ID', width: 30 },
+      { key: 'lotteryTypeId', header: 'Lottery type', width: 20 },
+      { key: 'amount', header: 'Amount (π)', type: 'number' },
+      { key: 'platformFee', header: 'Platform fee (π)', type: 'number' },
+      { key: 'status', header: 'Status' },
+      { key: 'txid', header: 'Blockchain txid', width: 40 },
+      { key: 'createdAt', header: 'Created at', type: 'datetime' }
+    ],
+    rows: report => report.transactions || []
+  },
+  {
+    title: 'Prize distributions',
+    columns: [
+      { key: 'id', header: 'Winner ID', width: 30 },
+      { key: 'lotteryInstanceId', header: 'Lottery instance', width: 30 },
+      { key: 'userId', header: 'User ID', width: 30 },
+      { key: 'username', header: 'Username', width: 20 },
+      { key: 'position', header: 'Position', type: 'number' },
+      { key: 'prizeAmount', header: 'Prize (π)', type: 'number' },
+      { key: 'netPrizeAmount', header: 'Net prize (π)', type: 'number' },
+      { key: 'status', header: 'Status', width: 18 },
+      { key: 'createdAt', header: 'Created at', type: 'datetime' }
+    ],
+    rows: report => report.prizeDistributions || []
+  }
+];
+
+/**
+ * Tabular layout of each report type: a list of sections, each one CSV block or XLSX sheet
+ */
+const REPORT_SCHEMAS = {
+  dashboard: [
+    summarySection('Dashboard summary', report => ({
+      'Generated at': report.generatedAt,
+      'Total revenue (π)': report.summary?.totalRevenue,
+      'Total users': report.summary?.totalUsers,
+      'Active lotteries': report.summary?.activeLotteries,
+      'System status': report.summary?.systemStatus
+    })),
+    ...scoped(REVENUE_SECTIONS, report => report.revenue),
+    ...scoped(USER_SECTIONS, report => report.users),
+    ...scoped(LOTTERY_SECTIONS, report => report.lotteries)
+  ],
+  revenue: REVENUE_SECTIONS,
+  users: USER_SECTIONS,
+  lotteries: LOTTERY_SECTIONS,
+  rollovers: ROLLOVER_SECTIONS,
+  financial_audit: FINANCIAL_AUDIT_SECTIONS
+};
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Writes reports as multi-section CSV or XLSX (one sheet per section) to a stream,
+ * so large date ranges are never held in memory as one file
+ */
+class ReportExporter {
+  constructor() {
+    this.schemas = REPORT_SCHEMAS;
+    this.formats = Object.keys(CONTENT_TYPES);
+  }
+
+  /**
+   * Whether a report type has a tabular schema
+   */
+  supports(reportType) {
+    return Object.prototype.hasOwnProperty.call(this.schemas, reportType);
+  }
+
+  /**
+   * Content type of an export format
+   */
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  /**
+   * Sections of a report with their rows resolved
+   * @returns {Array} [{ title, columns, rows }]
+   */
+  getSections(reportType, report) {
+    if (!this.supports(reportType)) {
+      throw new Error(`No export schema for report type: ${reportType}`);
+    }
+
+    return this.schemas[reportType].map(section => ({
+      title: section.title,
+      columns: section.columns,
+      rows: section.rows(report)
+    }));
+  }
+
+  /**
+   * Write a report to a stream and end it
+   * @param {string} format - "csv" or "xlsx"
+   * @param {stream.Writable} stream - Destination, ended when the export is complete
+   */
+  async write(format, reportType, report, stream) {
+    switch (format) {
+      case 'csv':
+        await this.writeCSV(reportType, report, stream);
+        break;
+      case 'xlsx':
+        await this.writeXLSX(reportType, report, stream);
+        break;
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    await finished(stream);
+  }
+
+  /**
+   * Multi-section CSV: a title line, a header row and the rows per section, separated by a
+   * blank line. Starts with a byte order mark so spreadsheets read it as UTF-8.
+   */
+  async writeCSV(reportType, report, stream) {
+    const sections = this.getSections(reportType, report);
+
+    await this.writeChunk(stream, '\uFEFF');
+
+    for (let i = 0; i < sections.length; i++) {
+      const { title, columns, rows } = sections[i];
+      const lines = [
+        ...(i > 0 ? [''] : []),
+        this.escapeCSV(title),
+        columns.map(column => this.escapeCSV(column.header)).join(',')
+      ];
+      await this.writeChunk(stream, lines.join('\r\n') + '\r\n');
+
+      for (const row of rows) {
+        const line = columns.map(column => this.escapeCSV(this.cellValue(row[column.key], column.type, 'csv')));
+        await this.writeChunk(stream, line.join(',') + '\r\n');
+      }
+    }
+
+    stream.end();
+  }
+
+  /**
+   * Workbook with one sheet per section, written with the streaming writer
+   */
+  async writeXLSX(reportType, report, stream) {
+    const ExcelJS = require('exceljs');
+    const sections = this.getSections(reportType, report);
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+    const usedNames = new Set();
+
+    workbook.creator = 'Pi Lottery';
+    workbook.created = new Date();
+
+    for (const { title, columns, rows } of sections) {
+      const sheet = workbook.addWorksheet(this.getSheetName(title, usedNames), {
+        views: [{ state: 'frozen', ySplit: 1 }]
+      });
+
+      sheet.columns = columns.map(column => ({
+        header: column.header,
+        key: column.key,
+        width: column.width || Math.max(14, column.header.length + 2),
+        style: this.getCellStyle(column.type)
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+
+      for (const row of rows) {
+        const values = {};
+        columns.forEach(column => {
+          values[column.key] = this.cellValue(row[column.key], column.type, 'xlsx');
+        });
+        sheet.addRow(values).commit();
+      }
+
+      sheet.commit();
+    }
+
+    await workbook.commit();
+  }
+
+  /**
+   * Normalize a value for a column: Firestore timestamps and ISO strings become dates in
+   * XLSX and ISO text in CSV; numeric columns hold numbers
+   */
+  cellValue(value, type, format) {
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    if (typeof value.toDate === 'function') {
+      value = value.toDate();
+    }
+
+    if (type === 'number') {
+      const number = Number(value);
+      return Number.isFinite(number) ? number : null;
+    }
+
+    if (type === 'date' || type === 'datetime') {
+      const date = value instanceof Date ? value : new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return String(value);
+      }
+      if (format === 'xlsx') {
+        return date;
+      }
+      return type === 'date' ? date.toISOString().split('T')[0] : date.toISOString();
+    }
+
+    if (value instanceof Date) {
+      return value.toISOString();
+    }
+
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Escape one CSV field (RFC 4180). Text that a spreadsheet would run as a formula
+   * is prefixed with a quote.
+   */
+  escapeCSV(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    if (typeof value === 'number' || typeof value === 'boolean') {
+      return String(value);
+    }
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    if (/[",\r\n]/.test(text) || text.trim() !== text) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Cell style for a column type
+   */
+  getCellStyle(type) {
+    switch (type) {
+      case 'date':
+        return { numFmt: 'yyyy-mm-dd' };
+      case 'datetime':
+        return { numFmt: 'yyyy-mm-dd hh:mm:ss' };
+      default:
+        return {};
+    }
+  }
+
+  /**
+   * Sheet name within Excel's limits: 31 characters, no []:*?/\ and unique in the workbook
+   */
+  getSheetName(title, usedNames) {
+    const base = title.replace(/[[\]:*?/\\]/g, ' ').substring(0, 31).trim() || 'Sheet';
+    let name = base;
+    for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+      name = `${base.substring(0, 31 - String(i).length - 1)} ${i}`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+  }
+
+  /**
+   * Write to a stream, waiting for it to drain when its buffer is full
+   */
+  async writeChunk(stream, chunk) {
+    if (!stream.write(chunk)) {
+      await new Promise((resolve, reject) => {
+        stream.once('drain', resolve);
+        stream.once('error', reject);
+      });
+    }
+  }
+}
+
+module.exports = new ReportExporter();
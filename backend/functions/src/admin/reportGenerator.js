@@ -1,12 +1,16 @@
 const admin = require('firebase-admin');
+const { PassThrough } = require('stream');
 const { logger } = require('../utils/logger');
 const { validateAdminPermissions } = require('../middleware/auth');
+const reportExporter = require('./reportExporter');
 
 class ReportGenerator {
   constructor() {
     this.db = admin.firestore();
     this.reportCache = new Map();
     this.cacheTimeout = 10 * 60 * 1000; // 10 minutes
+    this.exportPath = 'report_exports';
+    this.exportUrlTTL = 60 * 60 * 1000; // download links last an hour
   }
 
   /**
@@ -400,6 +404,100 @@ class ReportGenerator {
     }
   }
 
+  /**
+   * Generate jackpot rollover report: every Pi carried between instances in the period,
+   * grouped by lottery type and source, plus what is still waiting for a next instance
+   */
+  async generateRolloverReport(adminId, dateRange = null) {
+    try {
+      await validateAdminPermissions(adminId, 'view_analytics');
+
+      const now = new Date();
+      const startDate = dateRange?.start ? new Date(dateRange.start) : new Date(now.getFullYear(), now.getMonth(), 1);
+      const endDate = dateRange?.end ? new Date(dateRange.end) : now;
+
+      const rolloversSnapshot = await this.db.collection('jackpot_rollovers')
+        .where('createdAt', '>=', startDate)
+        .where('createdAt', '<=', endDate)
+        .orderBy('createdAt', 'desc')
+        .get();
+
+      const byLotteryType = {};
+      const rollovers = [];
+      let totalAmount = 0;
+      let pendingAmount = 0;
+      let appliedAmount = 0;
+
+      rolloversSnapshot.forEach(doc => {
+        const rollover = doc.data();
+        const lotteryType = rollover.lotteryTypeId || 'unknown';
+        const amount = rollover.amount || 0;
+
+        totalAmount += amount;
+        if (rollover.status === 'applied') {
+          appliedAmount += amount;
+        } else {
+          pendingAmount += amount;
+        }
+
+        if (!byLotteryType[lotteryType]) {
+          byLotteryType[lotteryType] = {
+            count: 0,
+            totalAmount: 0,
+            unclaimedPrizes: 0,
+            cancelledPools: 0
+          };
+        }
+
+        const typeStats = byLotteryType[lotteryType];
+        typeStats.count++;
+        typeStats.totalAmount += amount;
+        if (rollover.sourceType === 'unclaimed_prize') {
+          typeStats.unclaimedPrizes += amount;
+        } else {
+          typeStats.cancelledPools += amount;
+        }
+
+        rollovers.push({
+          id: doc.id,
+          lotteryType,
+          sourceType: rollover.sourceType,
+          sourceInstanceId: rollover.sourceInstanceId,
+          targetInstanceId: rollover.targetInstanceId,
+          winnerId: rollover.winnerId,
+          amount,
+          status: rollover.status,
+          createdAt: rollover.createdAt?.toDate().toISOString() || null
+        });
+      });
+
+      Object.values(byLotteryType).forEach(typeStats => {
+        typeStats.totalAmount = parseFloat(typeStats.totalAmount.toFixed(4));
+        typeStats.unclaimedPrizes = parseFloat(typeStats.unclaimedPrizes.toFixed(4));
+        typeStats.cancelledPools = parseFloat(typeStats.cancelledPools.toFixed(4));
+      });
+
+      return {
+        period: {
+          start: startDate.toISOString(),
+          end: endDate.toISOString()
+        },
+        summary: {
+          totalRollovers: rollovers.length,
+          totalAmount: parseFloat(totalAmount.toFixed(4)),
+          appliedAmount: parseFloat(appliedAmount.toFixed(4)),
+          pendingAmount: parseFloat(pendingAmount.toFixed(4))
+        },
+        byLotteryType,
+        rollovers,
+        generatedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      logger.error('Failed to generate rollover report:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get system health metrics
    */
@@ -541,7 +639,7 @@ class ReportGenerator {
           createdAt: winner.createdAt.toDate().toISOString()
         });
 
-        if (winner.status === 'transferred') {
+        if (winner.status === 'transferred' || winner.status === 'paid') {
           totalPrizesAwarded += winner.prizeAmount || 0;
         }
       });
@@ -575,12 +673,20 @@ class ReportGenerator {
   }
 
   /**
-   * Export report data
+   * Export report data.
+   * JSON returns the report. CSV and XLSX are streamed into Cloud Storage (or into
+   * options.stream when given) and return the file location with a download link.
+   * @param {string} format - "json", "csv" or "xlsx"
+   * @param {Object} options - { stream, urlTTL }
    */
-  async exportReport(reportType, adminId, dateRange = null, format = 'json') {
+  async exportReport(reportType, adminId, dateRange = null, format = 'json', options = {}) {
     try {
       await validateAdminPermissions(adminId, 'view_analytics');
 
+      if (format !== 'json' && !reportExporter.formats.includes(format)) {
+        throw new Error(`Unsupported export format: ${format}`);
+      }
+
       let reportData;
       
       switch (reportType) {
@@ -596,6 +702,9 @@ class ReportGenerator {
         case 'lotteries':
           reportData = await this.generateLotteryPerformance(adminId, dateRange);
           break;
+        case 'rollovers':
+          reportData = await this.generateRolloverReport(adminId, dateRange);
+          break;
         case 'financial_audit':
           reportData = await this.generateFinancialAuditReport(adminId, dateRange);
           break;
@@ -615,11 +724,16 @@ class ReportGenerator {
         timestamp: admin.firestore.FieldValue.serverTimestamp()
       });
 
-      if (format === 'csv') {
-        return this.convertToCSV(reportData, reportType);
+      if (format === 'json') {
+        return reportData;
+      }
+
+      if (options.stream) {
+        await reportExporter.write(format, reportType, reportData, options.stream);
+        return { reportType, format, contentType: reportExporter.getContentType(format) };
       }
 
-      return reportData;
+      return await this.saveExport(reportType, adminId, format, reportData, options.urlTTL);
     } catch (error) {
       logger.error('Failed to export report:', error);
       throw error;
@@ -627,17 +741,52 @@ class ReportGenerator {
   }
 
   /**
-   * Convert report data to CSV format
+   * Stream an export into Cloud Storage
+   * @returns {Object} { reportType, format, path, fileName, contentType, url, expiresAt }
    */
-  convertToCSV(data, reportType) {
-    // Basic CSV conversion - can be enhanced based on specific needs
-    const headers = Object.keys(data.summary || data);
-    const values = Object.values(data.summary || data);
-    
-    let csv = headers.join(',') + '\n';
-    csv += values.join(',') + '\n';
-    
-    return csv;
+  async saveExport(reportType, adminId, format, reportData, urlTTL = this.exportUrlTTL) {
+    const fileName = `${reportType}_report_${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+    const path = `${this.exportPath}/${adminId}/${fileName}`;
+    const contentType = reportExporter.getContentType(format);
+    const file = admin.storage().bucket().file(path);
+
+    await reportExporter.write(format, reportType, reportData, file.createWriteStream({
+      resumable: false,
+      contentType,
+      metadata: {
+        contentDisposition: `attachment; filename="${fileName}"`,
+        metadata: { reportType, adminId }
+      }
+    }));
+
+    const { url, expiresAt } = await this.getExportUrl(path, urlTTL);
+
+    logger.info(`Report export saved: ${path}`);
+
+    return { reportType, format, path, fileName, contentType, url, expiresAt };
+  }
+
+  /**
+   * Signed download link for a saved export
+   * @returns {Object} { url, expiresAt }
+   */
+  async getExportUrl(path, urlTTL = this.exportUrlTTL) {
+    const expiresAt = new Date(Date.now() + urlTTL);
+    const [url] = await admin.storage().bucket().file(path).getSignedUrl({ action: 'read', expires: expiresAt });
+
+    return { url, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Convert report data to CSV format (every section of the report's export schema)
+   */
+  async convertToCSV(data, reportType) {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+
+    await reportExporter.write('csv', reportType, data, stream);
+    return Buffer.concat(chunks).toString('utf8');
   }
 
   /**
@@ -0,0 +1,544 @@
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const { COLLECTIONS } = require('../utils/constants');
+const { ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { validateAdminPermissions } = require('../middleware/auth');
+const reportGenerator = require('./reportGenerator');
+const reportExporter = require('./reportExporter');
+const notificationDispatcher = require('../notifications/notificationDispatcher');
+
+const REPORT_NAMES = {
+  dashboard: 'dashboard report',
+  revenue: 'revenue report',
+  users: 'user activity report',
+  lotteries: 'lottery performance report',
+  rollovers: 'jackpot rollover report',
+  financial_audit: 'financial audit'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Recurring report subscriptions for admins.
+ *
+ * A subscription names a report type, a format and a daily, weekly or monthly schedule (UTC).
+ * Each run covers the period that just ended (the previous day, the previous 7 days or the
+ * previous calendar month), is stored in Cloud Storage by ReportGenerator, recorded in
+ * report_runs and announced to the recipients as a report_ready notification with a link.
+ */
+class ReportScheduler {
+  constructor() {
+    this.db = admin.firestore();
+    this.frequencies = ['daily', 'weekly', 'monthly'];
+    this.maxSubscriptionsPerAdmin = 20;
+    this.maxRecipients = 10;
+    this.batchSize = 10;
+    this.linkTTL = 7 * DAY; // longest signed URL Cloud Storage allows
+  }
+
+  /**
+   * Create a subscription owned by the admin
+   * @param {Object} data - { reportType, format, frequency, hour, dayOfWeek, dayOfMonth, recipients, name }
+   */
+  async createSubscription(adminId, data) {
+    try {
+      await validateAdminPermissions(adminId, 'view_analytics');
+
+      const existing = await this.db.collection(COLLECTIONS.REPORT_SUBSCRIPTIONS)
+        .where('ownerId', '==', adminId)
+        .get();
+
+      if (existing.size >= this.maxSubscriptionsPerAdmin) {
+        throw new ValidationError(`At most ${this.maxSubscriptionsPerAdmin} report subscriptions per admin`);
+      }
+
+      const schedule = this.normalizeSchedule(data);
+      const recipients = await this.validateRecipients(data.recipients, adminId);
+
+      const subscription = {
+        ownerId: adminId,
+        name: data.name || `${this.capitalize(schedule.frequency)} ${REPORT_NAMES[data.reportType]}`,
+        reportType: data.reportType,
+        format: data.format,
+        ...schedule,
+        recipients,
+        enabled: true,
+        nextRunAt: this.getNextRunAt(schedule, new Date()),
+        lastRunAt: null,
+        lastRunStatus: null,
+        consecutiveFailures: 0,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      this.validateReport(subscription);
+
+      const subscriptionRef = await this.db.collection(COLLECTIONS.REPORT_SUBSCRIPTIONS).add(subscription);
+
+      logger.info(`Report subscription ${subscriptionRef.id} created by ${adminId}`, {
+        reportType: subscription.reportType,
+        frequency: subscription.frequency
+      });
+
+      return { id: subscriptionRef.id, ...subscription, nextRunAt: subscription.nextRunAt.toISOString() };
+    } catch (error) {
+      logger.error('Failed to create report subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change a subscription's report, schedule, recipients or enabled state
+   */
+  async updateSubscription(adminId, subscriptionId, updates) {
+    try {
+      const subscriptionRef = this.db.collection(COLLECTIONS.REPORT_SUBSCRIPTIONS).doc(subscriptionId);
+      const current = await this.getOwnedSubscription(adminId, subscriptionRef);
+
+      const merged = { ...current, ...updates };
+      const schedule = this.normalizeSchedule(merged);
+      this.validateReport(merged);
+
+      const changes = {
+        name: merged.name,
+        reportType: merged.reportType,
+        format: merged.format,
+        ...schedule,
+        enabled: merged.enabled !== false,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      if (updates.recipients !== undefined) {
+        changes.recipients = await this.validateRecipients(updates.recipients, adminId);
+      }
+
+      // A new schedule, or re-enabling, starts from now rather than from the old next run
+      if (changes.enabled) {
+        changes.nextRunAt = this.getNextRunAt(schedule, new Date());
+        changes.consecutiveFailures = 0;
+      }
+
+      await subscriptionRef.update(changes);
+
+      return { id: subscriptionId, ...current, ...changes, nextRunAt: changes.nextRunAt?.toISOString() || null };
+    } catch (error) {
+      logger.error(`Failed to update report subscription ${subscriptionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a subscription. Its run history and files are kept.
+   */
+  async deleteSubscription(adminId, subscriptionId) {
+    try {
+      const subscriptionRef = this.db.collection(COLLECTIONS.REPORT_SUBSCRIPTIONS).doc(subscriptionId);
+      await this.getOwnedSubscription(adminId, subscriptionRef);
+      await subscriptionRef.delete();
+
+      return { id: subscriptionId, deleted: true };
+    } catch (error) {
+      logger.error(`Failed to delete report subscription ${subscriptionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subscriptions the admin owns or receives
+   */
+  async listSubscriptions(adminId) {
+    try {
+      const [owned, received] = await Promise.all([
+        this.db.collection(COLLECTIONS.REPORT_SUBSCRIPTIONS).where('ownerId', '==', adminId).get(),
+        this.db.collection(COLLECTIONS.REPORT_SUBSCRIPTIONS).where('recipients', 'array-contains', adminId).get()
+      ]);
+
+      const subscriptions = new Map();
+      [...owned.docs, ...received.docs].forEach(doc => {
+        subscriptions.set(doc.id, this.serialize(doc.id, doc.data()));
+      });
+
+      return Array.from(subscriptions.values());
+    } catch (error) {
+      logger.error('Failed to list report subscriptions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Past runs, newest first, for one subscription or for everything the admin received
+   */
+  async getRunHistory(adminId, subscriptionId = null, limit = 20) {
+    try {
+      let runsQuery = this.db.collection(COLLECTIONS.REPORT_RUNS);
+
+      runsQuery = subscriptionId
+        ? runsQuery.where('subscriptionId', '==', subscriptionId)
+        : runsQuery.where('recipients', 'array-contains', adminId);
+
+      const snapshot = await runsQuery.orderBy('startedAt', 'desc').limit(limit).get();
+
+      return snapshot.docs
+        .map(doc => this.serialize(doc.id, doc.data()))
+        .filter(run => run.ownerId === adminId || (run.recipients || []).includes(adminId));
+    } catch (error) {
+      logger.error('Failed to get report run history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Fresh download link for a past run's file
+   * @returns {Object} { url, expiresAt, fileName }
+   */
+  async getRunDownload(adminId, runId) {
+    const runDoc = await this.db.collection(COLLECTIONS.REPORT_RUNS).doc(runId).get();
+
+    if (!runDoc.exists) {
+      throw new ValidationError('Report run not found');
+    }
+
+    const run = runDoc.data();
+    if (run.ownerId !== adminId && !(run.recipients || []).includes(adminId)) {
+      throw new AuthorizationError('This report was not sent to you');
+    }
+
+    if (run.status !== 'completed' || !run.path) {
+      throw new ValidationError('Report run has no file');
+    }
+
+    const link = await reportGenerator.getExportUrl(run.path);
+    return { ...link, fileName: run.fileName };
+  }
+
+  /**
+   * Run every subscription that is due. Run on a schedule.
+   * @returns {Object} { processed, completed, failed }
+   */
+  async runDueSubscriptions() {
+    const results = { processed: 0, completed: 0, failed: 0 };
+
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.REPORT_SUBSCRIPTIONS)
+        .where('enabled', '==', true)
+        .where('nextRunAt', '<=', new Date())
+        .limit(this.batchSize)
+        .get();
+
+      for (const doc of snapshot.docs) {
+        const run = await this.runSubscription(doc.id);
+        if (!run) {
+          continue;
+        }
+
+        results.processed++;
+        results[run.status === 'completed' ? 'completed' : 'failed']++;
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('Failed to run report subscriptions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a due subscription, generate its report and notify the recipients
+   * @returns {Object|null} The run, or null when the subscription was not due
+   */
+  async runSubscription(subscriptionId) {
+    const subscriptionRef = this.db.collection(COLLECTIONS.REPORT_SUBSCRIPTIONS).doc(subscriptionId);
+    const runRef = this.db.collection(COLLECTIONS.REPORT_RUNS).doc();
+    const now = new Date();
+
+    // Advance nextRunAt in the same transaction that claims the run, so overlapping
+    // invocations cannot produce the same report twice
+    const claimed = await this.db.runTransaction(async (transaction) => {
+      const subscriptionDoc = await transaction.get(subscriptionRef);
+      if (!subscriptionDoc.exists) {
+        return null;
+      }
+
+      const subscription = subscriptionDoc.data();
+      const scheduledFor = this.toDate(subscription.nextRunAt);
+      if (!subscription.enabled || !scheduledFor || scheduledFor > now) {
+        return null;
+      }
+
+      const dateRange = this.getReportPeriod(subscription.frequency, scheduledFor);
+      const run = {
+        subscriptionId,
+        ownerId: subscription.ownerId,
+        recipients: subscription.recipients,
+        name: subscription.name,
+        reportType: subscription.reportType,
+        format: subscription.format,
+        dateRange,
+        scheduledFor,
+        status: 'running',
+        startedAt: now
+      };
+
+      transaction.set(runRef, run);
+      transaction.update(subscriptionRef, {
+        nextRunAt: this.getNextRunAt(subscription, now),
+        lastRunAt: now,
+        lastRunId: runRef.id
+      });
+
+      return { subscription, run };
+    });
+
+    if (!claimed) {
+      return null;
+    }
+
+    const { subscription, run } = claimed;
+
+    try {
+      const file = await reportGenerator.exportReport(
+        run.reportType,
+        run.ownerId,
+        run.dateRange,
+        run.format,
+        { urlTTL: this.linkTTL }
+      );
+
+      await runRef.update({
+        status: 'completed',
+        path: file.path,
+        fileName: file.fileName,
+        contentType: file.contentType,
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await subscriptionRef.update({ lastRunStatus: 'completed', consecutiveFailures: 0, lastError: null });
+
+      await this.notifyRecipients(runRef.id, run, file);
+
+      logger.info(`Scheduled report ${runRef.id} completed`, { subscriptionId, path: file.path });
+
+      return { id: runRef.id, ...run, status: 'completed', path: file.path };
+    } catch (error) {
+      logger.error(`Scheduled report ${runRef.id} failed:`, error);
+
+      await runRef.update({
+        status: 'failed',
+        error: error.message,
+        completedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await subscriptionRef.update({
+        lastRunStatus: 'failed',
+        lastError: error.message,
+        consecutiveFailures: (subscription.consecutiveFailures || 0) + 1
+      });
+
+      return { id: runRef.id, ...run, status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Send the download link to every recipient
+   */
+  async notifyRecipients(runId, run, file) {
+    const periodStart = run.dateRange.start.split('T')[0];
+    const periodEnd = new Date(new Date(run.dateRange.end).getTime() - 1).toISOString().split('T')[0];
+
+    await Promise.all(run.recipients.map(recipientId => notificationDispatcher.enqueue(recipientId, 'report_ready', {
+      runId,
+      subscriptionId: run.subscriptionId,
+      reportName: run.name,
+      reportType: run.reportType,
+      format: run.format.toUpperCase(),
+      period: periodStart === periodEnd ? periodStart : `${periodStart} to ${periodEnd}`,
+      url: file.url,
+      expiresAt: file.expiresAt.split('T')[0]
+    }, { key: `${runId}_${recipientId}` })));
+  }
+
+  /**
+   * Period a run covers: the day, 7 days or calendar month before the scheduled time
+   * @returns {Object} { start, end } ISO strings, end exclusive
+   */
+  getReportPeriod(frequency, scheduledFor) {
+    const end = new Date(Date.UTC(
+      scheduledFor.getUTCFullYear(),
+      scheduledFor.getUTCMonth(),
+      scheduledFor.getUTCDate()
+    ));
+
+    let start;
+    switch (frequency) {
+      case 'daily':
+        start = new Date(end.getTime() - DAY);
+        break;
+      case 'weekly':
+        start = new Date(end.getTime() - 7 * DAY);
+        break;
+      case 'monthly':
+        end.setUTCDate(1);
+        start = new Date(Date.UTC(end.getUTCFullYear(), end.getUTCMonth() - 1, 1));
+        break;
+      default:
+        throw new Error(`Unknown report frequency: ${frequency}`);
+    }
+
+    return { start: start.toISOString(), end: end.toISOString() };
+  }
+
+  /**
+   * First scheduled time strictly after a moment (UTC)
+   */
+  getNextRunAt(schedule, after) {
+    const candidate = new Date(Date.UTC(
+      after.getUTCFullYear(),
+      after.getUTCMonth(),
+      after.getUTCDate(),
+      schedule.hour
+    ));
+
+    // At most a month and a bit of days to look through
+    for (let i = 0; i < 62; i++) {
+      const matches = schedule.frequency === 'daily' ||
+        (schedule.frequency === 'weekly' && candidate.getUTCDay() === schedule.dayOfWeek) ||
+        (schedule.frequency === 'monthly' && candidate.getUTCDate() === schedule.dayOfMonth);
+
+      if (matches && candidate > after) {
+        return candidate;
+      }
+
+      candidate.setUTCDate(candidate.getUTCDate() + 1);
+    }
+
+    throw new Error('Could not compute the next report run');
+  }
+
+  /**
+   * Validate and fill in the schedule fields
+   * @returns {Object} { frequency, hour, dayOfWeek, dayOfMonth }
+   */
+  normalizeSchedule(data) {
+    if (!this.frequencies.includes(data.frequency)) {
+      throw new ValidationError(`Frequency must be one of: ${this.frequencies.join(', ')}`);
+    }
+
+    const hour = data.hour === undefined || data.hour === null ? 6 : Number(data.hour);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      throw new ValidationError('Hour must be a whole number from 0 to 23 (UTC)');
+    }
+
+    const schedule = { frequency: data.frequency, hour, dayOfWeek: null, dayOfMonth: null };
+
+    if (data.frequency === 'weekly') {
+      schedule.dayOfWeek = data.dayOfWeek === undefined || data.dayOfWeek === null ? 1 : Number(data.dayOfWeek);
+      if (!Number.isInteger(schedule.dayOfWeek) || schedule.dayOfWeek < 0 || schedule.dayOfWeek > 6) {
+        throw new ValidationError('Day of week must be 0 (Sunday) to 6 (Saturday)');
+      }
+    }
+
+    if (data.frequency === 'monthly') {
+      schedule.dayOfMonth = data.dayOfMonth === undefined || data.dayOfMonth === null ? 1 : Number(data.dayOfMonth);
+      // Limited to 28 so every month has the day
+      if (!Number.isInteger(schedule.dayOfMonth) || schedule.dayOfMonth < 1 || schedule.dayOfMonth > 28) {
+        throw new ValidationError('Day of month must be 1 to 28');
+      }
+    }
+
+    return schedule;
+  }
+
+  /**
+   * Check the report type and format
+   */
+  validateReport(subscription) {
+    if (!reportExporter.supports(subscription.reportType)) {
+      throw new ValidationError(`Unsupported report type: ${subscription.reportType}`);
+    }
+
+    if (!reportExporter.formats.includes(subscription.format)) {
+      throw new ValidationError(`Format must be one of: ${reportExporter.formats.join(', ')}`);
+    }
+  }
+
+  /**
+   * Recipients must be active admins who can view analytics; the owner always receives the report
+   */
+  async validateRecipients(recipients = [], ownerId) {
+    const unique = [...new Set([ownerId, ...(recipients || [])])];
+
+    if (unique.length > this.maxRecipients) {
+      throw new ValidationError(`At most ${this.maxRecipients} recipients per report`);
+    }
+
+    const adminDocs = await Promise.all(unique.map(id => this.db.collection('admin_users').doc(id).get()));
+    const invalid = adminDocs.filter(doc => !this.canReceiveReports(doc)).map(doc => doc.id);
+
+    if (invalid.length > 0) {
+      throw new ValidationError(`Recipients cannot view analytics: ${invalid.join(', ')}`);
+    }
+
+    return unique;
+  }
+
+  /**
+   * Active admin with the view_analytics permission
+   */
+  canReceiveReports(adminDoc) {
+    if (!adminDoc.exists) {
+      return false;
+    }
+
+    const { isAdmin, isActive, permissions = [] } = adminDoc.data();
+    return Boolean(isAdmin && isActive) &&
+      (permissions.includes('view_analytics') || permissions.includes('super_admin'));
+  }
+
+  /**
+   * Load a subscription the admin owns
+   */
+  async getOwnedSubscription(adminId, subscriptionRef) {
+    const subscriptionDoc = await subscriptionRef.get();
+
+    if (!subscriptionDoc.exists) {
+      throw new ValidationError('Report subscription not found');
+    }
+
+    const subscription = subscriptionDoc.data();
+    if (subscription.ownerId !== adminId) {
+      throw new AuthorizationError('Only the owner can change a report subscription');
+    }
+
+    return subscription;
+  }
+
+  /**
+   * Document data with timestamps as ISO strings
+   */
+  serialize(id, data) {
+    const result = { id, ...data };
+    ['nextRunAt', 'lastRunAt', 'scheduledFor', 'startedAt', 'completedAt', 'createdAt', 'updatedAt'].forEach(field => {
+      if (result[field]) {
+        result[field] = this.toDate(result[field]).toISOString();
+      }
+    });
+    return result;
+  }
+
+  /**
+   * Firestore Timestamp or Date to Date
+   */
+  toDate(value) {
+    if (!value) {
+      return null;
+    }
+    return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  }
+
+  /**
+   * "weekly" -> "Weekly"
+   */
+  capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+}
+
+module.exports = new ReportScheduler();
@@ -0,0 +1,863 @@
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const { COLLECTIONS } = require('../utils/constants');
+const { ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+const { validateAdminPermissions } = require('../middleware/auth');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const piPaymentHandler = require('../payments/piPaymentHandler');
+const prizePayoutWorker = require('../payments/prizePayoutWorker');
+const lotteryService = require('../lottery/lotteryService');
+const notificationDispatcher = require('../notifications/notificationDispatcher');
+
+/**
+ * Hours a case may wait before it is overdue. Held payments and entries are short because the
+ * user is waiting in the app; escalated cases get a fresh, shorter clock.
+ */
+const SLA_HOURS = {
+  payment: 2,
+  entry: 2,
+  winner: 24,
+  escalated: 4
+};
+
+const CASE_TYPES = ['payment', 'entry', 'winner'];
+const OPEN_STATUSES = ['open', 'escalated'];
+const SUBJECT_COLLECTIONS = {
+  payment: COLLECTIONS.PAYMENT_TRANSACTIONS,
+  entry: COLLECTIONS.HELD_ENTRIES,
+  winner: COLLECTIONS.LOTTERY_WINNERS
+};
+const STATUSES = [...OPEN_STATUSES, 'resolving', 'approved', 'rejected'];
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Manual review queue for payments and entries held by the risk engine and winners waiting for
+ * prize approval.
+ *
+ * Each held item is a review_cases document (keyed by type and subject, so a repeated event opens
+ * one case) with the reasons and evidence that put it there, an assignee and an SLA due time.
+ * Everything that happens to a case - opening, assignment, comments, escalation, the decision and
+ * SLA breaches - is appended to its events subcollection, which is the case's audit trail.
+ */
+class ReviewQueue {
+  /**
+   * Reviewer permission, batch size for the sweeps and how long a resolve claim holds
+   */
+  constructor() {
+    this.db = admin.firestore();
+    this.permission = 'approve_prizes';
+    this.caseTypes = CASE_TYPES;
+    this.statuses = STATUSES;
+    this.batchSize = 50;
+    this.resolveClaimTimeout = 15 * 60 * 1000; // 15 minutes
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Subscribe to the event bus. Safe to call more than once.
+   * @param {EventBus} bus - Bus to subscribe to
+   */
+  register(bus = eventBus) {
+    if (this.unsubscribers.length > 0) {
+      return;
+    }
+
+    this.unsubscribers.push(
+      bus.subscribe(EVENTS.PAYMENT_HELD, this.onPaymentHeld.bind(this), 'reviewQueue:payment'),
+      bus.subscribe(EVENTS.ENTRY_HELD, this.onEntryHeld.bind(this), 'reviewQueue:entry'),
+      bus.subscribe(EVENTS.WINNER_SELECTED, this.onWinnerSelected.bind(this), 'reviewQueue:winner')
+    );
+  }
+
+  /**
+   * Remove the subscriptions (used by tests)
+   */
+  unregister() {
+    this.unsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Open a case for a payment the risk engine held, with the signals that held it
+   */
+  async onPaymentHeld({ payload }) {
+    const assessment = await this.getAssessment(payload.riskAssessmentId);
+
+    await this.openCase('payment', payload.transactionId, {
+      userId: payload.userId,
+      amount: payload.amount,
+      reasons: assessment.signals.map((signal) => signal.reason),
+      evidence: {
+        paymentId: payload.paymentId,
+        lotteryTypeId: payload.lotteryTypeId,
+        riskAssessmentId: payload.riskAssessmentId,
+        riskScore: assessment.score,
+        signals: assessment.signals
+      }
+    });
+  }
+
+  /**
+   * Open a case for an entry the risk engine held, with the signals that held it
+   * @param {Object} event - ENTRY_HELD event
+   */
+  async onEntryHeld({ payload }) {
+    const assessment = await this.getAssessment(payload.riskAssessmentId);
+
+    await this.openCase('entry', payload.heldEntryId, {
+      userId: payload.userId,
+      reasons: assessment.signals.map((signal) => signal.reason),
+      evidence: {
+        lotteryTypeId: payload.lotteryTypeId,
+        entryMethod: payload.entryMethod,
+        ticketCount: payload.ticketCount,
+        riskAssessmentId: payload.riskAssessmentId,
+        riskScore: assessment.score,
+        signals: assessment.signals
+      }
+    });
+  }
+
+  /**
+   * Score and signals of a risk assessment, empty when it cannot be found
+   * @param {string} riskAssessmentId - Assessment to read
+   * @return {Object} { score, signals }
+   */
+  async getAssessment(riskAssessmentId) {
+    if (!riskAssessmentId) {
+      return { score: null, signals: [] };
+    }
+
+    const assessmentDoc = await this.db.collection(COLLECTIONS.RISK_ASSESSMENTS).doc(riskAssessmentId).get();
+    return assessmentDoc.exists ? assessmentDoc.data() : { score: null, signals: [] };
+  }
+
+  /**
+   * Open a case for a new winner, with the risk decision on the winning entry and the account history
+   */
+  async onWinnerSelected({ payload }) {
+    const winnerDoc = await this.db.collection(COLLECTIONS.LOTTERY_WINNERS).doc(payload.winnerId).get();
+    const winner = winnerDoc.exists ? winnerDoc.data() : {};
+    const reasons = ['Prize awaiting approval'];
+
+    let entryRisk = null;
+    if (winner.entryId) {
+      const entryDoc = await this.db.collection(COLLECTIONS.USER_ENTRIES).doc(winner.entryId).get();
+      const riskAssessmentId = entryDoc.exists ? entryDoc.data().riskAssessmentId : null;
+
+      if (riskAssessmentId) {
+        const assessmentDoc = await this.db.collection(COLLECTIONS.RISK_ASSESSMENTS).doc(riskAssessmentId).get();
+        if (assessmentDoc.exists) {
+          const { score, signals } = assessmentDoc.data();
+          entryRisk = { riskAssessmentId, score, signals };
+          reasons.push(...signals.map((signal) => `Entry: ${signal.reason}`));
+        }
+      }
+    }
+
+    const userDoc = await this.db.collection(COLLECTIONS.USERS).doc(payload.userId).get();
+    const user = userDoc.exists ? userDoc.data() : {};
+
+    await this.openCase('winner', payload.winnerId, {
+      userId: payload.userId,
+      amount: payload.prizeAmount,
+      reasons,
+      evidence: {
+        lotteryInstanceId: payload.lotteryInstanceId,
+        lotteryTypeId: payload.lotteryTypeId,
+        position: payload.position,
+        netPrizeAmount: payload.netPrizeAmount,
+        entryId: winner.entryId || null,
+        selectionData: winner.selectionData || null,
+        entryRisk,
+        account: {
+          createdAt: user.createdAt || null,
+          lotteriesWon: user.lotteriesWon || 0,
+          totalWinnings: user.totalWinnings || 0
+        }
+      }
+    });
+  }
+
+  /**
+   * Open a case unless one already exists for the subject
+   * @param {string} type - "payment" (subjectId is the transaction id), "entry" (the held entry id)
+   *   or "winner" (the winner id)
+   * @param {string} subjectId - Held transaction, entry or winner
+   * @param {Object} details - { userId, amount, reasons, evidence }
+   * @return {Object} { caseId, created }
+   */
+  async openCase(type, subjectId, details) {
+    try {
+      const caseId = `${type}_${subjectId}`;
+      const caseRef = this.db.collection(COLLECTIONS.REVIEW_CASES).doc(caseId);
+      const now = new Date();
+
+      const created = await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(caseRef);
+        if (doc.exists) {
+          return false;
+        }
+
+        transaction.set(caseRef, {
+          type,
+          subjectId,
+          userId: details.userId,
+          amount: details.amount || 0,
+          reasons: details.reasons || [],
+          evidence: details.evidence || {},
+          status: 'open',
+          priority: 'normal',
+          assignedTo: null,
+          assignedAt: null,
+          escalationLevel: 0,
+          dueAt: new Date(now.getTime() + SLA_HOURS[type] * HOUR),
+          slaBreached: false,
+          resolution: null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.set(caseRef.collection('events').doc(), this.buildEvent('opened', 'system', {
+          reasons: details.reasons || []
+        }));
+        return true;
+      });
+
+      if (created) {
+        logger.info(`Review case opened: ${caseId}`);
+      }
+
+      return { caseId, created };
+    } catch (error) {
+      logger.error('Failed to open review case:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cases in the queue, most urgent first
+   * @param {Object} filters - { status, type, assignedTo, limit }
+   */
+  async getQueue({ status = null, type = null, assignedTo = null, limit = 50 } = {}) {
+    try {
+      let query = this.db.collection(COLLECTIONS.REVIEW_CASES)
+        .where('status', 'in', status ? [status] : OPEN_STATUSES);
+
+      if (type) {
+        query = query.where('type', '==', type);
+      }
+      if (assignedTo) {
+        query = query.where('assignedTo', '==', assignedTo);
+      }
+
+      const snapshot = await query.orderBy('dueAt', 'asc').limit(limit).get();
+      const cases = snapshot.docs.map((doc) => this.toCase(doc));
+
+      // Escalated and overdue cases first, then by due time
+      const rank = (item) => (item.priority === 'high' ? 0 : 1);
+      cases.sort((a, b) => rank(a) - rank(b) || new Date(a.dueAt) - new Date(b.dueAt));
+
+      return cases;
+    } catch (error) {
+      logger.error('Failed to get review queue:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A case with its full event trail
+   * @param {string} caseId - Case id
+   */
+  async getCase(caseId) {
+    try {
+      const caseRef = this.db.collection(COLLECTIONS.REVIEW_CASES).doc(caseId);
+      const caseDoc = await caseRef.get();
+
+      if (!caseDoc.exists) {
+        throw new ValidationError('Review case not found');
+      }
+
+      const eventsSnapshot = await caseRef.collection('events').orderBy('createdAt', 'asc').get();
+
+      return {
+        ...this.toCase(caseDoc),
+        events: eventsSnapshot.docs.map((doc) => {
+          const event = doc.data();
+          return { id: doc.id, ...event, createdAt: this.toIso(event.createdAt) };
+        })
+      };
+    } catch (error) {
+      logger.error(`Failed to get review case ${caseId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a case to an admin who can approve prizes, or unassign it with assigneeId null
+   * @param {string} caseId - Case id
+   * @param {string} assigneeId - Admin taking the case
+   * @param {string} adminId - Admin making the assignment
+   */
+  async assign(caseId, assigneeId, adminId) {
+    try {
+      if (assigneeId) {
+        await this.validateReviewer(assigneeId);
+      }
+
+      await this.updateOpenCase(caseId, adminId, 'assigned', { assigneeId }, () => ({
+        assignedTo: assigneeId,
+        assignedAt: assigneeId ? new Date() : null
+      }));
+
+      if (assigneeId && assigneeId !== adminId) {
+        await notificationDispatcher.enqueue(assigneeId, 'review_assigned', {
+          caseId,
+          caseType: caseId.split('_')[0]
+        }, { key: `${caseId}_${Date.now()}` });
+      }
+
+      return { success: true, caseId, assignedTo: assigneeId };
+    } catch (error) {
+      logger.error(`Failed to assign review case ${caseId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a comment to the case's trail. Comments are allowed on closed cases too.
+   * @param {string} caseId - Case id
+   * @param {string} text - Comment
+   * @param {string} adminId - Commenting admin
+   */
+  async comment(caseId, text, adminId) {
+    try {
+      const caseRef = this.db.collection(COLLECTIONS.REVIEW_CASES).doc(caseId);
+      const caseDoc = await caseRef.get();
+
+      if (!caseDoc.exists) {
+        throw new ValidationError('Review case not found');
+      }
+
+      const eventRef = caseRef.collection('events').doc();
+      await eventRef.set(this.buildEvent('comment', adminId, { text }));
+      await caseRef.update({ updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+
+      return { success: true, caseId, eventId: eventRef.id };
+    } catch (error) {
+      logger.error(`Failed to comment on review case ${caseId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Escalate a case: high priority, a new SLA clock and optionally a new assignee
+   * @param {string} caseId - Case id
+   * @param {string} reason - Why it is escalated
+   * @param {string} adminId - Escalating admin
+   * @param {string} assigneeId - Admin taking the escalated case, or null
+   */
+  async escalate(caseId, reason, adminId, assigneeId = null) {
+    try {
+      if (assigneeId) {
+        await this.validateReviewer(assigneeId);
+      }
+
+      let escalationLevel;
+      await this.updateOpenCase(caseId, adminId, 'escalated', { reason, assigneeId }, (current) => {
+        escalationLevel = (current.escalationLevel || 0) + 1;
+        return {
+          status: 'escalated',
+          priority: 'high',
+          escalationLevel,
+          dueAt: new Date(Date.now() + SLA_HOURS.escalated * HOUR),
+          slaBreached: false,
+          assignedTo: assigneeId,
+          assignedAt: assigneeId ? new Date() : null
+        };
+      });
+
+      if (assigneeId && assigneeId !== adminId) {
+        await notificationDispatcher.enqueue(assigneeId, 'review_assigned', {
+          caseId,
+          caseType: caseId.split('_')[0]
+        }, { key: `${caseId}_${Date.now()}` });
+      }
+
+      return { success: true, caseId, status: 'escalated', escalationLevel };
+    } catch (error) {
+      logger.error(`Failed to escalate review case ${caseId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject the held item. The case is claimed first so two admins cannot decide it
+   * at once; if the payment or payout action fails the case goes back to its previous status.
+   * Once the action has gone through the case is never reopened: if closing it fails, it stays
+   * 'resolving' until processStaleResolutions closes it.
+   * @param {string} caseId - Case to decide
+   * @param {string} decision - "approve" or "reject"
+   * @param {string} notes - Reviewer notes
+   * @param {string} adminId - Deciding admin
+   */
+  async resolve(caseId, decision, notes, adminId) {
+    const caseRef = this.db.collection(COLLECTIONS.REVIEW_CASES).doc(caseId);
+    let claimed = null;
+    let applied = false;
+
+    try {
+      if (decision === 'reject' && !notes) {
+        throw new ValidationError('A reason is required to reject');
+      }
+
+      claimed = await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(caseRef);
+        const current = this.assertOpen(doc);
+
+        if (current.assignedTo && current.assignedTo !== adminId) {
+          throw new AuthorizationError('This case is assigned to another admin');
+        }
+
+        transaction.update(caseRef, {
+          status: 'resolving',
+          resolving: { previousStatus: current.status, adminId, notes: notes || '', since: new Date() },
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return current;
+      });
+
+      const approved = decision === 'approve';
+      const outcome = await this.applyDecision(claimed, approved, notes, adminId);
+      applied = true;
+      const status = approved ? 'approved' : 'rejected';
+
+      await caseRef.update({
+        status,
+        assignedTo: claimed.assignedTo || adminId,
+        resolution: { decision: status, notes: notes || '', resolvedBy: adminId, resolvedAt: new Date() },
+        resolving: admin.firestore.FieldValue.delete(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await caseRef.collection('events').doc().set(this.buildEvent(status, adminId, { notes: notes || '', outcome }));
+
+      logger.info(`Review case ${caseId} ${status} by ${adminId}`);
+
+      return { success: true, caseId, status, outcome };
+    } catch (error) {
+      logger.error(`Failed to resolve review case ${caseId}:`, error);
+
+      if (claimed && !applied) {
+        // A failed action can still settle the subject (a payment is cancelled when its entry
+        // cannot be made); that case is closed with the outcome instead of going back to the queue
+        const settled = await this.getSubjectDecision(claimed).catch(() => null);
+        const update = { status: settled || claimed.status };
+        if (settled) {
+          update.resolution = { decision: settled, notes: error.message, resolvedBy: adminId, resolvedAt: new Date() };
+        }
+
+        await caseRef.update({
+          ...update,
+          resolving: admin.firestore.FieldValue.delete(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        await caseRef.collection('events').doc().set(this.buildEvent(settled || 'action_failed', adminId, {
+          decision,
+          error: error.message
+        }));
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Carry out the decision on the payment, entry or winner
+   * @param {Object} reviewCase - Claimed case
+   * @param {boolean} approved - Approve or reject
+   * @param {string} notes - Reviewer notes
+   * @param {string} adminId - Deciding admin
+   */
+  async applyDecision(reviewCase, approved, notes, adminId) {
+    if (reviewCase.type === 'payment') {
+      const result = approved ?
+        await piPaymentHandler.approveHeldPayment(reviewCase.subjectId, adminId) :
+        await piPaymentHandler.rejectHeldPayment(reviewCase.subjectId, notes, adminId);
+      return { status: result.status };
+    }
+
+    if (reviewCase.type === 'entry') {
+      const result = approved ?
+        await lotteryService.approveHeldEntry(reviewCase.subjectId, adminId) :
+        await lotteryService.rejectHeldEntry(reviewCase.subjectId, notes, adminId);
+      return { status: result.status, entryId: result.entryId || null };
+    }
+
+    const result = await prizePayoutWorker.reviewWinner(reviewCase.subjectId, approved, notes, adminId);
+    return { status: result.status, payout: result.payout };
+  }
+
+  /**
+   * Close the open case of a subject decided outside the queue (e.g. approveWinnerPayout)
+   * @param {string} type - Case type
+   * @param {string} subjectId - Held transaction, entry or winner
+   * @param {string} status - Closing status
+   * @param {string} adminId - Admin who decided the subject
+   * @param {string} notes - Decision notes
+   */
+  async closeCaseForSubject(type, subjectId, status, adminId, notes = '') {
+    try {
+      const caseRef = this.db.collection(COLLECTIONS.REVIEW_CASES).doc(`${type}_${subjectId}`);
+      const caseDoc = await caseRef.get();
+
+      if (!caseDoc.exists || !OPEN_STATUSES.includes(caseDoc.data().status)) {
+        return false;
+      }
+
+      await caseRef.update({
+        status,
+        resolution: { decision: status, notes: notes || '', resolvedBy: adminId, resolvedAt: new Date() },
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      await caseRef.collection('events').doc().set(this.buildEvent(status, adminId, {
+        notes: notes || '',
+        outsideQueue: true
+      }));
+
+      return true;
+    } catch (error) {
+      // The decision itself has been made; a stale case is flagged by the SLA sweep
+      logger.error(`Failed to close review case for ${type} ${subjectId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Flag open cases past their due time, raise them to high priority and tell the assignee
+   */
+  async processOverdueCases() {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.REVIEW_CASES)
+        .where('status', 'in', OPEN_STATUSES)
+        .where('dueAt', '<=', new Date())
+        .limit(this.batchSize)
+        .get();
+
+      let breached = 0;
+
+      for (const doc of snapshot.docs) {
+        const reviewCase = doc.data();
+        if (reviewCase.slaBreached) {
+          continue;
+        }
+
+        await doc.ref.update({
+          slaBreached: true,
+          priority: 'high',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        await doc.ref.collection('events').doc().set(this.buildEvent('sla_breached', 'system', {
+          dueAt: this.toIso(reviewCase.dueAt)
+        }));
+
+        if (reviewCase.assignedTo) {
+          await notificationDispatcher.enqueue(reviewCase.assignedTo, 'review_overdue', {
+            caseId: doc.id,
+            caseType: reviewCase.type
+          }, { key: `${doc.id}_overdue_${reviewCase.escalationLevel || 0}`, priority: 'high' });
+        }
+
+        breached++;
+      }
+
+      if (breached > 0) {
+        logger.warn(`${breached} review cases breached their SLA`);
+      }
+
+      return { checked: snapshot.size, breached };
+    } catch (error) {
+      logger.error('Failed to process overdue review cases:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open the cases missing for held payments and entries. Cases are opened by the hold events,
+   * whose subscriber errors are only logged, so a hold can be left without one.
+   * @return {Object} { held, opened }
+   */
+  async processMissingCases() {
+    try {
+      const toPayload = {
+        payment: (doc) => ({
+          transactionId: doc.id,
+          paymentId: doc.data().paymentId,
+          userId: doc.data().userId,
+          amount: doc.data().amount,
+          lotteryTypeId: doc.data().lotteryTypeId || null,
+          riskAssessmentId: doc.data().riskAssessmentId || null
+        }),
+        entry: (doc) => ({
+          heldEntryId: doc.id,
+          userId: doc.data().userId,
+          lotteryTypeId: doc.data().lotteryTypeId,
+          entryMethod: doc.data().entryMethod,
+          ticketCount: doc.data().ticketCount,
+          riskAssessmentId: doc.data().riskAssessmentId || null
+        })
+      };
+      const openers = { payment: this.onPaymentHeld.bind(this), entry: this.onEntryHeld.bind(this) };
+
+      let held = 0;
+      let opened = 0;
+
+      for (const type of Object.keys(toPayload)) {
+        let lastDoc = null;
+
+        do {
+          let query = this.db.collection(SUBJECT_COLLECTIONS[type])
+            .where('status', '==', 'held_for_review')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(this.batchSize);
+          if (lastDoc) {
+            query = query.startAfter(lastDoc);
+          }
+
+          const snapshot = await query.get();
+          lastDoc = snapshot.size === this.batchSize ? snapshot.docs[snapshot.size - 1] : null;
+          held += snapshot.size;
+
+          for (const doc of snapshot.docs) {
+            try {
+              const caseDoc = await this.db.collection(COLLECTIONS.REVIEW_CASES).doc(`${type}_${doc.id}`).get();
+              if (caseDoc.exists) {
+                continue;
+              }
+
+              await openers[type]({ payload: toPayload[type](doc) });
+              opened++;
+            } catch (error) {
+              logger.error(`Failed to open missing review case for ${type} ${doc.id}:`, error);
+            }
+          }
+        } while (lastDoc);
+      }
+
+      if (opened > 0) {
+        logger.warn(`Opened ${opened} missing review cases`);
+      }
+
+      return { held, opened };
+    } catch (error) {
+      logger.error('Failed to open missing review cases:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Finish cases left 'resolving' by a resolve call that did not complete. The subject's own
+   * status tells whether the decision was carried out: if it was, the case is closed with that
+   * decision, otherwise it goes back to the queue.
+   */
+  async processStaleResolutions() {
+    try {
+      const snapshot = await this.db.collection(COLLECTIONS.REVIEW_CASES)
+        .where('status', '==', 'resolving')
+        .where('resolving.since', '<=', new Date(Date.now() - this.resolveClaimTimeout))
+        .limit(this.batchSize)
+        .get();
+
+      let closed = 0;
+      let reopened = 0;
+
+      for (const doc of snapshot.docs) {
+        try {
+          const status = await this.getSubjectDecision(doc.data());
+
+          const outcome = await this.db.runTransaction(async (transaction) => {
+            const current = await transaction.get(doc.ref);
+            if (!current.exists || current.data().status !== 'resolving') {
+              return null;
+            }
+
+            const resolving = current.data().resolving || {};
+            const update = status ?
+              {
+                status,
+                resolution: {
+                  decision: status,
+                  notes: resolving.notes || '',
+                  resolvedBy: resolving.adminId || 'system',
+                  resolvedAt: new Date()
+                }
+              } :
+              { status: resolving.previousStatus || 'open' };
+
+            transaction.update(doc.ref, {
+              ...update,
+              resolving: admin.firestore.FieldValue.delete(),
+              updatedAt: admin.firestore.FieldValue.serverTimestamp()
+            });
+            transaction.set(doc.ref.collection('events').doc(), this.buildEvent(
+              status || 'resolve_interrupted',
+              'system',
+              { interruptedResolveBy: resolving.adminId || null }
+            ));
+
+            return status ? 'closed' : 'reopened';
+          });
+
+          if (outcome === 'closed') {
+            closed++;
+          } else if (outcome === 'reopened') {
+            reopened++;
+          }
+        } catch (error) {
+          logger.error(`Failed to recover review case ${doc.id}:`, error);
+        }
+      }
+
+      if (closed + reopened > 0) {
+        logger.warn(`Recovered ${closed + reopened} interrupted review resolutions`, { closed, reopened });
+      }
+
+      return { stale: snapshot.size, closed, reopened };
+    } catch (error) {
+      logger.error('Failed to process stale review resolutions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Decision already carried out on a case's payment, entry or winner
+   * @param {Object} reviewCase - Case with its type and subjectId
+   * @return {string|null} "approved", "rejected" or null while the subject is still waiting
+   */
+  async getSubjectDecision(reviewCase) {
+    const collection = SUBJECT_COLLECTIONS[reviewCase.type];
+    const subjectDoc = await this.db.collection(collection).doc(reviewCase.subjectId).get();
+
+    if (!subjectDoc.exists) {
+      throw new Error(`Subject ${reviewCase.subjectId} of review case not found`);
+    }
+
+    const status = subjectDoc.data().status;
+    const waiting = reviewCase.type === 'winner' ? ['pending', 'pending_approval'] : ['held_for_review'];
+    if (waiting.includes(status)) {
+      return null;
+    }
+
+    return ['rejected', 'cancelled'].includes(status) ? 'rejected' : 'approved';
+  }
+
+  /**
+   * Update a case that is still open and record the change in its trail
+   * @param {string} caseId - Case id
+   * @param {string} adminId - Acting admin
+   * @param {string} eventType - Trail event type
+   * @param {Object} eventDetails - Trail event details
+   * @param {Function} buildUpdate - (currentCase) => fields to update
+   */
+  async updateOpenCase(caseId, adminId, eventType, eventDetails, buildUpdate) {
+    const caseRef = this.db.collection(COLLECTIONS.REVIEW_CASES).doc(caseId);
+
+    await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(caseRef);
+      const current = this.assertOpen(doc);
+
+      transaction.update(caseRef, {
+        ...buildUpdate(current),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      transaction.set(caseRef.collection('events').doc(), this.buildEvent(eventType, adminId, eventDetails));
+    });
+  }
+
+  /**
+   * Case data of a document that is open or escalated
+   * @param {DocumentSnapshot} doc - Case document
+   * @throws {ValidationError}
+   * @return {Object} Case data
+   */
+  assertOpen(doc) {
+    if (!doc.exists) {
+      throw new ValidationError('Review case not found');
+    }
+
+    const current = doc.data();
+    if (!OPEN_STATUSES.includes(current.status)) {
+      throw new ValidationError(`Review case is ${current.status}`);
+    }
+
+    return current;
+  }
+
+  /**
+   * Only active admins who can approve prizes may be assigned cases
+   * @param {string} adminId - Proposed assignee
+   */
+  async validateReviewer(adminId) {
+    try {
+      await validateAdminPermissions(adminId, this.permission);
+    } catch (error) {
+      throw new ValidationError(`Cannot assign to ${adminId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * An entry for a case's events subcollection
+   * @param {string} type - Event type
+   * @param {string} actorId - Admin, or 'system'
+   * @param {Object} details - Event details
+   * @return {Object} Event document
+   */
+  buildEvent(type, actorId, details = {}) {
+    return {
+      type,
+      actorId,
+      details,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+  }
+
+  /**
+   * Case document as returned to the admin panel, with the SLA state worked out
+   * @param {DocumentSnapshot} doc - Case document
+   * @return {Object} Case
+   */
+  toCase(doc) {
+    const data = doc.data();
+    const dueAt = this.toIso(data.dueAt);
+    const remainingMinutes = dueAt ? Math.round((new Date(dueAt) - Date.now()) / 60000) : null;
+
+    return {
+      id: doc.id,
+      ...data,
+      dueAt,
+      assignedAt: this.toIso(data.assignedAt),
+      createdAt: this.toIso(data.createdAt),
+      updatedAt: this.toIso(data.updatedAt),
+      resolution: data.resolution ?
+        { ...data.resolution, resolvedAt: this.toIso(data.resolution.resolvedAt) } :
+        null,
+      sla: {
+        remainingMinutes,
+        overdue: OPEN_STATUSES.includes(data.status) && remainingMinutes !== null && remainingMinutes < 0
+      }
+    };
+  }
+
+  /**
+   * Firestore Timestamp or Date to an ISO string
+   * @param {*} value - Timestamp or Date
+   * @return {string|null} ISO string
+   */
+  toIso(value) {
+    if (!value) {
+      return null;
+    }
+    const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+    return date.toISOString();
+  }
+}
+
+module.exports = new ReviewQueue();
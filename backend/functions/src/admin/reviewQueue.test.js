@@ -0,0 +1,199 @@
+jest.mock('../utils/logger');
+jest.mock('../utils/constants', () => ({
+  COLLECTIONS: {
+    ADMIN_LOGS: 'admin_logs',
+    ADMIN_USERS: 'admin_users',
+    HELD_ENTRIES: 'held_entries',
+    LOTTERY_WINNERS: 'lottery_winners',
+    PAYMENT_TRANSACTIONS: 'payment_transactions',
+    REVIEW_CASES: 'review_cases',
+    RISK_ASSESSMENTS: 'risk_assessments',
+    USER_ENTRIES: 'user_entries',
+    USERS: 'users'
+  }
+}));
+jest.mock('../middleware/auth', () => ({ validateAdminPermissions: jest.fn() }));
+jest.mock('../payments/piPaymentHandler', () => ({
+  approveHeldPayment: jest.fn(),
+  rejectHeldPayment: jest.fn()
+}));
+jest.mock('../payments/prizePayoutWorker', () => ({ reviewWinner: jest.fn() }));
+jest.mock('../lottery/lotteryService', () => ({
+  approveHeldEntry: jest.fn(),
+  rejectHeldEntry: jest.fn()
+}));
+jest.mock('../notifications/notificationDispatcher', () => ({ enqueue: jest.fn() }));
+
+const admin = require('firebase-admin');
+const reviewQueue = require('./reviewQueue');
+const piPaymentHandler = require('../payments/piPaymentHandler');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const { ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+
+const db = admin.firestore();
+const MINUTE = 60 * 1000;
+
+describe('reviewQueue', () => {
+  const caseRef = () => db.collection('review_cases').doc('payment_tx_1');
+  const readCase = async () => (await caseRef().get()).data();
+  const eventTypes = async () => (await caseRef().collection('events').get()).docs.map((doc) => doc.data().type);
+
+  beforeEach(async () => {
+    admin.__reset();
+    jest.clearAllMocks();
+    reviewQueue.register(eventBus);
+
+    await db.collection('risk_assessments').doc('risk_1').set({
+      score: 70,
+      signals: [{ code: 'velocity', reason: 'Many payments in a short time' }]
+    });
+    await db.collection('payment_transactions').doc('tx_1').set({
+      paymentId: 'pay_1',
+      userId: 'user_1',
+      amount: 5,
+      status: 'held_for_review',
+      riskAssessmentId: 'risk_1'
+    });
+    await eventBus.publish(EVENTS.PAYMENT_HELD, {
+      transactionId: 'tx_1',
+      paymentId: 'pay_1',
+      userId: 'user_1',
+      amount: 5,
+      lotteryTypeId: 'daily_pi',
+      riskAssessmentId: 'risk_1'
+    });
+  });
+
+  afterEach(() => {
+    reviewQueue.unregister();
+    eventBus.clear();
+  });
+
+  describe('opening cases', () => {
+    it('opens a case with the signals that held the payment', async () => {
+      expect(await readCase()).toMatchObject({
+        type: 'payment',
+        subjectId: 'tx_1',
+        userId: 'user_1',
+        status: 'open',
+        reasons: ['Many payments in a short time'],
+        evidence: { paymentId: 'pay_1', riskAssessmentId: 'risk_1', riskScore: 70 }
+      });
+      expect(await eventTypes()).toEqual(['opened']);
+    });
+
+    it('opens one case however often the hold is published', async () => {
+      await eventBus.publish(EVENTS.PAYMENT_HELD, { transactionId: 'tx_1', userId: 'user_1', amount: 5 });
+
+      expect((await db.collection('review_cases').get()).size).toBe(1);
+      expect(await eventTypes()).toEqual(['opened']);
+    });
+  });
+
+  describe('resolve', () => {
+    it('carries out the decision and closes the case', async () => {
+      piPaymentHandler.approveHeldPayment.mockResolvedValue({ status: 'completed' });
+
+      const result = await reviewQueue.resolve('payment_tx_1', 'approve', 'Known player', 'admin_1');
+      const reviewCase = await readCase();
+
+      expect(piPaymentHandler.approveHeldPayment).toHaveBeenCalledWith('tx_1', 'admin_1');
+      expect(result).toMatchObject({ success: true, status: 'approved', outcome: { status: 'completed' } });
+      expect(reviewCase).toMatchObject({ status: 'approved', resolution: { decision: 'approved', resolvedBy: 'admin_1' } });
+      expect(reviewCase).not.toHaveProperty('resolving');
+    });
+
+    it('puts the case back in the queue when the action fails', async () => {
+      piPaymentHandler.approveHeldPayment.mockRejectedValue(new Error('Pi Platform unavailable'));
+
+      await expect(reviewQueue.resolve('payment_tx_1', 'approve', '', 'admin_1'))
+        .rejects.toThrow('Pi Platform unavailable');
+      const reviewCase = await readCase();
+
+      expect(reviewCase.status).toBe('open');
+      expect(reviewCase.resolution).toBeNull();
+      expect(reviewCase).not.toHaveProperty('resolving');
+      expect(await eventTypes()).toContain('action_failed');
+    });
+
+    it('closes the case with the outcome when a failed action settled the payment', async () => {
+      piPaymentHandler.approveHeldPayment.mockImplementation(async () => {
+        await db.collection('payment_transactions').doc('tx_1').update({ status: 'cancelled' });
+        throw new Error('Lottery entry could not be created');
+      });
+
+      await expect(reviewQueue.resolve('payment_tx_1', 'approve', '', 'admin_1')).rejects.toThrow();
+      const reviewCase = await readCase();
+
+      expect(reviewCase).toMatchObject({
+        status: 'rejected',
+        resolution: { decision: 'rejected', notes: 'Lottery entry could not be created', resolvedBy: 'admin_1' }
+      });
+      expect(await eventTypes()).toContain('rejected');
+    });
+
+    it('requires a reason to reject', async () => {
+      await expect(reviewQueue.resolve('payment_tx_1', 'reject', '', 'admin_1')).rejects.toThrow(ValidationError);
+
+      expect(piPaymentHandler.rejectHeldPayment).not.toHaveBeenCalled();
+      expect((await readCase()).status).toBe('open');
+    });
+
+    it('leaves a case assigned to someone else alone', async () => {
+      await caseRef().update({ assignedTo: 'admin_2' });
+
+      await expect(reviewQueue.resolve('payment_tx_1', 'approve', '', 'admin_1')).rejects.toThrow(AuthorizationError);
+      expect((await readCase()).status).toBe('open');
+    });
+
+    it('does not decide a case twice', async () => {
+      piPaymentHandler.approveHeldPayment.mockResolvedValue({ status: 'completed' });
+      await reviewQueue.resolve('payment_tx_1', 'approve', '', 'admin_1');
+
+      await expect(reviewQueue.resolve('payment_tx_1', 'approve', '', 'admin_1'))
+        .rejects.toThrow('Review case is approved');
+      expect(piPaymentHandler.approveHeldPayment).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('processStaleResolutions', () => {
+    /**
+     * Leave a payment case claimed by an interrupted resolve
+     * @param {string} transactionId - Held transaction
+     * @param {string} subjectStatus - Status the transaction was left in
+     * @param {number} minutesAgo - When the claim was made
+     */
+    async function interrupted(transactionId, subjectStatus, minutesAgo) {
+      await db.collection('payment_transactions').doc(transactionId).set({ status: subjectStatus });
+      await db.collection('review_cases').doc(`payment_${transactionId}`).set({
+        type: 'payment',
+        subjectId: transactionId,
+        status: 'resolving',
+        resolution: null,
+        resolving: {
+          previousStatus: 'escalated',
+          adminId: 'admin_1',
+          notes: 'Checked',
+          since: new Date(Date.now() - minutesAgo * MINUTE)
+        }
+      });
+    }
+
+    it('closes cases whose decision went through and reopens the rest', async () => {
+      await interrupted('tx_done', 'completed', 20);
+      await interrupted('tx_waiting', 'held_for_review', 20);
+      await interrupted('tx_recent', 'completed', 1);
+
+      const result = await reviewQueue.processStaleResolutions();
+      const read = async (id) => (await db.collection('review_cases').doc(`payment_${id}`).get()).data();
+
+      expect(result).toEqual({ stale: 2, closed: 1, reopened: 1 });
+      expect(await read('tx_done')).toMatchObject({
+        status: 'approved',
+        resolution: { decision: 'approved', notes: 'Checked', resolvedBy: 'admin_1' }
+      });
+      expect(await read('tx_waiting')).toMatchObject({ status: 'escalated', resolution: null });
+      expect((await read('tx_recent')).status).toBe('resolving');
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const admin = require('firebase-admin');
 const { logger } = require('../utils/logger');
 const { validateAdminPermissions } = require('../middleware/auth');
+const backupManager = require('./backupManager');
 
 class SystemManagement {
   constructor() {
@@ -35,8 +36,7 @@ class SystemManagement {
         { name: 'update_user_statistics', fn: this.updateUserStatistics.bind(this) },
         { name: 'validate_lottery_integrity', fn: this.validateLotteryIntegrity.bind(this) },
         { name: 'cleanup_old_ticket_limits', fn: this.cleanupOldTicketLimits.bind(this) },
-        { name: 'generate_system_metrics', fn: this.generateSystemMetrics.bind(this) },
-        { name: 'backup_critical_data', fn: this.backupCriticalData.bind(this) }
+        { name: 'generate_system_metrics', fn: this.generateSystemMetrics.bind(this) }
       ];
 
       const results = [];
@@ -347,6 +347,9 @@ class SystemManagement {
             expectedPrizePool = actualParticipants * (lotteryType.entryFee - lotteryType.platformFee);
           }
 
+          // Jackpot rollovers seed the pool before any entries
+          expectedPrizePool += instance.rolloverAmount || 0;
+
           const recordedPrizePool = instance.prizePool || 0;
           const difference = Math.abs(expectedPrizePool - recordedPrizePool);
 
@@ -493,67 +496,11 @@ class SystemManagement {
   }
 
   /**
-   * Backup critical system data
+   * Back up the financial and configuration collections to Cloud Storage (see BackupManager)
    */
-  async backupCriticalData() {
+  async backupCriticalData(trigger = 'scheduled') {
     try {
-      const backupId = `backup_${Date.now()}`;
-      const backupData = {
-        id: backupId,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        status: 'creating'
-      };
-
-      // Create backup record
-      await this.db.collection('system_backups').doc(backupId).set(backupData);
-
-      // Backup critical collections
-      const criticalCollections = ['system_config', 'lottery_types', 'admin_users'];
-      const backupCollections = {};
-
-      for (const collectionName of criticalCollections) {
-        const snapshot = await this.db.collection(collectionName).get();
-        const documents = [];
-        
-        snapshot.forEach(doc => {
-          documents.push({
-            id: doc.id,
-            data: doc.data()
-          });
-        });
-
-        backupCollections[collectionName] = documents;
-      }
-
-      // Update backup with data
-      await this.db.collection('system_backups').doc(backupId).update({
-        status: 'completed',
-        collections: backupCollections,
-        completedAt: admin.firestore.FieldValue.serverTimestamp(),
-        size: JSON.stringify(backupCollections).length
-      });
-
-      // Clean up old backups (keep only last 10)
-      const oldBackupsSnapshot = await this.db.collection('system_backups')
-        .orderBy('createdAt', 'desc')
-        .offset(10)
-        .get();
-
-      const batch = this.db.batch();
-      oldBackupsSnapshot.forEach(doc => {
-        batch.delete(doc.ref);
-      });
-
-      if (!oldBackupsSnapshot.empty) {
-        await batch.commit();
-      }
-
-      return {
-        backupId,
-        collections: Object.keys(backupCollections),
-        documentsBackedUp: Object.values(backupCollections).reduce((sum, docs) => sum + docs.length, 0),
-        size: JSON.stringify(backupCollections).length
-      };
+      return await backupManager.createBackup({ trigger });
     } catch (error) {
       logger.error('Failed to backup critical data:', error);
       throw error;
@@ -674,7 +621,7 @@ class SystemManagement {
         'validate_lottery_integrity': this.validateLotteryIntegrity.bind(this),
         'cleanup_old_ticket_limits': this.cleanupOldTicketLimits.bind(this),
         'generate_system_metrics': this.generateSystemMetrics.bind(this),
-        'backup_critical_data': this.backupCriticalData.bind(this)
+        'backup_critical_data': () => this.backupCriticalData('manual')
       };
 
       const tasksToRun = tasks.length > 0 ? tasks : Object.keys(availableTasks);
@@ -0,0 +1,273 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+
+/**
+ * Server-side ad verification challenges.
+ * One challenge per ad session: it must be answered before it expires, gets a single answer,
+ * and once passed can be redeemed by exactly one ad completion.
+ *
+ * Questions come from the ad_creatives document of the creative served in the session:
+ *   { adUnitId, active, mediaUrl, questions: [{ id, question, options, answer }] }
+ * Answers never leave the backend.
+ */
+class AdChallengeService {
+  constructor() {
+    this.db = admin.firestore();
+    this.collection = 'ad_challenges';
+    this.creativesCollection = 'ad_creatives';
+    this.answerWindow = 2 * 60 * 1000; // 2 minutes to answer
+    this.redeemWindow = 5 * 60 * 1000; // 5 minutes to claim the entry after passing
+  }
+
+  /**
+   * Pick one of the active creatives for an ad unit
+   * @returns {Object|null} { creativeId, mediaUrl }
+   */
+  async selectCreative(adUnitId) {
+    try {
+      const snapshot = await this.db.collection(this.creativesCollection)
+        .where('adUnitId', '==', adUnitId)
+        .where('active', '==', true)
+        .limit(20)
+        .get();
+
+      const creatives = snapshot.docs.filter(doc => (doc.data().questions || []).length > 0);
+      if (creatives.length === 0) {
+        return null;
+      }
+
+      const creativeDoc = creatives[crypto.randomInt(creatives.length)];
+      return { creativeId: creativeDoc.id, mediaUrl: creativeDoc.data().mediaUrl || null };
+    } catch (error) {
+      logger.error(`Failed to select ad creative for ${adUnitId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a challenge for an ad session owned by the user
+   * @returns {Object} { challengeId, question, options, expiresAt } - never the answer
+   */
+  async issueChallenge(userId, sessionId) {
+    try {
+      const sessionRef = this.db.collection('ad_sessions').doc(sessionId);
+      const challengeRef = this.db.collection(this.collection).doc(crypto.randomBytes(16).toString('hex'));
+      const expiresAt = new Date(Date.now() + this.answerWindow);
+
+      const question = await this.db.runTransaction(async (transaction) => {
+        const sessionDoc = await transaction.get(sessionRef);
+
+        if (!sessionDoc.exists) {
+          throw new ValidationError('Ad session not found');
+        }
+
+        const session = sessionDoc.data();
+        if (session.userId !== userId) {
+          throw new AuthorizationError('Ad session belongs to another user');
+        }
+
+        if (session.status !== 'completed') {
+          throw new ValidationError('Ad session has not been completed');
+        }
+
+        if (session.challengeId) {
+          throw new ValidationError('A verification challenge was already issued for this ad session');
+        }
+
+        // Ask about the creative this session served
+        const creativeDoc = session.creativeId
+          ? await transaction.get(this.db.collection(this.creativesCollection).doc(session.creativeId))
+          : null;
+        const questions = (creativeDoc && creativeDoc.exists && creativeDoc.data().questions) || [];
+        if (questions.length === 0) {
+          throw new ValidationError('No verification questions are configured for this ad');
+        }
+        const picked = questions[crypto.randomInt(questions.length)];
+
+        transaction.set(challengeRef, {
+          userId,
+          sessionId,
+          creativeId: session.creativeId,
+          questionId: picked.id,
+          answer: picked.answer,
+          status: 'issued',
+          expiresAt,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        transaction.update(sessionRef, {
+          challengeId: challengeRef.id,
+          challengeStatus: 'issued',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return picked;
+      });
+
+      return {
+        challengeId: challengeRef.id,
+        question: question.question,
+        options: this.shuffle(question.options),
+        expiresAt: expiresAt.toISOString()
+      };
+    } catch (error) {
+      logger.error(`Failed to issue ad challenge for session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the user's answer. A challenge takes one answer; the correct answer is never returned.
+   * @returns {Object} { passed, reason, redeemBy }
+   */
+  async answerChallenge(userId, challengeId, answer) {
+    try {
+      const challengeRef = this.db.collection(this.collection).doc(challengeId);
+
+      const result = await this.db.runTransaction(async (transaction) => {
+        const challengeDoc = await transaction.get(challengeRef);
+
+        if (!challengeDoc.exists) {
+          throw new ValidationError('Verification challenge not found');
+        }
+
+        const challenge = challengeDoc.data();
+        if (challenge.userId !== userId) {
+          throw new AuthorizationError('Verification challenge belongs to another user');
+        }
+
+        if (challenge.status !== 'issued') {
+          throw new ValidationError('Verification challenge has already been answered');
+        }
+
+        const sessionRef = this.db.collection('ad_sessions').doc(challenge.sessionId);
+        const now = Date.now();
+        const updates = { answeredAt: admin.firestore.FieldValue.serverTimestamp() };
+        let outcome;
+
+        if (challenge.expiresAt.toDate().getTime() < now) {
+          updates.status = 'expired';
+          outcome = { passed: false, reason: 'Verification challenge expired' };
+        } else if (answer === challenge.answer) {
+          updates.status = 'passed';
+          updates.redeemBy = new Date(now + this.redeemWindow);
+          outcome = { passed: true, reason: null, redeemBy: updates.redeemBy.toISOString() };
+        } else {
+          updates.status = 'failed';
+          outcome = { passed: false, reason: 'Incorrect answer' };
+        }
+
+        transaction.update(challengeRef, updates);
+        transaction.update(sessionRef, {
+          challengeStatus: updates.status,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { ...outcome, sessionId: challenge.sessionId };
+      });
+
+      logger.info(`Ad challenge ${challengeId} answered`, { userId, passed: result.passed });
+
+      return result;
+    } catch (error) {
+      logger.error(`Failed to answer ad challenge ${challengeId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Redeem a passed challenge for an ad completion. Succeeds once per challenge,
+   * and only for the ad session it was issued for.
+   * @returns {Object} { valid, reason, sessionId }
+   */
+  async consumeChallenge(userId, challengeId, sessionId) {
+    try {
+      if (!challengeId || typeof challengeId !== 'string') {
+        return { valid: false, reason: 'Ad verification challenge required' };
+      }
+
+      const challengeRef = this.db.collection(this.collection).doc(challengeId);
+
+      return await this.db.runTransaction(async (transaction) => {
+        const challengeDoc = await transaction.get(challengeRef);
+
+        if (!challengeDoc.exists || challengeDoc.data().userId !== userId) {
+          return { valid: false, reason: 'Ad verification challenge not found' };
+        }
+
+        const challenge = challengeDoc.data();
+        if (challenge.sessionId !== sessionId) {
+          return { valid: false, reason: 'Ad verification challenge belongs to another ad session' };
+        }
+
+        if (challenge.status === 'consumed') {
+          return { valid: false, reason: 'Ad verification challenge already used' };
+        }
+
+        if (challenge.status !== 'passed') {
+          return { valid: false, reason: 'Ad verification challenge not passed' };
+        }
+
+        if (challenge.redeemBy.toDate().getTime() < Date.now()) {
+          return { valid: false, reason: 'Ad verification challenge expired' };
+        }
+
+        transaction.update(challengeRef, {
+          status: 'consumed',
+          consumedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.update(this.db.collection('ad_sessions').doc(challenge.sessionId), {
+          challengeStatus: 'consumed',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { valid: true, reason: null, sessionId: challenge.sessionId };
+      });
+    } catch (error) {
+      logger.error(`Failed to consume ad challenge ${challengeId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete challenges older than the given number of days
+   */
+  async cleanupChallenges(daysToKeep = 1) {
+    try {
+      const cutoff = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+      const snapshot = await this.db.collection(this.collection)
+        .where('expiresAt', '<', cutoff)
+        .limit(500)
+        .get();
+
+      if (snapshot.empty) {
+        return 0;
+      }
+
+      const batch = this.db.batch();
+      snapshot.docs.forEach(doc => batch.delete(doc.ref));
+      await batch.commit();
+
+      return snapshot.size;
+    } catch (error) {
+      logger.error('Failed to cleanup ad challenges:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Shuffle answer options
+   */
+  shuffle(options) {
+    const shuffled = [...options];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+}
+
+module.exports = new AdChallengeService();
@@ -0,0 +1,124 @@
+jest.mock('../utils/logger');
+
+const admin = require('firebase-admin');
+const adChallenge = require('./adChallenge');
+const { ValidationError, AuthorizationError } = require('../middleware/errorHandler');
+
+const db = admin.firestore();
+
+describe('adChallenge', () => {
+  beforeEach(async () => {
+    admin.__reset();
+
+    await db.collection('ad_creatives').doc('creative_1').set({
+      adUnitId: 'unit_1',
+      active: true,
+      questions: [{ id: 'q1', question: 'What was advertised?', options: ['Tea', 'Shoes', 'Cars'], answer: 'Shoes' }]
+    });
+    await db.collection('ad_sessions').doc('session_1').set({
+      userId: 'user_1',
+      status: 'completed',
+      creativeId: 'creative_1'
+    });
+  });
+
+  /**
+   * Issue a challenge for session_1 and answer it
+   * @param {string} answer - Answer given
+   * @return {Promise<string>} Challenge id
+   */
+  async function answered(answer = 'Shoes') {
+    const { challengeId } = await adChallenge.issueChallenge('user_1', 'session_1');
+    await adChallenge.answerChallenge('user_1', challengeId, answer);
+    return challengeId;
+  }
+
+  describe('issueChallenge', () => {
+    it('asks about the creative the session served without giving the answer away', async () => {
+      const challenge = await adChallenge.issueChallenge('user_1', 'session_1');
+      const session = (await db.collection('ad_sessions').doc('session_1').get()).data();
+
+      expect(challenge.question).toBe('What was advertised?');
+      expect(challenge.options.sort()).toEqual(['Cars', 'Shoes', 'Tea']);
+      expect(challenge).not.toHaveProperty('answer');
+      expect(session).toMatchObject({ challengeId: challenge.challengeId, challengeStatus: 'issued' });
+    });
+
+    it('issues one challenge per ad session', async () => {
+      await adChallenge.issueChallenge('user_1', 'session_1');
+      await expect(adChallenge.issueChallenge('user_1', 'session_1')).rejects.toThrow(ValidationError);
+    });
+
+    it('refuses a session owned by another user', async () => {
+      await expect(adChallenge.issueChallenge('user_2', 'session_1')).rejects.toThrow(AuthorizationError);
+    });
+  });
+
+  describe('answerChallenge', () => {
+    it('takes a single answer', async () => {
+      const { challengeId } = await adChallenge.issueChallenge('user_1', 'session_1');
+
+      expect(await adChallenge.answerChallenge('user_1', challengeId, 'Tea'))
+        .toMatchObject({ passed: false, reason: 'Incorrect answer' });
+      await expect(adChallenge.answerChallenge('user_1', challengeId, 'Shoes'))
+        .rejects.toThrow('Verification challenge has already been answered');
+    });
+
+    it('fails an answer given after the challenge expired', async () => {
+      const { challengeId } = await adChallenge.issueChallenge('user_1', 'session_1');
+      await db.collection('ad_challenges').doc(challengeId).update({ expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await adChallenge.answerChallenge('user_1', challengeId, 'Shoes'))
+        .toMatchObject({ passed: false, reason: 'Verification challenge expired' });
+    });
+  });
+
+  describe('consumeChallenge', () => {
+    it('redeems a passed challenge exactly once', async () => {
+      const challengeId = await answered();
+
+      const first = await adChallenge.consumeChallenge('user_1', challengeId, 'session_1');
+      const second = await adChallenge.consumeChallenge('user_1', challengeId, 'session_1');
+      const session = (await db.collection('ad_sessions').doc('session_1').get()).data();
+
+      expect(first).toEqual({ valid: true, reason: null, sessionId: 'session_1' });
+      expect(second).toEqual({ valid: false, reason: 'Ad verification challenge already used' });
+      expect(session.challengeStatus).toBe('consumed');
+    });
+
+    it('does not redeem a challenge of another user', async () => {
+      const challengeId = await answered();
+
+      expect(await adChallenge.consumeChallenge('user_2', challengeId, 'session_1'))
+        .toEqual({ valid: false, reason: 'Ad verification challenge not found' });
+      expect((await adChallenge.consumeChallenge('user_1', challengeId, 'session_1')).valid).toBe(true);
+    });
+
+    it('does not redeem a challenge for another ad session', async () => {
+      const challengeId = await answered();
+
+      expect(await adChallenge.consumeChallenge('user_1', challengeId, 'session_2'))
+        .toEqual({ valid: false, reason: 'Ad verification challenge belongs to another ad session' });
+    });
+
+    it('does not redeem a failed challenge', async () => {
+      const challengeId = await answered('Tea');
+
+      expect((await adChallenge.consumeChallenge('user_1', challengeId, 'session_1')).reason)
+        .toBe('Ad verification challenge not passed');
+    });
+
+    it('does not redeem a challenge after its redeem window', async () => {
+      const challengeId = await answered();
+      await db.collection('ad_challenges').doc(challengeId).update({ redeemBy: new Date(Date.now() - 1000) });
+
+      expect((await adChallenge.consumeChallenge('user_1', challengeId, 'session_1')).reason)
+        .toBe('Ad verification challenge expired');
+    });
+
+    it('requires a challenge id', async () => {
+      expect((await adChallenge.consumeChallenge('user_1', undefined, 'session_1')).reason)
+        .toBe('Ad verification challenge required');
+    });
+  });
+});
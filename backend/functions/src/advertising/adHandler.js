@@ -1,8 +1,12 @@
 const admin = require('firebase-admin');
 const { logger } = require('../utils/logger');
-const { ValidationError, RateLimitError } = require('../middleware/errorHandler');
-const adNetworks = require('./adNetworks');
+const { ValidationError, RateLimitError, RiskRejectedError } = require('../middleware/errorHandler');
+const { adNetworks } = require('./adNetworks');
+const adImpressions = require('./adImpressions');
 const adRewards = require('./adRewards');
+const adChallenge = require('./adChallenge');
+const riskEngine = require('../fraud/riskEngine');
+const lotteryService = require('../lottery/lotteryService');
 
 /**
  * Advertisement handling and validation system
@@ -18,9 +22,14 @@ class AdHandler {
   }
 
   /**
-   * Validate ad completion
+   * Validate ad completion and score the entry it earns
+   * @param {Object} adCompletionData - { sessionId, sessionToken, challengeId } from the client
+   * @param {string} userId - Watching user
+   * @param {string} lotteryTypeId - Lottery type the ad enters
+   * @param {Object} context - Request context ({ ip, deviceId }) for the risk engine
+   * @return {Object} Validation result, with the risk decision ({ id, action }) when valid
    */
-  async validateAdCompletion(adCompletionData, userId) {
+  async validateAdCompletion(adCompletionData, userId, lotteryTypeId, context = {}) {
     try {
       const validation = {
         isValid: false,
@@ -30,7 +39,7 @@ class AdHandler {
       };
 
       // Validate required fields
-      const requiredFields = ['adNetworkId', 'watchDuration', 'completedAt', 'adUnitId'];
+      const requiredFields = ['sessionId', 'sessionToken', 'challengeId'];
       for (const field of requiredFields) {
         if (!adCompletionData[field]) {
           validation.reason = `Missing required field: ${field}`;
@@ -38,14 +47,36 @@ class AdHandler {
         }
       }
 
+      // Network and watch timing come from the server-side ad session, never from the client.
+      // Required here rather than at the top: adSessions depends on this module.
+      const session = await require('./adSessions').getCompletedSession(
+        userId,
+        adCompletionData.sessionId,
+        adCompletionData.sessionToken
+      );
+      if (!session) {
+        validation.reason = 'Ad session not completed';
+        return validation;
+      }
+
+      const networkHandler = adNetworks.getNetworkHandler(session.networkId);
+      const completion = {
+        sessionId: adCompletionData.sessionId,
+        challengeId: adCompletionData.challengeId,
+        ...(networkHandler ? networkHandler.getSessionData(session) : {}),
+        adNetworkId: session.networkId,
+        watchDuration: session.watchDuration,
+        completedAt: session.completedAt.toDate().toISOString()
+      };
+
       // Validate ad network
-      if (!this.supportedNetworks.includes(adCompletionData.adNetworkId)) {
+      if (!this.supportedNetworks.includes(completion.adNetworkId)) {
         validation.reason = 'Unsupported ad network';
         return validation;
       }
 
       // Validate watch duration
-      const watchDuration = parseInt(adCompletionData.watchDuration);
+      const watchDuration = parseInt(completion.watchDuration);
       if (watchDuration < this.minWatchDuration) {
         validation.reason = `Insufficient watch duration: ${watchDuration}s (minimum: ${this.minWatchDuration}s)`;
         return validation;
@@ -57,7 +88,7 @@ class AdHandler {
       }
 
       // Check completion timestamp
-      const completedAt = new Date(adCompletionData.completedAt);
+      const completedAt = new Date(completion.completedAt);
       const now = new Date();
       const timeDiff = now - completedAt;
 
@@ -83,27 +114,41 @@ class AdHandler {
       }
 
       // Validate with ad network (if applicable)
-      const networkValidation = await this.validateWithAdNetwork(adCompletionData);
+      const networkValidation = await this.validateWithAdNetwork(completion, userId);
       if (!networkValidation.isValid) {
         validation.reason = networkValidation.reason;
         return validation;
       }
 
       // Check for duplicate submissions
-      const duplicateCheck = await this.checkDuplicateSubmission(userId, adCompletionData);
+      const duplicateCheck = await this.checkDuplicateSubmission(userId, completion);
       if (duplicateCheck.isDuplicate) {
         validation.reason = 'Duplicate ad completion detected';
         return validation;
       }
 
+      // Score the entry; a blocked one is refused here, before the challenge is redeemed
+      const assessment = await riskEngine.assessEntry(userId, { lotteryTypeId, entryMethod: 'watch_ads' }, context);
+      if (assessment.action === 'block') {
+        throw new RiskRejectedError(assessment.action, assessment.id);
+      }
+      validation.risk = { id: assessment.id, action: assessment.action };
+
+      // Redeem the server-issued verification challenge last, so earlier rejections do not burn it
+      const challengeCheck = await adChallenge.consumeChallenge(userId, completion.challengeId, completion.sessionId);
+      if (!challengeCheck.valid) {
+        validation.reason = challengeCheck.reason;
+        return validation;
+      }
+
       // Calculate reward amount
-      validation.rewardAmount = await this.calculateAdReward(adCompletionData, userId);
+      validation.rewardAmount = await this.calculateAdReward(completion, userId);
 
       validation.isValid = true;
       validation.reason = 'Ad completion validated successfully';
 
       // Log successful validation
-      await this.logAdCompletion(userId, adCompletionData, validation);
+      await this.logAdCompletion(userId, completion, validation);
 
       return validation;
     } catch (error) {
@@ -113,9 +158,14 @@ class AdHandler {
   }
 
   /**
-   * Process ad reward for validated completion
+   * Process ad reward for validated completion. The ad counts either way; an entry the risk
+   * engine held is kept for review instead of being awarded.
+   * @param {string} userId - Watching user
+   * @param {string} lotteryTypeId - Lottery type the ad enters
+   * @param {Object} risk - { id, action } from validateAdCompletion
+   * @return {Object} The recorded completion and the entry or held entry
    */
-  async processAdReward(userId, lotteryTypeId) {
+  async processAdReward(userId, lotteryTypeId, risk) {
     try {
       // Get platform configuration
       const platformConfig = await this.getPlatformConfig();
@@ -131,7 +181,13 @@ class AdHandler {
       await this.updateDailyAdCount(userId);
 
       // Award lottery entry
-      const entryResult = await adRewards.awardLotteryEntry(userId, lotteryTypeId, completionId);
+      let entryResult;
+      if (risk.action === 'hold') {
+        const entry = { lotteryTypeId, entryMethod: 'watch_ads', paymentData: { adCompletionId: completionId } };
+        entryResult = await lotteryService.holdEntry(userId, entry, risk.id);
+      } else {
+        entryResult = await adRewards.awardLotteryEntry(userId, lotteryTypeId, completionId);
+      }
 
       return {
         success: true,
@@ -208,9 +264,10 @@ class AdHandler {
   }
 
   /**
-   * Validate with ad network
+   * Validate with ad network. Where the network sends signed reward callbacks, the completion
+   * must match (and claims) a verified callback for the same user and ad session.
    */
-  async validateWithAdNetwork(adCompletionData) {
+  async validateWithAdNetwork(adCompletionData, userId) {
     try {
       const networkId = adCompletionData.adNetworkId;
       const networkHandler = adNetworks.getNetworkHandler(networkId);
@@ -224,7 +281,16 @@ class AdHandler {
 
       // Validate with specific ad network
       const validation = await networkHandler.validateCompletion(adCompletionData);
-      return validation;
+      if (!validation.isValid || !adImpressions.requiresCallback(networkId)) {
+        return validation;
+      }
+
+      const match = await adImpressions.claimImpression(networkId, userId, adCompletionData.sessionId);
+      if (!match.isValid) {
+        return match;
+      }
+
+      return { ...validation, impressionId: match.impressionId };
     } catch (error) {
       logger.error('Ad network validation failed:', error);
       return {
@@ -0,0 +1,98 @@
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const ssvVerifier = require('./ssvVerifier');
+
+/**
+ * Ad impressions confirmed by signed network callbacks, and their one-time matching
+ * to client ad completions.
+ */
+class AdImpressions {
+  constructor() {
+    this.db = admin.firestore();
+    this.collection = 'ad_impressions';
+    this.verifiedNetworks = ['google_admob', 'unity_ads'];
+  }
+
+  /**
+   * Whether completions for a network must match a verified callback
+   */
+  requiresCallback(networkId) {
+    return ssvVerifier.getSettings().enabled && this.verifiedNetworks.includes(networkId);
+  }
+
+  /**
+   * Store a verified impression. Networks retry callbacks, so a repeat is acknowledged, not stored twice.
+   * @returns {Object} { impressionId, duplicate }
+   */
+  async recordImpression(impression) {
+    try {
+      const impressionId = `${impression.network}_${impression.transactionId}`.replace(/\//g, '_');
+      const impressionRef = this.db.collection(this.collection).doc(impressionId);
+
+      try {
+        await impressionRef.create({
+          ...impression,
+          local: ssvVerifier.isLocalMode(),
+          status: 'verified',
+          receivedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      } catch (error) {
+        // ALREADY_EXISTS
+        if (error.code === 6) {
+          return { impressionId, duplicate: true };
+        }
+        throw error;
+      }
+
+      logger.info(`Verified ${impression.network} impression recorded`, {
+        impressionId,
+        userId: impression.userId
+      });
+
+      return { impressionId, duplicate: false };
+    } catch (error) {
+      logger.error('Failed to record ad impression:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim the verified impression for a client completion. Each impression is claimed once.
+   * @returns {Object} { isValid, reason, impressionId }
+   */
+  async claimImpression(networkId, userId, sessionId) {
+    try {
+      if (!sessionId) {
+        return { isValid: false, reason: 'Ad session id required for server verification' };
+      }
+
+      const impressionQuery = this.db.collection(this.collection)
+        .where('network', '==', networkId)
+        .where('userId', '==', userId)
+        .where('sessionId', '==', sessionId)
+        .where('status', '==', 'verified')
+        .limit(1);
+
+      return await this.db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(impressionQuery);
+
+        if (snapshot.empty) {
+          return { isValid: false, reason: 'No verified reward callback from the ad network for this ad' };
+        }
+
+        const impressionDoc = snapshot.docs[0];
+        transaction.update(impressionDoc.ref, {
+          status: 'claimed',
+          claimedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { isValid: true, reason: 'Matched verified ad network callback', impressionId: impressionDoc.id };
+      });
+    } catch (error) {
+      logger.error(`Failed to claim ${networkId} impression:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AdImpressions();
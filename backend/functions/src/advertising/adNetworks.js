@@ -1,7 +1,6 @@
-const axios = require('axios');
-const crypto = require('crypto');
 const { logger } = require('../utils/logger');
 const environmentConfig = require('../config/environment');
+const adImpressions = require('./adImpressions');
 
 /**
  * Ad network integrations and validation
@@ -87,6 +86,20 @@ class BaseAdNetworkHandler {
     return environmentConfig.get(`advertising.networks.${this.networkId}`, {});
   }
 
+  /**
+   * Ad unit (or placement) served in this app for the network, null when not configured
+   */
+  getAdUnitId() {
+    return this.adUnitId || null;
+  }
+
+  /**
+   * Network fields for a completion, taken from the server-side ad session rather than the client
+   */
+  getSessionData(session) {
+    return { adUnitId: session.adUnitId || null };
+  }
+
   async validateCompletion(adCompletionData) {
     // Base validation logic
     return {
@@ -113,6 +126,15 @@ class UnityAdsHandler extends BaseAdNetworkHandler {
     this.apiBaseUrl = 'https://ads.unity3d.com/v1';
     this.gameId = this.config.gameId || process.env.UNITY_GAME_ID;
     this.apiKey = this.config.apiKey || process.env.UNITY_API_KEY;
+    this.adUnitId = this.config.placementId || process.env.UNITY_PLACEMENT_ID || 'rewardedVideo';
+  }
+
+  getSessionData(session) {
+    return {
+      adUnitId: session.adUnitId || this.adUnitId,
+      placementId: session.adUnitId || this.adUnitId,
+      unityUserId: session.userId
+    };
   }
 
   async validateCompletion(adCompletionData) {
@@ -142,12 +164,6 @@ class UnityAdsHandler extends BaseAdNetworkHandler {
         };
       }
 
-      // Server-side validation (if API available)
-      const serverValidation = await this.validateWithUnityServer(adCompletionData);
-      if (!serverValidation.isValid) {
-        return serverValidation;
-      }
-
       return {
         isValid: true,
         reason: 'Unity Ads validation successful',
@@ -170,32 +186,12 @@ class UnityAdsHandler extends BaseAdNetworkHandler {
     return /^[a-zA-Z0-9_]+$/.test(placementId);
   }
 
-  async validateWithUnityServer(adCompletionData) {
-    try {
-      if (!this.gameId || !this.apiKey) {
-        // Skip server validation if credentials not available
-        return { isValid: true, reason: 'Server validation skipped' };
-      }
-
-      // Note: This is a placeholder - Unity doesn't provide a direct ad validation API
-      // In practice, you would implement client-side validation or use Unity Analytics
-      
-      return {
-        isValid: true,
-        reason: 'Unity server validation passed'
-      };
-    } catch (error) {
-      logger.warn('Unity server validation failed:', error);
-      return { isValid: true, reason: 'Server validation skipped due to error' };
-    }
-  }
-
   async getStatistics() {
     const baseStats = await super.getStatistics();
     return {
       ...baseStats,
       gameId: this.gameId ? 'configured' : 'not_configured',
-      serverValidation: this.gameId && this.apiKey ? 'available' : 'unavailable'
+      serverValidation: adImpressions.requiresCallback(this.networkId) ? 'signed_callback' : 'unavailable'
     };
   }
 }
@@ -208,20 +204,29 @@ class GoogleAdMobHandler extends BaseAdNetworkHandler {
     super('google_admob');
     this.publisherId = this.config.publisherId || process.env.ADMOB_PUBLISHER_ID;
     this.apiKey = this.config.apiKey || process.env.ADMOB_API_KEY;
+    this.adUnitId = this.config.adUnitId || process.env.ADMOB_AD_UNIT_ID;
+  }
+
+  getSessionData(session) {
+    // Each ad session is one ad request
+    return {
+      adUnitId: session.adUnitId || null,
+      requestId: session.sessionId
+    };
   }
 
   async validateCompletion(adCompletionData) {
     try {
       // Validate required AdMob fields
-      if (!adCompletionData.adUnitId || !adCompletionData.requestId) {
+      if (!adCompletionData.requestId) {
         return {
           isValid: false,
           reason: 'Missing AdMob required fields'
         };
       }
 
-      // Validate AdMob ad unit ID format
-      if (!this.isValidAdUnitId(adCompletionData.adUnitId)) {
+      // Validate AdMob ad unit ID format, when the app serves a configured ad unit
+      if (adCompletionData.adUnitId && !this.isValidAdUnitId(adCompletionData.adUnitId)) {
         return {
           isValid: false,
           reason: 'Invalid AdMob ad unit ID format'
@@ -246,12 +251,6 @@ class GoogleAdMobHandler extends BaseAdNetworkHandler {
         };
       }
 
-      // Server-side validation
-      const serverValidation = await this.validateWithAdMobServer(adCompletionData);
-      if (!serverValidation.isValid) {
-        return serverValidation;
-      }
-
       return {
         isValid: true,
         reason: 'AdMob validation successful',
@@ -301,31 +300,12 @@ class GoogleAdMobHandler extends BaseAdNetworkHandler {
     }
   }
 
-  async validateWithAdMobServer(adCompletionData) {
-    try {
-      if (!this.publisherId || !this.apiKey) {
-        return { isValid: true, reason: 'Server validation skipped' };
-      }
-
-      // Note: Google AdMob doesn't provide a direct server-side validation API
-      // for individual ad impressions. This is a placeholder for custom validation
-      
-      return {
-        isValid: true,
-        reason: 'AdMob server validation passed'
-      };
-    } catch (error) {
-      logger.warn('AdMob server validation failed:', error);
-      return { isValid: true, reason: 'Server validation skipped due to error' };
-    }
-  }
-
   async getStatistics() {
     const baseStats = await super.getStatistics();
     return {
       ...baseStats,
       publisherId: this.publisherId ? 'configured' : 'not_configured',
-      serverValidation: this.publisherId && this.apiKey ? 'available' : 'unavailable'
+      serverValidation: adImpressions.requiresCallback(this.networkId) ? 'signed_callback' : 'unavailable'
     };
   }
 }
@@ -339,6 +319,15 @@ class FacebookAudienceHandler extends BaseAdNetworkHandler {
     this.appId = this.config.appId || process.env.FACEBOOK_APP_ID;
     this.appSecret = this.config.appSecret || process.env.FACEBOOK_APP_SECRET;
     this.apiBaseUrl = 'https://graph.facebook.com/v18.0';
+    this.adUnitId = this.config.placementId || process.env.FACEBOOK_PLACEMENT_ID;
+  }
+
+  getSessionData(session) {
+    return {
+      adUnitId: session.adUnitId || null,
+      placementId: session.adUnitId || null,
+      impressionId: session.sessionId
+    };
   }
 
   async validateCompletion(adCompletionData) {
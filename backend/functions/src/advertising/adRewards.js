@@ -1,5 +1,9 @@
 const admin = require('firebase-admin');
 const { logger } = require('../utils/logger');
+const drawingEngine = require('../lottery/drawingEngine');
+const jackpotRollover = require('../lottery/jackpotRollover');
+const drawSchedule = require('../lottery/drawSchedule');
+const { eventBus, EVENTS } = require('../events/eventBus');
 
 /**
  * Advertisement reward system
@@ -40,10 +44,8 @@ class AdRewards {
         createdAt: admin.firestore.FieldValue.serverTimestamp()
       };
 
-      await this.db.collection('user_entries').doc(entryId).set(entryData);
-
-      // Update lottery instance
-      await this.updateLotteryInstance(lotteryInstance.id, lotteryTypeId);
+      // Write the entry and update the lottery instance together
+      await this.updateLotteryInstance(lotteryInstance.id, lotteryTypeId, { id: entryId, data: entryData });
 
       // Update user ad statistics
       await this.updateUserAdStats(userId, lotteryTypeId);
@@ -93,7 +95,9 @@ class AdRewards {
   }
 
   /**
-   * Create new lottery instance
+   * Create new lottery instance. The id is date-based, so concurrent first entries race for the
+   * same instance: the seed and the instance are created together in one transaction, and the
+   * caller that loses the race gets the instance the other one created.
    */
   async createLotteryInstance(lotteryTypeId) {
     try {
@@ -104,26 +108,41 @@ class AdRewards {
       }
 
       const lotteryType = lotteryTypeDoc.data();
+      const scheduledDrawTime = this.calculateNextDrawTime(lotteryType);
+      if (!scheduledDrawTime) {
+        throw new Error(`Lottery type ${lotteryTypeId} has no upcoming draw`);
+      }
+
       const instanceId = `${lotteryTypeId}_${new Date().toISOString().split('T')[0].replace(/-/g, '_')}`;
+      const { seedRecord, ...commitment } = drawingEngine.prepareSeedCommitment(instanceId, lotteryType.drawStrategy);
       
       const instanceData = {
         lotteryTypeId,
         status: 'active',
         participants: 0,
         prizePool: 0,
-        scheduledDrawTime: this.calculateNextDrawTime(lotteryType),
+        scheduledDrawTime,
         actualDrawTime: null,
         extensionCount: 0,
         winners: [],
+        seedHash: commitment.seedHash,
+        algorithmVersion: commitment.algorithmVersion,
+        drawStrategy: commitment.drawStrategy,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       };
 
-      await this.db.collection('lottery_instances').doc(instanceId).set(instanceData);
+      await jackpotRollover.createInstanceWithRollover(instanceId, instanceData, seedRecord);
+
+      // Today's instance may already have been drawn
+      const instanceDoc = await this.db.collection('lottery_instances').doc(instanceId).get();
+      if (instanceDoc.data().status !== 'active') {
+        return null;
+      }
 
       return {
         id: instanceId,
-        ...instanceData
+        ...instanceDoc.data()
       };
     } catch (error) {
       logger.error('Failed to create lottery instance:', error);
@@ -134,7 +153,7 @@ class AdRewards {
   /**
    * Update lottery instance with new participant
    */
-  async updateLotteryInstance(instanceId, lotteryTypeId) {
+  async updateLotteryInstance(instanceId, lotteryTypeId, entry = null) {
     try {
       const instanceRef = this.db.collection('lottery_instances').doc(instanceId);
       
@@ -145,12 +164,21 @@ class AdRewards {
           throw new Error('Lottery instance not found');
         }
 
+        // Entries close once the drawing cutoff has frozen the instance
         const currentData = instanceDoc.data();
+        if (currentData.status !== 'active') {
+          throw new Error('Lottery is closed for entries');
+        }
+
         const newParticipants = (currentData.participants || 0) + 1;
         
-        // Calculate new prize pool (for ad lottery, prize pool = participants * ad value)
+        // Calculate new prize pool (for ad lottery, prize pool = participants * ad value, plus any rollover)
         const adValue = await this.getAdValue();
-        const newPrizePool = newParticipants * adValue;
+        const newPrizePool = newParticipants * adValue + (currentData.rolloverAmount || 0);
+
+        if (entry) {
+          transaction.set(this.db.collection('user_entries').doc(entry.id), entry.data);
+        }
 
         transaction.update(instanceRef, {
           participants: newParticipants,
@@ -252,6 +280,14 @@ class AdRewards {
         await this.logTierProgression(userId, currentTier, newTier, totalAdsWatched);
 
         logger.info(`User ${userId} progressed from ${currentTier} to ${newTier} tier`);
+
+        await eventBus.publish(EVENTS.TIER_UPGRADED, {
+          userId,
+          previousTier: currentTier,
+          tier: newTier,
+          multiplier: this.rewardTiers[newTier].multiplier,
+          totalAdsWatched
+        });
       }
     } catch (error) {
       logger.error('Failed to check tier progression:', error);
@@ -396,24 +432,10 @@ class AdRewards {
   }
 
   /**
-   * Calculate next draw time for lottery type
+   * Calculate next draw time in the lottery type's timezone
    */
   calculateNextDrawTime(lotteryType) {
-    const now = new Date();
-    const drawTime = new Date(now);
-    
-    switch (lotteryType.scheduledTime) {
-      case '21:00':
-        drawTime.setHours(21, 0, 0, 0);
-        if (drawTime <= now) {
-          drawTime.setDate(drawTime.getDate() + 1);
-        }
-        break;
-      default:
-        drawTime.setHours(drawTime.getHours() + 24);
-    }
-    
-    return drawTime;
+    return drawSchedule.nextDrawTime(lotteryType);
   }
 
   /**
@@ -0,0 +1,296 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { security } = require('../utils/security');
+const { ValidationError, AuthenticationError, RateLimitError } = require('../middleware/errorHandler');
+const adHandler = require('./adHandler');
+const { adNetworks } = require('./adNetworks');
+const adChallenge = require('./adChallenge');
+
+/**
+ * Server-side ad sessions. A session is started by the backend (after the cooldown and daily
+ * limit checks), identified to the client by a signed session token, and timed with server
+ * timestamps: the watch duration is completedAt - startedAt, never a client-reported number.
+ *
+ * Lifecycle: started -> completed -> (challenge, reward) | cancelled | expired
+ */
+class AdSessionManager {
+  constructor() {
+    this.db = admin.firestore();
+    this.collection = 'ad_sessions';
+    this.sessionTtl = 10 * 60 * 1000; // 10 minutes to finish the ad
+    this.tokenExpiry = '15m';
+    this.networks = {
+      google_admob: { minWatchSeconds: 25, maxWatchSeconds: 60 },
+      unity_ads: { minWatchSeconds: 27, maxWatchSeconds: 45 },
+      facebook_audience: { minWatchSeconds: 25, maxWatchSeconds: 60 }
+    };
+  }
+
+  /**
+   * Start an ad session
+   * @returns {Object} { sessionId, sessionToken, networkId, adUnitId, creativeId, mediaUrl,
+   *   minWatchSeconds, expiresAt }
+   */
+  async startSession(userId, networkId = 'google_admob', lotteryTypeId = 'daily_ads') {
+    try {
+      const network = this.networks[networkId];
+      if (!network) {
+        throw new ValidationError(`Unsupported ad network: ${networkId}`);
+      }
+
+      const cooldown = await adHandler.checkUserCooldown(userId);
+      if (!cooldown.allowed) {
+        throw new RateLimitError('Ad cooldown period active', cooldown.remainingTime);
+      }
+
+      const dailyLimit = await adHandler.checkDailyAdLimit(userId);
+      if (!dailyLimit.allowed) {
+        throw new RateLimitError(`Daily ad limit reached (${dailyLimit.limit} ads per day)`, this.secondsUntilMidnight());
+      }
+
+      // Only one open session per user: a new one supersedes any still running
+      await this.expireOpenSessions(userId, 'superseded');
+
+      const sessionId = crypto.randomUUID();
+      const expiresAt = new Date(Date.now() + this.sessionTtl);
+      // The ad unit served is fixed here; the completion's network checks use it, not client input
+      const adUnitId = adNetworks.getNetworkHandler(networkId).getAdUnitId();
+      // So is the creative, which the verification question is about
+      const creative = await adChallenge.selectCreative(adUnitId);
+      if (!creative) {
+        throw new ValidationError('No ad is available right now');
+      }
+
+      await this.db.collection(this.collection).doc(sessionId).set({
+        sessionId,
+        userId,
+        networkId,
+        adUnitId,
+        creativeId: creative.creativeId,
+        lotteryTypeId,
+        status: 'started',
+        minWatchSeconds: network.minWatchSeconds,
+        startedAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const sessionToken = security.generateJWT({
+        sub: userId,
+        sid: sessionId,
+        typ: 'ad_session'
+      }, this.tokenExpiry);
+
+      logger.info(`Ad session started: ${sessionId}`, { userId, networkId });
+
+      return {
+        sessionId,
+        sessionToken,
+        networkId,
+        adUnitId,
+        creativeId: creative.creativeId,
+        mediaUrl: creative.mediaUrl,
+        minWatchSeconds: network.minWatchSeconds,
+        expiresAt: expiresAt.toISOString()
+      };
+    } catch (error) {
+      logger.error('Failed to start ad session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a session token and return the session id it was issued for
+   */
+  verifyToken(userId, sessionId, sessionToken) {
+    let payload;
+    try {
+      payload = security.verifyJWT(sessionToken);
+    } catch (error) {
+      throw new AuthenticationError('Invalid or expired ad session token');
+    }
+
+    if (payload.typ !== 'ad_session' || payload.sub !== userId || payload.sid !== sessionId) {
+      throw new AuthenticationError('Ad session token does not match this session');
+    }
+
+    return payload.sid;
+  }
+
+  /**
+   * Mark the ad as watched. The watch duration is measured from the server start time.
+   * @returns {Object} { sessionId, watchDuration }
+   */
+  async completeSession(userId, sessionId, sessionToken) {
+    try {
+      this.verifyToken(userId, sessionId, sessionToken);
+
+      const sessionRef = this.db.collection(this.collection).doc(sessionId);
+
+      const result = await this.db.runTransaction(async (transaction) => {
+        const sessionDoc = await transaction.get(sessionRef);
+
+        if (!sessionDoc.exists || sessionDoc.data().userId !== userId) {
+          throw new ValidationError('Ad session not found');
+        }
+
+        const session = sessionDoc.data();
+        if (session.status !== 'started') {
+          throw new ValidationError(`Ad session is ${session.status}`);
+        }
+
+        const now = admin.firestore.Timestamp.now();
+
+        if (session.expiresAt.toMillis() < now.toMillis()) {
+          transaction.update(sessionRef, {
+            status: 'expired',
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          return { expired: true };
+        }
+
+        const watchDuration = Math.floor((now.toMillis() - session.startedAt.toMillis()) / 1000);
+        const network = this.networks[session.networkId];
+
+        if (watchDuration < session.minWatchSeconds) {
+          throw new ValidationError(
+            `Insufficient watch time. Required: ${session.minWatchSeconds}s, watched: ${watchDuration}s`
+          );
+        }
+
+        transaction.update(sessionRef, {
+          status: 'completed',
+          completedAt: now,
+          watchDuration: Math.min(watchDuration, network.maxWatchSeconds),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { expired: false, watchDuration: Math.min(watchDuration, network.maxWatchSeconds) };
+      });
+
+      if (result.expired) {
+        throw new ValidationError('Ad session expired');
+      }
+
+      return { sessionId, watchDuration: result.watchDuration };
+    } catch (error) {
+      logger.error(`Failed to complete ad session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a completed session for reward validation, checking its token
+   */
+  async getCompletedSession(userId, sessionId, sessionToken) {
+    this.verifyToken(userId, sessionId, sessionToken);
+
+    const sessionDoc = await this.db.collection(this.collection).doc(sessionId).get();
+    if (!sessionDoc.exists || sessionDoc.data().userId !== userId) {
+      return null;
+    }
+
+    const session = sessionDoc.data();
+    return session.status === 'completed' ? session : null;
+  }
+
+  /**
+   * Cancel an open session
+   */
+  async cancelSession(userId, sessionId, reason = 'user_cancelled') {
+    try {
+      const sessionRef = this.db.collection(this.collection).doc(sessionId);
+
+      await this.db.runTransaction(async (transaction) => {
+        const sessionDoc = await transaction.get(sessionRef);
+
+        if (!sessionDoc.exists || sessionDoc.data().userId !== userId) {
+          throw new ValidationError('Ad session not found');
+        }
+
+        if (sessionDoc.data().status !== 'started') {
+          throw new ValidationError(`Ad session is ${sessionDoc.data().status}`);
+        }
+
+        transaction.update(sessionRef, {
+          status: 'cancelled',
+          cancelReason: reason,
+          cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+      return { success: true, reason };
+    } catch (error) {
+      logger.error(`Failed to cancel ad session ${sessionId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Expire a user's sessions that are still running
+   */
+  async expireOpenSessions(userId, reason = 'expired') {
+    const snapshot = await this.db.collection(this.collection)
+      .where('userId', '==', userId)
+      .where('status', '==', 'started')
+      .get();
+
+    if (snapshot.empty) {
+      return 0;
+    }
+
+    const batch = this.db.batch();
+    snapshot.docs.forEach(doc => batch.update(doc.ref, {
+      status: 'expired',
+      expireReason: reason,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }));
+    await batch.commit();
+
+    return snapshot.size;
+  }
+
+  /**
+   * Expire sessions past their deadline that were never completed
+   */
+  async expireStaleSessions(limit = 500) {
+    try {
+      const snapshot = await this.db.collection(this.collection)
+        .where('status', '==', 'started')
+        .where('expiresAt', '<', new Date())
+        .limit(limit)
+        .get();
+
+      if (snapshot.empty) {
+        return 0;
+      }
+
+      const batch = this.db.batch();
+      snapshot.docs.forEach(doc => batch.update(doc.ref, {
+        status: 'expired',
+        expireReason: 'expired',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }));
+      await batch.commit();
+
+      return snapshot.size;
+    } catch (error) {
+      logger.error('Failed to expire stale ad sessions:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Seconds until the daily ad count resets (UTC midnight)
+   */
+  secondsUntilMidnight() {
+    const now = new Date();
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+  }
+}
+
+module.exports = new AdSessionManager();
@@ -0,0 +1,257 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+/**
+ * Signature checks for ad network reward callbacks (server-side verification, SSV).
+ *
+ * - AdMob signs the callback query string with ECDSA (SHA-256); public keys are published by Google.
+ * - Unity S2S redeem callbacks carry an HMAC-MD5 of the sorted parameters, keyed with the secret
+ *   Unity issues for the game.
+ *
+ * In "local" mode AdMob keys come from configuration (or setLocalKeys) instead of Google, so
+ * callbacks signed with createAdMobFixture / createUnityFixture verify without network access.
+ */
+class SsvVerifier {
+  constructor() {
+    this.settings = null;
+    this.admobKeys = null;
+    this.admobKeysFetchedAt = 0;
+    this.localKeys = null;
+  }
+
+  /**
+   * Get SSV settings from the environment configuration
+   */
+  getSettings() {
+    if (!this.settings) {
+      this.settings = require('../config/environment').getAdvertisingConfig().ssv;
+    }
+    return this.settings;
+  }
+
+  /**
+   * Use local keys, e.g. { admob: { keyId, pem }, unitySecret } (tests and the emulator)
+   */
+  setLocalKeys(keys) {
+    this.localKeys = keys;
+    this.admobKeys = null;
+  }
+
+  /**
+   * Whether callbacks are verified against local keys
+   */
+  isLocalMode() {
+    return this.localKeys !== null || this.getSettings().mode === 'local';
+  }
+
+  /**
+   * Verify an AdMob reward callback
+   * @param {string} rawQuery - Query string exactly as received (without the leading "?")
+   * @returns {Object} { valid, reason, impression }
+   */
+  async verifyAdMobCallback(rawQuery) {
+    const signatureIndex = rawQuery.indexOf('&signature=');
+    if (signatureIndex === -1) {
+      return { valid: false, reason: 'Missing signature' };
+    }
+
+    const params = new URLSearchParams(rawQuery);
+    const signature = params.get('signature');
+    const keyId = params.get('key_id');
+    const transactionId = params.get('transaction_id');
+
+    if (!signature || !keyId || !transactionId) {
+      return { valid: false, reason: 'Missing signature, key_id or transaction_id' };
+    }
+
+    let publicKey = (await this.getAdMobKeys())[keyId];
+    if (!publicKey && !this.isLocalMode()) {
+      // Google rotates keys; refetch once before rejecting
+      publicKey = (await this.getAdMobKeys(true))[keyId];
+    }
+
+    if (!publicKey) {
+      return { valid: false, reason: `Unknown AdMob key_id: ${keyId}` };
+    }
+
+    // The signed content is everything before the signature and key_id parameters
+    const message = Buffer.from(rawQuery.substring(0, signatureIndex));
+    const verified = crypto.verify('sha256', message, publicKey, Buffer.from(signature, 'base64url'));
+
+    if (!verified) {
+      return { valid: false, reason: 'Invalid AdMob signature' };
+    }
+
+    const customData = this.parseCustomData(params.get('custom_data'));
+
+    return {
+      valid: true,
+      reason: null,
+      impression: {
+        network: 'google_admob',
+        transactionId,
+        userId: params.get('user_id'),
+        sessionId: customData.sessionId,
+        adUnit: params.get('ad_unit'),
+        rewardAmount: Number(params.get('reward_amount')) || 0,
+        rewardItem: params.get('reward_item'),
+        networkTimestamp: Number(params.get('timestamp')) || null,
+        keyId
+      }
+    };
+  }
+
+  /**
+   * Verify a Unity Ads server-to-server redeem callback
+   * @param {Object} query - Parsed query parameters (sid, oid, hmac, ...)
+   * @returns {Object} { valid, reason, impression }
+   */
+  verifyUnityCallback(query) {
+    const secret = this.localKeys?.unitySecret || this.getSettings().unitySecret;
+    if (!secret) {
+      return { valid: false, reason: 'Unity SSV secret not configured' };
+    }
+
+    const { hmac, sid, oid } = query;
+    if (!hmac || !sid || !oid) {
+      return { valid: false, reason: 'Missing sid, oid or hmac' };
+    }
+
+    const expected = this.signUnityParams(query, secret);
+    if (!this.safeEqual(expected, String(hmac).toLowerCase())) {
+      return { valid: false, reason: 'Invalid Unity HMAC' };
+    }
+
+    // The client sets sid to "<userId>:<adSessionId>"
+    const separator = sid.lastIndexOf(':');
+
+    return {
+      valid: true,
+      reason: null,
+      impression: {
+        network: 'unity_ads',
+        transactionId: oid,
+        userId: separator > 0 ? sid.substring(0, separator) : sid,
+        sessionId: separator > 0 ? sid.substring(separator + 1) : null,
+        adUnit: query.productid || null,
+        rewardAmount: 0,
+        rewardItem: null,
+        networkTimestamp: null
+      }
+    };
+  }
+
+  /**
+   * HMAC-MD5 over "key=value" pairs sorted by key and joined with commas, excluding hmac
+   */
+  signUnityParams(params, secret) {
+    const content = Object.keys(params)
+      .filter(key => key !== 'hmac')
+      .sort()
+      .map(key => `${key}=${params[key]}`)
+      .join(',');
+
+    return crypto.createHmac('md5', secret).update(content).digest('hex');
+  }
+
+  /**
+   * Get AdMob verifier keys by key id
+   */
+  async getAdMobKeys(forceRefresh = false) {
+    if (this.isLocalMode()) {
+      const local = this.localKeys?.admob || {
+        keyId: this.getSettings().localAdmobKeyId,
+        pem: this.getSettings().localAdmobPublicKey
+      };
+      return local.keyId && local.pem ? { [String(local.keyId)]: local.pem } : {};
+    }
+
+    const settings = this.getSettings();
+    const fresh = Date.now() - this.admobKeysFetchedAt < settings.admobKeysCacheMs;
+    if (this.admobKeys && fresh && !forceRefresh) {
+      return this.admobKeys;
+    }
+
+    try {
+      const response = await axios.get(settings.admobKeysUrl, { timeout: 10000 });
+      const keys = {};
+      (response.data.keys || []).forEach(key => {
+        keys[String(key.keyId)] = key.pem;
+      });
+
+      this.admobKeys = keys;
+      this.admobKeysFetchedAt = Date.now();
+    } catch (error) {
+      logger.error('Failed to fetch AdMob verifier keys:', error);
+      if (!this.admobKeys) {
+        throw error;
+      }
+    }
+
+    return this.admobKeys;
+  }
+
+  /**
+   * custom_data is either the bare ad session id or JSON with a sessionId field
+   */
+  parseCustomData(customData) {
+    if (!customData) {
+      return { sessionId: null };
+    }
+
+    try {
+      const parsed = JSON.parse(customData);
+      if (parsed && typeof parsed === 'object') {
+        return { sessionId: parsed.sessionId || null };
+      }
+    } catch (error) {
+      // Not JSON: the whole value is the session id
+    }
+
+    return { sessionId: customData };
+  }
+
+  /**
+   * Constant-time string comparison
+   */
+  safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  /**
+   * Build a signed AdMob callback query string (local mode fixtures)
+   * @param {Object} params - Callback parameters (transaction_id, user_id, custom_data, ...)
+   * @param {string} privateKeyPem - EC P-256 private key matching the local public key
+   * @param {string} keyId - Local key id
+   */
+  createAdMobFixture(params, privateKeyPem, keyId) {
+    const content = new URLSearchParams({ timestamp: String(Date.now()), ...params }).toString();
+    const signature = crypto.sign('sha256', Buffer.from(content), privateKeyPem).toString('base64url');
+    return `${content}&signature=${signature}&key_id=${keyId}`;
+  }
+
+  /**
+   * Build signed Unity callback parameters (local mode fixtures)
+   */
+  createUnityFixture(params, secret) {
+    return { ...params, hmac: this.signUnityParams(params, secret) };
+  }
+
+  /**
+   * Generate a local AdMob key pair for fixtures: { keyId, publicKey, privateKey } as PEM
+   */
+  generateLocalAdMobKeys(keyId = 'local') {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'prime256v1',
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    return { keyId, publicKey, privateKey };
+  }
+}
+
+module.exports = new SsvVerifier();
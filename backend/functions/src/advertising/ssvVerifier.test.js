@@ -0,0 +1,144 @@
+jest.mock('../utils/logger');
+
+const axios = require('axios');
+const ssvVerifier = require('./ssvVerifier');
+
+const UNITY_SECRET = 'unity-test-secret';
+
+describe('ssvVerifier', () => {
+  const keys = ssvVerifier.generateLocalAdMobKeys('3335741209');
+
+  beforeEach(() => {
+    ssvVerifier.settings = { mode: 'local' };
+    ssvVerifier.setLocalKeys({ admob: { keyId: keys.keyId, pem: keys.publicKey }, unitySecret: UNITY_SECRET });
+  });
+
+  describe('AdMob callbacks', () => {
+    const params = {
+      ad_network: '5450213213286189855',
+      ad_unit: '1234567890',
+      custom_data: JSON.stringify({ sessionId: 'session_1' }),
+      reward_amount: '1',
+      reward_item: 'entry',
+      transaction_id: 'tx_1',
+      user_id: 'user_1'
+    };
+    const sign = (overrides = {}) => ssvVerifier.createAdMobFixture(
+      { ...params, ...overrides },
+      keys.privateKey,
+      keys.keyId
+    );
+
+    it('accepts a callback signed with the configured key', async () => {
+      const result = await ssvVerifier.verifyAdMobCallback(sign());
+
+      expect(result.valid).toBe(true);
+      expect(result.impression).toMatchObject({
+        network: 'google_admob',
+        transactionId: 'tx_1',
+        userId: 'user_1',
+        sessionId: 'session_1',
+        rewardAmount: 1,
+        keyId: keys.keyId
+      });
+    });
+
+    it('takes a bare session id as custom data', async () => {
+      const result = await ssvVerifier.verifyAdMobCallback(sign({ custom_data: 'session_2' }));
+      expect(result.impression.sessionId).toBe('session_2');
+    });
+
+    it('rejects a callback changed after signing', async () => {
+      const tampered = sign().replace('reward_amount=1', 'reward_amount=9');
+
+      const result = await ssvVerifier.verifyAdMobCallback(tampered);
+
+      expect(result).toEqual({ valid: false, reason: 'Invalid AdMob signature' });
+    });
+
+    it('rejects a callback signed with another key', async () => {
+      const other = ssvVerifier.generateLocalAdMobKeys(keys.keyId);
+      const forged = ssvVerifier.createAdMobFixture(params, other.privateKey, keys.keyId);
+
+      expect((await ssvVerifier.verifyAdMobCallback(forged)).reason).toBe('Invalid AdMob signature');
+    });
+
+    it('rejects an unknown key id', async () => {
+      const query = ssvVerifier.createAdMobFixture(params, keys.privateKey, '42');
+      expect((await ssvVerifier.verifyAdMobCallback(query)).reason).toBe('Unknown AdMob key_id: 42');
+    });
+
+    it('rejects an unsigned callback', async () => {
+      const unsigned = new URLSearchParams(params).toString();
+      expect(await ssvVerifier.verifyAdMobCallback(unsigned)).toEqual({ valid: false, reason: 'Missing signature' });
+    });
+
+    it('rejects a callback without a transaction id', async () => {
+      const query = sign().replace('transaction_id=tx_1&', '');
+      expect((await ssvVerifier.verifyAdMobCallback(query)).reason).toBe('Missing signature, key_id or transaction_id');
+    });
+
+    it('refetches the Google keys once for a key id it has not seen', async () => {
+      ssvVerifier.setLocalKeys(null);
+      ssvVerifier.settings = { mode: 'google', admobKeysUrl: 'https://keys.example/admob', admobKeysCacheMs: 60000 };
+      ssvVerifier.admobKeys = { old: 'retired-pem' };
+      ssvVerifier.admobKeysFetchedAt = Date.now();
+      const get = jest.spyOn(axios, 'get').mockResolvedValue({
+        data: { keys: [{ keyId: Number(keys.keyId), pem: keys.publicKey }] }
+      });
+
+      const result = await ssvVerifier.verifyAdMobCallback(sign());
+
+      expect(result.valid).toBe(true);
+      expect(get).toHaveBeenCalledTimes(1);
+      get.mockRestore();
+    });
+  });
+
+  describe('Unity callbacks', () => {
+    const params = { sid: 'user_1:session_1', oid: 'order_1', productid: 'rewarded_video' };
+
+    it('accepts a callback signed with the game secret', () => {
+      const result = ssvVerifier.verifyUnityCallback(ssvVerifier.createUnityFixture(params, UNITY_SECRET));
+
+      expect(result.valid).toBe(true);
+      expect(result.impression).toMatchObject({
+        network: 'unity_ads',
+        transactionId: 'order_1',
+        userId: 'user_1',
+        sessionId: 'session_1',
+        adUnit: 'rewarded_video'
+      });
+    });
+
+    it('splits the sid on its last colon', () => {
+      const query = ssvVerifier.createUnityFixture({ ...params, sid: 'pi:user_1:session_1' }, UNITY_SECRET);
+      expect(ssvVerifier.verifyUnityCallback(query).impression).toMatchObject({
+        userId: 'pi:user_1',
+        sessionId: 'session_1'
+      });
+    });
+
+    it('rejects a callback changed after signing', () => {
+      const query = { ...ssvVerifier.createUnityFixture(params, UNITY_SECRET), sid: 'user_2:session_1' };
+      expect(ssvVerifier.verifyUnityCallback(query)).toEqual({ valid: false, reason: 'Invalid Unity HMAC' });
+    });
+
+    it('rejects a callback signed with another secret', () => {
+      const query = ssvVerifier.createUnityFixture(params, 'someone-else');
+      expect(ssvVerifier.verifyUnityCallback(query).reason).toBe('Invalid Unity HMAC');
+    });
+
+    it('rejects a callback missing its order id', () => {
+      const query = ssvVerifier.createUnityFixture({ sid: params.sid }, UNITY_SECRET);
+      expect(ssvVerifier.verifyUnityCallback(query).reason).toBe('Missing sid, oid or hmac');
+    });
+
+    it('verifies nothing until the secret is configured', () => {
+      ssvVerifier.setLocalKeys({ admob: null });
+      const query = ssvVerifier.createUnityFixture(params, UNITY_SECRET);
+
+      expect(ssvVerifier.verifyUnityCallback(query).reason).toBe('Unity SSV secret not configured');
+    });
+  });
+});
@@ -0,0 +1,17 @@
+const registry = require('./registry');
+
+/**
+ * Versioned callable API. Route modules export arrays of route definitions (see registry.register).
+ */
+registry
+  .registerAll(require('./routes/auth'))
+  .registerAll(require('./routes/lottery'))
+  .registerAll(require('./routes/payments'))
+  .registerAll(require('./routes/ads'))
+  .registerAll(require('./routes/users'))
+  .registerAll(require('./routes/notifications'))
+  .registerAll(require('./routes/admin'))
+  .registerAll(require('./routes/review'))
+  .registerAll(require('./routes/telemetry'));
+
+module.exports = registry;
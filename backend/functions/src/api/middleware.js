@@ -0,0 +1,111 @@
+const { logger } = require('../utils/logger');
+const { sanitizeAndValidate } = require('../utils/validators');
+const { validatePiUserAuth, validateAdminAuth } = require('../middleware/auth');
+const rateLimiter = require('../middleware/rateLimiter');
+const adminMfa = require('../admin/adminMfa');
+const {
+  AuthenticationError,
+  AuthorizationError,
+  toHttpsError,
+  storeErrorInDatabase,
+  generateErrorId
+} = require('../middleware/errorHandler');
+
+/**
+ * Resolve the caller according to the route's auth level:
+ * "public" (anyone), "session" (any signed-in Firebase user), "user" (Pi user) or "admin" (admin with permission).
+ * Admin routes also check the route's two-factor level (see AdminMfa.assertVerified).
+ */
+async function authenticate(route, context) {
+  const auth = context.auth || null;
+
+  if (route.auth === 'public') {
+    return { uid: auth?.uid || null };
+  }
+
+  if (!auth || !auth.uid) {
+    throw new AuthenticationError('Authentication required');
+  }
+
+  if (route.auth === 'session') {
+    return { uid: auth.uid };
+  }
+
+  if (route.auth === 'user') {
+    try {
+      const result = await validatePiUserAuth(auth);
+      return { uid: auth.uid, user: result.userData };
+    } catch (error) {
+      throw new AuthenticationError(error.message);
+    }
+  }
+
+  let result;
+  try {
+    result = await validateAdminAuth(auth, route.permission || null);
+  } catch (error) {
+    throw new AuthorizationError(error.message);
+  }
+
+  await adminMfa.assertVerified(auth.uid, auth.token, route.mfa);
+
+  return { uid: auth.uid, admin: result.adminData };
+}
+
+/**
+ * Count the call against the route's limit, keyed by user or, for anonymous calls, by IP
+ */
+async function enforceRateLimit(route, context, caller) {
+  const { action, ...limit } = route.rateLimit;
+  const identifier = caller.uid || `ip_${context.rawRequest?.ip || 'unknown'}`;
+
+  await rateLimiter.consume(identifier, action, limit);
+}
+
+/**
+ * Validate and sanitize the request data with the route's schema and validate hook
+ */
+function validateInput(route, data) {
+  let input = data && typeof data === 'object' ? { ...data } : {};
+
+  // Handlers of routes with a schema only see the fields it declares
+  if (route.schema) {
+    input = sanitizeAndValidate(input, route.schema);
+  }
+
+  if (route.validate) {
+    input = route.validate(input) || input;
+  }
+
+  return input;
+}
+
+/**
+ * Log a failed call and convert the error to an HttpsError for the client.
+ * Unexpected (non-application) errors are also stored for admin review.
+ */
+async function mapError(route, error, caller) {
+  const httpsError = toHttpsError(error);
+
+  logger.error(`API ${route.version}/${route.name} failed`, {
+    uid: caller?.uid || null,
+    code: httpsError.code,
+    error: error.message
+  });
+
+  if (httpsError.code === 'internal') {
+    await storeErrorInDatabase(error, generateErrorId(), {
+      route: `${route.version}/${route.name}`,
+      uid: caller?.uid || null
+    });
+  }
+
+  return httpsError;
+}
+
+module.exports = {
+  authenticate,
+  enforceRateLimit,
+  validateInput,
+  mapError
+};
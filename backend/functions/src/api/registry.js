@@ -0,0 +1,184 @@
+const functions = require('firebase-functions');
+const { logger } = require('../utils/logger');
+const { authenticate, enforceRateLimit, validateInput, mapError } = require('./middleware');
+
+const AUTH_LEVELS = ['public', 'session', 'user', 'admin'];
+const MFA_LEVELS = ['none', 'session', 'fresh'];
+
+/**
+ * Registry of versioned callable routes.
+ * Every route runs through the same pipeline: auth -> rate limit -> validation -> handler -> error mapping.
+ */
+class ApiRegistry {
+  constructor() {
+    this.routes = new Map();
+    this.defaultVersion = 'v1';
+  }
+
+  /**
+   * Register a route
+   * @param {Object} definition - { name, version, auth, permission, mfa, schema, validate, rateLimit, handler,
+   *   aliases, runWith }
+   *   mfa (admin routes): "session" (default), "fresh" for sensitive actions, or "none"
+   *   aliases (v1 routes): older function names that are exported as the same callable
+   *   runWith: runtime options ({ timeoutSeconds, memory }) for routes that outgrow the defaults; such
+   *   routes are only served by their own function, not the "api" dispatcher
+   */
+  register(definition) {
+    const route = {
+      version: this.defaultVersion,
+      auth: 'user',
+      permission: null,
+      mfa: 'session',
+      schema: null,
+      validate: null,
+      aliases: [],
+      runWith: null,
+      ...definition
+    };
+
+    if (!route.name || typeof route.handler !== 'function') {
+      throw new Error('Route name and handler are required');
+    }
+
+    if (!AUTH_LEVELS.includes(route.auth)) {
+      throw new Error(`Invalid auth level for ${route.name}: ${route.auth}`);
+    }
+
+    if (!MFA_LEVELS.includes(route.mfa)) {
+      throw new Error(`Invalid two-factor level for ${route.name}: ${route.mfa}`);
+    }
+
+    // Routes without their own limit get the rate limiter's api_general limit, counted per route
+    route.rateLimit = {
+      action: `api_${route.name}`,
+      ...(definition.rateLimit || {})
+    };
+
+    const key = this.getKey(route.version, route.name);
+    if (this.routes.has(key)) {
+      throw new Error(`Route ${key} is already registered`);
+    }
+
+    this.routes.set(key, route);
+    return this;
+  }
+
+  /**
+   * Register a list of route definitions
+   */
+  registerAll(definitions) {
+    definitions.forEach(definition => this.register(definition));
+    return this;
+  }
+
+  /**
+   * Get the registry key for a route
+   */
+  getKey(version, name) {
+    return `${version}/${name}`;
+  }
+
+  /**
+   * Look up a route
+   */
+  getRoute(version, name) {
+    return this.routes.get(this.getKey(version, name)) || null;
+  }
+
+  /**
+   * Run a request through the middleware pipeline and the route handler
+   */
+  async invoke(route, data, context) {
+    const timer = logger.startTimer(`api_${route.name}`);
+    let caller = null;
+
+    try {
+      caller = await authenticate(route, context);
+      await enforceRateLimit(route, context, caller);
+      const input = validateInput(route, data);
+
+      const result = await route.handler(input, {
+        ...caller,
+        auth: context.auth || null,
+        rawRequest: context.rawRequest || null,
+        route
+      });
+
+      timer({ version: route.version, uid: caller.uid });
+      return result;
+    } catch (error) {
+      timer({ version: route.version, failed: true });
+      throw await mapError(route, error, caller);
+    }
+  }
+
+  /**
+   * Build the Cloud Function for a route
+   */
+  createCallable(route) {
+    const builder = route.runWith ? functions.runWith(route.runWith) : functions;
+    return builder.https.onCall((data, context) => this.invoke(route, data, context));
+  }
+
+  /**
+   * Get the exported function name for a route. v1 routes keep their plain names so existing clients keep working.
+   */
+  getExportName(route) {
+    return route.version === this.defaultVersion ? route.name : `${route.name}_${route.version}`;
+  }
+
+  /**
+   * Add every registered route to a module's exports, plus the versioned "api" dispatcher
+   */
+  exportCallables(target) {
+    this.routes.forEach(route => {
+      const callable = this.createCallable(route);
+      target[this.getExportName(route)] = callable;
+
+      if (route.version === this.defaultVersion) {
+        route.aliases.forEach(alias => {
+          target[alias] = callable;
+        });
+      }
+    });
+
+    target.api = functions.https.onCall((data, context) => this.dispatch(data, context));
+
+    return target;
+  }
+
+  /**
+   * Dispatch { version, route, payload } to a registered route
+   */
+  async dispatch(data, context) {
+    const { version = this.defaultVersion, route: name, payload = {} } = data || {};
+    const route = this.getRoute(version, name);
+
+    if (!route) {
+      throw new functions.https.HttpsError('not-found', `Unknown API route: ${version}/${name}`);
+    }
+
+    // The dispatcher runs with the default timeout and memory, which these routes outgrow
+    if (route.runWith) {
+      throw new functions.https.HttpsError('failed-precondition', `Call ${this.getExportName(route)} directly`);
+    }
+
+    return this.invoke(route, payload, context);
+  }
+
+  /**
+   * List registered routes
+   */
+  listRoutes() {
+    return Array.from(this.routes.values()).map(route => ({
+      name: route.name,
+      version: route.version,
+      auth: route.auth,
+      permission: route.permission,
+      rateLimit: route.rateLimit
+    }));
+  }
+}
+
+module.exports = new ApiRegistry();
@@ -0,0 +1,687 @@
+const admin = require('firebase-admin');
+const { logger, logAdminAction } = require('../../utils/logger');
+const { COLLECTIONS, ADMIN_PERMISSIONS } = require('../../utils/constants');
+const { ValidationError } = require('../../middleware/errorHandler');
+const drawingEngine = require('../../lottery/drawingEngine');
+const jackpotRollover = require('../../lottery/jackpotRollover');
+const scheduleManager = require('../../lottery/scheduleManager');
+const refundProcessor = require('../../payments/refundProcessor');
+const prizePayoutWorker = require('../../payments/prizePayoutWorker');
+const configManager = require('../../admin/configManager');
+const reportGenerator = require('../../admin/reportGenerator');
+const reportScheduler = require('../../admin/reportScheduler');
+const userManagement = require('../../admin/userManagement');
+const systemManagement = require('../../admin/systemManagement');
+const backupManager = require('../../admin/backupManager');
+const rateLimiter = require('../../middleware/rateLimiter');
+const riskEngine = require('../../fraud/riskEngine');
+const reviewQueue = require('../../admin/reviewQueue');
+
+module.exports = [
+  {
+    name: 'conductDrawing',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.MANAGE_LOTTERIES,
+    schema: {
+      lotteryInstanceId: { required: true, type: 'string', options: { maxLength: 128 } },
+      force: { type: 'boolean' }
+    },
+    handler: async ({ lotteryInstanceId, force = false }, { uid }) => {
+      logger.info('Manual drawing request', { adminId: uid, lotteryInstanceId, force });
+
+      const result = await drawingEngine.conductLotteryDrawing(lotteryInstanceId, { manual: true, force });
+
+      logAdminAction('conduct_drawing', uid, {
+        lotteryInstanceId,
+        winners: result.winners,
+        prizePool: result.prizePool,
+        force
+      });
+
+      return result;
+    }
+  },
+
+  {
+    name: 'processCancellationRefunds',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.MANAGE_LOTTERIES,
+    schema: {
+      instanceId: { required: true, type: 'string', options: { maxLength: 128 } },
+      reason: { type: 'string', options: { maxLength: 500 } }
+    },
+    handler: async ({ instanceId, reason }, { uid }) => {
+      const instanceDoc = await admin.firestore().collection(COLLECTIONS.LOTTERY_INSTANCES).doc(instanceId).get();
+
+      if (!instanceDoc.exists) {
+        throw new ValidationError('Lottery instance not found');
+      }
+
+      if (instanceDoc.data().status !== 'cancelled') {
+        throw new ValidationError('Refunds can only be issued for cancelled lotteries');
+      }
+
+      const result = await drawingEngine.processRefunds(instanceId, reason || 'Lottery cancelled by admin');
+
+      logAdminAction('process_cancellation_refunds', uid, {
+        instanceId,
+        ...result
+      });
+
+      return { success: true, ...result };
+    }
+  },
+
+  {
+    name: 'approveWinnerPayout',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.APPROVE_PRIZES,
+    mfa: 'fresh',
+    schema: {
+      winnerId: { required: true, type: 'string', options: { maxLength: 128 } },
+      approved: { required: true, type: 'boolean' },
+      notes: { type: 'string', options: { maxLength: 1000, allowEmpty: true } }
+    },
+    handler: async ({ winnerId, approved, notes }, { uid }) => {
+      const { winnerData, status, payout } = await prizePayoutWorker.reviewWinner(winnerId, approved, notes, uid);
+
+      // A decision made here also closes the winner's review case
+      await reviewQueue.closeCaseForSubject('winner', winnerId, approved ? 'approved' : 'rejected', uid, notes);
+
+      logAdminAction('approve_winner_payout', uid, {
+        winnerId,
+        approved,
+        userId: winnerData.userId,
+        prizeAmount: winnerData.prizeAmount,
+        lotteryInstanceId: winnerData.lotteryInstanceId
+      });
+
+      return {
+        success: true,
+        winnerId,
+        status,
+        payout
+      };
+    }
+  },
+
+  {
+    name: 'retryRefund',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.APPROVE_PRIZES,
+    mfa: 'fresh',
+    schema: {
+      refundId: { required: true, type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ refundId }, { uid }) => {
+      const result = await refundProcessor.retryRefund(refundId, uid);
+
+      logAdminAction('retry_refund', uid, {
+        refundId,
+        success: result.success
+      });
+
+      return result;
+    }
+  },
+
+  {
+    name: 'retryPrizeTransfer',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.APPROVE_PRIZES,
+    mfa: 'fresh',
+    schema: {
+      transferId: { required: true, type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ transferId }, { uid }) => {
+      const result = await prizePayoutWorker.retryTransfer(transferId, uid);
+
+      logAdminAction('retry_prize_transfer', uid, {
+        transferId,
+        success: result.success
+      });
+
+      return result;
+    }
+  },
+
+  {
+    name: 'updatePlatformConfig',
+    aliases: ['updateSystemConfiguration'],
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.SYSTEM_CONFIG,
+    mfa: 'fresh',
+    schema: {
+      configType: {
+        required: true,
+        type: 'string',
+        enum: [
+          'platform_fee', 'ad_value', 'lottery_toggles', 'ticket_limits',
+          'draw_strategy', 'rollover', 'draw_schedule'
+        ]
+      },
+      updates: { required: true, type: 'object' },
+      reason: { type: 'string', options: { maxLength: 500 } }
+    },
+    handler: async ({ configType, updates, reason }, { uid }) => {
+      let result;
+
+      switch (configType) {
+        case 'platform_fee':
+          result = await configManager.updatePlatformFee(updates.fee, uid, reason);
+          break;
+        case 'ad_value':
+          result = await configManager.updateAdValue(updates.value, uid, reason);
+          break;
+        case 'lottery_toggles':
+          result = await configManager.updateLotteryToggles(updates, uid);
+          break;
+        case 'ticket_limits':
+          result = await configManager.updateTicketLimits(updates, uid);
+          break;
+        case 'draw_strategy':
+          result = await configManager.updateDrawStrategy(updates.lotteryTypeId, updates.drawStrategy, uid);
+          break;
+        case 'rollover':
+          result = await configManager.updateRolloverSettings(updates.lotteryTypeId, updates.rollover, uid);
+          break;
+        case 'draw_schedule':
+          result = await configManager.updateDrawSchedule(updates.lotteryTypeId, updates, uid);
+          break;
+      }
+
+      logAdminAction('update_platform_config', uid, { configType, reason: reason || null });
+
+      return { success: true, result };
+    }
+  },
+
+  {
+    name: 'getScheduleStatus',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.MANAGE_LOTTERIES,
+    schema: {
+      count: { type: 'number', options: { min: 1, max: 50, integer: true } },
+      lotteryTypeId: { type: 'string', options: { maxLength: 64 } },
+      schedule: { type: 'object' }
+    },
+    handler: async ({ count, lotteryTypeId, schedule }) => {
+      await scheduleManager.ensureLoaded();
+
+      // A schedule in the request is previewed without being saved
+      const status = await scheduleManager.getScheduleStatus({
+        count: count || 5,
+        draft: schedule ? { lotteryTypeId, schedule } : null
+      });
+
+      return { success: true, status };
+    }
+  },
+
+  {
+    name: 'updateLotterySchedule',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.MANAGE_LOTTERIES,
+    schema: {
+      lotteryTypeId: { required: true, type: 'string', options: { maxLength: 64 } },
+      schedule: { required: true, type: 'object' }
+    },
+    handler: async ({ lotteryTypeId, schedule }, { uid }) => {
+      const allowed = [
+        'type', 'time', 'times', 'dayOfWeek', 'dayOfMonth', 'cron', 'date', 'timezone', 'blackoutDates',
+        'enabled', 'minParticipants', 'maxExtensions', 'extensionHours', 'drawStrategy'
+      ];
+      const unknown = Object.keys(schedule).filter(field => !allowed.includes(field));
+      if (unknown.length > 0) {
+        throw new ValidationError(`Unknown schedule fields: ${unknown.join(', ')}`);
+      }
+
+      const validation = scheduleManager.validateSchedule(schedule);
+      if (!validation.isValid) {
+        throw new ValidationError(`Invalid schedule: ${validation.reason}`);
+      }
+
+      await scheduleManager.ensureLoaded();
+      const result = await scheduleManager.updateSchedule(lotteryTypeId, schedule, uid);
+
+      logAdminAction('update_lottery_schedule', uid, { lotteryTypeId, type: schedule.type });
+
+      return result;
+    }
+  },
+
+  {
+    name: 'getRolloverChain',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    schema: {
+      lotteryInstanceId: { required: true, type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ lotteryInstanceId }) => {
+      const chain = await jackpotRollover.getRolloverChain(lotteryInstanceId);
+      return { success: true, chain };
+    }
+  },
+
+  {
+    name: 'updateRateLimits',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.SYSTEM_CONFIG,
+    schema: {
+      endpoint: { type: 'string', options: { maxLength: 128 } },
+      limit: { type: 'object' },
+      userId: { type: 'string', options: { maxLength: 128 } },
+      override: { type: 'object' }
+    },
+    handler: async ({ endpoint, limit, userId, override }, { uid }) => {
+      if (userId) {
+        await rateLimiter.setUserLimits(userId, override || {}, uid);
+      } else if (endpoint && limit) {
+        await rateLimiter.setEndpointLimit(endpoint, limit, uid);
+      } else {
+        throw new ValidationError('Either userId and override, or endpoint and limit, are required');
+      }
+
+      logAdminAction('update_rate_limits', uid, { endpoint: endpoint || null, userId: userId || null });
+
+      return { success: true };
+    }
+  },
+
+  {
+    name: 'getRiskSettings',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.SYSTEM_CONFIG,
+    handler: async () => {
+      return { success: true, settings: await riskEngine.getSettings() };
+    }
+  },
+
+  {
+    name: 'updateRiskSettings',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.SYSTEM_CONFIG,
+    mfa: 'fresh',
+    schema: {
+      enabled: { type: 'boolean' },
+      thresholds: { type: 'object' },
+      onError: { type: 'string', enum: ['allow', 'hold', 'block'] },
+      rules: { type: 'object' }
+    },
+    handler: async (data, { uid }) => {
+      const allowed = ['enabled', 'thresholds', 'onError', 'rules'];
+      const updates = {};
+      for (const field of allowed) {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      }
+
+      if (Object.keys(updates).length === 0) {
+        throw new ValidationError(`Nothing to update. Allowed fields: ${allowed.join(', ')}`);
+      }
+
+      const settings = await riskEngine.updateSettings(updates, uid);
+
+      logAdminAction('update_risk_settings', uid, { fields: Object.keys(updates) });
+
+      return { success: true, settings };
+    }
+  },
+
+  {
+    name: 'generateReport',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    rateLimit: { windowSeconds: 60, max: 10 },
+    schema: {
+      reportType: { required: true, type: 'string', enum: ['dashboard', 'revenue', 'users', 'lotteries', 'rollovers'] },
+      dateRange: { type: 'object' }
+    },
+    handler: async ({ reportType, dateRange = null }, { uid }) => {
+      let report;
+
+      switch (reportType) {
+        case 'dashboard':
+          report = await reportGenerator.generateDashboardReport(uid, dateRange);
+          break;
+        case 'revenue':
+          report = await reportGenerator.generateRevenueReport(uid, dateRange);
+          break;
+        case 'users':
+          report = await reportGenerator.generateUserAnalytics(uid, dateRange);
+          break;
+        case 'lotteries':
+          report = await reportGenerator.generateLotteryPerformance(uid, dateRange);
+          break;
+        case 'rollovers':
+          report = await reportGenerator.generateRolloverReport(uid, dateRange);
+          break;
+      }
+
+      logAdminAction('generate_report', uid, { reportType, dateRange });
+
+      return { success: true, report };
+    }
+  },
+
+  {
+    name: 'exportReport',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    rateLimit: { windowSeconds: 60, max: 5 },
+    schema: {
+      reportType: {
+        required: true,
+        type: 'string',
+        enum: ['dashboard', 'revenue', 'users', 'lotteries', 'rollovers', 'financial_audit']
+      },
+      format: { required: true, type: 'string', enum: ['csv', 'xlsx'] },
+      dateRange: { type: 'object' }
+    },
+    handler: async ({ reportType, format, dateRange = null }, { uid }) => {
+      if (reportType === 'financial_audit' && (!dateRange?.start || !dateRange?.end)) {
+        throw new ValidationError('Financial audit exports need a date range');
+      }
+
+      const file = await reportGenerator.exportReport(reportType, uid, dateRange, format);
+
+      logAdminAction('export_report', uid, { reportType, format, dateRange, path: file.path });
+
+      return { success: true, file };
+    }
+  },
+
+  {
+    name: 'createReportSubscription',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    rateLimit: { windowSeconds: 60, max: 10 },
+    schema: {
+      name: { type: 'string', options: { maxLength: 200 } },
+      reportType: {
+        required: true,
+        type: 'string',
+        enum: ['dashboard', 'revenue', 'users', 'lotteries', 'rollovers', 'financial_audit']
+      },
+      format: { required: true, type: 'string', enum: ['csv', 'xlsx'] },
+      frequency: { required: true, type: 'string', enum: ['daily', 'weekly', 'monthly'] },
+      hour: { type: 'number', options: { min: 0, max: 23, integer: true } },
+      dayOfWeek: { type: 'number', options: { min: 0, max: 6, integer: true } },
+      dayOfMonth: { type: 'number', options: { min: 1, max: 28, integer: true } },
+      recipients: { type: 'array', options: { maxLength: 10 } }
+    },
+    handler: async (data, { uid }) => {
+      const subscription = await reportScheduler.createSubscription(uid, data);
+
+      logAdminAction('create_report_subscription', uid, {
+        subscriptionId: subscription.id,
+        reportType: subscription.reportType,
+        frequency: subscription.frequency
+      });
+
+      return { success: true, subscription };
+    }
+  },
+
+  {
+    name: 'updateReportSubscription',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    schema: {
+      subscriptionId: { required: true, type: 'string', options: { maxLength: 128 } },
+      updates: { required: true, type: 'object' }
+    },
+    handler: async ({ subscriptionId, updates }, { uid }) => {
+      const allowed = ['name', 'reportType', 'format', 'frequency', 'hour', 'dayOfWeek', 'dayOfMonth', 'recipients', 'enabled'];
+      const unknown = Object.keys(updates).filter(field => !allowed.includes(field));
+      if (unknown.length > 0) {
+        throw new ValidationError(`Cannot update: ${unknown.join(', ')}`);
+      }
+
+      const subscription = await reportScheduler.updateSubscription(uid, subscriptionId, updates);
+
+      logAdminAction('update_report_subscription', uid, { subscriptionId, updates });
+
+      return { success: true, subscription };
+    }
+  },
+
+  {
+    name: 'deleteReportSubscription',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    schema: {
+      subscriptionId: { required: true, type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ subscriptionId }, { uid }) => {
+      const result = await reportScheduler.deleteSubscription(uid, subscriptionId);
+
+      logAdminAction('delete_report_subscription', uid, { subscriptionId });
+
+      return { success: true, ...result };
+    }
+  },
+
+  {
+    name: 'listReportSubscriptions',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    handler: async (data, { uid }) => {
+      const subscriptions = await reportScheduler.listSubscriptions(uid);
+      return { success: true, subscriptions };
+    }
+  },
+
+  {
+    name: 'getReportRuns',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    schema: {
+      subscriptionId: { type: 'string', options: { maxLength: 128 } },
+      limit: { type: 'number', options: { min: 1, max: 100, integer: true } }
+    },
+    handler: async ({ subscriptionId = null, limit = 20 }, { uid }) => {
+      const runs = await reportScheduler.getRunHistory(uid, subscriptionId, limit);
+      return { success: true, runs };
+    }
+  },
+
+  {
+    name: 'getReportRunDownload',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    rateLimit: { windowSeconds: 60, max: 20 },
+    schema: {
+      runId: { required: true, type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ runId }, { uid }) => {
+      const file = await reportScheduler.getRunDownload(uid, runId);
+      return { success: true, file };
+    }
+  },
+
+  {
+    name: 'manageAdminUser',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.USER_MANAGEMENT,
+    mfa: 'fresh',
+    schema: {
+      action: {
+        required: true,
+        type: 'string',
+        enum: ['create', 'update_permissions', 'deactivate', 'reactivate', 'list']
+      },
+      targetUserId: { type: 'string', options: { maxLength: 128 } },
+      userData: { type: 'object' }
+    },
+    handler: async ({ action, targetUserId, userData = {} }, { uid }) => {
+      if (action !== 'create' && action !== 'list' && !targetUserId) {
+        throw new ValidationError('Target user ID is required');
+      }
+
+      let result;
+
+      switch (action) {
+        case 'create':
+          result = await userManagement.createAdminUser(uid, userData);
+          break;
+        case 'update_permissions':
+          result = await userManagement.updateAdminPermissions(uid, targetUserId, userData.permissions);
+          break;
+        case 'deactivate':
+          result = await userManagement.deactivateAdminUser(uid, targetUserId);
+          break;
+        case 'reactivate':
+          result = await userManagement.reactivateAdminUser(uid, targetUserId);
+          break;
+        case 'list':
+          result = await userManagement.listAdminUsers(uid);
+          break;
+      }
+
+      return { success: true, result };
+    }
+  },
+
+  {
+    name: 'manageUser',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.USER_MANAGEMENT,
+    schema: {
+      action: { required: true, type: 'string', enum: ['get', 'list', 'suspend', 'unsuspend', 'statistics'] },
+      userId: { type: 'string', options: { maxLength: 128 } },
+      options: { type: 'object' }
+    },
+    handler: async ({ action, userId, options = {} }, { uid }) => {
+      if (['get', 'suspend', 'unsuspend'].includes(action) && !userId) {
+        throw new ValidationError('User ID is required');
+      }
+
+      let result;
+
+      switch (action) {
+        case 'get':
+          result = await userManagement.getUser(uid, userId);
+          break;
+        case 'list':
+          result = await userManagement.listUsers(uid, options);
+          break;
+        case 'suspend':
+          result = await userManagement.suspendUser(uid, userId, options.reason);
+          break;
+        case 'unsuspend':
+          result = await userManagement.unsuspendUser(uid, userId);
+          break;
+        case 'statistics':
+          result = await userManagement.getUserStatistics(uid);
+          break;
+      }
+
+      return { success: true, result };
+    }
+  },
+
+  {
+    name: 'triggerMaintenance',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.SYSTEM_CONFIG,
+    rateLimit: { windowSeconds: 300, max: 5 },
+    schema: {
+      tasks: { type: 'array', options: { maxLength: 20 } }
+    },
+    handler: async ({ tasks = [] }, { uid }) => {
+      const result = await systemManagement.triggerManualCleanup(uid, tasks);
+      return { success: true, result };
+    }
+  },
+
+  {
+    name: 'getSystemHealth',
+    aliases: ['systemStatus'],
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.VIEW_ANALYTICS,
+    handler: async () => {
+      const health = await systemManagement.getSystemHealth();
+      return { success: true, health };
+    }
+  },
+
+  {
+    name: 'createBackup',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.SYSTEM_CONFIG,
+    rateLimit: { windowSeconds: 3600, max: 3 },
+    runWith: { timeoutSeconds: 540, memory: '1GB' },
+    handler: async (data, { uid }) => {
+      const backup = await backupManager.createBackup({ trigger: 'manual', adminId: uid });
+
+      logAdminAction('create_backup', uid, { backupId: backup.backupId, documents: backup.documents });
+
+      return { success: true, backup };
+    }
+  },
+
+  {
+    name: 'listBackups',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.SYSTEM_CONFIG,
+    schema: {
+      limit: { type: 'number', options: { min: 1, max: 100, integer: true } }
+    },
+    handler: async ({ limit = 20 }) => {
+      const backups = await backupManager.listBackups(limit);
+      return { success: true, backups };
+    }
+  },
+
+  {
+    name: 'verifyBackup',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.SYSTEM_CONFIG,
+    rateLimit: { windowSeconds: 300, max: 5 },
+    schema: {
+      backupId: { required: true, type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ backupId }) => {
+      const verification = await backupManager.verifyBackup(backupId);
+      return { success: true, verification };
+    }
+  },
+
+  {
+    name: 'restoreBackup',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.SYSTEM_CONFIG,
+    mfa: 'fresh',
+    rateLimit: { windowSeconds: 300, max: 5 },
+    runWith: { timeoutSeconds: 540, memory: '1GB' },
+    schema: {
+      backupId: { type: 'string', options: { maxLength: 128 } },
+      pointInTime: { type: 'string', options: { maxLength: 64 } },
+      collections: { type: 'array', options: { maxLength: 20 } },
+      dryRun: { type: 'boolean' },
+      confirm: { type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ backupId, pointInTime, collections = [], dryRun = true, confirm }, { uid }) => {
+      if (!backupId && !pointInTime) {
+        throw new ValidationError('A backup ID or a point in time is required');
+      }
+
+      // A real restore names the exact backup (a dry run with pointInTime finds it) and repeats it in confirm
+      if (!dryRun && (!backupId || confirm !== backupId)) {
+        throw new ValidationError('Restoring needs the backup ID, repeated in confirm');
+      }
+
+      const result = await backupManager.restoreBackup(uid, { backupId, pointInTime, collections, dryRun });
+
+      logAdminAction(dryRun ? 'restore_backup_dry_run' : 'restore_backup', uid, {
+        backupId: result.backupId,
+        restoreId: result.restoreId,
+        collections: Object.keys(result.collections)
+      });
+
+      return { success: true, restore: result };
+    }
+  }
+];
@@ -0,0 +1,124 @@
+const { logUserAction } = require('../../utils/logger');
+const { LOTTERY } = require('../../utils/constants');
+const adHandler = require('../../advertising/adHandler');
+const adChallenge = require('../../advertising/adChallenge');
+const adSessions = require('../../advertising/adSessions');
+const { adNetworks } = require('../../advertising/adNetworks');
+const riskEngine = require('../../fraud/riskEngine');
+
+module.exports = [
+  {
+    name: 'validateAdCompletion',
+    aliases: ['completeAdWatch'],
+    auth: 'user',
+    rateLimit: { windowSeconds: 300, max: 10 },
+    schema: {
+      adCompletionData: { required: true, type: 'object' },
+      lotteryTypeId: { required: true, type: 'string', enum: Object.values(LOTTERY.TYPES) },
+      deviceId: { type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ adCompletionData, lotteryTypeId, deviceId }, { uid, rawRequest }) => {
+      const context = riskEngine.getRequestContext(rawRequest, deviceId);
+      const result = await adHandler.validateAdCompletion(adCompletionData, uid, lotteryTypeId, context);
+      let reward = null;
+
+      if (result.isValid) {
+        reward = await adHandler.processAdReward(uid, lotteryTypeId, result.risk);
+
+        logUserAction('ad_completion', uid, {
+          lotteryTypeId,
+          sessionId: adCompletionData.sessionId
+        });
+      }
+
+      return { success: true, result, reward };
+    }
+  },
+
+  {
+    name: 'startAdSession',
+    auth: 'user',
+    rateLimit: { windowSeconds: 300, max: 10 },
+    schema: {
+      networkId: { required: false, type: 'string', enum: Object.keys(adSessions.networks) },
+      lotteryTypeId: { required: false, type: 'string', enum: Object.values(LOTTERY.TYPES) }
+    },
+    handler: async ({ networkId, lotteryTypeId }, { uid }) => {
+      const session = await adSessions.startSession(uid, networkId, lotteryTypeId);
+      return { success: true, ...session };
+    }
+  },
+
+  {
+    name: 'completeAdSession',
+    auth: 'user',
+    rateLimit: { windowSeconds: 300, max: 10 },
+    schema: {
+      sessionId: { required: true, type: 'string', options: { maxLength: 128 } },
+      sessionToken: { required: true, type: 'string', options: { maxLength: 2048 } }
+    },
+    handler: async ({ sessionId, sessionToken }, { uid }) => {
+      const result = await adSessions.completeSession(uid, sessionId, sessionToken);
+      return { success: true, ...result };
+    }
+  },
+
+  {
+    name: 'cancelAdSession',
+    auth: 'user',
+    rateLimit: { windowSeconds: 300, max: 20 },
+    schema: {
+      sessionId: { required: true, type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ sessionId }, { uid }) => {
+      return adSessions.cancelSession(uid, sessionId);
+    }
+  },
+
+  {
+    name: 'requestAdChallenge',
+    auth: 'user',
+    rateLimit: { windowSeconds: 300, max: 10 },
+    schema: {
+      sessionId: { required: true, type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ sessionId }, { uid }) => {
+      const challenge = await adChallenge.issueChallenge(uid, sessionId);
+      return { success: true, ...challenge };
+    }
+  },
+
+  {
+    name: 'answerAdChallenge',
+    auth: 'user',
+    rateLimit: { windowSeconds: 300, max: 10 },
+    schema: {
+      challengeId: { required: true, type: 'string', options: { maxLength: 64 } },
+      answer: { required: true, type: 'string', options: { maxLength: 200 } }
+    },
+    handler: async ({ challengeId, answer }, { uid }) => {
+      const result = await adChallenge.answerChallenge(uid, challengeId, answer);
+
+      logUserAction('ad_challenge_answered', uid, {
+        challengeId,
+        passed: result.passed
+      });
+
+      return { success: true, challengeId, ...result };
+    }
+  },
+
+  {
+    name: 'getAdNetworkStatus',
+    auth: 'user',
+    handler: async (data, { uid }) => {
+      const userLimits = await adHandler.getUserAdStatistics(uid);
+
+      return {
+        networks: adNetworks.getSupportedNetworks(),
+        userLimits,
+        cooldownActive: !userLimits.cooldownStatus.allowed
+      };
+    }
+  }
+];
@@ -0,0 +1,197 @@
+const admin = require('firebase-admin');
+const { logger, logUserAction } = require('../../utils/logger');
+const { security } = require('../../utils/security');
+const { COLLECTIONS } = require('../../utils/constants');
+const { ValidationError, AuthorizationError } = require('../../middleware/errorHandler');
+const piNetworkConfig = require('../../config/piNetwork');
+const userManagement = require('../../admin/userManagement');
+const adminMfa = require('../../admin/adminMfa');
+
+/**
+ * Create or update the caller's Pi user profile
+ */
+const authenticateUser = {
+  name: 'authenticateUser',
+  auth: 'session',
+  rateLimit: { action: 'api_auth', windowSeconds: 300, max: 10 },
+  schema: {
+    piUID: { required: true, type: 'string', options: { maxLength: 128 } },
+    piUsername: { required: true, type: 'string', options: { maxLength: 64 } },
+    piAccessToken: { required: true, type: 'string', options: { maxLength: 2048 } }
+  },
+  handler: async ({ piUID, piUsername, piAccessToken }, { uid }) => {
+    // Refunds and prizes are paid to this Pi uid, so it must come from Pi rather than the client
+    const piUser = await piNetworkConfig.verifyAccessToken(piAccessToken);
+    if (!piUser || piUser.uid !== piUID) {
+      throw new AuthorizationError('Pi access token does not belong to this Pi account');
+    }
+
+    const userRef = admin.firestore().collection(COLLECTIONS.USERS).doc(uid);
+    const userDoc = await userRef.get();
+
+    const userData = {
+      piUID,
+      piUsername: piUsername.toLowerCase(),
+      piAccessToken: piAccessToken ? security.maskSensitiveData(piAccessToken) : null,
+      authMethod: 'pi-network-anonymous',
+      firebaseUID: uid,
+      lastLogin: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      status: 'active'
+    };
+
+    if (userDoc.exists) {
+      await userRef.update(userData);
+      logger.info('User profile updated', { uid, piUID });
+    } else {
+      await userRef.set({
+        ...userData,
+        totalEntries: 0,
+        totalWinnings: 0,
+        lotteriesWon: 0,
+        winRate: 0,
+        preferences: {
+          notifications: true,
+          marketing: false
+        },
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      logger.info('New user profile created', { uid, piUID });
+
+      logUserAction('user_registration', uid, {
+        piUID,
+        piUsername,
+        registrationMethod: 'pi_network'
+      });
+    }
+
+    return {
+      success: true,
+      user: {
+        uid,
+        piUID,
+        piUsername: userData.piUsername
+      }
+    };
+  }
+};
+
+module.exports = [
+  authenticateUser,
+
+  // Name used by the legacy entry point
+  { ...authenticateUser, name: 'authenticatePiUser' },
+
+  {
+    name: 'refreshUserSession',
+    auth: 'user',
+    handler: async (data, { uid, user }) => {
+      await admin.firestore()
+        .collection(COLLECTIONS.USERS)
+        .doc(uid)
+        .update({
+          lastActivity: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+      return {
+        success: true,
+        user,
+        sessionRefreshed: true
+      };
+    }
+  },
+
+  {
+    name: 'authenticateAdmin',
+    auth: 'admin',
+    mfa: 'none',
+    rateLimit: { action: 'api_auth', windowSeconds: 300, max: 10 },
+    handler: async (data, { uid, admin: adminData, auth }) => {
+      await userManagement.trackAdminLogin(uid);
+
+      // The client asks for a code when mfa.enabled && !mfa.sessionVerified
+      return {
+        success: true,
+        admin: adminData,
+        mfa: await adminMfa.getStatus(uid, auth.token)
+      };
+    }
+  },
+
+  {
+    name: 'getMfaStatus',
+    auth: 'admin',
+    mfa: 'none',
+    handler: async (data, { uid, auth }) => {
+      return { success: true, mfa: await adminMfa.getStatus(uid, auth.token) };
+    }
+  },
+
+  {
+    name: 'startMfaEnrollment',
+    auth: 'admin',
+    mfa: 'none',
+    rateLimit: { action: 'api_mfa' },
+    handler: async (data, { uid, admin: adminData }) => {
+      const enrollment = await adminMfa.startEnrollment(uid, adminData.email);
+      return { success: true, ...enrollment };
+    }
+  },
+
+  {
+    name: 'confirmMfaEnrollment',
+    auth: 'admin',
+    mfa: 'none',
+    rateLimit: { action: 'api_mfa' },
+    schema: {
+      code: { required: true, type: 'string', options: { maxLength: 10 } }
+    },
+    handler: async ({ code }, { uid, auth }) => {
+      const result = await adminMfa.confirmEnrollment(uid, auth.token, code);
+      return { success: true, ...result };
+    }
+  },
+
+  {
+    name: 'verifyMfa',
+    auth: 'admin',
+    mfa: 'none',
+    rateLimit: { action: 'api_mfa' },
+    schema: {
+      code: { type: 'string', options: { maxLength: 10 } },
+      recoveryCode: { type: 'string', options: { maxLength: 20 } }
+    },
+    handler: async ({ code, recoveryCode }, { uid, auth }) => {
+      if (!code && !recoveryCode) {
+        throw new ValidationError('A verification code or a recovery code is required');
+      }
+
+      const result = await adminMfa.verify(uid, auth.token, code ? { code } : { recoveryCode });
+      return { success: true, ...result };
+    }
+  },
+
+  {
+    name: 'regenerateMfaRecoveryCodes',
+    auth: 'admin',
+    mfa: 'fresh',
+    rateLimit: { action: 'api_mfa' },
+    handler: async (data, { uid }) => {
+      const result = await adminMfa.regenerateRecoveryCodes(uid);
+      return { success: true, ...result };
+    }
+  },
+
+  {
+    name: 'disableMfa',
+    auth: 'admin',
+    mfa: 'fresh',
+    schema: {
+      targetAdminId: { type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ targetAdminId }, { uid }) => {
+      const result = await adminMfa.disable(uid, targetAdminId || uid);
+      return { success: true, ...result };
+    }
+  }
+];
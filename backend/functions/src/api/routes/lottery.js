@@ -0,0 +1,161 @@
+const admin = require('firebase-admin');
+const functions = require('firebase-functions');
+const { logUserAction } = require('../../utils/logger');
+const { lotteryQueries } = require('../../utils/database');
+const { COLLECTIONS, LOTTERY } = require('../../utils/constants');
+const lotteryService = require('../../lottery/lotteryService');
+const riskEngine = require('../../fraud/riskEngine');
+const drawingEngine = require('../../lottery/drawingEngine');
+const configManager = require('../../admin/configManager');
+
+const lotteryInstanceSchema = {
+  lotteryInstanceId: { required: true, type: 'string', options: { maxLength: 128 } }
+};
+
+/**
+ * Map drawing engine lookups that failed on state to client error codes
+ */
+function mapDrawingError(error) {
+  if (error.message === 'Lottery instance not found') {
+    return new functions.https.HttpsError('not-found', error.message);
+  }
+  if (error.message === 'Lottery entries have not been frozen yet') {
+    return new functions.https.HttpsError('failed-precondition', error.message);
+  }
+  return error;
+}
+
+module.exports = [
+  {
+    name: 'getLotteryConfig',
+    auth: 'public',
+    handler: async () => {
+      const config = await configManager.getPlatformConfig();
+      return { success: true, config };
+    }
+  },
+
+  {
+    name: 'getLotteryStatus',
+    auth: 'public',
+    schema: {
+      lotteryTypeId: { required: true, type: 'string', enum: Object.values(LOTTERY.TYPES) }
+    },
+    handler: async ({ lotteryTypeId }) => {
+      const activeLotteries = await lotteryQueries.getActiveLotteries();
+      const targetLottery = activeLotteries.find(lottery => lottery.lotteryTypeId === lotteryTypeId);
+
+      if (!targetLottery) {
+        return {
+          active: false,
+          lotteryTypeId,
+          message: 'No active lottery found for this type'
+        };
+      }
+
+      const entries = await lotteryQueries.getLotteryEntries(targetLottery.id);
+      const uniqueParticipants = new Set(entries.map(entry => entry.userId)).size;
+
+      return {
+        active: true,
+        lottery: {
+          id: targetLottery.id,
+          lotteryTypeId: targetLottery.lotteryTypeId,
+          status: targetLottery.status,
+          participants: targetLottery.participants,
+          uniqueParticipants,
+          prizePool: targetLottery.prizePool,
+          scheduledDrawTime: targetLottery.scheduledDrawTime,
+          minParticipants: targetLottery.minParticipants,
+          extensionCount: targetLottery.extensionCount || 0
+        }
+      };
+    }
+  },
+
+  {
+    name: 'enterLottery',
+    auth: 'user',
+    rateLimit: { windowSeconds: 60, max: 5 },
+    schema: {
+      lotteryTypeId: { required: true, type: 'string', enum: Object.values(LOTTERY.TYPES) },
+      entryMethod: { required: true, type: 'string', enum: Object.values(LOTTERY.ENTRY_METHODS) },
+      ticketCount: { type: 'number', options: { min: 1, max: 100, integer: true } },
+      paymentData: { type: 'object' },
+      deviceId: { type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async (data, { uid, rawRequest }) => {
+      const { lotteryTypeId, entryMethod, ticketCount = 1, paymentData = null } = data;
+      const context = riskEngine.getRequestContext(rawRequest, data.deviceId);
+      const result = await lotteryService.enterLottery(
+        lotteryTypeId, uid, entryMethod, ticketCount, paymentData, context
+      );
+
+      logUserAction('lottery_entry', uid, {
+        lotteryTypeId,
+        entryMethod,
+        ticketCount,
+        entryId: result.entryId
+      });
+
+      return result;
+    }
+  },
+
+  {
+    name: 'getUserLotteryHistory',
+    auth: 'user',
+    schema: {
+      limit: { type: 'number', options: { min: 1, max: 100, integer: true } },
+      offset: { type: 'number', options: { min: 0, integer: true } }
+    },
+    handler: async ({ limit = 20, offset = 0 }, { uid }) => {
+      const userEntries = await lotteryQueries.getUserEntries(uid);
+
+      const userWinnings = await admin.firestore()
+        .collection(COLLECTIONS.LOTTERY_WINNERS)
+        .where('userId', '==', uid)
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+
+      const winnings = [];
+      userWinnings.forEach(doc => {
+        winnings.push({ id: doc.id, ...doc.data() });
+      });
+
+      return {
+        entries: userEntries.slice(offset, offset + limit),
+        winnings,
+        totalEntries: userEntries.length,
+        totalWinnings: winnings.length
+      };
+    }
+  },
+
+  {
+    name: 'getDrawingVerification',
+    auth: 'public',
+    schema: lotteryInstanceSchema,
+    handler: async ({ lotteryInstanceId }) => {
+      try {
+        return await drawingEngine.getDrawingVerification(lotteryInstanceId);
+      } catch (error) {
+        throw mapDrawingError(error);
+      }
+    }
+  },
+
+  {
+    name: 'getEntryInclusionProof',
+    auth: 'user',
+    schema: lotteryInstanceSchema,
+    handler: async ({ lotteryInstanceId }, { uid }) => {
+      try {
+        return await drawingEngine.getTicketInclusionProofs(lotteryInstanceId, uid);
+      } catch (error) {
+        throw mapDrawingError(error);
+      }
+    }
+  }
+];
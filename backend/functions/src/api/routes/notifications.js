@@ -0,0 +1,42 @@
+const pushService = require('../../notifications/pushService');
+
+module.exports = [
+  {
+    name: 'getPushConfig',
+    auth: 'user',
+    handler: async () => {
+      return {
+        enabled: pushService.getSettings().enabled,
+        vapidPublicKey: pushService.getPublicKey()
+      };
+    }
+  },
+
+  {
+    name: 'registerPushSubscription',
+    auth: 'user',
+    rateLimit: { windowSeconds: 300, max: 10 },
+    schema: {
+      subscription: { required: true, type: 'object' },
+      deviceId: { required: false, type: 'string', options: { maxLength: 128 } },
+      userAgent: { required: false, type: 'string', options: { maxLength: 512 } }
+    },
+    handler: async ({ subscription, deviceId, userAgent }, { uid }) => {
+      const result = await pushService.saveSubscription(uid, subscription, { deviceId, userAgent });
+      return { success: true, ...result };
+    }
+  },
+
+  {
+    name: 'unregisterPushSubscription',
+    auth: 'user',
+    rateLimit: { windowSeconds: 300, max: 10 },
+    schema: {
+      endpoint: { required: true, type: 'string', options: { maxLength: 2048 } }
+    },
+    handler: async ({ endpoint }, { uid }) => {
+      const result = await pushService.removeSubscription(uid, endpoint);
+      return { success: true, ...result };
+    }
+  }
+];
@@ -0,0 +1,53 @@
+const { logger } = require('../../utils/logger');
+const { paymentValidator } = require('../../utils/validators');
+const piPaymentHandler = require('../../payments/piPaymentHandler');
+const riskEngine = require('../../fraud/riskEngine');
+
+module.exports = [
+  {
+    name: 'approvePayment',
+    auth: 'user',
+    rateLimit: { windowSeconds: 60, max: 10 },
+    schema: {
+      paymentId: { required: true, type: 'string', options: { maxLength: 128 } },
+      paymentData: { type: 'object' },
+      amount: { type: 'number' },
+      memo: { type: 'string' },
+      metadata: { type: 'object' },
+      deviceId: { type: 'string', options: { maxLength: 128 } }
+    },
+    validate: (data) => {
+      // The Pi SDK callback sends the payment as paymentData; older clients sent the fields at the top level
+      const paymentData = data.paymentData || {
+        amount: data.amount,
+        memo: data.memo,
+        metadata: data.metadata
+      };
+
+      paymentValidator.validatePayment(paymentData);
+
+      return { paymentId: data.paymentId, paymentData, deviceId: data.deviceId };
+    },
+    handler: async ({ paymentId, paymentData, deviceId }, { uid, rawRequest }) => {
+      logger.info('Payment approval request', { userId: uid, paymentId, amount: paymentData.amount });
+
+      const context = riskEngine.getRequestContext(rawRequest, deviceId);
+      return await piPaymentHandler.handlePaymentApproval(paymentId, uid, paymentData, context);
+    }
+  },
+
+  {
+    name: 'completePayment',
+    auth: 'user',
+    rateLimit: { windowSeconds: 60, max: 10 },
+    schema: {
+      paymentId: { required: true, type: 'string', options: { maxLength: 128 } },
+      txid: { required: true, type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ paymentId, txid }, { uid }) => {
+      logger.info('Payment completion request', { userId: uid, paymentId, txid });
+
+      return await piPaymentHandler.handlePaymentCompletion(paymentId, txid, uid);
+    }
+  }
+];
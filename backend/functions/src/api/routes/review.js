@@ -0,0 +1,104 @@
+const { logAdminAction } = require('../../utils/logger');
+const { ADMIN_PERMISSIONS } = require('../../utils/constants');
+const reviewQueue = require('../../admin/reviewQueue');
+
+const caseIdField = { required: true, type: 'string', options: { maxLength: 256 } };
+
+module.exports = [
+  {
+    name: 'getReviewQueue',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.APPROVE_PRIZES,
+    schema: {
+      status: { type: 'string', enum: reviewQueue.statuses },
+      type: { type: 'string', enum: reviewQueue.caseTypes },
+      assignedTo: { type: 'string', options: { maxLength: 128 } },
+      limit: { type: 'number', options: { min: 1, max: 200, integer: true } }
+    },
+    handler: async ({ status = null, type = null, assignedTo = null, limit = 50 }) => {
+      const cases = await reviewQueue.getQueue({ status, type, assignedTo, limit });
+      return { success: true, cases };
+    }
+  },
+
+  {
+    name: 'getReviewCase',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.APPROVE_PRIZES,
+    schema: { caseId: caseIdField },
+    handler: async ({ caseId }) => {
+      return { success: true, case: await reviewQueue.getCase(caseId) };
+    }
+  },
+
+  {
+    name: 'assignReviewCase',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.APPROVE_PRIZES,
+    schema: {
+      caseId: caseIdField,
+      // Defaults to the calling admin; pass unassign to put the case back in the pool
+      assigneeId: { type: 'string', options: { maxLength: 128 } },
+      unassign: { type: 'boolean' }
+    },
+    handler: async ({ caseId, assigneeId, unassign = false }, { uid }) => {
+      const assignee = unassign ? null : assigneeId || uid;
+      const result = await reviewQueue.assign(caseId, assignee, uid);
+
+      logAdminAction('assign_review_case', uid, { caseId, assigneeId: assignee });
+
+      return result;
+    }
+  },
+
+  {
+    name: 'commentOnReviewCase',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.APPROVE_PRIZES,
+    rateLimit: { windowSeconds: 60, max: 30 },
+    schema: {
+      caseId: caseIdField,
+      comment: { required: true, type: 'string', options: { maxLength: 2000 } }
+    },
+    handler: async ({ caseId, comment }, { uid }) => {
+      return await reviewQueue.comment(caseId, comment, uid);
+    }
+  },
+
+  {
+    name: 'escalateReviewCase',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.APPROVE_PRIZES,
+    schema: {
+      caseId: caseIdField,
+      reason: { required: true, type: 'string', options: { maxLength: 1000 } },
+      assigneeId: { type: 'string', options: { maxLength: 128 } }
+    },
+    handler: async ({ caseId, reason, assigneeId = null }, { uid }) => {
+      const result = await reviewQueue.escalate(caseId, reason, uid, assigneeId);
+
+      logAdminAction('escalate_review_case', uid, { caseId, reason, assigneeId });
+
+      return result;
+    }
+  },
+
+  {
+    name: 'resolveReviewCase',
+    auth: 'admin',
+    permission: ADMIN_PERMISSIONS.APPROVE_PRIZES,
+    mfa: 'fresh',
+    schema: {
+      caseId: caseIdField,
+      decision: { required: true, type: 'string', enum: ['approve', 'reject'] },
+      notes: { type: 'string', options: { maxLength: 1000, allowEmpty: true } }
+    },
+    handler: async ({ caseId, decision, notes = '' }, { uid }) => {
+      const result = await reviewQueue.resolve(caseId, decision, notes, uid);
+
+      logAdminAction('resolve_review_case', uid, { caseId, decision, status: result.status });
+
+      return result;
+    }
+  }
+];
@@ -0,0 +1,47 @@
+const admin = require('firebase-admin');
+
+/**
+ * Store client-reported records, stamped with the caller and server time
+ */
+async function storeClientRecords(collection, records, uid) {
+  const db = admin.firestore();
+  const batch = db.batch();
+
+  records.forEach(record => {
+    batch.set(db.collection(collection).doc(), {
+      ...(record && typeof record === 'object' ? record : { value: record }),
+      userId: uid || null,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+
+  await batch.commit();
+}
+
+module.exports = [
+  {
+    name: 'logErrors',
+    auth: 'public',
+    rateLimit: { windowSeconds: 60, max: 20 },
+    schema: {
+      errors: { required: true, type: 'array', options: { maxLength: 50 } }
+    },
+    handler: async ({ errors }, { uid }) => {
+      await storeClientRecords('error_logs', errors, uid);
+      return { success: true };
+    }
+  },
+
+  {
+    name: 'logPerformance',
+    auth: 'public',
+    rateLimit: { windowSeconds: 60, max: 20 },
+    schema: {
+      metrics: { required: true, type: 'array', options: { maxLength: 50 } }
+    },
+    handler: async ({ metrics }, { uid }) => {
+      await storeClientRecords('performance_logs', metrics, uid);
+      return { success: true };
+    }
+  }
+];
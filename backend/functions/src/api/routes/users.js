@@ -0,0 +1,90 @@
+const admin = require('firebase-admin');
+const functions = require('firebase-functions');
+const { logger, logUserAction } = require('../../utils/logger');
+const { COLLECTIONS } = require('../../utils/constants');
+const { ValidationError } = require('../../middleware/errorHandler');
+const lotteryService = require('../../lottery/lotteryService');
+
+const PROFILE_FIELDS = ['displayName', 'preferences', 'notifications'];
+
+module.exports = [
+  {
+    name: 'getUserProfile',
+    auth: 'user',
+    handler: async (data, { uid }) => {
+      const userProfile = await admin.firestore()
+        .collection(COLLECTIONS.USERS)
+        .doc(uid)
+        .get();
+
+      if (!userProfile.exists) {
+        throw new functions.https.HttpsError('not-found', 'User profile not found');
+      }
+
+      const sanitizedData = { ...userProfile.data() };
+      delete sanitizedData.piAccessToken;
+
+      return {
+        profile: sanitizedData,
+        retrieved: true
+      };
+    }
+  },
+
+  {
+    name: 'updateUserProfile',
+    auth: 'user',
+    rateLimit: { windowSeconds: 60, max: 10 },
+    schema: {
+      profileUpdates: { required: true, type: 'object' }
+    },
+    handler: async ({ profileUpdates }, { uid }) => {
+      const sanitizedUpdates = {};
+
+      Object.entries(profileUpdates).forEach(([key, value]) => {
+        if (PROFILE_FIELDS.includes(key)) {
+          sanitizedUpdates[key] = value;
+        }
+      });
+
+      if (Object.keys(sanitizedUpdates).length === 0) {
+        throw new ValidationError('No valid fields to update');
+      }
+
+      await admin.firestore()
+        .collection(COLLECTIONS.USERS)
+        .doc(uid)
+        .update({
+          ...sanitizedUpdates,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+      logUserAction('update_profile', uid, {
+        updatedFields: Object.keys(sanitizedUpdates)
+      });
+
+      logger.info('User profile updated successfully', {
+        userId: uid,
+        updatedFields: Object.keys(sanitizedUpdates)
+      });
+
+      return {
+        success: true,
+        updatedFields: Object.keys(sanitizedUpdates)
+      };
+    }
+  },
+
+  {
+    name: 'getUserStats',
+    auth: 'user',
+    handler: async (data, { uid }) => {
+      const stats = await lotteryService.getUserLotteryStats(uid);
+
+      return {
+        stats,
+        retrieved: true
+      };
+    }
+  }
+];
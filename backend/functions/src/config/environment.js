@@ -24,10 +24,15 @@ class EnvironmentConfig {
 
       // Pi Network Configuration
       piNetwork: {
-        apiBaseUrl: this.environment === 'production' 
-          ? 'https://api.minepi.com' 
-          : 'https://api.minepi.com/v2',
+        apiBaseUrl: functions.config().pi?.api_base_url || process.env.PI_API_BASE_URL || 'https://api.minepi.com',
         apiKey: functions.config().pi?.api_key || process.env.PI_API_KEY,
+        walletPrivateSeed: functions.config().pi?.wallet_private_seed || process.env.PI_WALLET_PRIVATE_SEED,
+        client: functions.config().pi?.client || process.env.PI_PLATFORM_CLIENT || 'api',
+        horizonUrl: functions.config().pi?.horizon_url || process.env.PI_HORIZON_URL ||
+          (this.environment === 'production' ? 'https://api.mainnet.minepi.com' : 'https://api.testnet.minepi.com'),
+        appWalletAddress: functions.config().pi?.app_wallet_address || process.env.PI_APP_WALLET_ADDRESS,
+        minConfirmations: Number(functions.config().pi?.min_confirmations || process.env.PI_MIN_CONFIRMATIONS || 1),
+        requestTimeout: 20000,
         sandbox: this.environment !== 'production',
         webhookSecret: functions.config().pi?.webhook_secret || process.env.PI_WEBHOOK_SECRET,
         sdkVersion: '2.0'
@@ -58,7 +63,9 @@ class EnvironmentConfig {
         connectionPoolSize: this.environment === 'production' ? 10 : 5,
         queryTimeout: 30000, // 30 seconds
         retryAttempts: 3,
-        backupRetention: 30 // days
+        backupRetention: 30, // days
+        // Read backups at a single snapshot time (needs point-in-time recovery on the database)
+        pointInTimeReads: process.env.FIRESTORE_PITR_ENABLED === 'true'
       },
 
       // Logging Configuration
@@ -77,7 +84,8 @@ class EnvironmentConfig {
         functionTimeout: 540, // seconds (9 minutes max for Firebase Functions)
         memoryLimit: 512, // MB
         rateLimiting: {
-          enabled: true,
+          enabled: functions.config().rate_limit?.enabled !== 'false',
+          store: functions.config().rate_limit?.store || process.env.RATE_LIMIT_STORE || 'firestore',
           windowMs: 15 * 60 * 1000, // 15 minutes
           maxRequests: 100
         }
@@ -96,6 +104,60 @@ class EnvironmentConfig {
         }
       },
 
+      // Advertising: signed reward callbacks from ad networks (server-side verification).
+      // mode "local" verifies against localAdmobPublicKey / unitySecret instead of Google's published keys.
+      advertising: {
+        ssv: {
+          enabled: (functions.config().ad_ssv?.enabled || process.env.AD_SSV_ENABLED) === 'true',
+          mode: functions.config().ad_ssv?.mode || process.env.AD_SSV_MODE || 'live',
+          admobKeysUrl: 'https://www.gstatic.com/admob/reward/verifier-keys.json',
+          admobKeysCacheMs: 24 * 60 * 60 * 1000,
+          localAdmobKeyId: functions.config().ad_ssv?.local_admob_key_id || process.env.AD_SSV_LOCAL_ADMOB_KEY_ID,
+          localAdmobPublicKey: functions.config().ad_ssv?.local_admob_public_key ||
+            process.env.AD_SSV_LOCAL_ADMOB_PUBLIC_KEY,
+          unitySecret: functions.config().ad_ssv?.unity_secret || process.env.UNITY_SSV_SECRET
+        }
+      },
+
+      // Notification delivery. Email transport is "smtp", "api" (SendGrid-compatible HTTP API),
+      // "file" (writes .eml files) or "memory" (kept in process, for tests and the emulator).
+      notifications: {
+        email: {
+          enabled: (functions.config().email?.enabled || process.env.EMAIL_ENABLED) === 'true',
+          transport: functions.config().email?.transport || process.env.EMAIL_TRANSPORT || 'memory',
+          from: functions.config().email?.from || process.env.EMAIL_FROM || 'Pi Lottery <no-reply@pilottery.app>',
+          replyTo: functions.config().email?.reply_to || process.env.EMAIL_REPLY_TO || 'support@pilottery.app',
+          smtp: {
+            host: functions.config().email?.smtp_host || process.env.SMTP_HOST,
+            port: Number(functions.config().email?.smtp_port || process.env.SMTP_PORT || 587),
+            secure: (functions.config().email?.smtp_secure || process.env.SMTP_SECURE) === 'true',
+            user: functions.config().email?.smtp_user || process.env.SMTP_USER,
+            pass: functions.config().email?.smtp_pass || process.env.SMTP_PASS
+          },
+          api: {
+            url: functions.config().email?.api_url || process.env.EMAIL_API_URL || 'https://api.sendgrid.com/v3/mail/send',
+            key: functions.config().email?.api_key || process.env.EMAIL_API_KEY
+          },
+          fileDirectory: functions.config().email?.file_directory || process.env.EMAIL_FILE_DIRECTORY || '/tmp/emails',
+          appUrl: functions.config().app?.url || process.env.APP_URL || 'https://pilottery.app',
+          unsubscribeUrl: functions.config().email?.unsubscribe_url || process.env.EMAIL_UNSUBSCRIBE_URL,
+          unsubscribeSecret: functions.config().email?.unsubscribe_secret || process.env.EMAIL_UNSUBSCRIBE_SECRET ||
+            functions.config().security?.jwt_secret || process.env.JWT_SECRET,
+          // SendGrid signed event webhook verification key (base64 DER public key from the SendGrid settings)
+          webhookPublicKey: functions.config().email?.webhook_public_key || process.env.EMAIL_WEBHOOK_PUBLIC_KEY,
+          softBounceLimit: 3
+        },
+        // Web Push: generate a key pair once with `npx web-push generate-vapid-keys`
+        push: {
+          enabled: (functions.config().push?.enabled || process.env.PUSH_ENABLED) === 'true',
+          vapidPublicKey: functions.config().push?.vapid_public_key || process.env.VAPID_PUBLIC_KEY,
+          vapidPrivateKey: functions.config().push?.vapid_private_key || process.env.VAPID_PRIVATE_KEY,
+          subject: functions.config().push?.subject || process.env.VAPID_SUBJECT || 'mailto:support@pilottery.app',
+          ttlSeconds: 24 * 60 * 60,
+          maxFailures: 5
+        }
+      },
+
       // Feature Flags
       features: {
         adLottery: functions.config().features?.ad_lottery !== 'false',
@@ -244,6 +306,11 @@ class EnvironmentConfig {
       console.warn('Warning: Pi Network sandbox mode is enabled in production environment');
     }
 
+    // Payment verification and A2U payouts check this themselves and refuse to run without it
+    if (!this.config.piNetwork.appWalletAddress) {
+      console.warn('Warning: Pi app wallet address is not configured; payments and payouts will be held');
+    }
+
     // Validate security configuration
     if (this.config.security.jwtSecret && this.config.security.jwtSecret.length < 32) {
       throw new Error('JWT secret must be at least 32 characters long');
@@ -348,6 +415,20 @@ class EnvironmentConfig {
     return this.config.performance;
   }
 
+  /**
+   * Get advertising configuration
+   */
+  getAdvertisingConfig() {
+    return this.config.advertising;
+  }
+
+  /**
+   * Get notification delivery configuration
+   */
+  getNotificationConfig() {
+    return this.config.notifications;
+  }
+
   /**
    * Update configuration at runtime (for feature flags, etc.)
    */
@@ -378,6 +459,11 @@ class EnvironmentConfig {
       delete safeConfig.security.encryptionKey;
       delete safeConfig.piNetwork.apiKey;
       delete safeConfig.piNetwork.webhookSecret;
+      delete safeConfig.piNetwork.walletPrivateSeed;
+      delete safeConfig.notifications.email.smtp.pass;
+      delete safeConfig.notifications.email.api.key;
+      delete safeConfig.notifications.email.unsubscribeSecret;
+      delete safeConfig.notifications.push.vapidPrivateKey;
       return safeConfig;
     }
   }
@@ -1 +1,297 @@
+const axios = require('axios');
+const { logger } = require('../utils/logger');
 
+/**
+ * Pi Platform API client.
+ * U2A calls go straight to the REST API; A2U submission is signed with the app wallet via pi-backend.
+ */
+class PiPlatformApiClient {
+  constructor({ apiBaseUrl, apiKey, walletPrivateSeed, requestTimeout }) {
+    this.apiKey = apiKey;
+    this.walletPrivateSeed = walletPrivateSeed;
+    this.http = axios.create({
+      baseURL: apiBaseUrl,
+      timeout: requestTimeout,
+      headers: {
+        'Authorization': `Key ${apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    this.walletClient = null;
+  }
+
+  /**
+   * Lazily create the pi-backend client, which needs the app wallet seed
+   */
+  getWalletClient() {
+    if (!this.walletClient) {
+      if (!this.walletPrivateSeed) {
+        throw new Error('Pi wallet private seed is not configured');
+      }
+
+      const PiNetwork = require('pi-backend').default;
+      this.walletClient = new PiNetwork(this.apiKey, this.walletPrivateSeed);
+    }
+
+    return this.walletClient;
+  }
+
+  /**
+   * Get the Pi user an access token belongs to
+   */
+  async getUser(accessToken) {
+    const response = await this.http.get('/v2/me', {
+      headers: { 'Authorization': `Bearer ${accessToken}` }
+    });
+    return response.data;
+  }
+
+  /**
+   * Fetch a payment by identifier
+   */
+  async getPayment(paymentId) {
+    const response = await this.http.get(`/v2/payments/${paymentId}`);
+    return response.data;
+  }
+
+  /**
+   * Approve a user-to-app payment
+   */
+  async approvePayment(paymentId) {
+    const response = await this.http.post(`/v2/payments/${paymentId}/approve`);
+    return response.data;
+  }
+
+  /**
+   * Complete a payment with its blockchain txid
+   */
+  async completePayment(paymentId, txid) {
+    const response = await this.http.post(`/v2/payments/${paymentId}/complete`, { txid });
+    return response.data;
+  }
+
+  /**
+   * Cancel a payment
+   */
+  async cancelPayment(paymentId) {
+    const response = await this.http.post(`/v2/payments/${paymentId}/cancel`);
+    return response.data;
+  }
+
+  /**
+   * Create an app-to-user payment
+   */
+  async createA2UPayment({ uid, amount, memo, metadata }) {
+    const response = await this.http.post('/v2/payments', {
+      payment: { uid, amount, memo, metadata }
+    });
+    return response.data;
+  }
+
+  /**
+   * Sign and submit an app-to-user payment transaction
+   */
+  async submitA2UPayment(paymentId) {
+    return await this.getWalletClient().submitPayment(paymentId);
+  }
+
+  /**
+   * List app-to-user payments that are not completed yet
+   */
+  async getIncompleteServerPayments() {
+    const response = await this.http.get('/v2/payments/incomplete_server_payments');
+    return response.data.incomplete_server_payments || [];
+  }
+}
+
+/**
+ * Pi Network configuration and payment operations
+ */
+class PiNetworkConfig {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Get the active Pi Platform client, building it from configuration on first use.
+   * Set pi.client (or PI_PLATFORM_CLIENT) to "stub" to run against the in-memory stub.
+   */
+  getClient() {
+    if (!this.client) {
+      const settings = require('./environment').getPiNetworkConfig();
+
+      if (settings.client === 'stub') {
+        const StubPiPlatformClient = require('./piNetworkStub');
+        this.client = new StubPiPlatformClient();
+        logger.warn('Using stub Pi Platform client');
+      } else {
+        this.client = new PiPlatformApiClient(settings);
+      }
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Replace the Pi Platform client (used by tests and the emulator)
+   */
+  setClient(client) {
+    this.client = client;
+  }
+
+  /**
+   * Verify a user's access token with the Pi Platform.
+   * Returns the token's Pi user as { uid, username }, or null when the token is not accepted.
+   */
+  async verifyAccessToken(accessToken) {
+    try {
+      const user = await this.getClient().getUser(accessToken);
+      return user && user.uid ? { uid: user.uid, username: user.username } : null;
+    } catch (error) {
+      logger.warn(`Pi access token verification failed: ${this.getErrorMessage(error)}`);
+      return null;
+    }
+  }
+
+  /**
+   * Validate an incoming user-to-app payment
+   */
+  async validatePayment(paymentId) {
+    try {
+      const payment = await this.getClient().getPayment(paymentId);
+
+      if (!payment) {
+        return { isValid: false, error: 'Payment not found' };
+      }
+
+      if (payment.direction && payment.direction !== 'user_to_app') {
+        return { isValid: false, error: 'Unexpected payment direction', payment };
+      }
+
+      if (payment.status?.cancelled || payment.status?.user_cancelled) {
+        return { isValid: false, error: 'Payment was cancelled', payment };
+      }
+
+      return { isValid: true, payment };
+    } catch (error) {
+      logger.error(`Failed to validate Pi payment ${paymentId}:`, error);
+      return { isValid: false, error: this.getErrorMessage(error) };
+    }
+  }
+
+  /**
+   * Approve a user-to-app payment
+   */
+  async approvePayment(paymentId) {
+    try {
+      const payment = await this.getClient().approvePayment(paymentId);
+      return { success: true, payment };
+    } catch (error) {
+      logger.error(`Failed to approve Pi payment ${paymentId}:`, error);
+      return { success: false, error: this.getErrorMessage(error) };
+    }
+  }
+
+  /**
+   * Complete a payment once its transaction is on chain
+   */
+  async completePayment(paymentId, txid) {
+    try {
+      const payment = await this.getClient().completePayment(paymentId, txid);
+      return { success: true, payment };
+    } catch (error) {
+      logger.error(`Failed to complete Pi payment ${paymentId}:`, error);
+      return { success: false, error: this.getErrorMessage(error) };
+    }
+  }
+
+  /**
+   * Cancel a payment
+   */
+  async cancelPayment(paymentId, reason = null) {
+    try {
+      const payment = await this.getClient().cancelPayment(paymentId);
+      logger.info(`Pi payment ${paymentId} cancelled${reason ? `: ${reason}` : ''}`);
+      return { success: true, payment };
+    } catch (error) {
+      logger.error(`Failed to cancel Pi payment ${paymentId}:`, error);
+      return { success: false, error: this.getErrorMessage(error) };
+    }
+  }
+
+  /**
+   * Get a simplified payment status
+   */
+  async getPaymentStatus(paymentId) {
+    try {
+      const payment = await this.getClient().getPayment(paymentId);
+      return {
+        status: this.mapPaymentStatus(payment),
+        transaction: payment.transaction || null,
+        payment
+      };
+    } catch (error) {
+      logger.error(`Failed to get Pi payment status ${paymentId}:`, error);
+      return { status: 'unknown', error: this.getErrorMessage(error) };
+    }
+  }
+
+  /**
+   * Get the full payment object from the Pi Platform
+   */
+  async getPayment(paymentId) {
+    return await this.getClient().getPayment(paymentId);
+  }
+
+  /**
+   * Create an app-to-user payment. Returns the Pi payment object.
+   */
+  async createA2UPayment(paymentData) {
+    return await this.getClient().createA2UPayment(paymentData);
+  }
+
+  /**
+   * Sign and submit an app-to-user payment to the blockchain. Returns the txid.
+   */
+  async submitA2UPayment(paymentId) {
+    return await this.getClient().submitA2UPayment(paymentId);
+  }
+
+  /**
+   * Mark an app-to-user payment as complete
+   */
+  async completeA2UPayment(paymentId, txid) {
+    return await this.getClient().completePayment(paymentId, txid);
+  }
+
+  /**
+   * List app-to-user payments that were created but never completed
+   */
+  async getIncompleteServerPayments() {
+    return await this.getClient().getIncompleteServerPayments();
+  }
+
+  /**
+   * Map Pi payment status flags to a single status
+   */
+  mapPaymentStatus(payment) {
+    const status = payment?.status || {};
+
+    if (status.cancelled || status.user_cancelled) return 'cancelled';
+    if (status.developer_completed) return 'completed';
+    if (status.transaction_verified) return 'verified';
+    if (status.developer_approved) return 'approved';
+    return 'pending';
+  }
+
+  /**
+   * Extract a readable message from Pi Platform API errors
+   */
+  getErrorMessage(error) {
+    return error.response?.data?.error_message ||
+      error.response?.data?.error ||
+      error.message;
+  }
+}
+
+module.exports = new PiNetworkConfig();
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the Pi Platform API.
+ * Implements the same methods as the real client so tests and the emulator can run without Pi credentials.
+ */
+class StubPiPlatformClient {
+  constructor() {
+    this.payments = new Map();
+    this.users = new Map();
+    this.failures = new Map();
+  }
+
+  /**
+   * Register a Pi user and return an access token for it
+   */
+  addUser({ uid, username, accessToken }) {
+    const token = accessToken || crypto.randomBytes(16).toString('hex');
+    this.users.set(token, { uid, username });
+    return token;
+  }
+
+  /**
+   * Make the next call to a method throw with the given message
+   */
+  failNext(method, message = 'Stub failure') {
+    const queue = this.failures.get(method) || [];
+    queue.push(message);
+    this.failures.set(method, queue);
+  }
+
+  /**
+   * Seed a user-to-app payment, as if the user had started it from the Pi app
+   */
+  addUserPayment({ identifier, uid, amount, memo = '', metadata = {} }) {
+    const payment = this.buildPayment({
+      identifier,
+      uid,
+      amount,
+      memo,
+      metadata,
+      direction: 'user_to_app'
+    });
+    this.payments.set(payment.identifier, payment);
+    return payment;
+  }
+
+  /**
+   * Throw the next queued failure for a method, if any
+   */
+  checkFailure(method) {
+    const queue = this.failures.get(method);
+    if (queue && queue.length > 0) {
+      throw new Error(queue.shift());
+    }
+  }
+
+  /**
+   * Build a payment object shaped like the Pi Platform API response
+   */
+  buildPayment({ identifier, uid, amount, memo, metadata, direction }) {
+    return {
+      identifier: identifier || crypto.randomBytes(12).toString('hex'),
+      user_uid: uid,
+      amount,
+      memo,
+      metadata,
+      direction,
+      network: 'Pi Testnet',
+      created_at: new Date().toISOString(),
+      status: {
+        developer_approved: direction === 'app_to_user',
+        transaction_verified: false,
+        developer_completed: false,
+        cancelled: false,
+        user_cancelled: false
+      },
+      transaction: null
+    };
+  }
+
+  /**
+   * Look up a payment or throw
+   */
+  requirePayment(paymentId) {
+    const payment = this.payments.get(paymentId);
+    if (!payment) {
+      throw new Error(`Payment ${paymentId} not found`);
+    }
+    return payment;
+  }
+
+  /**
+   * Get the Pi user an access token belongs to
+   */
+  async getUser(accessToken) {
+    this.checkFailure('getUser');
+    const user = this.users.get(accessToken);
+    if (!user) {
+      throw new Error('Invalid access token');
+    }
+    return { ...user };
+  }
+
+  /**
+   * Fetch a payment by identifier
+   */
+  async getPayment(paymentId) {
+    this.checkFailure('getPayment');
+    return this.requirePayment(paymentId);
+  }
+
+  /**
+   * Approve a user-to-app payment
+   */
+  async approvePayment(paymentId) {
+    this.checkFailure('approvePayment');
+    const payment = this.requirePayment(paymentId);
+    payment.status.developer_approved = true;
+    return payment;
+  }
+
+  /**
+   * Complete a payment with its txid
+   */
+  async completePayment(paymentId, txid) {
+    this.checkFailure('completePayment');
+    const payment = this.requirePayment(paymentId);
+
+    if (payment.transaction && payment.transaction.txid !== txid) {
+      throw new Error(`Payment ${paymentId} is linked to a different txid`);
+    }
+
+    payment.transaction = payment.transaction || { txid, verified: true, _link: null };
+    payment.status.transaction_verified = true;
+    payment.status.developer_completed = true;
+    return payment;
+  }
+
+  /**
+   * Cancel a payment
+   */
+  async cancelPayment(paymentId) {
+    this.checkFailure('cancelPayment');
+    const payment = this.requirePayment(paymentId);
+    payment.status.cancelled = true;
+    return payment;
+  }
+
+  /**
+   * Create an app-to-user payment; like the real API, one incomplete payment per user
+   */
+  async createA2UPayment({ uid, amount, memo, metadata }) {
+    this.checkFailure('createA2UPayment');
+
+    if (!uid || !(amount > 0)) {
+      throw new Error('Invalid A2U payment data');
+    }
+
+    const pending = this.findIncomplete(uid);
+    if (pending) {
+      throw new Error(`User ${uid} already has an incomplete payment ${pending.identifier}`);
+    }
+
+    const payment = this.buildPayment({ uid, amount, memo, metadata, direction: 'app_to_user' });
+    this.payments.set(payment.identifier, payment);
+    return payment;
+  }
+
+  /**
+   * Pretend to submit the payment transaction and return a random txid
+   */
+  async submitA2UPayment(paymentId) {
+    this.checkFailure('submitA2UPayment');
+    const payment = this.requirePayment(paymentId);
+
+    if (payment.transaction?.txid) {
+      throw new Error(`Payment ${paymentId} already has a linked txid`);
+    }
+
+    const txid = crypto.randomBytes(32).toString('hex');
+    payment.transaction = { txid, verified: true, _link: null };
+    payment.status.transaction_verified = true;
+    return txid;
+  }
+
+  /**
+   * List app-to-user payments that are not completed or cancelled
+   */
+  async getIncompleteServerPayments() {
+    this.checkFailure('getIncompleteServerPayments');
+    return Array.from(this.payments.values()).filter(payment =>
+      payment.direction === 'app_to_user' &&
+      !payment.status.developer_completed &&
+      !payment.status.cancelled
+    );
+  }
+
+  /**
+   * Find an incomplete app-to-user payment for a user
+   */
+  findIncomplete(uid) {
+    return Array.from(this.payments.values()).find(payment =>
+      payment.direction === 'app_to_user' &&
+      payment.user_uid === uid &&
+      !payment.status.developer_completed &&
+      !payment.status.cancelled
+    );
+  }
+}
+
+module.exports = StubPiPlatformClient;
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+/**
+ * Domain events published by the lottery, payment and advertising modules
+ */
+const EVENTS = {
+  LOTTERY_DRAWN: 'lottery.drawn',
+  LOTTERY_CANCELLED: 'lottery.cancelled',
+  WINNER_SELECTED: 'winner.selected',
+  PAYMENT_COMPLETED: 'payment.completed',
+  PAYMENT_HELD: 'payment.held',
+  ENTRY_HELD: 'entry.held',
+  REFUND_ISSUED: 'refund.issued',
+  PRIZE_PAID: 'prize.paid',
+  TIER_UPGRADED: 'tier.upgraded'
+};
+
+/**
+ * In-process publish/subscribe for domain events.
+ *
+ * Publishers state what happened and do not know who listens; subscribers (notifications
+ * first) react to it. Subscribers run after the publisher's own writes have committed, and a
+ * failing subscriber is logged but never fails the publisher or the other subscribers.
+ */
+class EventBus {
+  constructor() {
+    this.subscribers = new Map();
+  }
+
+  /**
+   * Register a handler for an event type
+   * @param {string} type - One of EVENTS
+   * @param {Function} handler - async (event) => void, event is { id, type, payload, occurredAt }
+   * @param {string} name - Subscriber name used in logs
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(type, handler, name = handler.name || 'anonymous') {
+    if (!Object.values(EVENTS).includes(type)) {
+      throw new Error(`Unknown event type: ${type}`);
+    }
+
+    if (!this.subscribers.has(type)) {
+      this.subscribers.set(type, []);
+    }
+
+    const subscriber = { name, handler };
+    this.subscribers.get(type).push(subscriber);
+
+    return () => {
+      const subscribers = this.subscribers.get(type) || [];
+      this.subscribers.set(type, subscribers.filter(entry => entry !== subscriber));
+    };
+  }
+
+  /**
+   * Publish an event to its subscribers and wait for them. Never throws.
+   * @returns {Object} { event, delivered, failed }
+   */
+  async publish(type, payload = {}) {
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      occurredAt: new Date().toISOString()
+    };
+
+    const subscribers = this.subscribers.get(type) || [];
+    const results = await Promise.allSettled(subscribers.map(subscriber => subscriber.handler(event)));
+
+    let failed = 0;
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        failed++;
+        logger.error(`Event subscriber ${subscribers[index].name} failed for ${type}:`, result.reason);
+      }
+    });
+
+    return { event, delivered: results.length - failed, failed };
+  }
+
+  /**
+   * Remove every subscriber (used by tests)
+   */
+  clear() {
+    this.subscribers.clear();
+  }
+}
+
+module.exports = {
+  EVENTS,
+  eventBus: new EventBus()
+};
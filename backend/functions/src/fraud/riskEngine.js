@@ -0,0 +1,519 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { COLLECTIONS } = require('../utils/constants');
+const { ValidationError } = require('../middleware/errorHandler');
+const { paymentLogger } = require('../payments/paymentLogger');
+
+/**
+ * Default rules and thresholds. Each rule adds up to `weight` points to a 0-100 risk score;
+ * scores at or above `thresholds.hold` are held for review, at or above `thresholds.block` blocked.
+ */
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  thresholds: { hold: 40, block: 70 },
+  // Decision when scoring itself fails ("allow", "hold" or "block")
+  onError: 'hold',
+  rules: {
+    velocity: { enabled: true, weight: 25, hourly: { payment: 5, entry: 10 }, daily: { payment: 20, entry: 40 } },
+    identicalAmounts: { enabled: true, weight: 15, maxPerHour: 3 },
+    sharedDevice: { enabled: true, weight: 35, maxAccounts: 2, windowDays: 30 },
+    sharedIp: { enabled: true, weight: 20, maxAccounts: 5, windowDays: 7 },
+    accountAge: { enabled: true, weight: 15, newAccountHours: 24, youngAccountDays: 7 },
+    adCadence: { enabled: true, weight: 25, minIntervalSeconds: 30, minCompletions: 5, maxVariation: 0.1 },
+    winFrequency: { enabled: true, weight: 25, windowDays: 30, maxWins: 3 }
+  }
+};
+
+const ACTIONS = ['allow', 'hold', 'block'];
+const RISK_LEVELS = { allow: 'low', hold: 'medium', block: 'high' };
+const MAX_FINGERPRINT_ACCOUNTS = 50;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Rule-based risk scoring for payments and lottery entries.
+ * Settings come from DEFAULT_SETTINGS merged with system_config/risk_engine; every decision
+ * is stored in risk_assessments and written to the fraud detection log.
+ */
+class RiskEngine {
+  constructor() {
+    this.db = admin.firestore();
+    this.settingsCache = null;
+    this.cacheTimeout = 60 * 1000; // 1 minute
+  }
+
+  /**
+   * Current settings (defaults merged with the admin overrides)
+   */
+  async getSettings() {
+    if (this.settingsCache && Date.now() - this.settingsCache.timestamp < this.cacheTimeout) {
+      return this.settingsCache.settings;
+    }
+
+    let overrides = {};
+    try {
+      const doc = await this.db.collection(COLLECTIONS.SYSTEM_CONFIG).doc('risk_engine').get();
+      overrides = doc.exists ? doc.data() : {};
+    } catch (error) {
+      logger.error('Failed to load risk engine settings:', error);
+    }
+
+    const settings = this.mergeSettings(DEFAULT_SETTINGS, overrides);
+    this.settingsCache = { settings, timestamp: Date.now() };
+    return settings;
+  }
+
+  /**
+   * Update thresholds and rule settings, e.g. { thresholds: { hold: 30 }, rules: { sharedIp: { maxAccounts: 3 } } }
+   */
+  async updateSettings(updates, adminId) {
+    try {
+      const current = await this.getSettings();
+      const settings = this.mergeSettings(current, updates);
+      this.validateSettings(settings);
+
+      await this.db.collection(COLLECTIONS.SYSTEM_CONFIG).doc('risk_engine').set({
+        enabled: settings.enabled,
+        thresholds: settings.thresholds,
+        onError: settings.onError,
+        rules: settings.rules,
+        updatedBy: adminId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      this.settingsCache = null;
+      logger.info(`Risk engine settings updated by ${adminId}`);
+
+      return settings;
+    } catch (error) {
+      logger.error('Failed to update risk engine settings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deep merge of plain objects, keeping only keys known to the base
+   */
+  mergeSettings(base, overrides = {}) {
+    const merged = {};
+    for (const [key, value] of Object.entries(base)) {
+      const override = overrides[key];
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        merged[key] = this.mergeSettings(value, override && typeof override === 'object' ? override : {});
+      } else {
+        merged[key] = override !== undefined ? override : value;
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Reject settings that would make decisions meaningless
+   * @throws {ValidationError}
+   */
+  validateSettings(settings) {
+    const { hold, block } = settings.thresholds;
+    if (![hold, block].every(value => Number.isFinite(value) && value > 0 && value <= 100)) {
+      throw new ValidationError('Risk thresholds must be numbers between 1 and 100');
+    }
+    if (hold >= block) {
+      throw new ValidationError('The hold threshold must be below the block threshold');
+    }
+    if (!ACTIONS.includes(settings.onError)) {
+      throw new ValidationError(`onError must be one of: ${ACTIONS.join(', ')}`);
+    }
+    if (typeof settings.enabled !== 'boolean') {
+      throw new ValidationError('enabled must be true or false');
+    }
+
+    for (const [name, rule] of Object.entries(settings.rules)) {
+      if (typeof rule.enabled !== 'boolean') {
+        throw new ValidationError(`${name}.enabled must be true or false`);
+      }
+      const numbers = Object.entries(rule).filter(([key]) => key !== 'enabled');
+      for (const [key, value] of numbers) {
+        const values = value && typeof value === 'object' ? Object.values(value) : [value];
+        if (!values.every(number => Number.isFinite(number) && number >= 0)) {
+          throw new ValidationError(`${name}.${key} must be a non-negative number`);
+        }
+      }
+    }
+  }
+
+  /**
+   * IP address and device of a callable request, for the shared device and IP signals
+   * @param {Object} rawRequest - Callable raw request
+   * @param {string} deviceId - Device identifier sent by the client
+   */
+  getRequestContext(rawRequest, deviceId = null) {
+    // Not the first X-Forwarded-For hop, which the client can set to anything
+    return {
+      ip: rawRequest?.ip || null,
+      deviceId: deviceId || null,
+      userAgent: rawRequest?.headers?.['user-agent'] || null
+    };
+  }
+
+  /**
+   * Score a payment before it is approved
+   * @param {string} userId
+   * @param {Object} payment - Pi payment ({ identifier, amount, metadata })
+   * @param {Object} context - { ip, deviceId } from getRequestContext
+   * @returns {Object} Assessment: { id, action, score, signals }
+   */
+  async assessPayment(userId, payment, context = {}) {
+    return await this.assess({
+      subjectType: 'payment',
+      subjectId: payment.identifier || null,
+      userId,
+      amount: Number(payment.amount) || 0,
+      lotteryTypeId: payment.metadata?.lotteryTypeId || null
+    }, context);
+  }
+
+  /**
+   * Score a lottery entry before it is created
+   * @param {string} userId
+   * @param {Object} entry - { lotteryTypeId, entryMethod, ticketCount }
+   * @param {Object} context - { ip, deviceId } from getRequestContext
+   * @returns {Object} Assessment: { id, action, score, signals }
+   */
+  async assessEntry(userId, entry, context = {}) {
+    return await this.assess({
+      subjectType: 'entry',
+      subjectId: null,
+      userId,
+      lotteryTypeId: entry.lotteryTypeId,
+      entryMethod: entry.entryMethod,
+      ticketCount: entry.ticketCount || 1
+    }, context);
+  }
+
+  /**
+   * Run the rules, decide and record the decision
+   */
+  async assess(subject, context) {
+    const settings = await this.getSettings();
+    const assessmentRef = this.db.collection(COLLECTIONS.RISK_ASSESSMENTS).doc();
+
+    let signals = [];
+    let action = 'allow';
+    let error = null;
+
+    if (settings.enabled) {
+      try {
+        signals = await this.evaluate(subject, context, settings);
+        action = this.decide(this.totalScore(signals), settings);
+      } catch (evaluationError) {
+        logger.error('Risk scoring failed:', evaluationError);
+        error = evaluationError.message;
+        action = settings.onError;
+        signals = [{ rule: 'engine_error', score: 0, reason: 'Risk scoring failed' }];
+      }
+    }
+
+    const assessment = {
+      id: assessmentRef.id,
+      action,
+      score: this.totalScore(signals),
+      signals
+    };
+
+    await this.record(assessmentRef, subject, context, assessment, error);
+
+    if (action !== 'allow') {
+      logger.warn(`Risk engine ${action} for ${subject.subjectType} by ${subject.userId}`, {
+        score: assessment.score,
+        rules: signals.map(signal => signal.rule)
+      });
+    }
+
+    return assessment;
+  }
+
+  /**
+   * Evaluate every enabled rule; rules that do not fire return null
+   */
+  async evaluate(subject, context, settings) {
+    const rules = settings.rules;
+    const checks = [
+      rules.velocity.enabled && this.checkVelocity(subject, rules),
+      rules.sharedDevice.enabled && context.deviceId &&
+        this.checkSharedFingerprint(subject.userId, 'device', context.deviceId, rules.sharedDevice),
+      rules.sharedIp.enabled && context.ip &&
+        this.checkSharedFingerprint(subject.userId, 'ip', context.ip, rules.sharedIp),
+      rules.accountAge.enabled && this.checkAccountAge(subject.userId, rules.accountAge),
+      rules.adCadence.enabled && subject.entryMethod === 'watch_ads' &&
+        this.checkAdCadence(subject.userId, rules.adCadence),
+      rules.winFrequency.enabled && this.checkWinFrequency(subject.userId, rules.winFrequency)
+    ];
+
+    const results = await Promise.all(checks.map(check => check || null));
+    return results.flat().filter(Boolean);
+  }
+
+  /**
+   * Sum of signal scores, capped at 100
+   */
+  totalScore(signals) {
+    return Math.min(100, signals.reduce((total, signal) => total + signal.score, 0));
+  }
+
+  /**
+   * Action for a score
+   */
+  decide(score, settings) {
+    if (score >= settings.thresholds.block) {
+      return 'block';
+    }
+    return score >= settings.thresholds.hold ? 'hold' : 'allow';
+  }
+
+  /**
+   * Payments or entries by the user in the last hour and day, and (for payments) repeated amounts
+   */
+  async checkVelocity(subject, rules) {
+    const isPayment = subject.subjectType === 'payment';
+    const collection = isPayment ? COLLECTIONS.PAYMENT_TRANSACTIONS : COLLECTIONS.USER_ENTRIES;
+    const now = Date.now();
+
+    const snapshot = await this.db.collection(collection)
+      .where('userId', '==', subject.userId)
+      .where('createdAt', '>=', new Date(now - DAY_MS))
+      .get();
+
+    const recent = snapshot.docs.map(doc => doc.data());
+    const lastHour = recent.filter(item => this.toDate(item.createdAt) >= new Date(now - HOUR_MS));
+    const signals = [];
+
+    const velocity = rules.velocity;
+    const hourlyLimit = velocity.hourly[subject.subjectType];
+    const dailyLimit = velocity.daily[subject.subjectType];
+
+    if (lastHour.length >= hourlyLimit) {
+      signals.push({
+        rule: 'velocity',
+        score: velocity.weight,
+        reason: `${lastHour.length} ${subject.subjectType}s in the last hour`,
+        details: { lastHour: lastHour.length, lastDay: recent.length }
+      });
+    } else if (recent.length >= dailyLimit) {
+      signals.push({
+        rule: 'velocity',
+        score: Math.round(velocity.weight * 0.6),
+        reason: `${recent.length} ${subject.subjectType}s in the last day`,
+        details: { lastHour: lastHour.length, lastDay: recent.length }
+      });
+    }
+
+    if (isPayment && rules.identicalAmounts.enabled) {
+      const identical = lastHour.filter(item => Math.abs((item.amount || 0) - subject.amount) < 0.000001).length;
+      if (identical >= rules.identicalAmounts.maxPerHour) {
+        signals.push({
+          rule: 'identical_amounts',
+          score: rules.identicalAmounts.weight,
+          reason: `${identical} payments of ${subject.amount} Pi in the last hour`,
+          details: { identical, amount: subject.amount }
+        });
+      }
+    }
+
+    return signals;
+  }
+
+  /**
+   * Other Pi accounts seen on the same device or IP address within the rule's window.
+   * Records this account against the (hashed) fingerprint as a side effect.
+   */
+  async checkSharedFingerprint(userId, kind, value, rule) {
+    const fingerprint = crypto.createHash('sha256').update(`${kind}:${value}`).digest('hex');
+    const fingerprintRef = this.db.collection(COLLECTIONS.RISK_FINGERPRINTS).doc(fingerprint);
+    const windowStart = Date.now() - rule.windowDays * DAY_MS;
+
+    const otherAccounts = await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(fingerprintRef);
+      const accounts = doc.exists ? doc.data().accounts || {} : {};
+
+      const recent = Object.entries(accounts)
+        .map(([accountId, lastSeen]) => [accountId, this.toDate(lastSeen)])
+        .filter(([accountId, lastSeen]) => accountId !== userId && lastSeen >= new Date(windowStart))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_FINGERPRINT_ACCOUNTS - 1);
+
+      transaction.set(fingerprintRef, {
+        kind,
+        accounts: Object.fromEntries([...recent, [userId, new Date()]]),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return recent.length;
+    });
+
+    if (otherAccounts === 0) {
+      return null;
+    }
+
+    const label = kind === 'device' ? 'device' : 'IP address';
+    return {
+      rule: kind === 'device' ? 'shared_device' : 'shared_ip',
+      score: Math.min(rule.weight, Math.round(rule.weight * otherAccounts / Math.max(rule.maxAccounts, 1))),
+      reason: `${label} used by ${otherAccounts} other account${otherAccounts === 1 ? '' : 's'}`,
+      details: { otherAccounts, windowDays: rule.windowDays }
+    };
+  }
+
+  /**
+   * New and young accounts
+   */
+  async checkAccountAge(userId, rule) {
+    const userDoc = await this.db.collection(COLLECTIONS.USERS).doc(userId).get();
+    const createdAt = userDoc.exists ? this.toDate(userDoc.data().createdAt) : null;
+    if (!createdAt) {
+      return null;
+    }
+
+    const ageHours = (Date.now() - createdAt.getTime()) / HOUR_MS;
+
+    if (ageHours < rule.newAccountHours) {
+      return {
+        rule: 'account_age',
+        score: rule.weight,
+        reason: `Account created ${Math.floor(ageHours)} hours ago`,
+        details: { ageHours: Math.floor(ageHours) }
+      };
+    }
+
+    if (ageHours < rule.youngAccountDays * 24) {
+      return {
+        rule: 'account_age',
+        score: Math.round(rule.weight / 2),
+        reason: `Account created ${Math.floor(ageHours / 24)} days ago`,
+        details: { ageHours: Math.floor(ageHours) }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Ad completions faster than an ad can be watched, or spaced too evenly for a person
+   */
+  async checkAdCadence(userId, rule) {
+    const snapshot = await this.db.collection(COLLECTIONS.AD_COMPLETIONS)
+      .where('userId', '==', userId)
+      .where('completedAt', '>=', new Date(Date.now() - DAY_MS))
+      .get();
+
+    const times = snapshot.docs
+      .map(doc => this.toDate(doc.data().completedAt))
+      .filter(Boolean)
+      .map(date => date.getTime())
+      .sort((a, b) => a - b)
+      .slice(-20);
+
+    // The completion being scored happens now
+    times.push(Date.now());
+
+    const gaps = times.slice(1).map((time, index) => (time - times[index]) / 1000);
+    if (gaps.length === 0) {
+      return null;
+    }
+
+    const fastest = Math.min(...gaps);
+    if (fastest < rule.minIntervalSeconds) {
+      return {
+        rule: 'ad_cadence',
+        score: rule.weight,
+        reason: `Ads completed ${Math.round(fastest)} seconds apart`,
+        details: { fastestSeconds: Math.round(fastest), completions: times.length }
+      };
+    }
+
+    if (times.length >= rule.minCompletions) {
+      const mean = gaps.reduce((total, gap) => total + gap, 0) / gaps.length;
+      const deviation = Math.sqrt(gaps.reduce((total, gap) => total + (gap - mean) ** 2, 0) / gaps.length);
+      const variation = mean > 0 ? deviation / mean : 0;
+
+      if (variation < rule.maxVariation) {
+        return {
+          rule: 'ad_cadence',
+          score: Math.round(rule.weight * 0.8),
+          reason: `Ads completed at a machine-regular interval of ${Math.round(mean)} seconds`,
+          details: { meanSeconds: Math.round(mean), variation: Number(variation.toFixed(3)), completions: times.length }
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Unusually many wins in the window
+   */
+  async checkWinFrequency(userId, rule) {
+    const snapshot = await this.db.collection(COLLECTIONS.LOTTERY_WINNERS)
+      .where('userId', '==', userId)
+      .where('createdAt', '>=', new Date(Date.now() - rule.windowDays * DAY_MS))
+      .get();
+
+    if (snapshot.size < rule.maxWins) {
+      return null;
+    }
+
+    return {
+      rule: 'win_frequency',
+      score: rule.weight,
+      reason: `${snapshot.size} wins in the last ${rule.windowDays} days`,
+      details: { wins: snapshot.size, windowDays: rule.windowDays }
+    };
+  }
+
+  /**
+   * Store the assessment and write it to the fraud detection log
+   */
+  async record(assessmentRef, subject, context, assessment, error) {
+    try {
+      await assessmentRef.set({
+        ...subject,
+        action: assessment.action,
+        score: assessment.score,
+        signals: assessment.signals,
+        ipHash: context.ip ? crypto.createHash('sha256').update(`ip:${context.ip}`).digest('hex') : null,
+        deviceHash: context.deviceId
+          ? crypto.createHash('sha256').update(`device:${context.deviceId}`).digest('hex')
+          : null,
+        error,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const velocity = assessment.signals.find(signal => signal.rule === 'velocity');
+
+      await paymentLogger.logFraudDetection(subject.subjectId, subject.userId, {
+        assessmentId: assessment.id,
+        subjectType: subject.subjectType,
+        fraudScore: assessment.score,
+        reasons: assessment.signals.map(signal => signal.reason),
+        riskLevel: RISK_LEVELS[assessment.action],
+        preventedAction: assessment.action === 'allow' ? 'none' : assessment.action,
+        triggeredRules: assessment.signals.map(signal => signal.rule),
+        recentPayments: subject.subjectType === 'payment' ? velocity?.details.lastDay || 0 : 0,
+        deviceChange: assessment.signals.some(signal => signal.rule === 'shared_device')
+      });
+    } catch (recordError) {
+      logger.error('Failed to record risk assessment:', recordError);
+    }
+  }
+
+  /**
+   * Firestore Timestamp, Date or string to Date
+   */
+  toDate(value) {
+    if (!value) {
+      return null;
+    }
+    return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  }
+}
+
+module.exports = new RiskEngine();
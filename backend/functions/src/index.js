@@ -9,68 +9,48 @@ const express = require('express');
 admin.initializeApp();
 
 // Import utilities
-const { logger, logApiRequest, logSecurityEvent, logUserAction, logAdminAction } = require('./utils/logger.js');
-const { security, checkRateLimit, validateWebhookSignature } = require('./utils/security.js');
-const { dbManager, lotteryQueries } = require('./utils/database.js');
-const { 
-  ERROR_CODES, 
-  HTTP_STATUS, 
-  FEATURE_FLAGS, 
-  COLLECTIONS,
-  LOTTERY,
-  PAYMENT,
-  ADMIN_PERMISSIONS 
-} = require('./utils/constants.js');
-const { 
-  CustomError, 
-  AuthenticationError, 
-  AuthorizationError,
-  ValidationError,
-  lotteryValidator,
-  paymentValidator,
-  adminValidator
-} = require('./utils/validators.js');
+const { logger, logSecurityEvent } = require('./utils/logger.js');
+const { security, validateWebhookSignature } = require('./utils/security.js');
+const { FEATURE_FLAGS, COLLECTIONS } = require('./utils/constants.js');
 
 // Import middleware
-const { authenticateUser, authenticateAdmin, requirePermission } = require('./middleware/auth.js');
-const { rateLimiter } = require('./middleware/rateLimiter.js');
-const { errorHandler } = require('./middleware/errorHandler.js');
+const rateLimiter = require('./middleware/rateLimiter.js');
 
 // Import service handlers
-const { 
-  handlePaymentApproval, 
-  handlePaymentCompletion, 
-  processPaymentWebhook,
-  validatePiPayment 
-} = require('./payments/piPaymentHandler.js');
-const { 
-  conductLotteryDrawing, 
-  scheduleLotteryDrawings, 
-  processLotteryEntry,
-  extendLotteryDrawing 
-} = require('./lottery/drawingEngine.js');
-const { 
-  validateAdCompletion, 
-  processAdReward,
-  initializeAdNetworks 
-} = require('./advertising/adHandler.js');
-const { 
-  generateSystemReports, 
-  performSystemMaintenance, 
-  updateSystemConfig,
-  getSystemStatus,
-  backupSystemData 
-} = require('./admin/systemManagement.js');
-const { 
-  manageUsers, 
-  getUserStats, 
-  updateUserProfile,
-  suspendUser,
-  getUserActivity 
-} = require('./admin/userManagement.js');
+const { processPaymentWebhook } = require('./payments/piPaymentHandler.js');
+const { scheduleLotteryDrawings } = require('./lottery/drawingEngine.js');
+const drawingEngine = require('./lottery/drawingEngine.js');
+const refundProcessor = require('./payments/refundProcessor.js');
+const prizePayoutWorker = require('./payments/prizePayoutWorker.js');
+const jackpotRollover = require('./lottery/jackpotRollover.js');
+const adChallenge = require('./advertising/adChallenge.js');
+const adSessions = require('./advertising/adSessions.js');
+const ssvVerifier = require('./advertising/ssvVerifier.js');
+const adImpressions = require('./advertising/adImpressions.js');
+const emailService = require('./notifications/emailService.js');
+const emailTemplates = require('./notifications/emailTemplates.js');
+const notificationDispatcher = require('./notifications/notificationDispatcher.js');
+const lifecycleNotifications = require('./notifications/lifecycleNotifications.js');
+const systemManagement = require('./admin/systemManagement.js');
+const reportScheduler = require('./admin/reportScheduler.js');
+const reviewQueue = require('./admin/reviewQueue.js');
+const api = require('./api');
+
+// Domain event subscribers: lottery, payment and ad events become user notifications
+lifecycleNotifications.register();
+
+// Held payments and new winners open cases in the admin review queue
+reviewQueue.register();
 
 // =============================================
-// HEALTH CHECK AND SYSTEM STATUS
+// CALLABLE API
+// =============================================
+
+// Every callable is a route in ./api, exported under its route name (plus the versioned "api" dispatcher)
+api.exportCallables(exports);
+
+// =============================================
+// HEALTH CHECK
 // =============================================
 
 exports.healthCheck = functions.https.onRequest(async (req, res) => {
@@ -152,422 +132,48 @@ exports.healthCheck = functions.https.onRequest(async (req, res) => {
   });
 });
 
-exports.systemStatus = functions.https.onCall(async (data, context) => {
-  try {
-    // Require admin authentication for detailed system status
-    const adminAuth = await authenticateAdmin(context);
-    if (!adminAuth.hasPermission(ADMIN_PERMISSIONS.VIEW_ANALYTICS)) {
-      throw new AuthorizationError('Analytics permission required');
-    }
-
-    const systemStatus = await getSystemStatus();
-    
-    logAdminAction('view_system_status', context.auth.uid, {
-      timestamp: Date.now()
-    });
-
-    return systemStatus;
-  } catch (error) {
-    logger.error('System status request failed', { error: error.message });
-    throw new functions.https.HttpsError('internal', error.message);
-  }
-});
-
 // =============================================
-// AUTHENTICATION ENDPOINTS
+// LOTTERY MANAGEMENT FUNCTIONS
 // =============================================
 
-exports.authenticateUser = functions.https.onCall(async (data, context) => {
-  const timer = logger.startTimer('user_authentication');
-  
-  try {
-    logger.info('User authentication request', { uid: context.auth?.uid });
-    
-    if (!context.auth) {
-      throw new AuthenticationError('Authentication required');
-    }
-
-    // Rate limit authentication attempts
-    const rateLimitResult = await rateLimiter.checkRateLimit(context.auth.uid, 'api_auth');
-    if (!rateLimitResult.allowed) {
-      throw new functions.https.HttpsError('resource-exhausted', rateLimitResult.message);
-    }
-
-    // Verify Pi Network authentication data
-    const { piUID, piUsername, piAccessToken } = data;
-    
-    if (!piUID || !piUsername) {
-      throw new AuthenticationError('Invalid Pi Network authentication data');
-    }
+exports.drawingVerification = functions.https.onRequest(async (req, res) => {
+  cors(req, res, async () => {
+    try {
+      const rateLimit = await rateLimiter.checkRateLimit(`ip_${req.ip}`, 'drawing_verification');
+      rateLimiter.setHeaders(res, rateLimit);
+      if (!rateLimit.allowed) {
+        return res.status(429).json({ error: rateLimit.message, retryAfter: rateLimit.retryAfter });
+      }
 
-    // Validate Pi user data format
-    if (typeof piUID !== 'string' || typeof piUsername !== 'string') {
-      throw new ValidationError('Invalid Pi user data format');
-    }
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
 
-    // Create or update user profile
-    const userRef = admin.firestore().collection(COLLECTIONS.USERS).doc(context.auth.uid);
-    const userDoc = await userRef.get();
-    
-    const userData = {
-      piUID,
-      piUsername: piUsername.toLowerCase().trim(),
-      piAccessToken: security.maskSensitiveData(piAccessToken),
-      firebaseUID: context.auth.uid,
-      lastLogin: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      status: 'active'
-    };
+      const lotteryInstanceId = req.query.lotteryInstanceId;
+      if (!lotteryInstanceId || typeof lotteryInstanceId !== 'string') {
+        return res.status(400).json({ error: 'Lottery instance ID is required' });
+      }
 
-    if (userDoc.exists) {
-      await userRef.update(userData);
-      logger.info('User profile updated', { uid: context.auth.uid, piUID });
-    } else {
-      await userRef.set({
-        ...userData,
-        totalEntries: 0,
-        totalWinnings: 0,
-        lotteriesWon: 0,
-        winRate: 0,
-        preferences: {
-          notifications: true,
-          marketing: false
-        },
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      const verification = await drawingEngine.getDrawingVerification(lotteryInstanceId);
+      res.status(200).json(verification);
+    } catch (error) {
+      logger.error('Drawing verification request failed', { 
+        lotteryInstanceId: req.query?.lotteryInstanceId,
+        error: error.message 
       });
-      logger.info('New user profile created', { uid: context.auth.uid, piUID });
       
-      // Log new user registration for analytics
-      logUserAction('user_registration', context.auth.uid, {
-        piUID,
-        piUsername,
-        registrationMethod: 'pi_network'
-      });
-    }
-
-    const duration = timer();
-    
-    return {
-      success: true,
-      user: {
-        uid: context.auth.uid,
-        piUID,
-        piUsername: userData.piUsername
-      },
-      responseTime: duration
-    };
-  } catch (error) {
-    timer();
-    logger.error('User authentication failed', { 
-      uid: context.auth?.uid,
-      error: error.message 
-    });
-    
-    if (error instanceof AuthenticationError || error instanceof ValidationError) {
-      throw new functions.https.HttpsError('unauthenticated', error.message);
-    }
-    throw new functions.https.HttpsError('internal', 'Authentication failed');
-  }
-});
-
-exports.refreshUserSession = functions.https.onCall(async (data, context) => {
-  try {
-    const userAuth = await authenticateUser(context);
-    
-    // Update last activity
-    await admin.firestore()
-      .collection(COLLECTIONS.USERS)
-      .doc(context.auth.uid)
-      .update({
-        lastActivity: admin.firestore.FieldValue.serverTimestamp()
-      });
-
-    return {
-      success: true,
-      user: userAuth.user,
-      sessionRefreshed: true
-    };
-  } catch (error) {
-    logger.error('Session refresh failed', { 
-      uid: context.auth?.uid,
-      error: error.message 
-    });
-    throw new functions.https.HttpsError('unauthenticated', error.message);
-  }
-});
-
-// =============================================
-// LOTTERY MANAGEMENT FUNCTIONS
-// =============================================
-
-exports.enterLottery = functions.https.onCall(async (data, context) => {
-  const timer = logger.startTimer('lottery_entry');
-  
-  try {
-    const userAuth = await authenticateUser(context);
-    
-    // Rate limit lottery entries
-    const rateLimitResult = await rateLimiter.checkRateLimit(context.auth.uid, 'lottery_entry');
-    if (!rateLimitResult.allowed) {
-      throw new functions.https.HttpsError('resource-exhausted', rateLimitResult.message);
-    }
-
-    const { lotteryTypeId, entryMethod, ticketCount = 1, paymentData } = data;
-    
-    // Validate lottery entry data
-    const validatedData = lotteryValidator.validateLotteryEntry({
-      lotteryTypeId,
-      userId: context.auth.uid,
-      entryMethod,
-      ticketCount,
-      paymentData
-    });
-
-    logger.info('Lottery entry request', { 
-      userId: context.auth.uid, 
-      lotteryTypeId, 
-      entryMethod,
-      ticketCount 
-    });
-
-    const result = await processLotteryEntry({
-      lotteryTypeId,
-      userId: context.auth.uid,
-      entryMethod,
-      ticketCount,
-      paymentData
-    });
-
-    // Log user action
-    logUserAction('lottery_entry', context.auth.uid, {
-      lotteryTypeId,
-      entryMethod,
-      ticketCount,
-      entryId: result.entryId
-    });
-
-    const duration = timer();
-    
-    logger.info('Lottery entry successful', { 
-      userId: context.auth.uid,
-      entryId: result.entryId,
-      lotteryTypeId,
-      duration
-    });
-
-    return {
-      ...result,
-      responseTime: duration
-    };
-  } catch (error) {
-    timer();
-    logger.error('Lottery entry failed', { 
-      userId: context.auth?.uid,
-      lotteryTypeId: data?.lotteryTypeId,
-      error: error.message 
-    });
-    
-    if (error instanceof ValidationError) {
-      throw new functions.https.HttpsError('invalid-argument', error.message);
-    }
-    throw new functions.https.HttpsError('internal', error.message);
-  }
-});
-
-exports.getLotteryStatus = functions.https.onCall(async (data, context) => {
-  try {
-    const { lotteryTypeId } = data;
-    
-    if (!lotteryTypeId || !Object.values(LOTTERY.TYPES).includes(lotteryTypeId)) {
-      throw new ValidationError('Invalid lottery type');
-    }
-    
-    const activeLotteries = await lotteryQueries.getActiveLotteries();
-    const targetLottery = activeLotteries.find(lottery => lottery.lotteryTypeId === lotteryTypeId);
-
-    if (!targetLottery) {
-      return { 
-        active: false, 
-        lotteryTypeId,
-        message: 'No active lottery found for this type' 
-      };
-    }
-
-    // Get additional lottery statistics
-    const entries = await lotteryQueries.getLotteryEntries(targetLottery.id);
-    const uniqueParticipants = new Set(entries.map(entry => entry.userId)).size;
-
-    return {
-      active: true,
-      lottery: {
-        id: targetLottery.id,
-        lotteryTypeId: targetLottery.lotteryTypeId,
-        status: targetLottery.status,
-        participants: targetLottery.participants,
-        uniqueParticipants,
-        prizePool: targetLottery.prizePool,
-        scheduledDrawTime: targetLottery.scheduledDrawTime,
-        minParticipants: targetLottery.minParticipants,
-        extensionCount: targetLottery.extensionCount || 0
+      if (error.message === 'Lottery instance not found') {
+        return res.status(404).json({ error: error.message });
       }
-    };
-  } catch (error) {
-    logger.error('Failed to get lottery status', { 
-      lotteryTypeId: data?.lotteryTypeId,
-      error: error.message 
-    });
-    
-    if (error instanceof ValidationError) {
-      throw new functions.https.HttpsError('invalid-argument', error.message);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    throw new functions.https.HttpsError('internal', 'Failed to get lottery status');
-  }
-});
-
-exports.getUserLotteryHistory = functions.https.onCall(async (data, context) => {
-  try {
-    const userAuth = await authenticateUser(context);
-    const { limit = 20, offset = 0 } = data;
-    
-    // Get user lottery entries
-    const userEntries = await lotteryQueries.getUserEntries(context.auth.uid);
-    
-    // Get user winnings
-    const userWinnings = await admin.firestore()
-      .collection(COLLECTIONS.LOTTERY_WINNERS)
-      .where('userId', '==', context.auth.uid)
-      .orderBy('createdAt', 'desc')
-      .limit(limit)
-      .get();
-
-    const winnings = [];
-    userWinnings.forEach(doc => {
-      winnings.push({ id: doc.id, ...doc.data() });
-    });
-
-    return {
-      entries: userEntries.slice(offset, offset + limit),
-      winnings,
-      totalEntries: userEntries.length,
-      totalWinnings: winnings.length
-    };
-  } catch (error) {
-    logger.error('Failed to get user lottery history', { 
-      userId: context.auth?.uid,
-      error: error.message 
-    });
-    throw new functions.https.HttpsError('internal', error.message);
-  }
+  });
 });
 
 // =============================================
 // PAYMENT PROCESSING FUNCTIONS
 // =============================================
 
-exports.approvePayment = functions.https.onCall(async (data, context) => {
-  const timer = logger.startTimer('payment_approval');
-  
-  try {
-    const userAuth = await authenticateUser(context);
-    
-    // Rate limit payment operations
-    const rateLimitResult = await rateLimiter.checkRateLimit(context.auth.uid, 'api_payment');
-    if (!rateLimitResult.allowed) {
-      throw new functions.https.HttpsError('resource-exhausted', rateLimitResult.message);
-    }
-
-    const { paymentId, amount, memo, metadata } = data;
-    
-    // Validate payment data
-    paymentValidator.validatePayment({ amount, memo, metadata });
-    
-    logger.info('Payment approval request', { 
-      userId: context.auth.uid, 
-      paymentId,
-      amount 
-    });
-
-    const result = await handlePaymentApproval(paymentId, context.auth.uid, {
-      amount, 
-      memo, 
-      metadata
-    });
-    
-    const duration = timer();
-    
-    logger.info('Payment approved successfully', { 
-      userId: context.auth.uid,
-      paymentId,
-      transactionId: result.transactionId,
-      duration
-    });
-
-    return {
-      ...result,
-      responseTime: duration
-    };
-  } catch (error) {
-    timer();
-    logger.error('Payment approval failed', { 
-      userId: context.auth?.uid,
-      paymentId: data?.paymentId,
-      error: error.message 
-    });
-    
-    if (error instanceof ValidationError) {
-      throw new functions.https.HttpsError('invalid-argument', error.message);
-    }
-    throw new functions.https.HttpsError('internal', error.message);
-  }
-});
-
-exports.completePayment = functions.https.onCall(async (data, context) => {
-  const timer = logger.startTimer('payment_completion');
-  
-  try {
-    const userAuth = await authenticateUser(context);
-    const { paymentId, txid } = data;
-    
-    if (!paymentId || !txid) {
-      throw new ValidationError('Payment ID and transaction ID are required');
-    }
-    
-    logger.info('Payment completion request', { 
-      userId: context.auth.uid, 
-      paymentId,
-      txid 
-    });
-
-    const result = await handlePaymentCompletion(paymentId, txid, context.auth.uid);
-    
-    const duration = timer();
-    
-    logger.info('Payment completed successfully', { 
-      userId: context.auth.uid,
-      paymentId,
-      txid,
-      duration
-    });
-
-    return {
-      ...result,
-      responseTime: duration
-    };
-  } catch (error) {
-    timer();
-    logger.error('Payment completion failed', { 
-      userId: context.auth?.uid,
-      paymentId: data?.paymentId,
-      error: error.message 
-    });
-    
-    if (error instanceof ValidationError) {
-      throw new functions.https.HttpsError('invalid-argument', error.message);
-    }
-    throw new functions.https.HttpsError('internal', error.message);
-  }
-});
-
 // Webhook endpoint for Pi Network payment notifications
 exports.piPaymentWebhook = functions.https.onRequest(async (req, res) => {
   cors(req, res, async () => {
@@ -632,415 +238,339 @@ exports.piPaymentWebhook = functions.https.onRequest(async (req, res) => {
 });
 
 // =============================================
-// ADVERTISEMENT FUNCTIONS
+// AD NETWORK CALLBACKS
 // =============================================
 
-exports.completeAdWatch = functions.https.onCall(async (data, context) => {
-  const timer = logger.startTimer('ad_completion');
-  
-  try {
-    const userAuth = await authenticateUser(context);
+// Signed reward callbacks (server-side verification): /adRewardCallback/admob and /adRewardCallback/unity
+exports.adRewardCallback = functions.https.onRequest(async (req, res) => {
+  const timer = logger.startTimer('ad_reward_callback');
+  const network = req.path.replace(/^\/+|\/+$/g, '');
 
-    if (!FEATURE_FLAGS.ENABLE_AD_LOTTERY) {
-      throw new functions.https.HttpsError('failed-precondition', 'Ad lottery is currently disabled');
+  try {
+    if (req.method !== 'GET') {
+      return res.status(405).json({ error: 'Method not allowed' });
     }
 
-    // Rate limit ad completions
-    const rateLimitResult = await rateLimiter.checkRateLimit(context.auth.uid, 'ad_watch');
-    if (!rateLimitResult.allowed) {
-      throw new functions.https.HttpsError('resource-exhausted', rateLimitResult.message);
-    }
+    let verification;
 
-    const { adCompletionData, lotteryTypeId } = data;
-    
-    if (!adCompletionData || !lotteryTypeId) {
-      throw new ValidationError('Ad completion data and lottery type are required');
+    if (network === 'admob') {
+      // AdMob signs the raw query string, so verify it before any decoding
+      const queryIndex = req.originalUrl.indexOf('?');
+      const rawQuery = queryIndex === -1 ? '' : req.originalUrl.substring(queryIndex + 1);
+      verification = await ssvVerifier.verifyAdMobCallback(rawQuery);
+    } else if (network === 'unity') {
+      verification = ssvVerifier.verifyUnityCallback(req.query);
+    } else {
+      return res.status(404).json({ error: 'Unknown ad network' });
     }
-    
-    logger.info('Ad completion request', { 
-      userId: context.auth.uid, 
-      lotteryTypeId,
-      adNetwork: adCompletionData.networkId
-    });
 
-    const validationResult = await validateAdCompletion(adCompletionData, context.auth.uid);
-    
-    if (!validationResult.isValid) {
-      throw new functions.https.HttpsError('invalid-argument', 'Ad completion validation failed');
+    if (!verification.valid) {
+      logSecurityEvent('invalid_ad_callback_signature', {
+        network,
+        reason: verification.reason,
+        ip: req.ip
+      }, 'medium');
+      return res.status(403).json({ error: verification.reason });
     }
 
-    const rewardResult = await processAdReward(context.auth.uid, lotteryTypeId, adCompletionData);
-    
-    // Log user action
-    logUserAction('ad_completion', context.auth.uid, {
-      lotteryTypeId,
-      adNetwork: adCompletionData.networkId,
-      watchDuration: adCompletionData.watchDuration,
-      entryId: rewardResult.entryId
-    });
+    const result = await adImpressions.recordImpression(verification.impression);
 
     const duration = timer();
-    
-    logger.info('Ad reward processed successfully', { 
-      userId: context.auth.uid,
-      lotteryTypeId,
-      entryId: rewardResult.entryId,
+
+    logger.info('Ad reward callback processed', {
+      network,
+      impressionId: result.impressionId,
+      duplicate: result.duplicate,
       duration
     });
 
-    return {
-      success: true,
-      reward: rewardResult,
-      responseTime: duration
-    };
+    // Unity only treats a "1" body as acknowledged
+    if (network === 'unity') {
+      return res.status(200).send('1');
+    }
+
+    res.status(200).json({ success: true, duplicate: result.duplicate });
   } catch (error) {
     timer();
-    logger.error('Ad completion failed', { 
-      userId: context.auth?.uid,
-      lotteryTypeId: data?.lotteryTypeId,
-      error: error.message 
+    logger.error('Ad reward callback failed', {
+      network,
+      error: error.message
     });
-    
-    if (error instanceof ValidationError) {
-      throw new functions.https.HttpsError('invalid-argument', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// =============================================
+// NOTIFICATIONS
+// =============================================
+
+// Deliver a notification as soon as it is written (scheduled ones are left to processNotificationQueue)
+exports.dispatchNotification = functions.firestore
+  .document(`${COLLECTIONS.NOTIFICATIONS}/{notificationId}`)
+  .onCreate(async (snapshot, context) => {
+    try {
+      return await notificationDispatcher.handleCreated(context.params.notificationId, snapshot.data());
+    } catch (error) {
+      // The scheduled sweep picks it up again
+      logger.error('Notification dispatch failed', {
+        notificationId: context.params.notificationId,
+        error: error.message
+      });
+      return null;
+    }
+  });
+
+// Unsubscribe links from notification emails. GET only shows a confirmation form, so link
+// scanners and prefetching change nothing; the form and the RFC 8058 one-click unsubscribe
+// sent by mail clients both POST.
+exports.emailUnsubscribe = functions.https.onRequest(async (req, res) => {
+  try {
+    if (req.method === 'GET') {
+      const verified = emailService.verifyUnsubscribeToken(req.query.token);
+      if (!verified) {
+        return res.status(400).send('<p>This unsubscribe link is invalid.</p>');
+      }
+      return res.status(200).send(emailTemplates.renderUnsubscribePage(req.query.token, verified.scope));
+    }
+
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const result = await emailService.unsubscribe(req.query.token || req.body?.token);
+
+    if (!result) {
+      return res.status(400).send('<p>This unsubscribe link is invalid.</p>');
+    }
+
+    if (req.body?.['List-Unsubscribe'] === 'One-Click') {
+      return res.status(200).json({ success: true });
     }
-    throw new functions.https.HttpsError('internal', error.message);
+
+    const what = result.scope === 'all' ? 'any emails' : 'emails like this one';
+    res.status(200).send(`<p>You will no longer receive ${what} from Pi Lottery.</p>`);
+  } catch (error) {
+    logger.error('Email unsubscribe failed', { error: error.message });
+    res.status(500).send('<p>Something went wrong. Please try again later.</p>');
   }
 });
 
-exports.getAdNetworkStatus = functions.https.onCall(async (data, context) => {
+// Bounce and complaint events from SendGrid's signed event webhook
+exports.emailBounceWebhook = functions.https.onRequest(async (req, res) => {
   try {
-    const userAuth = await authenticateUser(context);
-    
-    const adNetworks = await initializeAdNetworks();
-    const userAdLimits = await admin.firestore()
-      .collection(COLLECTIONS.USER_TICKET_LIMITS)
-      .doc(`${context.auth.uid}_${new Date().toISOString().split('T')[0]}`)
-      .get();
-
-    const adLimitsData = userAdLimits.exists ? userAdLimits.data() : {};
-    const usedAdTickets = adLimitsData.daily_ads_used || 0;
-    
-    return {
-      networks: adNetworks,
-      userLimits: {
-        dailyLimit: 5,
-        used: usedAdTickets,
-        remaining: Math.max(0, 5 - usedAdTickets)
-      },
-      cooldownActive: false // This would be calculated based on last ad completion
-    };
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const signature = req.headers['x-twilio-email-event-webhook-signature'];
+    const timestamp = req.headers['x-twilio-email-event-webhook-timestamp'];
+
+    if (!emailService.verifyEventWebhook(req.rawBody, signature, timestamp)) {
+      logSecurityEvent('invalid_email_webhook_signature', {
+        hasSignature: !!signature,
+        hasTimestamp: !!timestamp,
+        ip: req.ip
+      }, 'medium');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    const bounces = emailService.parseBounceEvents(req.body);
+    let suppressed = 0;
+
+    for (const bounce of bounces) {
+      const result = await emailService.handleBounce(bounce);
+      if (result.suppressed) {
+        suppressed++;
+      }
+    }
+
+    logger.info('Email bounce webhook processed', { events: bounces.length, suppressed });
+
+    res.status(200).json({ success: true, processed: bounces.length });
   } catch (error) {
-    logger.error('Failed to get ad network status', { 
-      userId: context.auth?.uid,
-      error: error.message 
-    });
-    throw new functions.https.HttpsError('internal', error.message);
+    logger.error('Email bounce webhook failed', { error: error.message });
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 // =============================================
-// ADMINISTRATIVE FUNCTIONS
+// SCHEDULED FUNCTIONS
 // =============================================
 
-exports.conductDrawing = functions.https.onCall(async (data, context) => {
-  const timer = logger.startTimer('manual_drawing');
+// Automated lottery drawings - runs every hour
+exports.scheduledDrawings = functions.pubsub.schedule('every 1 hours').onRun(async (context) => {
+  const timer = logger.startTimer('scheduled_drawings');
   
   try {
-    const adminAuth = await requirePermission(context, ADMIN_PERMISSIONS.MANAGE_LOTTERIES);
+    if (!FEATURE_FLAGS.ENABLE_AUTO_DRAWING) {
+      logger.info('Automated drawings disabled by feature flag');
+      return;
+    }
+
+    logger.info('Starting scheduled lottery drawings check');
     
-    const { lotteryInstanceId, force = false } = data;
+    const result = await scheduleLotteryDrawings();
     
-    if (!lotteryInstanceId) {
-      throw new ValidationError('Lottery instance ID is required');
-    }
+    const duration = timer();
     
-    logger.info('Manual drawing request', { 
-      adminId: context.auth.uid,
-      lotteryInstanceId,
-      force
+    logger.info('Scheduled lottery drawings completed', { 
+      ...result,
+      duration
     });
-
-    const result = await conductLotteryDrawing(lotteryInstanceId, { manual: true, force });
     
-    // Log admin action
-    logAdminAction('conduct_drawing', context.auth.uid, {
-      lotteryInstanceId,
-      winners: result.winners,
-      totalPrizePool: result.totalPrizePool,
-      force
-    });
+    return result;
+  } catch (error) {
+    timer();
+    logger.error('Scheduled lottery drawings failed', { error: error.message });
+    throw error;
+  }
+});
+
+// Refund payouts - retries pending and failed refunds every 15 minutes
+exports.processRefunds = functions.pubsub.schedule('every 15 minutes').onRun(async (context) => {
+  const timer = logger.startTimer('process_refunds');
+
+  try {
+    const result = await refundProcessor.processPendingRefunds();
 
     const duration = timer();
-    
-    logger.info('Manual drawing completed successfully', { 
-      adminId: context.auth.uid,
-      lotteryInstanceId,
-      winners: result.winners,
+
+    logger.info('Refund processing completed', {
+      ...result,
       duration
     });
 
-    return {
-      ...result,
-      responseTime: duration
-    };
+    return result;
   } catch (error) {
     timer();
-    logger.error('Manual drawing failed', { 
-      adminId: context.auth?.uid,
-      lotteryInstanceId: data?.lotteryInstanceId,
-      error: error.message 
-    });
-    
-    if (error instanceof ValidationError || error instanceof AuthorizationError) {
-      throw new functions.https.HttpsError('permission-denied', error.message);
-    }
-    throw new functions.https.HttpsError('internal', error.message);
+    logger.error('Refund processing failed', { error: error.message });
+    throw error;
   }
 });
 
-exports.updateSystemConfiguration = functions.https.onCall(async (data, context) => {
-  const timer = logger.startTimer('system_config_update');
-  
-  try {
-    const adminAuth = await requirePermission(context, ADMIN_PERMISSIONS.SYSTEM_CONFIG);
-    
-    const { configKey, configValue, reason } = data;
-    
-    if (!configKey || configValue === undefined) {
-      throw new ValidationError('Configuration key and value are required');
-    }
-    
-    logger.info('System configuration update request', { 
-      adminId: context.auth.uid,
-      configKey,
-      reason: reason || 'No reason provided'
-    });
+// Prize payouts - pays approved winners and retries failed transfers every 15 minutes
+exports.processPrizePayouts = functions.pubsub.schedule('every 15 minutes').onRun(async (context) => {
+  const timer = logger.startTimer('process_prize_payouts');
 
-    const result = await updateSystemConfig(configKey, configValue, context.auth.uid, reason);
-    
-    // Log admin action
-    logAdminAction('update_system_config', context.auth.uid, {
-      configKey,
-      previousValue: result.previousValue,
-      newValue: configValue,
-      reason
-    });
+  try {
+    const result = await prizePayoutWorker.processPayouts();
 
     const duration = timer();
-    
-    logger.info('System configuration updated successfully', { 
-      adminId: context.auth.uid,
-      configKey,
+
+    logger.info('Prize payout processing completed', {
+      ...result,
       duration
     });
 
-    return {
-      ...result,
-      responseTime: duration
-    };
+    return result;
   } catch (error) {
     timer();
-    logger.error('System configuration update failed', { 
-      adminId: context.auth?.uid,
-      configKey: data?.configKey,
-      error: error.message 
-    });
-    
-    if (error instanceof ValidationError || error instanceof AuthorizationError) {
-      throw new functions.https.HttpsError('permission-denied', error.message);
-    }
-    throw new functions.https.HttpsError('internal', error.message);
+    logger.error('Prize payout processing failed', { error: error.message });
+    throw error;
   }
 });
 
-exports.generateReport = functions.https.onCall(async (data, context) => {
-  const timer = logger.startTimer('report_generation');
-  
-  try {
-    const adminAuth = await requirePermission(context, ADMIN_PERMISSIONS.VIEW_ANALYTICS);
-    
-    const { reportType, dateRange, filters = {} } = data;
-    
-    if (!reportType) {
-      throw new ValidationError('Report type is required');
-    }
-    
-    const validReportTypes = [
-      'financial_summary',
-      'lottery_performance',
-      'user_analytics',
-      'system_health',
-      'security_audit'
-    ];
-    
-    if (!validReportTypes.includes(reportType)) {
-      throw new ValidationError(`Invalid report type. Must be one of: ${validReportTypes.join(', ')}`);
-    }
-    
-    logger.info('Report generation request', { 
-      adminId: context.auth.uid,
-      reportType,
-      dateRange
-    });
+// Notification queue - sends scheduled notifications, retries and quiet-hours deferrals every minute
+exports.processNotificationQueue = functions.pubsub.schedule('every 1 minutes').onRun(async (context) => {
+  const timer = logger.startTimer('process_notification_queue');
 
-    const report = await generateSystemReports(reportType, dateRange, filters);
-    
-    // Log admin action
-    logAdminAction('generate_report', context.auth.uid, {
-      reportType,
-      dateRange,
-      recordCount: report.data?.length || 0
-    });
+  try {
+    const result = await notificationDispatcher.processDueNotifications();
 
     const duration = timer();
-    
-    logger.info('Report generated successfully', { 
-      adminId: context.auth.uid,
-      reportType,
+
+    logger.info('Notification queue processing completed', {
+      ...result,
       duration
     });
 
-    return {
-      ...report,
-      responseTime: duration
-    };
+    return result;
   } catch (error) {
     timer();
-    logger.error('Report generation failed', { 
-      adminId: context.auth?.uid,
-      reportType: data?.reportType,
-      error: error.message 
-    });
-    
-    if (error instanceof ValidationError || error instanceof AuthorizationError) {
-      throw new functions.https.HttpsError('permission-denied', error.message);
-    }
-    throw new functions.https.HttpsError('internal', error.message);
+    logger.error('Notification queue processing failed', { error: error.message });
+    throw error;
   }
 });
 
-exports.approveWinnerPayout = functions.https.onCall(async (data, context) => {
-  const timer = logger.startTimer('winner_payout_approval');
-  
+// Report subscriptions - generates scheduled admin reports at the top of every hour
+exports.processReportSubscriptions = functions.pubsub.schedule('0 * * * *').timeZone('UTC').onRun(async (context) => {
+  const timer = logger.startTimer('process_report_subscriptions');
+
   try {
-    const adminAuth = await requirePermission(context, ADMIN_PERMISSIONS.APPROVE_PRIZES);
-    
-    const { winnerId, approved, notes } = data;
-    
-    if (!winnerId || typeof approved !== 'boolean') {
-      throw new ValidationError('Winner ID and approval status are required');
-    }
-    
-    logger.info('Winner payout approval request', { 
-      adminId: context.auth.uid,
-      winnerId,
-      approved
+    const result = await reportScheduler.runDueSubscriptions();
+
+    const duration = timer();
+
+    logger.info('Report subscription processing completed', {
+      ...result,
+      duration
     });
 
-    const winnerRef = admin.firestore().collection(COLLECTIONS.LOTTERY_WINNERS).doc(winnerId);
-    const winnerDoc = await winnerRef.get();
-    
-    if (!winnerDoc.exists) {
-      throw new ValidationError('Winner not found');
-    }
+    return result;
+  } catch (error) {
+    timer();
+    logger.error('Report subscription processing failed', { error: error.message });
+    throw error;
+  }
+});
 
-    const winnerData = winnerDoc.data();
-    
-    if (winnerData.status !== 'pending') {
-      throw new ValidationError(`Winner status is ${winnerData.status}, cannot approve`);
-    }
+// Review queue SLA - flags overdue cases, recovers interrupted resolutions and opens missing cases every 15 minutes
+exports.processReviewSla = functions.pubsub.schedule('every 15 minutes').onRun(async (context) => {
+  const timer = logger.startTimer('process_review_sla');
 
-    const updateData = {
-      status: approved ? 'approved' : 'rejected',
-      approvedBy: context.auth.uid,
-      approvedAt: admin.firestore.FieldValue.serverTimestamp(),
-      adminNotes: notes || '',
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  try {
+    const result = {
+      ...await reviewQueue.processOverdueCases(),
+      ...await reviewQueue.processStaleResolutions(),
+      ...await reviewQueue.processMissingCases()
     };
 
-    await winnerRef.update(updateData);
-    
-    // Log admin action
-    logAdminAction('approve_winner_payout', context.auth.uid, {
-      winnerId,
-      approved,
-      userId: winnerData.userId,
-      prizeAmount: winnerData.prizeAmount,
-      lotteryInstanceId: winnerData.lotteryInstanceId
-    });
-
     const duration = timer();
-    
-    logger.info('Winner payout approval completed', { 
-      adminId: context.auth.uid,
-      winnerId,
-      approved,
+
+    logger.info('Review SLA processing completed', {
+      ...result,
       duration
     });
 
-    return {
-      success: true,
-      winnerId,
-      status: updateData.status,
-      responseTime: duration
-    };
+    return result;
   } catch (error) {
     timer();
-    logger.error('Winner payout approval failed', { 
-      adminId: context.auth?.uid,
-      winnerId: data?.winnerId,
-      error: error.message 
-    });
-    
-    if (error instanceof ValidationError || error instanceof AuthorizationError) {
-      throw new functions.https.HttpsError('permission-denied', error.message);
-    }
-    throw new functions.https.HttpsError('internal', error.message);
+    logger.error('Review SLA processing failed', { error: error.message });
+    throw error;
   }
 });
 
-// =============================================
-// SCHEDULED FUNCTIONS
-// =============================================
+// Jackpot rollover - carries prizes left unclaimed past the claim window, daily at 1 AM UTC
+exports.processUnclaimedPrizes = functions.pubsub.schedule('0 1 * * *').timeZone('UTC').onRun(async (context) => {
+  const timer = logger.startTimer('process_unclaimed_prizes');
 
-// Automated lottery drawings - runs every hour
-exports.scheduledDrawings = functions.pubsub.schedule('every 1 hours').onRun(async (context) => {
-  const timer = logger.startTimer('scheduled_drawings');
-  
   try {
-    if (!FEATURE_FLAGS.ENABLE_AUTO_DRAWING) {
-      logger.info('Automated drawings disabled by feature flag');
-      return;
-    }
+    const result = await jackpotRollover.processUnclaimedPrizes();
 
-    logger.info('Starting scheduled lottery drawings check');
-    
-    const result = await scheduleLotteryDrawings();
-    
     const duration = timer();
-    
-    logger.info('Scheduled lottery drawings completed', { 
+
+    logger.info('Unclaimed prize processing completed', {
       ...result,
       duration
     });
-    
+
     return result;
   } catch (error) {
     timer();
-    logger.error('Scheduled lottery drawings failed', { error: error.message });
+    logger.error('Unclaimed prize processing failed', { error: error.message });
     throw error;
   }
 });
 
-// System maintenance - runs daily at 2 AM UTC
+// System maintenance - runs daily at 2 AM UTC. Replaces the dailyMaintenance schedule; not aliased,
+// since a second schedule would run maintenance twice a day.
 exports.systemMaintenance = functions.pubsub.schedule('0 2 * * *').timeZone('UTC').onRun(async (context) => {
   const timer = logger.startTimer('system_maintenance');
   
   try {
     logger.info('Starting daily system maintenance');
     
-    const result = await performSystemMaintenance();
+    const result = await systemManagement.performSystemMaintenance();
     
     const duration = timer();
     
@@ -1070,12 +600,18 @@ exports.dataCleanup = functions.pubsub.schedule('0 3 * * 0').timeZone('UTC').onR
     // Clean up old performance metrics (keep 7 days)
     const metricsDeleted = await cleanupOldMetrics(7);
     
-    // Clean up old rate limit records (keep 1 day)
-    const rateLimitsDeleted = await cleanupOldRateLimits(1);
+    // Clean up idle rate limit buckets (keep 1 day)
+    const rateLimitsDeleted = await rateLimiter.cleanup(1);
     
     // Clean up expired sessions (keep 7 days)
     const sessionsDeleted = await cleanupExpiredSessions(7);
     
+    // Clean up expired ad verification challenges (keep 1 day)
+    const adChallengesDeleted = await adChallenge.cleanupChallenges(1);
+    
+    // Expire ad sessions that were started but never completed
+    const adSessionsExpired = await adSessions.expireStaleSessions();
+    
     const duration = timer();
     
     logger.info('Data cleanup completed successfully', { 
@@ -1083,6 +619,8 @@ exports.dataCleanup = functions.pubsub.schedule('0 3 * * 0').timeZone('UTC').onR
       metricsDeleted,
       rateLimitsDeleted,
       sessionsDeleted,
+      adChallengesDeleted,
+      adSessionsExpired,
       duration
     });
     
@@ -1091,6 +629,8 @@ exports.dataCleanup = functions.pubsub.schedule('0 3 * * 0').timeZone('UTC').onR
       metricsDeleted,
       rateLimitsDeleted,
       sessionsDeleted,
+      adChallengesDeleted,
+      adSessionsExpired,
       duration
     };
   } catch (error) {
@@ -1100,153 +640,33 @@ exports.dataCleanup = functions.pubsub.schedule('0 3 * * 0').timeZone('UTC').onR
   }
 });
 
-// Backup system data - runs daily at 1 AM UTC
-exports.backupData = functions.pubsub.schedule('0 1 * * *').timeZone('UTC').onRun(async (context) => {
-  const timer = logger.startTimer('data_backup');
-  
-  try {
-    logger.info('Starting daily data backup');
-    
-    const result = await backupSystemData();
-    
-    const duration = timer();
-    
-    logger.info('Data backup completed successfully', { 
-      ...result,
-      duration
-    });
-    
-    return result;
-  } catch (error) {
-    timer();
-    logger.error('Data backup failed', { error: error.message });
-    throw error;
-  }
-});
-
-// =============================================
-// USER MANAGEMENT FUNCTIONS
-// =============================================
-
-exports.getUserProfile = functions.https.onCall(async (data, context) => {
-  try {
-    const userAuth = await authenticateUser(context);
-    
-    const userProfile = await admin.firestore()
-      .collection(COLLECTIONS.USERS)
-      .doc(context.auth.uid)
-      .get();
-
-    if (!userProfile.exists) {
-      throw new functions.https.HttpsError('not-found', 'User profile not found');
-    }
+// Backup financial and configuration data to Cloud Storage - runs daily at 1 AM UTC
+exports.backupData = functions
+  .runWith({ timeoutSeconds: 540, memory: '1GB' })
+  .pubsub.schedule('0 1 * * *')
+  .timeZone('UTC')
+  .onRun(async (context) => {
+    const timer = logger.startTimer('data_backup');
 
-    const userData = userProfile.data();
-    
-    // Remove sensitive data from response
-    const sanitizedData = { ...userData };
-    delete sanitizedData.piAccessToken;
-    
-    return { 
-      profile: sanitizedData,
-      retrieved: true
-    };
-  } catch (error) {
-    logger.error('Failed to get user profile', { 
-      userId: context.auth?.uid,
-      error: error.message 
-    });
-    
-    if (error instanceof AuthenticationError) {
-      throw new functions.https.HttpsError('unauthenticated', error.message);
-    }
-    throw new functions.https.HttpsError('internal', error.message);
-  }
-});
+    try {
+      logger.info('Starting daily data backup');
 
-exports.updateUserProfile = functions.https.onCall(async (data, context) => {
-  try {
-    const userAuth = await authenticateUser(context);
-    const { profileUpdates } = data;
-    
-    if (!profileUpdates || typeof profileUpdates !== 'object') {
-      throw new ValidationError('Profile updates object is required');
-    }
-    
-    // Validate and sanitize profile updates
-    const allowedFields = ['displayName', 'preferences', 'notifications'];
-    const sanitizedUpdates = {};
-    
-    Object.entries(profileUpdates).forEach(([key, value]) => {
-      if (allowedFields.includes(key)) {
-        sanitizedUpdates[key] = value;
-      }
-    });
+      const result = await systemManagement.backupCriticalData();
 
-    if (Object.keys(sanitizedUpdates).length === 0) {
-      throw new ValidationError('No valid fields to update');
-    }
+      const duration = timer();
 
-    await admin.firestore()
-      .collection(COLLECTIONS.USERS)
-      .doc(context.auth.uid)
-      .update({
-        ...sanitizedUpdates,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      logger.info('Data backup completed successfully', {
+        ...result,
+        duration
       });
 
-    // Log user action
-    logUserAction('update_profile', context.auth.uid, {
-      updatedFields: Object.keys(sanitizedUpdates)
-    });
-
-    logger.info('User profile updated successfully', { 
-      userId: context.auth.uid,
-      updatedFields: Object.keys(sanitizedUpdates) 
-    });
-
-    return { 
-      success: true,
-      updatedFields: Object.keys(sanitizedUpdates)
-    };
-  } catch (error) {
-    logger.error('Failed to update user profile', { 
-      userId: context.auth?.uid,
-      error: error.message 
-    });
-    
-    if (error instanceof ValidationError) {
-      throw new functions.https.HttpsError('invalid-argument', error.message);
-    }
-    if (error instanceof AuthenticationError) {
-      throw new functions.https.HttpsError('unauthenticated', error.message);
-    }
-    throw new functions.https.HttpsError('internal', error.message);
-  }
-});
-
-exports.getUserStats = functions.https.onCall(async (data, context) => {
-  try {
-    const userAuth = await authenticateUser(context);
-    
-    const stats = await getUserStats(context.auth.uid);
-    
-    return {
-      stats,
-      retrieved: true
-    };
-  } catch (error) {
-    logger.error('Failed to get user stats', { 
-      userId: context.auth?.uid,
-      error: error.message 
-    });
-    
-    if (error instanceof AuthenticationError) {
-      throw new functions.https.HttpsError('unauthenticated', error.message);
+      return result;
+    } catch (error) {
+      timer();
+      logger.error('Data backup failed', { error: error.message });
+      throw error;
     }
-    throw new functions.https.HttpsError('internal', error.message);
-  }
-});
+  });
 
 // =============================================
 // UTILITY FUNCTIONS
@@ -1281,35 +701,6 @@ async function cleanupOldMetrics(daysToKeep) {
   }
 }
 
-async function cleanupOldRateLimits(daysToKeep) {
-  try {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
-    
-    const query = admin.firestore()
-      .collection('rate_limits')
-      .where('createdAt', '<', cutoffDate)
-      .limit(500);
-    
-    const snapshot = await query.get();
-    
-    if (snapshot.empty) {
-      return 0;
-    }
-    
-    const batch = admin.firestore().batch();
-    snapshot.docs.forEach(doc => {
-      batch.delete(doc.ref);
-    });
-    
-    await batch.commit();
-    return snapshot.size;
-  } catch (error) {
-    logger.error('Failed to cleanup old rate limits', { error: error.message });
-    return 0;
-  }
-}
-
 async function cleanupExpiredSessions(daysToKeep) {
   try {
     const cutoffDate = new Date();
@@ -0,0 +1,560 @@
+/**
+ * Draw schedule
+ *
+ * Dependency-free calculation of lottery draw times. A schedule is a set of wall-clock times in
+ * an IANA timezone ("20:00 in Europe/London"), so draws stay at the same local time across
+ * daylight saving changes. Schedules are daily, weekly or monthly with one or more draw times,
+ * a five-field cron expression, or a one-off draw on a date; blackout dates skip draws.
+ * frontend/src/utils/drawSchedule.js is generated from this file by frontend/scripts/sync-shared.js,
+ * so countdowns match the backend; edit this one.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_TIME = '20:00';
+const SCHEDULE_TYPES = ['daily', 'weekly', 'monthly', 'cron', 'once'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MAX_DRAWS_PER_DAY = 24;
+const MAX_PREVIEW = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Four years, so a cron expression for 29 February always finds its next draw
+const MAX_SEARCH_DAYS = 366 * 4 + 1;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAYS.map((day) => day.substring(0, 3)), offset: 0 }
+];
+
+const formatters = new Map();
+
+/**
+ * Cached formatter giving the wall-clock fields of a timezone
+ * @param {string} timeZone - IANA timezone
+ * @return {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA timezone known to the runtime
+ * @param {string} timeZone - Timezone to check
+ * @return {boolean} Whether it is known
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of an instant in a timezone
+ * @return {Object} { year, month (1-12), day, hours, minutes, seconds }
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    // Some engines print midnight as 24 even with h23
+    hours: Number(parts.hour) % 24,
+    minutes: Number(parts.minute),
+    seconds: Number(parts.second)
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds (positive east of UTC)
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @return {number} Offset in milliseconds
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const parts = getZonedParts(date, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds);
+  return wallClock - (date.getTime() - date.getUTCMilliseconds());
+}
+
+/**
+ * Instant at which a timezone's clocks show a wall-clock time.
+ * A time skipped by a forward DST change moves forward by the size of the gap (02:30 becomes
+ * 03:30); a time repeated by a backward change resolves to its first occurrence.
+ * @param {Object} parts - { year, month (1-12), day, hours, minutes }
+ * @param {string} timeZone - IANA timezone
+ * @return {Date} Instant
+ */
+function zonedTimeToUtc({ year, month, day, hours, minutes }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+  const offsetBefore = getTimeZoneOffset(new Date(wallClock - DAY_MS), timeZone);
+  const offsetAfter = getTimeZoneOffset(new Date(wallClock + DAY_MS), timeZone);
+
+  const candidates = [wallClock - offsetBefore, wallClock - offsetAfter]
+    .filter((instant) => getTimeZoneOffset(new Date(instant), timeZone) === wallClock - instant);
+
+  if (candidates.length === 0) {
+    return new Date(wallClock - offsetBefore);
+  }
+
+  return new Date(Math.min(...candidates));
+}
+
+/**
+ * Parse "HH:MM"
+ * @param {string} time - "HH:MM"
+ * @return {Object} { hours, minutes }
+ */
+function parseTime(time) {
+  const match = /^(\d{2}):(\d{2})$/.exec(String(time));
+  if (!match) {
+    return null;
+  }
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) {
+    return null;
+  }
+
+  return { hours, minutes };
+}
+
+/**
+ * Parse "YYYY-MM-DD" into calendar fields, or null for an invalid date
+ * @param {string} date - "YYYY-MM-DD"
+ * @return {Object|null} { year, month, day }
+ */
+function parseDate(date) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date));
+  if (!match) {
+    return null;
+  }
+
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  const check = new Date(Date.UTC(year, month - 1, day));
+
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+
+  return { year, month, day };
+}
+
+/**
+ * "YYYY-MM-DD" for calendar fields
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @return {string} Date
+ */
+function formatDate(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a lottery type scheduledTime: "HH:MM" (daily), "<weekday>_HH:MM" (weekly)
+ * or "last_day_HH:MM" (monthly, last day of the month)
+ * @param {string} scheduledTime - Lottery type scheduledTime
+ * @return {Object} Schedule fields
+ */
+function parseScheduledTime(scheduledTime) {
+  const value = String(scheduledTime).toLowerCase();
+
+  if (value.startsWith('last_day_')) {
+    return { type: 'monthly', dayOfMonth: -1, time: value.substring('last_day_'.length) };
+  }
+
+  const separator = value.indexOf('_');
+  if (separator !== -1) {
+    return {
+      type: 'weekly',
+      dayOfWeek: WEEKDAYS.indexOf(value.substring(0, separator)),
+      time: value.substring(separator + 1)
+    };
+  }
+
+  return { type: 'daily', time: value };
+}
+
+/**
+ * Parse one cron field into its sorted values.
+ * Supports "*", numbers, names (jan, mon), ranges, lists and steps ("*\/15", "1-5", "9-17/2").
+ * @param {string} expression - Field expression
+ * @param {Object} field - { name, min, max, names }
+ * @return {number[]} Values
+ */
+function parseCronField(expression, field) {
+  const invalid = () => new Error(`Invalid cron ${field.name} field: ${expression}`);
+  const toNumber = (token) => {
+    const named = field.names ? field.names.indexOf(token) : -1;
+    const value = named !== -1 ? named + field.offset : (/^\d+$/.test(token) ? Number(token) : NaN);
+    if (!Number.isInteger(value) || value < field.min || value > field.max) {
+      throw invalid();
+    }
+    return value;
+  };
+
+  const values = new Set();
+
+  for (const part of String(expression).toLowerCase().split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw invalid();
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(toNumber);
+      if (start > end) {
+        throw invalid();
+      }
+    } else {
+      start = toNumber(range);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return Array.from(values).sort((a, b) => a - b);
+}
+
+/**
+ * Parse a five-field cron expression: minute hour day-of-month month day-of-week.
+ * As in cron, when both day fields are restricted a day matching either one is a draw day.
+ * @param {string} expression - Cron expression
+ * @return {Object} Values of each field
+ */
+function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Invalid cron expression (use "minute hour day-of-month month day-of-week")');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) =>
+    parseCronField(field, CRON_FIELDS[index]));
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    // 7 is Sunday too
+    daysOfWeek: Array.from(new Set(daysOfWeek.map((day) => day % 7))),
+    anyDayOfMonth: fields[2].startsWith('*'),
+    anyDayOfWeek: fields[4].startsWith('*')
+  };
+}
+
+/**
+ * Parse blackout dates: "YYYY-MM-DD" for a single date or "MM-DD" for every year
+ * @param {string[]} blackoutDates - Dates to skip
+ * @return {Object[]} Parsed dates
+ */
+function parseBlackoutDates(blackoutDates = []) {
+  if (!Array.isArray(blackoutDates)) {
+    throw new Error('Blackout dates must be a list');
+  }
+
+  return blackoutDates.map((date) => {
+    const value = String(date);
+    if (/^\d{2}-\d{2}$/.test(value) && parseDate(`2000-${value}`)) {
+      return value;
+    }
+    if (parseDate(value)) {
+      return value;
+    }
+    throw new Error(`Invalid blackout date: ${value} (use YYYY-MM-DD or MM-DD)`);
+  });
+}
+
+/**
+ * Draw times of a schedule: "times" (several draws a day) or a single "time"
+ * @param {Object} source - { times } or { time }
+ * @return {Object[]} Times of { hours, minutes }, earliest first
+ */
+function parseTimes(source) {
+  const list = source.times !== undefined ? source.times : [source.time];
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('Draw times must be a non-empty list');
+  }
+  if (list.length > MAX_DRAWS_PER_DAY) {
+    throw new Error(`At most ${MAX_DRAWS_PER_DAY} draws per day`);
+  }
+
+  const times = list.map((time) => {
+    const parsed = parseTime(time);
+    if (!parsed) {
+      throw new Error(`Invalid draw time: ${time} (use HH:MM)`);
+    }
+    return parsed;
+  });
+
+  const unique = new Map(times.map((time) => [time.hours * 60 + time.minutes, time]));
+  if (new Set(Array.from(unique.values()).map((time) => time.hours)).size < unique.size) {
+    throw new Error('At most one draw per hour');
+  }
+  return Array.from(unique.keys()).sort((a, b) => a - b).map((key) => unique.get(key));
+}
+
+/**
+ * Normalize a schedule. Accepts a lottery type ({ scheduledTime, timezone }, or the schedule
+ * saved on it by an admin as { schedule }) or a schedule manager entry:
+ *   { type: 'daily', time | times }
+ *   { type: 'weekly', dayOfWeek, time | times }
+ *   { type: 'monthly', dayOfMonth (1-31, -1 for the last day), time | times }
+ *   { type: 'cron', cron: '0 12,20 * * 1-5' }
+ *   { type: 'once', date: 'YYYY-MM-DD', time | times }
+ * each with an optional timezone and blackoutDates.
+ * Monthly days past the end of a shorter month fall on its last day.
+ * @return {Object} { type, times, dayOfWeek, dayOfMonth, cron, date, blackoutDates, timezone }
+ * @throws {Error} for an invalid schedule
+ * @param {Object} schedule - Lottery type or schedule manager entry
+ */
+function normalizeSchedule(schedule) {
+  if (schedule.schedule) {
+    return normalizeSchedule(schedule.schedule);
+  }
+
+  const source = schedule.scheduledTime === undefined && schedule.type ?
+    schedule :
+    parseScheduledTime(schedule.scheduledTime || DEFAULT_TIME);
+
+  if (!SCHEDULE_TYPES.includes(source.type)) {
+    throw new Error(`Invalid schedule type: ${source.type}`);
+  }
+
+  const timezone = schedule.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+
+  const normalized = {
+    type: source.type,
+    timezone,
+    blackoutDates: parseBlackoutDates(schedule.blackoutDates)
+  };
+
+  if (source.type === 'cron') {
+    normalized.cron = parseCron(source.cron);
+    // Draws are run by an hourly job, so a second draw within the same hour would be skipped
+    if (normalized.cron.minutes.length > 1) {
+      throw new Error('At most one draw per hour (use a single minute value)');
+    }
+    return normalized;
+  }
+
+  normalized.times = parseTimes(source);
+
+  if (source.type === 'weekly') {
+    if (!Number.isInteger(source.dayOfWeek) || source.dayOfWeek < 0 || source.dayOfWeek > 6) {
+      throw new Error('Invalid day of week (0-6)');
+    }
+    normalized.dayOfWeek = source.dayOfWeek;
+  }
+
+  if (source.type === 'monthly') {
+    const dayOfMonth = source.dayOfMonth;
+    if (!Number.isInteger(dayOfMonth) || (dayOfMonth !== -1 && (dayOfMonth < 1 || dayOfMonth > 31))) {
+      throw new Error('Invalid day of month (1-31 or -1 for last day)');
+    }
+    normalized.dayOfMonth = dayOfMonth;
+  }
+
+  if (source.type === 'once') {
+    normalized.date = parseDate(source.date);
+    if (!normalized.date) {
+      throw new Error(`Invalid draw date: ${source.date} (use YYYY-MM-DD)`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Whether a calendar date is a draw day
+ * @param {Object} schedule - Normalized schedule
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @return {boolean} Whether it is a draw day
+ */
+function isDrawDay(schedule, year, month, day) {
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+  switch (schedule.type) {
+  case 'weekly':
+    return weekday === schedule.dayOfWeek;
+  case 'monthly': {
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const drawDay = schedule.dayOfMonth === -1 ? lastDay : Math.min(schedule.dayOfMonth, lastDay);
+    return day === drawDay;
+  }
+  case 'cron': {
+    const cron = schedule.cron;
+    if (!cron.months.includes(month)) {
+      return false;
+    }
+    const dayOfMonthMatches = cron.daysOfMonth.includes(day);
+    const dayOfWeekMatches = cron.daysOfWeek.includes(weekday);
+    if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+      return dayOfMonthMatches && dayOfWeekMatches;
+    }
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  case 'once':
+    return year === schedule.date.year && month === schedule.date.month && day === schedule.date.day;
+  default:
+    return true;
+  }
+}
+
+/**
+ * Whether a calendar date is blacked out
+ * @param {Object} schedule - Normalized schedule
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @return {boolean} Whether it is blacked out
+ */
+function isBlackedOut(schedule, year, month, day) {
+  const date = formatDate(year, month, day);
+  return schedule.blackoutDates.includes(date) || schedule.blackoutDates.includes(date.substring(5));
+}
+
+/**
+ * Wall-clock draw times on a calendar date, earliest first
+ * @param {Object} schedule - Normalized schedule
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @return {Object[]} Times of { hours, minutes }
+ */
+function getDrawTimesOn(schedule, year, month, day) {
+  if (!isDrawDay(schedule, year, month, day) || isBlackedOut(schedule, year, month, day)) {
+    return [];
+  }
+
+  if (schedule.type !== 'cron') {
+    return schedule.times;
+  }
+
+  const times = [];
+  for (const hours of schedule.cron.hours) {
+    for (const minutes of schedule.cron.minutes) {
+      times.push({ hours, minutes });
+    }
+  }
+  return times;
+}
+
+/**
+ * Upcoming draws strictly after a moment
+ * @param {Object} schedule - Lottery type or schedule manager entry
+ * @param {number} count - Number of draws to return (at most 50)
+ * @param {Date} from - Moment to search from (default: now)
+ * @return {Date[]} Fewer than count when the schedule ends (one-off draws)
+ */
+function upcomingDrawTimes(schedule, count = 1, from = new Date()) {
+  const normalized = normalizeSchedule(schedule);
+  const limit = Math.min(Math.max(Math.floor(count) || 1, 1), MAX_PREVIEW);
+  const start = new Date(from);
+  const today = getZonedParts(start, normalized.timezone);
+  const firstDay = normalized.type === 'once' ?
+    Date.UTC(normalized.date.year, normalized.date.month - 1, normalized.date.day) :
+    Date.UTC(today.year, today.month - 1, today.day);
+
+  const drawTimes = [];
+
+  for (let offset = 0; offset < MAX_SEARCH_DAYS && drawTimes.length < limit; offset++) {
+    const date = new Date(firstDay + offset * DAY_MS);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+
+    // Times inside a skipped DST hour move forward, so sort and drop duplicates
+    const instants = getDrawTimesOn(normalized, year, month, day)
+      .map((time) => zonedTimeToUtc({ year, month, day, ...time }, normalized.timezone).getTime())
+      .filter((instant, index, all) => instant > start.getTime() && all.indexOf(instant) === index)
+      .sort((a, b) => a - b);
+
+    for (const instant of instants.slice(0, limit - drawTimes.length)) {
+      drawTimes.push(new Date(instant));
+    }
+
+    if (normalized.type === 'once') {
+      break;
+    }
+  }
+
+  return drawTimes;
+}
+
+/**
+ * First draw strictly after a moment
+ * @param {Object} schedule - Lottery type or schedule manager entry
+ * @param {Date} from - Moment to search from (default: now)
+ * @return {Date|null} null once a one-off draw has passed
+ */
+function nextDrawTime(schedule, from = new Date()) {
+  return upcomingDrawTimes(schedule, 1, from)[0] || null;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  SCHEDULE_TYPES,
+  WEEKDAYS,
+  MAX_DRAWS_PER_DAY,
+  MAX_PREVIEW,
+  isValidTimeZone,
+  getZonedParts,
+  getTimeZoneOffset,
+  zonedTimeToUtc,
+  parseTime,
+  parseDate,
+  parseScheduledTime,
+  parseCron,
+  normalizeSchedule,
+  isDrawDay,
+  isBlackedOut,
+  getDrawTimesOn,
+  upcomingDrawTimes,
+  nextDrawTime
+};
@@ -2,31 +2,147 @@ const admin = require('firebase-admin');
 const crypto = require('crypto');
 const { logger } = require('../utils/logger');
 const prizeDistribution = require('./prizeDistribution');
+const drawingVerifier = require('./drawingVerifier');
+const drawSchedule = require('./drawSchedule');
+const refundProcessor = require('../payments/refundProcessor');
+const jackpotRollover = require('./jackpotRollover');
+const { eventBus, EVENTS } = require('../events/eventBus');
 
 /**
  * Lottery drawing engine with cryptographically secure randomization
  */
 class DrawingEngine {
+  /**
+   * Drawing limits: deadline extensions, snapshot chunk size and how long a drawing claim holds
+   */
   constructor() {
     this.db = admin.firestore();
     this.maxExtensions = 2;
     this.extensionHours = 24;
+    this.snapshotChunkSize = 1000;
+    this.drawClaimTimeoutMs = 15 * 60 * 1000;
+  }
+
+  /**
+   * Create a seed commitment for a new lottery instance.
+   * The seed itself stays in drawing_seeds until the draw; only its hash is published.
+   * The draw strategy is fixed at the same time so it cannot be chosen after entries are known.
+   * @param {string} lotteryInstanceId - New lottery instance
+   * @param {string} drawStrategy - Draw strategy id, or null for the default
+   */
+  async createSeedCommitment(lotteryInstanceId, drawStrategy = null) {
+    try {
+      const { seedRecord, ...commitment } = this.prepareSeedCommitment(lotteryInstanceId, drawStrategy);
+
+      await this.db.collection('drawing_seeds').doc(lotteryInstanceId).set(seedRecord);
+
+      return commitment;
+    } catch (error) {
+      logger.error(`Failed to create seed commitment for ${lotteryInstanceId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a seed commitment without storing it. New instances pass seedRecord to
+   * jackpotRollover.createInstanceWithRollover, which writes it with the instance.
+   * @param {string} lotteryInstanceId - New lottery instance
+   * @param {string} drawStrategy - Draw strategy id, or null for the default
+   * @return {Object} { seedHash, algorithmVersion, drawStrategy, seedRecord }
+   */
+  prepareSeedCommitment(lotteryInstanceId, drawStrategy = null) {
+    const seed = crypto.randomBytes(32).toString('hex');
+    const seedHash = drawingVerifier.hashSeed(seed);
+    const strategy = this.resolveDrawStrategy(drawStrategy);
+
+    return {
+      seedHash,
+      algorithmVersion: drawingVerifier.ALGORITHM_VERSION,
+      drawStrategy: strategy,
+      seedRecord: {
+        lotteryInstanceId,
+        seed,
+        seedHash,
+        algorithmVersion: drawingVerifier.ALGORITHM_VERSION,
+        drawStrategy: strategy,
+        revealed: false,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    };
+  }
+
+  /**
+   * Load the committed seed for an instance and check it against the published hash
+   * @param {Object} instance - Lottery instance with its id and seedHash
+   */
+  async getCommittedSeed(instance) {
+    try {
+      let seedDoc = await this.db.collection('drawing_seeds').doc(instance.id).get();
+
+      if (!seedDoc.exists) {
+        // Instances created before commitments existed get one at draw time
+        logger.warn(`No seed commitment for ${instance.id}, committing at draw time`);
+        const commitment = await this.createSeedCommitment(instance.id, instance.drawStrategy);
+        await this.db.collection('lottery_instances').doc(instance.id).update({
+          seedHash: commitment.seedHash,
+          algorithmVersion: commitment.algorithmVersion,
+          drawStrategy: commitment.drawStrategy,
+          seedCommittedLate: true,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        instance.seedHash = commitment.seedHash;
+        instance.drawStrategy = commitment.drawStrategy;
+        seedDoc = await this.db.collection('drawing_seeds').doc(instance.id).get();
+      }
+
+      const { seed, seedHash } = seedDoc.data();
+      if (drawingVerifier.hashSeed(seed) !== seedHash || (instance.seedHash && instance.seedHash !== seedHash)) {
+        throw new Error(`Seed commitment mismatch for lottery instance ${instance.id}`);
+      }
+
+      return seed;
+    } catch (error) {
+      logger.error(`Failed to get committed seed for ${instance.id}:`, error);
+      throw error;
+    }
   }
 
   /**
-   * Conduct lottery drawing for a specific instance
+   * Resolve a draw strategy id, falling back to the default for unknown values
+   * @param {string} drawStrategy - Draw strategy id
+   * @return {string} A supported strategy id
    */
-  async conductLotteryDrawing(lotteryInstanceId) {
+  resolveDrawStrategy(drawStrategy) {
+    if (!drawStrategy) {
+      return drawingVerifier.DEFAULT_STRATEGY;
+    }
+    if (!drawingVerifier.isSupportedStrategy(drawStrategy)) {
+      logger.warn(`Unknown draw strategy ${drawStrategy}, using ${drawingVerifier.DEFAULT_STRATEGY}`);
+      return drawingVerifier.DEFAULT_STRATEGY;
+    }
+    return drawStrategy;
+  }
+
+  /**
+   * Conduct lottery drawing for a specific instance.
+   * options.drawStrategy applies only to instances opened without a committed strategy;
+   * options.force draws an instance that has fewer than the minimum participants.
+   * @param {string} lotteryInstanceId - Instance to draw
+   * @param {Object} options - { drawStrategy, force }
+   */
+  async conductLotteryDrawing(lotteryInstanceId, options = {}) {
+    let claimId = null;
     try {
       logger.info(`Starting lottery drawing for instance: ${lotteryInstanceId}`);
 
       // Get lottery instance
-      const instance = await this.getLotteryInstance(lotteryInstanceId);
+      let instance = await this.getLotteryInstance(lotteryInstanceId);
       if (!instance) {
         throw new Error('Lottery instance not found');
       }
 
-      if (instance.status !== 'active') {
+      // Frozen instances are drawings that passed cutoff but did not finish; they resume here
+      if (!['active', 'frozen', 'drawing'].includes(instance.status)) {
         throw new Error(`Lottery instance is not active (status: ${instance.status})`);
       }
 
@@ -38,24 +154,32 @@ class DrawingEngine {
 
       // Check minimum participants requirement
       const minParticipants = lotteryType.minParticipants || 5;
-      if (instance.participants < minParticipants) {
+      if (instance.status === 'active' && !options.force && instance.participants < minParticipants) {
         return await this.handleInsufficientParticipants(instance, lotteryType);
       }
 
-      // Get all valid entries for this lottery
-      const entries = await this.getLotteryEntries(lotteryInstanceId);
+      // Cutoff: freeze the instance so no further entries land, then snapshot the entries
+      if (instance.status === 'active') {
+        instance = await this.freezeLotteryInstance(lotteryInstanceId);
+      }
+
+      // Only the run holding the claim may record winners
+      claimId = await this.claimDrawing(lotteryInstanceId);
+      const entries = await this.getFrozenEntries(instance);
       if (entries.length === 0) {
         throw new Error('No valid entries found for lottery');
       }
 
-      // Conduct the drawing
-      const drawingResult = await this.performDrawing(entries, instance);
-
-      // Record winners and distribute prizes
-      await this.recordWinners(lotteryInstanceId, drawingResult.winners, instance);
+      // Conduct the drawing with the seed and strategy committed when the instance opened
+      instance.lotteryName = lotteryType.name;
+      instance.drawStrategy = instance.drawStrategy ||
+        this.resolveDrawStrategy(options.drawStrategy || lotteryType.drawStrategy);
+      const randomSeed = await this.getCommittedSeed(instance);
+      const drawingResult = await this.performDrawing(entries, instance, randomSeed);
 
-      // Update lottery instance status
-      await this.completeLotteryDrawing(lotteryInstanceId, drawingResult);
+      // Record winners and complete the instance in one transaction
+      await this.completeLotteryDrawing(lotteryInstanceId, claimId, drawingResult, instance);
+      claimId = null;
 
       // Schedule next lottery instance
       await this.scheduleNextLottery(instance.lotteryTypeId);
@@ -72,122 +196,347 @@ class DrawingEngine {
         winners: drawingResult.winners,
         prizePool: instance.prizePool,
         drawingTimestamp: drawingResult.timestamp,
-        randomSeed: drawingResult.randomSeed
+        randomSeed: drawingResult.randomSeed,
+        seedHash: drawingResult.seedHash,
+        merkleRoot: instance.merkleRoot,
+        algorithmVersion: drawingResult.algorithmVersion,
+        drawStrategy: drawingResult.drawStrategy
       };
     } catch (error) {
       logger.error(`Lottery drawing failed for ${lotteryInstanceId}:`, error);
+      if (claimId) {
+        await this.releaseDrawingClaim(lotteryInstanceId, claimId);
+      }
       await this.logDrawingError(lotteryInstanceId, error.message);
       throw error;
     }
   }
 
   /**
-   * Perform the actual drawing with cryptographic randomization
+   * Freeze a lottery instance at draw cutoff.
+   * Entry writes check the instance status inside their transactions, so none can land after this.
+   * @param {string} lotteryInstanceId - Instance to freeze
    */
-  async performDrawing(entries, instance) {
+  async freezeLotteryInstance(lotteryInstanceId) {
     try {
-      // Generate cryptographically secure random seed
-      const randomSeed = crypto.randomBytes(32).toString('hex');
-      const timestamp = new Date().toISOString();
+      const instanceRef = this.db.collection('lottery_instances').doc(lotteryInstanceId);
 
-      // Create expanded entry pool (accounting for multiple tickets per user)
-      const entryPool = [];
-      entries.forEach(entry => {
-        const ticketCount = entry.ticketCount || 1;
-        for (let i = 0; i < ticketCount; i++) {
-          entryPool.push({
-            ...entry,
-            ticketIndex: i
-          });
+      await this.db.runTransaction(async (transaction) => {
+        const instanceDoc = await transaction.get(instanceRef);
+
+        if (!instanceDoc.exists) {
+          throw new Error('Lottery instance not found');
+        }
+        if (instanceDoc.data().status !== 'active') {
+          throw new Error(`Lottery instance cannot be frozen (status: ${instanceDoc.data().status})`);
         }
+
+        transaction.update(instanceRef, {
+          status: 'frozen',
+          frozenAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
       });
 
-      // Shuffle entry pool using cryptographic randomization
-      const shuffledPool = this.cryptographicShuffle(entryPool, randomSeed);
+      const instance = await this.getLotteryInstance(lotteryInstanceId);
+      const snapshot = await this.createEntrySnapshot(instance);
+
+      logger.info(`Lottery ${lotteryInstanceId} frozen with ${snapshot.entryCount} entries, root ${snapshot.merkleRoot}`);
 
-      // Determine prize structure based on participant count
-      const prizeStructure = prizeDistribution.getPrizeStructure(instance.participants);
-      const winners = [];
+      return {
+        ...instance,
+        merkleRoot: snapshot.merkleRoot,
+        entrySnapshotHash: snapshot.entrySnapshotHash
+      };
+    } catch (error) {
+      logger.error(`Failed to freeze lottery instance ${lotteryInstanceId}:`, error);
+      throw error;
+    }
+  }
 
-      // Select winners
-      const selectedEntries = new Set();
-      
-      for (let position = 1; position <= Object.keys(prizeStructure).length; position++) {
-        let winnerSelected = false;
-        let attempts = 0;
-        const maxAttempts = shuffledPool.length;
-
-        while (!winnerSelected && attempts < maxAttempts) {
-          const randomIndex = this.generateSecureRandom(shuffledPool.length, `${randomSeed}_${position}_${attempts}`);
-          const selectedEntry = shuffledPool[randomIndex];
-
-          // Ensure one winner per user (no duplicate winners)
-          if (!selectedEntries.has(selectedEntry.userId)) {
-            const prizeAmount = this.calculatePrizeAmount(instance.prizePool, prizeStructure, position);
-            
-            winners.push({
-              position,
-              userId: selectedEntry.userId,
-              username: selectedEntry.username || 'Anonymous',
-              entryId: selectedEntry.id,
-              ticketIndex: selectedEntry.ticketIndex,
-              prizeAmount,
-              netPrizeAmount: this.calculateNetPrize(prizeAmount),
-              selectionIndex: randomIndex
-            });
-
-            selectedEntries.add(selectedEntry.userId);
-            winnerSelected = true;
-          }
-          attempts++;
+  /**
+   * Claim a frozen instance for drawing.
+   * A claim left by a run that died is taken over once it is older than drawClaimTimeoutMs.
+   * @param {string} lotteryInstanceId - Frozen instance
+   */
+  async claimDrawing(lotteryInstanceId) {
+    try {
+      const instanceRef = this.db.collection('lottery_instances').doc(lotteryInstanceId);
+      const claimId = crypto.randomBytes(16).toString('hex');
+
+      await this.db.runTransaction(async (transaction) => {
+        const instanceDoc = await transaction.get(instanceRef);
+
+        if (!instanceDoc.exists) {
+          throw new Error('Lottery instance not found');
         }
 
-        if (!winnerSelected) {
-          logger.warn(`Could not select winner for position ${position} after ${maxAttempts} attempts`);
+        const { status, drawClaimedAt } = instanceDoc.data();
+        const staleClaim = status === 'drawing' &&
+          (!drawClaimedAt || Date.now() - drawClaimedAt.toMillis() > this.drawClaimTimeoutMs);
+        if (status !== 'frozen' && !staleClaim) {
+          throw new Error(`Lottery instance cannot be claimed for drawing (status: ${status})`);
+        }
+
+        transaction.update(instanceRef, {
+          status: 'drawing',
+          drawClaimId: claimId,
+          drawClaimedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+      return claimId;
+    } catch (error) {
+      logger.error(`Failed to claim lottery instance ${lotteryInstanceId} for drawing:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hand a failed drawing back to the frozen state so the next run can retry it
+   * @param {string} lotteryInstanceId - Claimed instance
+   * @param {string} claimId - Claim to release
+   */
+  async releaseDrawingClaim(lotteryInstanceId, claimId) {
+    try {
+      const instanceRef = this.db.collection('lottery_instances').doc(lotteryInstanceId);
+
+      await this.db.runTransaction(async (transaction) => {
+        const instanceDoc = await transaction.get(instanceRef);
+        if (!instanceDoc.exists) {
+          return;
         }
+
+        const { status, drawClaimId } = instanceDoc.data();
+        if (status !== 'drawing' || drawClaimId !== claimId) {
+          return;
+        }
+
+        transaction.update(instanceRef, {
+          status: 'frozen',
+          drawClaimId: admin.firestore.FieldValue.delete(),
+          drawClaimedAt: admin.firestore.FieldValue.delete(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+    } catch (error) {
+      // A claim that is not released is taken over once it goes stale
+      logger.error(`Failed to release drawing claim on ${lotteryInstanceId}:`, error);
+    }
+  }
+
+  /**
+   * Write the frozen entry list and its Merkle root.
+   * Entries are stored in chunks to stay under the Firestore document size limit.
+   * @param {Object} instance - Frozen lottery instance
+   */
+  async createEntrySnapshot(instance) {
+    try {
+      const entries = await this.getLotteryEntries(instance.id);
+      const frozenEntries = entries
+        .map((entry) => ({
+          id: entry.id,
+          userId: entry.userId,
+          username: entry.username || null,
+          ticketCount: entry.ticketCount || 1
+        }))
+        .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+
+      const entrySnapshot = drawingVerifier.buildEntrySnapshot(frozenEntries, instance.id);
+      const ticketPool = drawingVerifier.buildTicketPool(entrySnapshot);
+      const merkleRoot = drawingVerifier.merkleRoot(ticketPool);
+      const entrySnapshotHash = drawingVerifier.hashEntrySnapshot(entrySnapshot);
+
+      const snapshotRef = this.db.collection('drawing_snapshots').doc(instance.id);
+      const chunkCount = Math.ceil(frozenEntries.length / this.snapshotChunkSize);
+      const batch = this.db.batch();
+
+      for (let index = 0; index < chunkCount; index++) {
+        const start = index * this.snapshotChunkSize;
+        batch.set(snapshotRef.collection('chunks').doc(String(index).padStart(5, '0')), {
+          index,
+          entries: frozenEntries.slice(start, start + this.snapshotChunkSize)
+        });
       }
 
+      batch.set(snapshotRef, {
+        lotteryInstanceId: instance.id,
+        entryCount: frozenEntries.length,
+        ticketCount: ticketPool.length,
+        chunkCount,
+        entrySnapshotHash,
+        merkleRoot,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      batch.update(this.db.collection('lottery_instances').doc(instance.id), {
+        merkleRoot,
+        entrySnapshotHash,
+        frozenTicketCount: ticketPool.length,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await batch.commit();
+
       return {
-        winners,
-        totalEntries: entryPool.length,
-        uniqueParticipants: entries.length,
-        randomSeed,
-        timestamp,
-        algorithm: 'cryptographic_shuffle',
-        prizeStructure
+        entryCount: frozenEntries.length,
+        ticketCount: ticketPool.length,
+        entrySnapshotHash,
+        merkleRoot
       };
     } catch (error) {
-      logger.error('Drawing performance failed:', error);
+      logger.error(`Failed to create entry snapshot for ${instance.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the entry list frozen at cutoff, creating the snapshot if the freeze was interrupted
+   * @param {Object} instance - Frozen lottery instance
+   */
+  async getFrozenEntries(instance) {
+    try {
+      const snapshotRef = this.db.collection('drawing_snapshots').doc(instance.id);
+      let snapshotDoc = await snapshotRef.get();
+
+      if (!snapshotDoc.exists) {
+        const snapshot = await this.createEntrySnapshot(instance);
+        instance.merkleRoot = snapshot.merkleRoot;
+        instance.entrySnapshotHash = snapshot.entrySnapshotHash;
+        snapshotDoc = await snapshotRef.get();
+      }
+
+      const chunksSnapshot = await snapshotRef.collection('chunks').orderBy('index').get();
+      const entries = [];
+      chunksSnapshot.forEach((doc) => {
+        entries.push(...doc.data().entries);
+      });
+
+      if (entries.length !== snapshotDoc.data().entryCount) {
+        throw new Error(`Entry snapshot for ${instance.id} is incomplete`);
+      }
+
+      return entries;
+    } catch (error) {
+      logger.error(`Failed to get frozen entries for ${instance.id}:`, error);
       throw error;
     }
   }
 
   /**
-   * Cryptographically secure shuffle algorithm
+   * Get Merkle inclusion proofs for every ticket a user holds in a frozen lottery
+   * @param {string} lotteryInstanceId - Frozen lottery instance
+   * @param {string} userId - Ticket holder
    */
-  cryptographicShuffle(array, seed) {
-    const shuffled = [...array];
-    
-    for (let i = shuffled.length - 1; i > 0; i--) {
-      const randomIndex = this.generateSecureRandom(i + 1, `${seed}_${i}`);
-      [shuffled[i], shuffled[randomIndex]] = [shuffled[randomIndex], shuffled[i]];
+  async getTicketInclusionProofs(lotteryInstanceId, userId) {
+    try {
+      const instance = await this.getLotteryInstance(lotteryInstanceId);
+      if (!instance) {
+        throw new Error('Lottery instance not found');
+      }
+      if (!instance.merkleRoot) {
+        throw new Error('Lottery entries have not been frozen yet');
+      }
+
+      const entries = await this.getFrozenEntries(instance);
+      const entrySnapshot = drawingVerifier.buildEntrySnapshot(entries, lotteryInstanceId);
+      const ticketPool = drawingVerifier.buildTicketPool(entrySnapshot);
+      const levels = drawingVerifier.buildMerkleTree(ticketPool.map(drawingVerifier.merkleLeaf));
+      const participant = drawingVerifier.participantId(lotteryInstanceId, userId);
+
+      const tickets = [];
+      ticketPool.forEach((ticket, leafIndex) => {
+        if (ticket.participant === participant) {
+          tickets.push({
+            entryId: ticket.entryId,
+            ticketIndex: ticket.ticketIndex,
+            leafIndex,
+            leaf: levels[0][leafIndex],
+            proof: drawingVerifier.merkleProof(levels, leafIndex)
+          });
+        }
+      });
+
+      return {
+        lotteryInstanceId,
+        merkleRoot: instance.merkleRoot,
+        participant,
+        leafCount: ticketPool.length,
+        tickets
+      };
+    } catch (error) {
+      logger.error(`Failed to get inclusion proofs for ${lotteryInstanceId}:`, error);
+      throw error;
     }
-    
-    return shuffled;
   }
 
   /**
-   * Generate cryptographically secure random number
+   * Perform the actual drawing.
+   * Winners depend only on the revealed seed and the entry snapshot, so anyone can replay
+   * the draw with drawingVerifier.
+   * @param {Object[]} entries - Entries frozen at cutoff
+   * @param {Object} instance - Lottery instance
+   * @param {string} randomSeed - Revealed seed
    */
-  generateSecureRandom(max, additionalEntropy = '') {
-    const entropy = crypto.randomBytes(4).toString('hex') + additionalEntropy;
-    const hash = crypto.createHash('sha256').update(entropy).digest();
-    const randomValue = hash.readUInt32BE(0);
-    return randomValue % max;
+  async performDrawing(entries, instance, randomSeed) {
+    try {
+      const timestamp = new Date().toISOString();
+
+      // Canonical snapshot of the entry list (accounting for multiple tickets per user)
+      const entrySnapshot = drawingVerifier.buildEntrySnapshot(entries, instance.id);
+      const entriesById = new Map(entries.map((entry) => [entry.id, entry]));
+
+      // Determine prize structure based on participant count
+      const prizeStructure = prizeDistribution.getPrizeStructure(entrySnapshot.length);
+      const drawStrategy = this.resolveDrawStrategy(instance.drawStrategy);
+      const result = drawingVerifier.runDrawing(entrySnapshot, randomSeed, prizeStructure, drawStrategy);
+
+      const winners = result.winners.map((selection) => {
+        const entry = entriesById.get(selection.entryId);
+        const prizeAmount = this.calculatePrizeAmount(instance.prizePool, prizeStructure, selection.position);
+
+        return {
+          position: selection.position,
+          userId: entry.userId,
+          username: entry.username || 'Anonymous',
+          entryId: selection.entryId,
+          ticketIndex: selection.ticketIndex,
+          prizeAmount,
+          netPrizeAmount: this.calculateNetPrize(prizeAmount),
+          selectionIndex: selection.selectionIndex
+        };
+      });
+
+      if (winners.length < Object.keys(prizeStructure).length) {
+        logger.warn(`Only ${winners.length} of ${Object.keys(prizeStructure).length} prize positions could be filled`);
+      }
+
+      return {
+        winners,
+        totalEntries: result.ticketPool.length,
+        uniqueParticipants: entries.length,
+        randomSeed,
+        seedHash: drawingVerifier.hashSeed(randomSeed),
+        entrySnapshotHash: drawingVerifier.hashEntrySnapshot(entrySnapshot),
+        timestamp,
+        algorithm: 'cryptographic_shuffle',
+        algorithmVersion: drawingVerifier.ALGORITHM_VERSION,
+        drawStrategy,
+        prizeStructure
+      };
+    } catch (error) {
+      logger.error('Drawing performance failed:', error);
+      throw error;
+    }
   }
 
   /**
    * Calculate prize amount for specific position
+   * @param {number} totalPrizePool - Prize pool
+   * @param {Object} prizeStructure - Share of the pool per position
+   * @param {number} position - Prize position
+   * @return {number} Gross prize
    */
   calculatePrizeAmount(totalPrizePool, prizeStructure, position) {
     const positionKey = `position_${position}`;
@@ -197,6 +546,8 @@ class DrawingEngine {
 
   /**
    * Calculate net prize amount (after Pi Network transaction fee)
+   * @param {number} grossAmount - Gross prize
+   * @return {number} Net prize
    */
   calculateNetPrize(grossAmount) {
     const piNetworkFee = 0.01; // Pi Network transaction fee
@@ -205,14 +556,16 @@ class DrawingEngine {
 
   /**
    * Handle insufficient participants scenario
+   * @param {Object} instance - Lottery instance
+   * @param {Object} lotteryType - Its lottery type
    */
   async handleInsufficientParticipants(instance, lotteryType) {
     try {
       const extensionCount = instance.extensionCount || 0;
-      
+
       if (extensionCount >= this.maxExtensions) {
         // Cancel lottery and refund participants
-        return await this.cancelLotteryAndRefund(instance);
+        return await this.cancelLotteryAndRefund({ ...instance, lotteryName: lotteryType.name });
       } else {
         // Extend lottery deadline
         return await this.extendLotteryDeadline(instance);
@@ -225,11 +578,12 @@ class DrawingEngine {
 
   /**
    * Extend lottery deadline
+   * @param {Object} instance - Lottery instance
    */
   async extendLotteryDeadline(instance) {
     try {
       const newDrawTime = new Date(Date.now() + this.extensionHours * 60 * 60 * 1000);
-      
+
       await this.db.collection('lottery_instances').doc(instance.id).update({
         scheduledDrawTime: newDrawTime,
         extensionCount: admin.firestore.FieldValue.increment(1),
@@ -257,6 +611,7 @@ class DrawingEngine {
 
   /**
    * Cancel lottery and process refunds
+   * @param {Object} instance - Lottery instance
    */
   async cancelLotteryAndRefund(instance) {
     try {
@@ -268,8 +623,12 @@ class DrawingEngine {
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       });
 
+      // Lottery types that opt in carry the pool into the next instance instead of refunding it
+      const rollover = await jackpotRollover.rolloverCancelledPool(instance, 'Insufficient participants');
+
       // Process refunds for paid entries (Pi lottery only)
-      if (instance.lotteryTypeId !== 'daily_ads') {
+      const refundsProcessed = !rollover && instance.lotteryTypeId !== 'daily_ads';
+      if (refundsProcessed) {
         await this.processRefunds(instance.id);
       }
 
@@ -278,11 +637,22 @@ class DrawingEngine {
 
       logger.info(`Lottery ${instance.id} cancelled due to insufficient participants`);
 
+      await eventBus.publish(EVENTS.LOTTERY_CANCELLED, {
+        lotteryInstanceId: instance.id,
+        lotteryTypeId: instance.lotteryTypeId,
+        lotteryName: instance.lotteryName || instance.lotteryTypeId,
+        reason: 'Insufficient participants',
+        refundsProcessed,
+        rolloverId: rollover ? rollover.id : null
+      });
+
       return {
         success: true,
         action: 'cancelled',
         reason: 'Insufficient participants after maximum extensions',
-        refundsProcessed: instance.lotteryTypeId !== 'daily_ads'
+        refundsProcessed,
+        rolloverId: rollover ? rollover.id : null,
+        rolloverAmount: rollover ? rollover.amount : 0
       };
     } catch (error) {
       logger.error('Failed to cancel lottery and refund:', error);
@@ -291,66 +661,123 @@ class DrawingEngine {
   }
 
   /**
-   * Record winners in database
+   * Add winner records and user statistics to a drawing transaction
+   * @param {Object} transaction - Firestore transaction
+   * @param {string} lotteryInstanceId - Drawn instance
+   * @param {Object[]} winners - Winners from performDrawing
+   * @param {Object} instance - Lottery instance
    */
-  async recordWinners(lotteryInstanceId, winners, instance) {
+  recordWinners(transaction, lotteryInstanceId, winners, instance) {
+    winners.forEach((winner) => {
+      const winnerId = `${lotteryInstanceId}_${winner.position}`;
+      const winnerRef = this.db.collection('lottery_winners').doc(winnerId);
+
+      transaction.create(winnerRef, {
+        lotteryInstanceId,
+        userId: winner.userId,
+        username: winner.username,
+        position: winner.position,
+        prizeAmount: winner.prizeAmount,
+        netPrizeAmount: winner.netPrizeAmount,
+        entryId: winner.entryId,
+        status: 'pending_approval',
+        selectionData: {
+          ticketIndex: winner.ticketIndex,
+          selectionIndex: winner.selectionIndex,
+          drawStrategy: instance.drawStrategy || drawingVerifier.DEFAULT_STRATEGY
+        },
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      // Update user statistics
+      const userRef = this.db.collection('users').doc(winner.userId);
+      transaction.update(userRef, {
+        lotteriesWon: admin.firestore.FieldValue.increment(1),
+        totalWinnings: admin.firestore.FieldValue.increment(winner.prizeAmount),
+        lastWinDate: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    });
+  }
+
+  /**
+   * Complete lottery drawing.
+   * Winners, user statistics, the instance result and the seed reveal commit together,
+   * and only while the caller still holds the drawing claim.
+   * @param {string} lotteryInstanceId - Drawn instance
+   * @param {string} claimId - Drawing claim held by the caller
+   * @param {Object} drawingResult - Result of performDrawing
+   * @param {Object} instance - Lottery instance
+   */
+  async completeLotteryDrawing(lotteryInstanceId, claimId, drawingResult, instance = {}) {
     try {
-      const batch = this.db.batch();
+      const instanceRef = this.db.collection('lottery_instances').doc(lotteryInstanceId);
 
-      winners.forEach(winner => {
-        const winnerId = `${lotteryInstanceId}_${winner.position}`;
-        const winnerRef = this.db.collection('lottery_winners').doc(winnerId);
-        
-        batch.set(winnerRef, {
-          lotteryInstanceId,
-          userId: winner.userId,
-          username: winner.username,
-          position: winner.position,
-          prizeAmount: winner.prizeAmount,
-          netPrizeAmount: winner.netPrizeAmount,
-          entryId: winner.entryId,
-          status: 'pending_approval',
-          selectionData: {
-            ticketIndex: winner.ticketIndex,
-            selectionIndex: winner.selectionIndex
+      await this.db.runTransaction(async (transaction) => {
+        const instanceDoc = await transaction.get(instanceRef);
+
+        if (!instanceDoc.exists) {
+          throw new Error('Lottery instance not found');
+        }
+        if (instanceDoc.data().status !== 'drawing' || instanceDoc.data().drawClaimId !== claimId) {
+          throw new Error(`Drawing claim on ${lotteryInstanceId} was lost (status: ${instanceDoc.data().status})`);
+        }
+
+        this.recordWinners(transaction, lotteryInstanceId, drawingResult.winners, instance);
+
+        transaction.update(instanceRef, {
+          status: 'completed',
+          actualDrawTime: admin.firestore.FieldValue.serverTimestamp(),
+          drawingResult: {
+            totalEntries: drawingResult.totalEntries,
+            uniqueParticipants: drawingResult.uniqueParticipants,
+            winnersCount: drawingResult.winners.length,
+            randomSeed: drawingResult.randomSeed,
+            seedHash: drawingResult.seedHash,
+            entrySnapshotHash: drawingResult.entrySnapshotHash,
+            prizeStructure: drawingResult.prizeStructure,
+            algorithm: drawingResult.algorithm,
+            algorithmVersion: drawingResult.algorithmVersion,
+            drawStrategy: drawingResult.drawStrategy
           },
-          createdAt: admin.firestore.FieldValue.serverTimestamp()
+          drawClaimId: admin.firestore.FieldValue.delete(),
+          drawClaimedAt: admin.firestore.FieldValue.delete(),
+          seedRevealedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
         });
 
-        // Update user statistics
-        const userRef = this.db.collection('users').doc(winner.userId);
-        batch.update(userRef, {
-          lotteriesWon: admin.firestore.FieldValue.increment(1),
-          totalWinnings: admin.firestore.FieldValue.increment(winner.prizeAmount),
-          lastWinDate: admin.firestore.FieldValue.serverTimestamp(),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        // Reveal the seed now that winners are fixed
+        transaction.update(this.db.collection('drawing_seeds').doc(lotteryInstanceId), {
+          revealed: true,
+          revealedAt: admin.firestore.FieldValue.serverTimestamp()
         });
       });
 
-      await batch.commit();
-      logger.info(`Recorded ${winners.length} winners for lottery ${lotteryInstanceId}`);
-    } catch (error) {
-      logger.error('Failed to record winners:', error);
-      throw error;
-    }
-  }
+      logger.info(`Recorded ${drawingResult.winners.length} winners for lottery ${lotteryInstanceId}`);
 
-  /**
-   * Complete lottery drawing
-   */
-  async completeLotteryDrawing(lotteryInstanceId, drawingResult) {
-    try {
-      await this.db.collection('lottery_instances').doc(lotteryInstanceId).update({
-        status: 'completed',
-        actualDrawTime: admin.firestore.FieldValue.serverTimestamp(),
-        drawingResult: {
-          totalEntries: drawingResult.totalEntries,
-          uniqueParticipants: drawingResult.uniqueParticipants,
-          winnersCount: drawingResult.winners.length,
-          randomSeed: drawingResult.randomSeed,
-          algorithm: drawingResult.algorithm
-        },
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      for (const winner of drawingResult.winners) {
+        await eventBus.publish(EVENTS.WINNER_SELECTED, {
+          lotteryInstanceId,
+          lotteryTypeId: instance.lotteryTypeId,
+          lotteryName: instance.lotteryName || instance.lotteryTypeId,
+          winnerId: `${lotteryInstanceId}_${winner.position}`,
+          userId: winner.userId,
+          position: winner.position,
+          prizeAmount: winner.prizeAmount,
+          netPrizeAmount: winner.netPrizeAmount
+        });
+      }
+
+      await eventBus.publish(EVENTS.LOTTERY_DRAWN, {
+        lotteryInstanceId,
+        lotteryTypeId: instance.lotteryTypeId || null,
+        lotteryName: instance.lotteryName || instance.lotteryTypeId || null,
+        totalEntries: drawingResult.totalEntries,
+        winners: drawingResult.winners.map((winner) => ({
+          userId: winner.userId,
+          position: winner.position,
+          prizeAmount: winner.prizeAmount
+        }))
       });
     } catch (error) {
       logger.error('Failed to complete lottery drawing:', error);
@@ -360,6 +787,7 @@ class DrawingEngine {
 
   /**
    * Schedule next lottery instance
+   * @param {string} lotteryTypeId - Lottery type
    */
   async scheduleNextLottery(lotteryTypeId) {
     try {
@@ -369,8 +797,15 @@ class DrawingEngine {
         return;
       }
 
-      const nextInstanceId = `${lotteryTypeId}_${this.generateNextInstanceId()}`;
+      // A one-off schedule that has drawn has no next draw; an instance without one would never be drawn
       const nextDrawTime = this.calculateNextDrawTime(lotteryType);
+      if (!nextDrawTime) {
+        logger.info(`Schedule for ${lotteryTypeId} has no more draws`);
+        return;
+      }
+
+      const nextInstanceId = `${lotteryTypeId}_${this.generateNextInstanceId()}`;
+      const { seedRecord, ...commitment } = this.prepareSeedCommitment(nextInstanceId, lotteryType.drawStrategy);
 
       const nextInstanceData = {
         lotteryTypeId,
@@ -379,13 +814,20 @@ class DrawingEngine {
         prizePool: 0,
         scheduledDrawTime: nextDrawTime,
         extensionCount: 0,
+        seedHash: commitment.seedHash,
+        algorithmVersion: commitment.algorithmVersion,
+        drawStrategy: commitment.drawStrategy,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       };
 
-      await this.db.collection('lottery_instances').doc(nextInstanceId).set(nextInstanceData);
-      
-      logger.info(`Next lottery scheduled: ${nextInstanceId} for ${nextDrawTime.toISOString()}`);
+      const { rolloverAmount } = await jackpotRollover.createInstanceWithRollover(
+        nextInstanceId,
+        nextInstanceData,
+        seedRecord
+      );
+
+      logger.info(`Next lottery scheduled: ${nextInstanceId} for ${nextDrawTime.toISOString()}`, { rolloverAmount });
     } catch (error) {
       logger.error('Failed to schedule next lottery:', error);
     }
@@ -393,6 +835,7 @@ class DrawingEngine {
 
   /**
    * Generate next instance ID
+   * @return {string} Instance id
    */
   generateNextInstanceId() {
     const now = new Date();
@@ -400,40 +843,17 @@ class DrawingEngine {
   }
 
   /**
-   * Calculate next draw time based on lottery type
+   * Calculate next draw time in the lottery type's timezone
+   * @param {Object} lotteryType - Lottery type
+   * @return {Date|null} Next draw
    */
   calculateNextDrawTime(lotteryType) {
-    const now = new Date();
-    const drawTime = new Date(now);
-    
-    switch (lotteryType.scheduledTime) {
-      case '20:00':
-        drawTime.setDate(drawTime.getDate() + 1);
-        drawTime.setHours(20, 0, 0, 0);
-        break;
-      case '21:00':
-        drawTime.setDate(drawTime.getDate() + 1);
-        drawTime.setHours(21, 0, 0, 0);
-        break;
-      case 'sunday_18:00':
-        const daysUntilSunday = (7 - drawTime.getDay()) % 7;
-        drawTime.setDate(drawTime.getDate() + (daysUntilSunday || 7));
-        drawTime.setHours(18, 0, 0, 0);
-        break;
-      case 'last_day_21:00':
-        drawTime.setMonth(drawTime.getMonth() + 1, 0);
-        drawTime.setHours(21, 0, 0, 0);
-        break;
-      default:
-        drawTime.setDate(drawTime.getDate() + 1);
-        drawTime.setHours(20, 0, 0, 0);
-    }
-    
-    return drawTime;
+    return drawSchedule.nextDrawTime(lotteryType);
   }
 
   /**
    * Get lottery instance
+   * @param {string} instanceId - Lottery instance
    */
   async getLotteryInstance(instanceId) {
     try {
@@ -447,6 +867,7 @@ class DrawingEngine {
 
   /**
    * Get lottery type configuration
+   * @param {string} typeId - Lottery type
    */
   async getLotteryType(typeId) {
     try {
@@ -459,17 +880,18 @@ class DrawingEngine {
   }
 
   /**
-   * Get lottery entries
+   * Get lottery entries (confirmed, or finalized once the payment completed)
+   * @param {string} lotteryInstanceId - Lottery instance
    */
   async getLotteryEntries(lotteryInstanceId) {
     try {
       const snapshot = await this.db.collection('user_entries')
         .where('lotteryInstanceId', '==', lotteryInstanceId)
-        .where('status', '==', 'confirmed')
+        .where('status', 'in', ['confirmed', 'finalized'])
         .get();
 
       const entries = [];
-      snapshot.forEach(doc => {
+      snapshot.forEach((doc) => {
         const data = doc.data();
         entries.push({
           id: doc.id,
@@ -485,47 +907,103 @@ class DrawingEngine {
   }
 
   /**
-   * Process refunds for cancelled lottery
+   * Get the public data needed to replay a drawing.
+   * Before the draw only the seed commitment is returned.
+   * @param {string} lotteryInstanceId - Lottery instance
    */
-  async processRefunds(lotteryInstanceId) {
+  async getDrawingVerification(lotteryInstanceId) {
     try {
-      const entries = await this.getLotteryEntries(lotteryInstanceId);
-      const refundPromises = [];
+      const instance = await this.getLotteryInstance(lotteryInstanceId);
+      if (!instance) {
+        throw new Error('Lottery instance not found');
+      }
 
-      entries.forEach(entry => {
-        if (entry.entryMethod === 'pi_payment' && entry.paymentId) {
-          refundPromises.push(this.processIndividualRefund(entry));
-        }
+      const commitment = {
+        lotteryInstanceId,
+        lotteryTypeId: instance.lotteryTypeId,
+        status: instance.status,
+        seedHash: instance.seedHash || null,
+        merkleRoot: instance.merkleRoot || null,
+        algorithmVersion: instance.algorithmVersion || null,
+        drawStrategy: instance.drawStrategy || null
+      };
+
+      if (instance.status !== 'completed' || !instance.drawingResult) {
+        return { ...commitment, revealed: false };
+      }
+
+      const seedDoc = await this.db.collection('drawing_seeds').doc(lotteryInstanceId).get();
+      const seedData = seedDoc.exists ? seedDoc.data() : {};
+      if (!seedData.revealed) {
+        return { ...commitment, revealed: false };
+      }
+
+      // Drawings from before the cutoff phase have no frozen snapshot; fall back to live entries
+      const entries = instance.merkleRoot ?
+        await this.getFrozenEntries(instance) :
+        await this.getLotteryEntries(lotteryInstanceId);
+      const entrySnapshot = drawingVerifier.buildEntrySnapshot(entries, lotteryInstanceId);
+      const ticketPool = drawingVerifier.buildTicketPool(entrySnapshot)
+        .map((ticket) => ({ entryId: ticket.entryId, ticketIndex: ticket.ticketIndex }));
+
+      const winnersSnapshot = await this.db.collection('lottery_winners')
+        .where('lotteryInstanceId', '==', lotteryInstanceId)
+        .get();
+
+      const winners = [];
+      winnersSnapshot.forEach((doc) => {
+        const winner = doc.data();
+        winners.push({
+          position: winner.position,
+          entryId: winner.entryId,
+          participant: drawingVerifier.participantId(lotteryInstanceId, winner.userId),
+          ticketIndex: winner.selectionData ? winner.selectionData.ticketIndex : null,
+          selectionIndex: winner.selectionData ? winner.selectionData.selectionIndex : null,
+          prizeAmount: winner.prizeAmount
+        });
       });
+      winners.sort((a, b) => a.position - b.position);
+
+      const drawingResult = instance.drawingResult;
 
-      await Promise.all(refundPromises);
-      logger.info(`Processed ${refundPromises.length} refunds for lottery ${lotteryInstanceId}`);
+      return {
+        ...commitment,
+        revealed: true,
+        seed: seedData.seed,
+        seedHash: seedData.seedHash,
+        algorithmVersion: drawingResult.algorithmVersion || seedData.algorithmVersion,
+        drawStrategy: drawingResult.drawStrategy || drawingVerifier.DEFAULT_STRATEGY,
+        entrySnapshotHash: drawingResult.entrySnapshotHash || null,
+        currentEntrySnapshotHash: drawingVerifier.hashEntrySnapshot(entrySnapshot),
+        entrySnapshot,
+        ticketPool,
+        prizeStructure: drawingResult.prizeStructure || prizeDistribution.getPrizeStructure(entrySnapshot.length),
+        prizePool: instance.prizePool,
+        winners
+      };
     } catch (error) {
-      logger.error('Failed to process refunds:', error);
+      logger.error(`Failed to get drawing verification for ${lotteryInstanceId}:`, error);
+      throw error;
     }
   }
 
   /**
-   * Process individual refund
+   * Process refunds for cancelled lottery
+   * @param {string} lotteryInstanceId - Cancelled instance
+   * @param {string} reason - Refund reason
    */
-  async processIndividualRefund(entry) {
+  async processRefunds(lotteryInstanceId, reason = 'Lottery cancelled - insufficient participants') {
     try {
-      // Create refund record
-      await this.db.collection('refunds').add({
-        userId: entry.userId,
-        lotteryInstanceId: entry.lotteryInstanceId,
-        entryId: entry.id,
-        paymentId: entry.paymentId,
-        refundAmount: 1.0, // Standard lottery entry fee
-        status: 'pending',
-        reason: 'Lottery cancelled - insufficient participants',
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+      const entries = await this.getLotteryEntries(lotteryInstanceId);
+      const paidEntries = entries.filter((entry) => entry.entryMethod === 'pi_payment' && entry.paymentId);
+
+      const results = await refundProcessor.refundEntries(paidEntries, reason);
 
-      // Note: Actual Pi Network refund would require additional API integration
-      logger.info(`Refund record created for entry ${entry.id}`);
+      logger.info(`Processed ${paidEntries.length} refunds for lottery ${lotteryInstanceId}`, results);
+
+      return results;
     } catch (error) {
-      logger.error(`Failed to process refund for entry ${entry.id}:`, error);
+      logger.error('Failed to process refunds:', error);
     }
   }
 
@@ -535,17 +1013,17 @@ class DrawingEngine {
   async scheduleLotteryDrawings() {
     try {
       const now = new Date();
-      
+
       const activeInstancesSnapshot = await this.db.collection('lottery_instances')
-        .where('status', '==', 'active')
+        .where('status', 'in', ['active', 'frozen', 'drawing'])
         .get();
 
       const drawingPromises = [];
 
-      activeInstancesSnapshot.forEach(doc => {
+      activeInstancesSnapshot.forEach((doc) => {
         const instance = { id: doc.id, ...doc.data() };
         const scheduledTime = instance.scheduledDrawTime.toDate();
-        
+
         if (now >= scheduledTime) {
           logger.info(`Triggering scheduled drawing for ${instance.id}`);
           drawingPromises.push(this.conductLotteryDrawing(instance.id));
@@ -563,6 +1041,8 @@ class DrawingEngine {
 
   /**
    * Log drawing completion
+   * @param {string} lotteryInstanceId - Drawn instance
+   * @param {Object} drawingResult - Result of performDrawing
    */
   async logDrawingCompletion(lotteryInstanceId, drawingResult) {
     try {
@@ -572,6 +1052,9 @@ class DrawingEngine {
         winnersCount: drawingResult.winners.length,
         totalEntries: drawingResult.totalEntries,
         randomSeed: drawingResult.randomSeed,
+        seedHash: drawingResult.seedHash,
+        algorithmVersion: drawingResult.algorithmVersion,
+        drawStrategy: drawingResult.drawStrategy,
         timestamp: admin.firestore.FieldValue.serverTimestamp()
       });
     } catch (error) {
@@ -581,6 +1064,8 @@ class DrawingEngine {
 
   /**
    * Log drawing error
+   * @param {string} lotteryInstanceId - Instance
+   * @param {string} errorMessage - Error
    */
   async logDrawingError(lotteryInstanceId, errorMessage) {
     try {
@@ -597,6 +1082,9 @@ class DrawingEngine {
 
   /**
    * Log lottery extension
+   * @param {string} lotteryInstanceId - Instance
+   * @param {Date} newDrawTime - Extended draw time
+   * @param {number} extensionCount - Extensions so far
    */
   async logLotteryExtension(lotteryInstanceId, newDrawTime, extensionCount) {
     try {
@@ -614,6 +1102,8 @@ class DrawingEngine {
 
   /**
    * Log lottery cancellation
+   * @param {string} lotteryInstanceId - Instance
+   * @param {string} reason - Cancellation reason
    */
   async logLotteryCancellation(lotteryInstanceId, reason) {
     try {
@@ -0,0 +1,107 @@
+jest.mock('../utils/logger');
+
+const admin = require('firebase-admin');
+const drawingEngine = require('./drawingEngine');
+const drawingVerifier = require('./drawingVerifier');
+
+const db = admin.firestore();
+
+describe('drawingEngine seed commitment', () => {
+  beforeEach(() => {
+    admin.__reset();
+  });
+
+  it('publishes only the hash of the seed it stores', async () => {
+    const commitment = await drawingEngine.createSeedCommitment('instance_1', 'weighted_unique');
+    const seedDoc = await db.collection('drawing_seeds').doc('instance_1').get();
+
+    expect(commitment).not.toHaveProperty('seed');
+    expect(commitment).not.toHaveProperty('seedRecord');
+    expect(commitment.drawStrategy).toBe('weighted_unique');
+    expect(commitment.algorithmVersion).toBe(drawingVerifier.ALGORITHM_VERSION);
+    expect(seedDoc.data().revealed).toBe(false);
+    expect(drawingVerifier.hashSeed(seedDoc.data().seed)).toBe(commitment.seedHash);
+  });
+
+  it('falls back to the default strategy for an unknown one', () => {
+    const commitment = drawingEngine.prepareSeedCommitment('instance_1', 'pick_my_friends');
+    expect(commitment.drawStrategy).toBe(drawingVerifier.DEFAULT_STRATEGY);
+  });
+
+  it('reveals the committed seed for its instance', async () => {
+    const commitment = await drawingEngine.createSeedCommitment('instance_1');
+    const seed = await drawingEngine.getCommittedSeed({ id: 'instance_1', seedHash: commitment.seedHash });
+
+    expect(drawingVerifier.hashSeed(seed)).toBe(commitment.seedHash);
+  });
+
+  it('refuses a seed that does not match the published hash', async () => {
+    await drawingEngine.createSeedCommitment('instance_1');
+    const other = drawingEngine.prepareSeedCommitment('instance_1');
+
+    await expect(drawingEngine.getCommittedSeed({ id: 'instance_1', seedHash: other.seedHash }))
+      .rejects.toThrow('Seed commitment mismatch');
+  });
+
+  it('refuses a stored seed that was replaced', async () => {
+    const commitment = await drawingEngine.createSeedCommitment('instance_1');
+    await db.collection('drawing_seeds').doc('instance_1').update({ seed: 'chosen after the entries' });
+
+    await expect(drawingEngine.getCommittedSeed({ id: 'instance_1', seedHash: commitment.seedHash }))
+      .rejects.toThrow('Seed commitment mismatch');
+  });
+
+  it('commits late for an instance opened without a commitment and marks it', async () => {
+    await db.collection('lottery_instances').doc('legacy_1').set({ status: 'frozen' });
+    const instance = { id: 'legacy_1' };
+
+    const seed = await drawingEngine.getCommittedSeed(instance);
+    const instanceDoc = await db.collection('lottery_instances').doc('legacy_1').get();
+
+    expect(instanceDoc.data().seedCommittedLate).toBe(true);
+    expect(instanceDoc.data().seedHash).toBe(drawingVerifier.hashSeed(seed));
+    expect(instance.seedHash).toBe(instanceDoc.data().seedHash);
+  });
+});
+
+describe('drawingEngine drawing', () => {
+  const entries = [
+    { id: 'entry_1', userId: 'user_1', username: 'ada', ticketCount: 2 },
+    { id: 'entry_2', userId: 'user_2', username: 'grace', ticketCount: 1 },
+    { id: 'entry_3', userId: 'user_3', username: 'alan', ticketCount: 1 },
+    { id: 'entry_4', userId: 'user_4', username: 'edsger', ticketCount: 3 },
+    { id: 'entry_5', userId: 'user_5', username: 'barbara', ticketCount: 1 }
+  ];
+
+  it('produces a result the public verifier replays', async () => {
+    const { seedRecord } = drawingEngine.prepareSeedCommitment('instance_1', 'shuffle_unique');
+    const instance = { id: 'instance_1', prizePool: 100, drawStrategy: 'shuffle_unique' };
+
+    const result = await drawingEngine.performDrawing(entries, instance, seedRecord.seed);
+    const entrySnapshot = drawingVerifier.buildEntrySnapshot(entries, instance.id);
+    const verification = drawingVerifier.verifyDrawing({
+      algorithmVersion: result.algorithmVersion,
+      drawStrategy: result.drawStrategy,
+      seed: result.randomSeed,
+      seedHash: seedRecord.seedHash,
+      entrySnapshot,
+      entrySnapshotHash: result.entrySnapshotHash,
+      prizeStructure: result.prizeStructure,
+      winners: result.winners
+    });
+
+    expect(verification.errors).toEqual([]);
+    expect(result.winners.length).toBeGreaterThan(0);
+    expect(new Set(result.winners.map((winner) => winner.userId)).size).toBe(result.winners.length);
+  });
+
+  it('draws the same winners from the same seed', async () => {
+    const instance = { id: 'instance_1', prizePool: 100 };
+    const seed = drawingEngine.prepareSeedCommitment('instance_1').seedRecord.seed;
+
+    const first = await drawingEngine.performDrawing(entries, instance, seed);
+    const second = await drawingEngine.performDrawing([...entries].reverse(), instance, seed);
+
+    expect(second.winners).toEqual(first.winners);
+  });
+});
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const path = require('path');
+const drawingVerifier = require('./drawingVerifier');
+
+const INSTANCE_ID = 'daily_pi_2026-10-19';
+const PRIZE_STRUCTURE = { first: 0.6, second: 0.25, third: 0.15 };
+
+/**
+ * Verification data as the drawing engine publishes it
+ * @param {Object[]} entries - Entries drawn
+ * @param {string} seed - Revealed seed
+ * @param {string} strategy - Draw strategy
+ * @return {Object} Verification data
+ */
+function publishDrawing(entries, seed, strategy = drawingVerifier.DEFAULT_STRATEGY) {
+  const entrySnapshot = drawingVerifier.buildEntrySnapshot(entries, INSTANCE_ID);
+  const result = drawingVerifier.runDrawing(entrySnapshot, seed, PRIZE_STRUCTURE, strategy);
+
+  return {
+    algorithmVersion: drawingVerifier.ALGORITHM_VERSION,
+    drawStrategy: strategy,
+    seed,
+    seedHash: drawingVerifier.hashSeed(seed),
+    entrySnapshot,
+    entrySnapshotHash: drawingVerifier.hashEntrySnapshot(entrySnapshot),
+    ticketPool: result.ticketPool,
+    merkleRoot: drawingVerifier.merkleRoot(result.ticketPool),
+    prizeStructure: PRIZE_STRUCTURE,
+    winners: result.winners
+  };
+}
+
+const entries = [
+  { id: 'entry_c', userId: 'user_3', ticketCount: 1 },
+  { id: 'entry_a', userId: 'user_1', ticketCount: 3 },
+  { id: 'entry_d', userId: 'user_4', ticketCount: 2 },
+  { id: 'entry_b', userId: 'user_2', ticketCount: 1 },
+  { id: 'entry_e', userId: 'user_1', ticketCount: 1 }
+];
+const seed = 'a3f1c2e4b5d6978812345678901234567890abcdefabcdefabcdefabcdefabcd';
+
+describe('drawingVerifier', () => {
+  describe('hashing', () => {
+    it.each([
+      '',
+      'abc',
+      seed,
+      'ünïcödé π lottery',
+      'x'.repeat(1000)
+    ])('sha256Hex matches node crypto for %#', (text) => {
+      expect(drawingVerifier.sha256Hex(text)).toBe(crypto.createHash('sha256').update(text, 'utf8').digest('hex'));
+    });
+
+    it.each([
+      ['short key', 'message'],
+      ['k'.repeat(64), 'block sized key'],
+      ['k'.repeat(100), 'key longer than a block']
+    ])('hmacSha256 matches node crypto (%s)', (key, message) => {
+      const expected = crypto.createHmac('sha256', key).update(message).digest('hex');
+      const actual = Buffer.from(drawingVerifier.hmacSha256(key, message)).toString('hex');
+      expect(actual).toBe(expected);
+    });
+  });
+
+  describe('commit and reveal', () => {
+    it('accepts a drawing replayed from its revealed seed', () => {
+      const published = publishDrawing(entries, seed);
+      const verification = drawingVerifier.verifyDrawing(published);
+
+      expect(verification.errors).toEqual([]);
+      expect(verification.valid).toBe(true);
+      expect(verification.expectedWinners).toEqual(published.winners);
+    });
+
+    it.each(['shuffle_unique', 'weighted_unique', 'weighted_multi', 'hash_ranking'])(
+      'replays the %s strategy',
+      (strategy) => {
+        expect(drawingVerifier.verifyDrawing(publishDrawing(entries, seed, strategy)).valid).toBe(true);
+      }
+    );
+
+    it('rejects a seed that does not match the commitment', () => {
+      const published = publishDrawing(entries, seed);
+      const verification = drawingVerifier.verifyDrawing({ ...published, seed: `${seed.slice(0, -1)}0` });
+
+      expect(verification.valid).toBe(false);
+      expect(verification.checks.seedMatchesCommitment).toBe(false);
+    });
+
+    it('rejects an entry snapshot changed after the draw', () => {
+      const published = publishDrawing(entries, seed);
+      const entrySnapshot = published.entrySnapshot.map((entry, index) => (
+        index === 0 ? { ...entry, ticketCount: entry.ticketCount + 1 } : entry
+      ));
+      const verification = drawingVerifier.verifyDrawing({ ...published, entrySnapshot });
+
+      expect(verification.valid).toBe(false);
+      expect(verification.checks.entrySnapshotMatches).toBe(false);
+    });
+
+    it('rejects recorded winners that differ from the replay', () => {
+      const published = publishDrawing(entries, seed);
+      const winners = [...published.winners].reverse().map((winner, index) => ({ ...winner, position: index + 1 }));
+      const verification = drawingVerifier.verifyDrawing({ ...published, winners });
+
+      expect(verification.valid).toBe(false);
+      expect(verification.checks.winnersMatch).toBe(false);
+    });
+
+    it('does not depend on the order entries are read in', () => {
+      const reordered = publishDrawing([...entries].reverse(), seed);
+      expect(reordered.winners).toEqual(publishDrawing(entries, seed).winners);
+    });
+
+    it('gives one prize per participant in the unique strategies', () => {
+      const { winners } = publishDrawing(entries, seed, 'shuffle_unique');
+      expect(new Set(winners.map((winner) => winner.participant)).size).toBe(winners.length);
+    });
+  });
+
+  describe('ticket inclusion proofs', () => {
+    it('proves every ticket against the Merkle root', () => {
+      const pool = drawingVerifier.buildTicketPool(drawingVerifier.buildEntrySnapshot(entries, INSTANCE_ID));
+      const leaves = pool.map((ticket) => drawingVerifier.merkleLeaf(ticket));
+      const levels = drawingVerifier.buildMerkleTree(leaves);
+      const root = drawingVerifier.merkleRoot(pool);
+
+      leaves.forEach((leaf, index) => {
+        expect(drawingVerifier.verifyMerkleProof(leaf, drawingVerifier.merkleProof(levels, index), root)).toBe(true);
+      });
+      expect(drawingVerifier.verifyMerkleProof(leaves[0], drawingVerifier.merkleProof(levels, 1), root)).toBe(false);
+    });
+  });
+
+  describe('frontend copy', () => {
+    it('is generated from this module', () => {
+      const { syncSharedModules } = require(path.resolve(__dirname, '../../../../frontend/scripts/sync-shared'));
+      expect(syncSharedModules(true)).not.toContain('frontend/src/utils/drawingVerifier.js');
+    });
+  });
+});
@@ -0,0 +1,487 @@
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+
+/**
+ * Rollover settings used when a lottery type has none (rollover is opt-in)
+ */
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  unclaimedPrizes: true,
+  cancelledPools: false,
+  claimWindowDays: 30
+};
+
+/**
+ * Jackpot rollover: carries unclaimed prizes and, where the lottery type opts in, the pools of
+ * cancelled lotteries into the prize pool of the next instance of the same type.
+ *
+ * Every carried amount is a jackpot_rollovers record that stays 'pending' until the next instance
+ * is created, then becomes 'applied' with a targetInstanceId. Instances list the records they
+ * received in rolloverIds, so any prize pool can be traced back through earlier instances.
+ */
+class JackpotRollover {
+  constructor() {
+    this.db = admin.firestore();
+    this.collection = 'jackpot_rollovers';
+    this.unclaimedStatuses = ['pending', 'pending_approval'];
+    this.stoppedTransferStatuses = ['requires_attention', 'failed'];
+    this.openCaseStatuses = ['open', 'escalated', 'resolving'];
+    this.sweepBatchSize = 200;
+    this.maxChainDepth = 50;
+  }
+
+  /**
+   * Effective rollover settings for a lottery type
+   */
+  getSettings(lotteryType) {
+    return { ...DEFAULT_SETTINGS, ...(lotteryType?.rollover || {}) };
+  }
+
+  /**
+   * Validate rollover settings from an admin update
+   */
+  normalizeSettings(settings = {}) {
+    const normalized = {};
+
+    ['enabled', 'unclaimedPrizes', 'cancelledPools'].forEach(field => {
+      if (settings[field] !== undefined) {
+        if (typeof settings[field] !== 'boolean') {
+          throw new Error(`Rollover setting ${field} must be a boolean`);
+        }
+        normalized[field] = settings[field];
+      }
+    });
+
+    if (settings.claimWindowDays !== undefined) {
+      const days = Number(settings.claimWindowDays);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        throw new Error('Rollover claimWindowDays must be a whole number between 1 and 365');
+      }
+      normalized.claimWindowDays = days;
+    }
+
+    return { ...DEFAULT_SETTINGS, ...normalized };
+  }
+
+  /**
+   * Get rollover settings for a lottery type id
+   */
+  async getSettingsForType(lotteryTypeId) {
+    const doc = await this.db.collection('lottery_types').doc(lotteryTypeId).get();
+    return this.getSettings(doc.exists ? doc.data() : null);
+  }
+
+  /**
+   * Roll the pool of a cancelled lottery over when its type opts in.
+   * Returns the rollover record, or null when the pool should be refunded instead.
+   */
+  async rolloverCancelledPool(instance, reason = 'Lottery cancelled') {
+    try {
+      const settings = await this.getSettingsForType(instance.lotteryTypeId);
+      if (!settings.enabled || !settings.cancelledPools) {
+        return null;
+      }
+
+      const rolloverRef = this.db.collection(this.collection).doc(`cancelled_${instance.id}`);
+      const instanceRef = this.db.collection('lottery_instances').doc(instance.id);
+
+      const rollover = await this.db.runTransaction(async (transaction) => {
+        const [rolloverDoc, instanceDoc] = await Promise.all([
+          transaction.get(rolloverRef),
+          transaction.get(instanceRef)
+        ]);
+
+        if (rolloverDoc.exists) {
+          return { id: rolloverDoc.id, ...rolloverDoc.data() };
+        }
+
+        if (!instanceDoc.exists) {
+          throw new Error(`Lottery instance ${instance.id} not found`);
+        }
+
+        const amount = parseFloat((instanceDoc.data().prizePool || 0).toFixed(6));
+        if (amount <= 0) {
+          return null;
+        }
+
+        const record = {
+          lotteryTypeId: instance.lotteryTypeId,
+          sourceType: 'cancelled_pool',
+          sourceInstanceId: instance.id,
+          winnerId: null,
+          userId: null,
+          amount,
+          participants: instanceDoc.data().participants || 0,
+          reason,
+          status: 'pending',
+          targetInstanceId: null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        transaction.set(rolloverRef, record);
+        transaction.update(instanceRef, {
+          rolledOver: true,
+          rolloverId: rolloverRef.id,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        return { id: rolloverRef.id, ...record };
+      });
+
+      if (rollover) {
+        logger.info(`Cancelled pool of ${instance.id} rolled over`, {
+          rolloverId: rollover.id,
+          amount: rollover.amount
+        });
+      }
+
+      return rollover;
+    } catch (error) {
+      logger.error(`Failed to roll over cancelled pool of ${instance.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a winner's prize is unclaimed: it waits for approval with no review case still open
+   * for it, or it was approved but its transfer stopped (e.g. no linked Pi account) before any Pi
+   * payment was created
+   */
+  isUnclaimed(winner, transfer, reviewCase) {
+    if (this.unclaimedStatuses.includes(winner.status)) {
+      return !reviewCase || !this.openCaseStatuses.includes(reviewCase.status);
+    }
+
+    return winner.status === 'approved' && !!transfer &&
+      this.stoppedTransferStatuses.includes(transfer.status) && !transfer.piPaymentId;
+  }
+
+  /**
+   * Roll an unclaimed prize over, cancelling its stopped transfer.
+   * Returns null if the prize is no longer unclaimed (e.g. it was approved or paid).
+   */
+  async rolloverUnclaimedPrize(winnerId, lotteryTypeId, reason = 'Prize unclaimed within the claim window') {
+    try {
+      const winnerRef = this.db.collection('lottery_winners').doc(winnerId);
+      const transferRef = this.db.collection('prize_transfers').doc(winnerId);
+      const caseRef = this.db.collection('review_cases').doc(`winner_${winnerId}`);
+      const rolloverRef = this.db.collection(this.collection).doc(`unclaimed_${winnerId}`);
+
+      return await this.db.runTransaction(async (transaction) => {
+        const [winnerDoc, transferDoc, caseDoc] = await Promise.all([
+          transaction.get(winnerRef),
+          transaction.get(transferRef),
+          transaction.get(caseRef)
+        ]);
+
+        const transfer = transferDoc.exists ? transferDoc.data() : null;
+        const reviewCase = caseDoc.exists ? caseDoc.data() : null;
+
+        if (!winnerDoc.exists || !this.isUnclaimed(winnerDoc.data(), transfer, reviewCase)) {
+          return null;
+        }
+
+        const winner = winnerDoc.data();
+        const record = {
+          lotteryTypeId,
+          sourceType: 'unclaimed_prize',
+          sourceInstanceId: winner.lotteryInstanceId,
+          winnerId,
+          userId: winner.userId,
+          amount: winner.prizeAmount || 0,
+          reason,
+          status: 'pending',
+          targetInstanceId: null,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+
+        transaction.set(rolloverRef, record);
+        transaction.update(winnerRef, {
+          status: 'rolled_over',
+          rolloverId: rolloverRef.id,
+          rolledOverAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        if (transfer) {
+          transaction.update(transferRef, {
+            status: 'cancelled',
+            cancelReason: reason,
+            nextAttemptAt: null,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
+
+        return { id: rolloverRef.id, ...record };
+      });
+    } catch (error) {
+      logger.error(`Failed to roll over unclaimed prize ${winnerId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Roll over prizes left unclaimed past their lottery type's claim window: winners never approved
+   * (with no review case open) counted from the drawing, and approved prizes whose transfer stopped
+   * counted from the approval
+   */
+  async processUnclaimedPrizes() {
+    const results = { checked: 0, rolledOver: 0, amount: 0, failed: 0 };
+
+    try {
+      const typesSnapshot = await this.db.collection('lottery_types').get();
+      const settingsByType = new Map();
+
+      typesSnapshot.forEach(doc => {
+        const settings = this.getSettings(doc.data());
+        if (settings.enabled && settings.unclaimedPrizes) {
+          settingsByType.set(doc.id, settings);
+        }
+      });
+
+      if (settingsByType.size === 0) {
+        return results;
+      }
+
+      const shortestWindow = Math.min(...Array.from(settingsByType.values()).map(s => s.claimWindowDays));
+      const cutoff = new Date(Date.now() - shortestWindow * 24 * 60 * 60 * 1000);
+      const instanceTypes = new Map();
+
+      const checkPrize = async (winnerId, lotteryInstanceId, since) => {
+        results.checked++;
+
+        try {
+          const lotteryTypeId = await this.getInstanceType(lotteryInstanceId, instanceTypes);
+          const settings = settingsByType.get(lotteryTypeId);
+
+          if (!settings) {
+            return;
+          }
+
+          const windowEnd = since.toDate().getTime() + settings.claimWindowDays * 24 * 60 * 60 * 1000;
+          if (windowEnd > Date.now()) {
+            return;
+          }
+
+          const rollover = await this.rolloverUnclaimedPrize(winnerId, lotteryTypeId);
+          if (rollover) {
+            results.rolledOver++;
+            results.amount += rollover.amount;
+          }
+        } catch (error) {
+          results.failed++;
+          logger.error(`Failed to check unclaimed prize ${winnerId}:`, error);
+        }
+      };
+
+      await this.forEachCreatedBefore('lottery_winners', this.unclaimedStatuses, cutoff, (doc) => {
+        return checkPrize(doc.id, doc.data().lotteryInstanceId, doc.data().createdAt);
+      });
+
+      // Transfers are created when the winner is approved
+      await this.forEachCreatedBefore('prize_transfers', this.stoppedTransferStatuses, cutoff, (doc) => {
+        return checkPrize(doc.data().winnerId, doc.data().lotteryInstanceId, doc.data().createdAt);
+      });
+
+      results.amount = parseFloat(results.amount.toFixed(6));
+      logger.info('Unclaimed prize rollover completed', results);
+
+      return results;
+    } catch (error) {
+      logger.error('Failed to process unclaimed prizes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a handler on every document in a collection with one of the statuses, created before the
+   * cutoff, a page at a time. Documents the handler skips must not keep later ones from being reached.
+   */
+  async forEachCreatedBefore(collectionName, statuses, cutoff, handler) {
+    let lastDoc = null;
+
+    for (;;) {
+      let query = this.db.collection(collectionName)
+        .where('status', 'in', statuses)
+        .where('createdAt', '<', cutoff)
+        .orderBy('createdAt')
+        .limit(this.sweepBatchSize);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+
+      const snapshot = await query.get();
+
+      for (const doc of snapshot.docs) {
+        await handler(doc);
+      }
+
+      if (snapshot.size < this.sweepBatchSize) {
+        break;
+      }
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+  }
+
+  /**
+   * Look up (and cache) the lottery type of an instance
+   */
+  async getInstanceType(instanceId, cache) {
+    if (!cache.has(instanceId)) {
+      const doc = await this.db.collection('lottery_instances').doc(instanceId).get();
+      cache.set(instanceId, doc.exists ? doc.data().lotteryTypeId : null);
+    }
+    return cache.get(instanceId);
+  }
+
+  /**
+   * Create a lottery instance seeded with every pending rollover of its type.
+   * The instance, its drawing seed and the 'applied' marks are written in one transaction, so each
+   * rollover lands exactly once and the instance's seedHash always matches the stored seed.
+   * An instance that already exists is left untouched (created is false).
+   * @param {Object} seedRecord - drawing_seeds document from drawingEngine.prepareSeedCommitment
+   * @returns {Object} { created, rolloverAmount, rolloverIds }
+   */
+  async createInstanceWithRollover(instanceId, instanceData, seedRecord = null) {
+    try {
+      const instanceRef = this.db.collection('lottery_instances').doc(instanceId);
+      const pendingQuery = this.db.collection(this.collection)
+        .where('lotteryTypeId', '==', instanceData.lotteryTypeId)
+        .where('status', '==', 'pending');
+
+      return await this.db.runTransaction(async (transaction) => {
+        const instanceDoc = await transaction.get(instanceRef);
+        if (instanceDoc.exists) {
+          return {
+            created: false,
+            rolloverAmount: instanceDoc.data().rolloverAmount || 0,
+            rolloverIds: instanceDoc.data().rolloverIds || []
+          };
+        }
+
+        const pendingSnapshot = await transaction.get(pendingQuery);
+
+        const rolloverIds = pendingSnapshot.docs.map(doc => doc.id);
+        const rolloverAmount = parseFloat(pendingSnapshot.docs
+          .reduce((sum, doc) => sum + (doc.data().amount || 0), 0)
+          .toFixed(6));
+
+        transaction.create(instanceRef, {
+          ...instanceData,
+          prizePool: (instanceData.prizePool || 0) + rolloverAmount,
+          rolloverAmount,
+          rolloverIds
+        });
+
+        if (seedRecord) {
+          transaction.set(this.db.collection('drawing_seeds').doc(instanceId), seedRecord);
+        }
+
+        pendingSnapshot.docs.forEach(doc => {
+          transaction.update(doc.ref, {
+            status: 'applied',
+            targetInstanceId: instanceId,
+            appliedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+
+        if (rolloverIds.length > 0) {
+          logger.info(`Rolled ${rolloverAmount} Pi into ${instanceId}`, { rolloverIds });
+        }
+
+        return { created: true, rolloverAmount, rolloverIds };
+      });
+    } catch (error) {
+      logger.error(`Failed to create lottery instance ${instanceId} with rollover:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pending rollover amount waiting for the next instance of a lottery type
+   */
+  async getPendingRollover(lotteryTypeId) {
+    try {
+      const snapshot = await this.db.collection(this.collection)
+        .where('lotteryTypeId', '==', lotteryTypeId)
+        .where('status', '==', 'pending')
+        .get();
+
+      const amount = snapshot.docs.reduce((sum, doc) => sum + (doc.data().amount || 0), 0);
+
+      return {
+        lotteryTypeId,
+        amount: parseFloat(amount.toFixed(6)),
+        count: snapshot.size
+      };
+    } catch (error) {
+      logger.error(`Failed to get pending rollover for ${lotteryTypeId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Trace where the rolled-over part of an instance's prize pool came from, back through earlier instances
+   * @returns {Object} { instanceId, rolloverAmount, links } where each link is a rollover record with its depth
+   */
+  async getRolloverChain(instanceId) {
+    try {
+      const links = [];
+      const visited = new Set();
+      let frontier = [{ instanceId, depth: 0 }];
+      let rolloverAmount = 0;
+
+      while (frontier.length > 0) {
+        const next = [];
+
+        for (const { instanceId: currentId, depth } of frontier) {
+          if (visited.has(currentId) || depth >= this.maxChainDepth) {
+            continue;
+          }
+          visited.add(currentId);
+
+          const instanceDoc = await this.db.collection('lottery_instances').doc(currentId).get();
+          if (!instanceDoc.exists) {
+            continue;
+          }
+
+          const instance = instanceDoc.data();
+          if (depth === 0) {
+            rolloverAmount = instance.rolloverAmount || 0;
+          }
+
+          for (const rolloverId of instance.rolloverIds || []) {
+            const rolloverDoc = await this.db.collection(this.collection).doc(rolloverId).get();
+            if (!rolloverDoc.exists) {
+              continue;
+            }
+
+            const rollover = rolloverDoc.data();
+            links.push({
+              id: rolloverDoc.id,
+              depth: depth + 1,
+              sourceType: rollover.sourceType,
+              sourceInstanceId: rollover.sourceInstanceId,
+              targetInstanceId: rollover.targetInstanceId,
+              winnerId: rollover.winnerId,
+              userId: rollover.userId,
+              amount: rollover.amount,
+              reason: rollover.reason
+            });
+
+            next.push({ instanceId: rollover.sourceInstanceId, depth: depth + 1 });
+          }
+        }
+
+        frontier = next;
+      }
+
+      return { instanceId, rolloverAmount, links };
+    } catch (error) {
+      logger.error(`Failed to trace rollover chain for ${instanceId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new JackpotRollover();
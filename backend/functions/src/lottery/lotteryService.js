@@ -1,8 +1,14 @@
 const admin = require('firebase-admin');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
-const { ValidationError, LotteryError } = require('../middleware/errorHandler');
+const { ValidationError, LotteryError, RiskRejectedError } = require('../middleware/errorHandler');
 const { validateUserIntegrity, checkRateLimit } = require('../middleware/auth');
+const drawingEngine = require('./drawingEngine');
+const jackpotRollover = require('./jackpotRollover');
+const drawSchedule = require('./drawSchedule');
+const riskEngine = require('../fraud/riskEngine');
+const adRewards = require('../advertising/adRewards');
+const { eventBus, EVENTS } = require('../events/eventBus');
 
 /**
  * Core lottery service for managing lottery operations
@@ -19,6 +25,7 @@ class LotteryService {
         minParticipants: 5,
         drawFrequency: 24,
         scheduledTime: '20:00',
+        timezone: 'UTC',
         isEnabled: true
       },
       daily_ads: {
@@ -29,6 +36,7 @@ class LotteryService {
         minParticipants: 10,
         drawFrequency: 24,
         scheduledTime: '21:00',
+        timezone: 'UTC',
         isEnabled: true
       },
       weekly_pi: {
@@ -39,6 +47,7 @@ class LotteryService {
         minParticipants: 20,
         drawFrequency: 168,
         scheduledTime: 'sunday_18:00',
+        timezone: 'UTC',
         isEnabled: true
       },
       monthly_pi: {
@@ -49,6 +58,7 @@ class LotteryService {
         minParticipants: 30,
         drawFrequency: 720,
         scheduledTime: 'last_day_21:00',
+        timezone: 'UTC',
         isEnabled: false
       }
     };
@@ -135,8 +145,13 @@ class LotteryService {
         throw new LotteryError(`Lottery type ${lotteryTypeId} is not available`);
       }
 
-      const instanceId = this.generateInstanceId(lotteryTypeId);
       const scheduledDrawTime = this.calculateNextDrawTime(lotteryType);
+      if (!scheduledDrawTime) {
+        throw new LotteryError(`Lottery type ${lotteryTypeId} has no upcoming draw`);
+      }
+
+      const instanceId = this.generateInstanceId(lotteryTypeId);
+      const { seedRecord, ...commitment } = drawingEngine.prepareSeedCommitment(instanceId, lotteryType.drawStrategy);
 
       const instanceData = {
         lotteryTypeId,
@@ -147,14 +162,22 @@ class LotteryService {
         actualDrawTime: null,
         extensionCount: 0,
         winners: [],
+        seedHash: commitment.seedHash,
+        algorithmVersion: commitment.algorithmVersion,
+        drawStrategy: commitment.drawStrategy,
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       };
 
-      await this.db.collection('lottery_instances').doc(instanceId).set(instanceData);
+      const rollover = await jackpotRollover.createInstanceWithRollover(instanceId, instanceData, seedRecord);
 
-      logger.info(`Created lottery instance: ${instanceId}`);
-      return { id: instanceId, ...instanceData };
+      logger.info(`Created lottery instance: ${instanceId}`, { rolloverAmount: rollover.rolloverAmount });
+      return {
+        id: instanceId,
+        ...instanceData,
+        prizePool: rollover.rolloverAmount,
+        ...rollover
+      };
     } catch (error) {
       logger.error('Failed to create lottery instance:', error);
       throw error;
@@ -174,38 +197,47 @@ class LotteryService {
   }
 
   /**
-   * Enter lottery
+   * Enter lottery. Entries the risk engine blocks are refused and entries it holds are kept for
+   * review (see holdEntry); entries already scored with their payment or approved in review skip it.
+   * @param {string} lotteryTypeId - Lottery type entered
+   * @param {string} userId - Entering user
+   * @param {string} entryMethod - "pi_payment" or "watch_ads"
+   * @param {number} ticketCount - Tickets entered
+   * @param {Object} paymentData - { paymentId, adCompletionId } backing the entry
+   * @param {Object} context - Request context ({ ip, deviceId }) for the risk engine
+   * @param {Object} options - { scored, riskAssessmentId }, set by the payment and review paths only
+   * @return {Object} The entry, or the held entry when it awaits review
    */
-  async enterLottery(lotteryTypeId, userId, entryMethod, ticketCount = 1, paymentData = null) {
+  async enterLottery(
+    lotteryTypeId, userId, entryMethod, ticketCount = 1, paymentData = null, context = {}, options = {}
+  ) {
     try {
       // Validate user integrity
       await validateUserIntegrity(userId, 'lottery_entry');
 
       // Check rate limiting
-      await checkRateLimit(userId, 'lottery_entry', 60000, 5); // 5 entries per minute
+      await checkRateLimit(userId, 'lottery_entry', 60, 5); // 5 entries per minute
 
-      // Validate lottery type
-      const lotteryType = await this.getLotteryType(lotteryTypeId);
-      if (!lotteryType || !lotteryType.isEnabled) {
-        throw new ValidationError(`Lottery type ${lotteryTypeId} is not available`);
-      }
-
-      // Validate ticket count
-      if (ticketCount < 1 || ticketCount > lotteryType.maxTicketsPerUser) {
-        throw new ValidationError(`Invalid ticket count: ${ticketCount}`);
-      }
-
-      // Check user ticket limits
-      const canEnter = await this.validateUserTicketLimits(lotteryTypeId, userId, ticketCount);
-      if (!canEnter.allowed) {
-        throw new ValidationError(canEnter.reason);
-      }
+      // Validate lottery type, ticket limits and that entries are open
+      let { instance } = await this.assertCanEnter(lotteryTypeId, userId, ticketCount);
 
       // Validate entry method
       await this.validateEntryMethod(lotteryTypeId, entryMethod, paymentData);
 
+      // Score the entry
+      let riskAssessmentId = options.riskAssessmentId || null;
+      if (!options.scored) {
+        const assessment = await riskEngine.assessEntry(userId, { lotteryTypeId, entryMethod, ticketCount }, context);
+        if (assessment.action === 'hold') {
+          return await this.holdEntry(userId, { lotteryTypeId, entryMethod, ticketCount, paymentData }, assessment.id);
+        }
+        if (assessment.action !== 'allow') {
+          throw new RiskRejectedError(assessment.action, assessment.id);
+        }
+        riskAssessmentId = assessment.id;
+      }
+
       // Get or create lottery instance
-      let instance = await this.getCurrentLotteryInstance(lotteryTypeId);
       if (!instance) {
         instance = await this.createLotteryInstance(lotteryTypeId);
       }
@@ -220,17 +252,13 @@ class LotteryService {
         ticketCount,
         paymentId: paymentData?.paymentId || null,
         adCompletionId: paymentData?.adCompletionId || null,
+        riskAssessmentId,
         status: 'confirmed',
         createdAt: admin.firestore.FieldValue.serverTimestamp()
       };
 
       // Execute entry transaction
       const result = await this.db.runTransaction(async (transaction) => {
-        // Create entry
-        const entryRef = this.db.collection('user_entries').doc(entryId);
-        transaction.set(entryRef, entryData);
-
-        // Update lottery instance
         const instanceRef = this.db.collection('lottery_instances').doc(instance.id);
         const instanceDoc = await transaction.get(instanceRef);
         
@@ -238,9 +266,20 @@ class LotteryService {
           throw new LotteryError('Lottery instance not found');
         }
 
+        // Entries close once the drawing cutoff has frozen the instance
         const currentData = instanceDoc.data();
+        if (currentData.status !== 'active') {
+          throw new LotteryError('Lottery is closed for entries');
+        }
+
+        // Create entry
+        const entryRef = this.db.collection('user_entries').doc(entryId);
+        transaction.set(entryRef, entryData);
+
+        // Update lottery instance
         const newParticipants = (currentData.participants || 0) + ticketCount;
-        const newPrizePool = this.calculatePrizePool(lotteryTypeId, newParticipants);
+        const rolloverAmount = currentData.rolloverAmount || 0;
+        const newPrizePool = this.calculatePrizePool(lotteryTypeId, newParticipants) + rolloverAmount;
 
         transaction.update(instanceRef, {
           participants: newParticipants,
@@ -275,6 +314,171 @@ class LotteryService {
     }
   }
 
+  /**
+   * Check that a user can enter a lottery type now: the type is enabled, the tickets are within the
+   * user's limits and an instance is open or can be opened for the next draw
+   * @param {string} lotteryTypeId - Lottery type entered
+   * @param {string} userId - Entering user
+   * @param {number} ticketCount - Tickets entered
+   * @return {Object} { lotteryType, instance } - instance is null until the first entry opens one
+   * @throws {ValidationError} When the entry would be refused
+   */
+  async assertCanEnter(lotteryTypeId, userId, ticketCount = 1) {
+    const lotteryType = await this.getLotteryType(lotteryTypeId);
+    if (!lotteryType || !lotteryType.isEnabled) {
+      throw new ValidationError(`Lottery type ${lotteryTypeId} is not available`);
+    }
+
+    if (ticketCount < 1 || ticketCount > lotteryType.maxTicketsPerUser) {
+      throw new ValidationError(`Invalid ticket count: ${ticketCount}`);
+    }
+
+    const canEnter = await this.validateUserTicketLimits(lotteryTypeId, userId, ticketCount);
+    if (!canEnter.allowed) {
+      throw new ValidationError(canEnter.reason);
+    }
+
+    const instance = await this.getCurrentLotteryInstance(lotteryTypeId);
+    if (!instance && !this.calculateNextDrawTime(lotteryType)) {
+      throw new ValidationError(`Lottery type ${lotteryTypeId} is closed for entries`);
+    }
+
+    return { lotteryType, instance };
+  }
+
+  /**
+   * Keep an entry the risk engine held until an admin decides on it in the review queue
+   * @param {string} userId - Entering user
+   * @param {Object} entry - { lotteryTypeId, entryMethod, ticketCount, paymentData }
+   * @param {string} riskAssessmentId - Assessment that held the entry
+   * @return {Object} Result returned to the user in place of the entry
+   */
+  async holdEntry(userId, entry, riskAssessmentId) {
+    try {
+      const heldEntryId = uuidv4();
+
+      await this.db.collection('held_entries').doc(heldEntryId).set({
+        userId,
+        lotteryTypeId: entry.lotteryTypeId,
+        entryMethod: entry.entryMethod,
+        ticketCount: entry.ticketCount || 1,
+        paymentData: entry.paymentData || null,
+        riskAssessmentId,
+        status: 'held_for_review',
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      logger.warn(`Lottery entry held for review: ${heldEntryId} for user ${userId}`);
+
+      await eventBus.publish(EVENTS.ENTRY_HELD, {
+        heldEntryId,
+        userId,
+        lotteryTypeId: entry.lotteryTypeId,
+        entryMethod: entry.entryMethod,
+        ticketCount: entry.ticketCount || 1,
+        riskAssessmentId
+      });
+
+      return {
+        success: true,
+        heldEntryId,
+        status: 'held_for_review',
+        message: 'Lottery entry is being reviewed'
+      };
+    } catch (error) {
+      logger.error('Failed to hold lottery entry:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Make a held entry after an admin approved it. Ad entries are awarded as the ad would have been;
+   * other entries go through enterLottery without being scored again.
+   * @param {string} heldEntryId - Held entry to make
+   * @param {string} adminId - Approving admin
+   * @return {Object} { success, heldEntryId, entryId, status }
+   */
+  async approveHeldEntry(heldEntryId, adminId) {
+    const held = await this.getHeldEntry(heldEntryId);
+
+    try {
+      let result;
+      if (held.entryMethod === 'watch_ads') {
+        result = await adRewards.awardLotteryEntry(held.userId, held.lotteryTypeId, held.paymentData?.adCompletionId);
+      } else {
+        result = await this.enterLottery(
+          held.lotteryTypeId, held.userId, held.entryMethod, held.ticketCount, held.paymentData, {},
+          { scored: true, riskAssessmentId: held.riskAssessmentId }
+        );
+      }
+
+      await this.db.collection('held_entries').doc(heldEntryId).update({
+        status: 'approved',
+        entryId: result.entryId,
+        reviewedBy: adminId,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      logger.info(`Held lottery entry approved: ${heldEntryId} -> ${result.entryId} by ${adminId}`);
+
+      return { success: true, heldEntryId, entryId: result.entryId, status: 'approved' };
+    } catch (error) {
+      logger.error(`Failed to approve held lottery entry ${heldEntryId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refuse a held entry
+   * @param {string} heldEntryId - Held entry to refuse
+   * @param {string} reason - Reason recorded on the entry
+   * @param {string} adminId - Rejecting admin
+   * @return {Object} { success, heldEntryId, status }
+   */
+  async rejectHeldEntry(heldEntryId, reason, adminId) {
+    await this.getHeldEntry(heldEntryId);
+
+    try {
+      await this.db.collection('held_entries').doc(heldEntryId).update({
+        status: 'rejected',
+        rejectionReason: reason,
+        reviewedBy: adminId,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      logger.info(`Held lottery entry rejected: ${heldEntryId} by ${adminId}`);
+
+      return { success: true, heldEntryId, status: 'rejected' };
+    } catch (error) {
+      logger.error(`Failed to reject held lottery entry ${heldEntryId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Held entry that is still waiting for a decision
+   * @param {string} heldEntryId - Held entry
+   * @return {Object} The held entry with its id
+   * @throws {ValidationError}
+   */
+  async getHeldEntry(heldEntryId) {
+    const heldDoc = await this.db.collection('held_entries').doc(heldEntryId).get();
+
+    if (!heldDoc.exists) {
+      throw new ValidationError('Held lottery entry not found');
+    }
+
+    const held = heldDoc.data();
+    if (held.status !== 'held_for_review') {
+      throw new ValidationError(`Lottery entry is ${held.status}, not held for review`);
+    }
+
+    return { id: heldDoc.id, ...held };
+  }
+
   /**
    * Validate entry method
    */
@@ -580,7 +784,7 @@ class LotteryService {
   async getRecentWinners(limit = 10) {
     try {
       const snapshot = await this.db.collection('lottery_winners')
-        .where('status', '==', 'transferred')
+        .where('status', 'in', ['transferred', 'paid'])
         .orderBy('createdAt', 'desc')
         .limit(limit)
         .get();
@@ -606,43 +810,10 @@ class LotteryService {
   }
 
   /**
-   * Calculate next draw time
+   * Calculate next draw time in the lottery type's timezone
    */
   calculateNextDrawTime(lotteryType) {
-    const now = new Date();
-    const drawTime = new Date(now);
-    
-    switch (lotteryType.scheduledTime) {
-      case '20:00':
-        drawTime.setHours(20, 0, 0, 0);
-        if (drawTime <= now) {
-          drawTime.setDate(drawTime.getDate() + 1);
-        }
-        break;
-        
-      case '21:00':
-        drawTime.setHours(21, 0, 0, 0);
-        if (drawTime <= now) {
-          drawTime.setDate(drawTime.getDate() + 1);
-        }
-        break;
-        
-      case 'sunday_18:00':
-        const daysUntilSunday = (7 - drawTime.getDay()) % 7;
-        drawTime.setDate(drawTime.getDate() + (daysUntilSunday || 7));
-        drawTime.setHours(18, 0, 0, 0);
-        break;
-        
-      case 'last_day_21:00':
-        drawTime.setMonth(drawTime.getMonth() + 1, 0);
-        drawTime.setHours(21, 0, 0, 0);
-        break;
-        
-      default:
-        drawTime.setHours(drawTime.getHours() + 24);
-    }
-    
-    return drawTime;
+    return drawSchedule.nextDrawTime(lotteryType);
   }
 
   /**
@@ -1,6 +1,9 @@
 const admin = require('firebase-admin');
 const { logger } = require('../utils/logger');
 const drawingEngine = require('./drawingEngine');
+const drawingVerifier = require('./drawingVerifier');
+const drawSchedule = require('./drawSchedule');
+const configManager = require('../admin/configManager');
 
 /**
  * Lottery schedule management and automation
@@ -9,8 +12,10 @@ class ScheduleManager {
   constructor() {
     this.db = admin.firestore();
     this.schedules = new Map();
-    this.timezoneOffset = 0; // UTC by default
     this.isRunning = false;
+    this.drawTimeFields = [
+      'type', 'time', 'times', 'dayOfWeek', 'dayOfMonth', 'cron', 'date', 'timezone', 'blackoutDates'
+    ];
   }
 
   /**
@@ -29,6 +34,15 @@ class ScheduleManager {
     }
   }
 
+  /**
+   * Load schedules without starting the manager (for admin reads and edits)
+   */
+  async ensureLoaded() {
+    if (this.schedules.size === 0) {
+      await this.loadScheduleConfiguration();
+    }
+  }
+
   /**
    * Load schedule configuration from database
    */
@@ -38,11 +52,12 @@ class ScheduleManager {
       
       if (configDoc.exists) {
         const config = configDoc.data();
-        this.timezoneOffset = config.timezoneOffset || 0;
         
         if (config.customSchedules) {
           for (const [lotteryType, schedule] of Object.entries(config.customSchedules)) {
-            this.schedules.set(lotteryType, schedule);
+            this.schedules.set(lotteryType, schedule.timezone
+              ? schedule
+              : { ...schedule, timezone: this.legacyOffsetTimezone(config.timezoneOffset || 0) });
           }
         }
       }
@@ -55,6 +70,26 @@ class ScheduleManager {
     }
   }
 
+  /**
+   * Timezone for schedules saved before per-schedule timezones, which shared one offset
+   * in minutes east of UTC. Whole-hour offsets map to the fixed Etc/GMT zones.
+   */
+  legacyOffsetTimezone(offsetMinutes) {
+    if (offsetMinutes === 0) {
+      return drawSchedule.DEFAULT_TIMEZONE;
+    }
+
+    const hours = offsetMinutes / 60;
+    const timezone = `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+
+    if (Number.isInteger(hours) && drawSchedule.isValidTimeZone(timezone)) {
+      return timezone;
+    }
+
+    logger.warn(`Legacy schedule offset ${offsetMinutes} has no IANA equivalent, using UTC`);
+    return drawSchedule.DEFAULT_TIMEZONE;
+  }
+
   /**
    * Ensure default schedules exist
    */
@@ -67,7 +102,8 @@ class ScheduleManager {
           timezone: 'UTC',
           enabled: true,
           minParticipants: 5,
-          maxExtensions: 2
+          maxExtensions: 2,
+          drawStrategy: 'shuffle_unique'
         },
         daily_ads: {
           type: 'daily',
@@ -75,7 +111,8 @@ class ScheduleManager {
           timezone: 'UTC',
           enabled: true,
           minParticipants: 10,
-          maxExtensions: 2
+          maxExtensions: 2,
+          drawStrategy: 'shuffle_unique'
         },
         weekly_pi: {
           type: 'weekly',
@@ -84,7 +121,8 @@ class ScheduleManager {
           timezone: 'UTC',
           enabled: true,
           minParticipants: 20,
-          maxExtensions: 1
+          maxExtensions: 1,
+          drawStrategy: 'shuffle_unique'
         },
         monthly_pi: {
           type: 'monthly',
@@ -93,7 +131,8 @@ class ScheduleManager {
           timezone: 'UTC',
           enabled: false,
           minParticipants: 30,
-          maxExtensions: 1
+          maxExtensions: 1,
+          drawStrategy: 'shuffle_unique'
         }
       };
 
@@ -117,7 +156,6 @@ class ScheduleManager {
   async saveScheduleConfiguration() {
     try {
       const scheduleData = {
-        timezoneOffset: this.timezoneOffset,
         customSchedules: Object.fromEntries(this.schedules),
         lastUpdated: admin.firestore.FieldValue.serverTimestamp()
       };
@@ -214,9 +252,9 @@ class ScheduleManager {
     try {
       const dueInstances = [];
       
-      // Get all active lottery instances
+      // Get all active lottery instances, plus frozen or claimed ones whose drawing did not finish
       const activeInstancesSnapshot = await this.db.collection('lottery_instances')
-        .where('status', '==', 'active')
+        .where('status', 'in', ['active', 'frozen', 'drawing'])
         .get();
 
       activeInstancesSnapshot.forEach(doc => {
@@ -238,7 +276,8 @@ class ScheduleManager {
   }
 
   /**
-   * Process a scheduled drawing
+   * Process a scheduled drawing. The drawing engine extends or cancels (with refunds) an instance
+   * short of participants and opens the next instance.
    */
   async processScheduledDrawing(instance) {
     try {
@@ -248,277 +287,36 @@ class ScheduleManager {
         throw new Error(`Schedule not enabled for lottery type: ${instance.lotteryTypeId}`);
       }
 
-      // Check minimum participants
-      if (instance.participants < schedule.minParticipants) {
-        return await this.handleInsufficientParticipants(instance, schedule);
-      }
-
       // Conduct the drawing
-      const drawingResult = await drawingEngine.conductLotteryDrawing(instance.id);
-      
-      // Schedule next instance
-      await this.scheduleNextInstance(instance.lotteryTypeId);
-      
-      // Log successful drawing
-      await this.logScheduledDrawing(instance.id, drawingResult);
-
-      return {
-        action: 'drawing_completed',
-        drawingResult,
-        nextScheduled: true
-      };
-    } catch (error) {
-      logger.error('Failed to process scheduled drawing:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Handle insufficient participants
-   */
-  async handleInsufficientParticipants(instance, schedule) {
-    try {
-      const extensionCount = instance.extensionCount || 0;
-      const maxExtensions = schedule.maxExtensions || 2;
-
-      if (extensionCount >= maxExtensions) {
-        // Cancel lottery and process refunds
-        await this.cancelInsufficientLottery(instance);
-        
-        return {
-          action: 'lottery_cancelled',
-          reason: 'Insufficient participants after maximum extensions',
-          extensionCount
-        };
-      } else {
-        // Extend the lottery
-        const extensionResult = await this.extendLotterySchedule(instance, schedule);
-        
-        return {
-          action: 'lottery_extended',
-          extensionCount: extensionCount + 1,
-          newScheduledTime: extensionResult.newScheduledTime
-        };
-      }
-    } catch (error) {
-      logger.error('Failed to handle insufficient participants:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Extend lottery schedule
-   */
-  async extendLotterySchedule(instance, schedule) {
-    try {
-      // Calculate extension time (24 hours by default)
-      const extensionHours = schedule.extensionHours || 24;
-      const newScheduledTime = new Date(Date.now() + extensionHours * 60 * 60 * 1000);
-
-      // Update instance
-      await this.db.collection('lottery_instances').doc(instance.id).update({
-        scheduledDrawTime: newScheduledTime,
-        extensionCount: admin.firestore.FieldValue.increment(1),
-        lastExtendedAt: admin.firestore.FieldValue.serverTimestamp(),
-        extensionReason: 'Insufficient participants',
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      const drawingResult = await drawingEngine.conductLotteryDrawing(instance.id, {
+        drawStrategy: schedule.drawStrategy
       });
-
-      // Log extension
-      await this.logScheduleExtension(instance.id, newScheduledTime, instance.extensionCount + 1);
-
-      logger.info(`Lottery ${instance.id} extended to ${newScheduledTime.toISOString()}`);
-
-      return {
-        newScheduledTime: newScheduledTime.toISOString(),
-        extensionCount: instance.extensionCount + 1
-      };
-    } catch (error) {
-      logger.error('Failed to extend lottery schedule:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Cancel lottery with insufficient participants
-   */
-  async cancelInsufficientLottery(instance) {
-    try {
-      // Update instance status
-      await this.db.collection('lottery_instances').doc(instance.id).update({
-        status: 'cancelled',
-        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
-        cancellationReason: 'Insufficient participants after maximum extensions',
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-
-      // Schedule next instance immediately
-      await this.scheduleNextInstance(instance.lotteryTypeId);
-
-      // Log cancellation
-      await this.logScheduleCancellation(instance.id, 'Insufficient participants');
-
-      logger.info(`Lottery ${instance.id} cancelled due to insufficient participants`);
-    } catch (error) {
-      logger.error('Failed to cancel insufficient lottery:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Schedule next lottery instance
-   */
-  async scheduleNextInstance(lotteryTypeId) {
-    try {
-      const schedule = this.schedules.get(lotteryTypeId);
       
-      if (!schedule || !schedule.enabled) {
-        logger.info(`Skipping next instance scheduling for disabled lottery: ${lotteryTypeId}`);
-        return;
+      // Log successful drawing
+      if (drawingResult.winners) {
+        await this.logScheduledDrawing(instance.id, drawingResult);
       }
 
-      const nextDrawTime = this.calculateNextDrawTime(schedule);
-      const instanceId = this.generateInstanceId(lotteryTypeId, nextDrawTime);
-
-      const instanceData = {
-        lotteryTypeId,
-        status: 'active',
-        participants: 0,
-        prizePool: 0,
-        scheduledDrawTime: nextDrawTime,
-        extensionCount: 0,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      };
-
-      await this.db.collection('lottery_instances').doc(instanceId).set(instanceData);
-      
-      logger.info(`Next lottery instance scheduled: ${instanceId} for ${nextDrawTime.toISOString()}`);
-
       return {
-        instanceId,
-        scheduledTime: nextDrawTime.toISOString(),
-        lotteryTypeId
+        action: drawingResult.action || 'drawing_completed',
+        drawingResult
       };
     } catch (error) {
-      logger.error('Failed to schedule next instance:', error);
+      logger.error('Failed to process scheduled drawing:', error);
       throw error;
     }
   }
 
   /**
-   * Calculate next draw time based on schedule
+   * Calculate next draw time in the schedule's timezone, or null when a one-off schedule has passed
    */
   calculateNextDrawTime(schedule) {
-    const now = new Date();
-    let nextDrawTime;
-
-    switch (schedule.type) {
-      case 'daily':
-        nextDrawTime = this.calculateDailyTime(now, schedule.time);
-        break;
-        
-      case 'weekly':
-        nextDrawTime = this.calculateWeeklyTime(now, schedule.dayOfWeek, schedule.time);
-        break;
-        
-      case 'monthly':
-        nextDrawTime = this.calculateMonthlyTime(now, schedule.dayOfMonth, schedule.time);
-        break;
-        
-      default:
-        // Default to daily
-        nextDrawTime = this.calculateDailyTime(now, '20:00');
-    }
-
-    // Apply timezone offset if needed
-    if (this.timezoneOffset !== 0) {
-      nextDrawTime.setMinutes(nextDrawTime.getMinutes() - this.timezoneOffset);
-    }
-
-    return nextDrawTime;
-  }
-
-  /**
-   * Calculate next daily draw time
-   */
-  calculateDailyTime(currentTime, timeString) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    const nextDraw = new Date(currentTime);
-    
-    nextDraw.setHours(hours, minutes, 0, 0);
-    
-    // If time has passed today, schedule for tomorrow
-    if (nextDraw <= currentTime) {
-      nextDraw.setDate(nextDraw.getDate() + 1);
-    }
-    
-    return nextDraw;
-  }
-
-  /**
-   * Calculate next weekly draw time
-   */
-  calculateWeeklyTime(currentTime, dayOfWeek, timeString) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    const nextDraw = new Date(currentTime);
-    
-    // Calculate days until target day of week
-    const currentDay = nextDraw.getDay();
-    const daysUntilTarget = (dayOfWeek - currentDay + 7) % 7;
-    
-    if (daysUntilTarget === 0) {
-      // Same day - check if time has passed
-      nextDraw.setHours(hours, minutes, 0, 0);
-      if (nextDraw <= currentTime) {
-        nextDraw.setDate(nextDraw.getDate() + 7); // Next week
-      }
-    } else {
-      nextDraw.setDate(nextDraw.getDate() + daysUntilTarget);
-      nextDraw.setHours(hours, minutes, 0, 0);
-    }
-    
-    return nextDraw;
-  }
-
-  /**
-   * Calculate next monthly draw time
-   */
-  calculateMonthlyTime(currentTime, dayOfMonth, timeString) {
-    const [hours, minutes] = timeString.split(':').map(Number);
-    const nextDraw = new Date(currentTime);
-    
-    if (dayOfMonth === -1) {
-      // Last day of month
-      nextDraw.setMonth(nextDraw.getMonth() + 1, 0); // Last day of current month
-      if (nextDraw <= currentTime) {
-        nextDraw.setMonth(nextDraw.getMonth() + 1, 0); // Last day of next month
-      }
-    } else {
-      // Specific day of month
-      nextDraw.setDate(dayOfMonth);
-      if (nextDraw <= currentTime) {
-        nextDraw.setMonth(nextDraw.getMonth() + 1, dayOfMonth);
-      }
-    }
-    
-    nextDraw.setHours(hours, minutes, 0, 0);
-    return nextDraw;
+    return drawSchedule.nextDrawTime(schedule);
   }
 
   /**
-   * Generate instance ID
-   */
-  generateInstanceId(lotteryTypeId, scheduledTime) {
-    const dateStr = scheduledTime.toISOString().split('T')[0].replace(/-/g, '_');
-    const timeStr = scheduledTime.getHours().toString().padStart(2, '0');
-    const randomStr = Math.random().toString(36).substr(2, 4);
-    
-    return `${lotteryTypeId}_${dateStr}_${timeStr}_${randomStr}`;
-  }
-
-  /**
-   * Update schedule for lottery type
+   * Update schedule for lottery type. The drawing engine and the instance creators read the
+   * lottery type, so the schedule is saved there too.
    */
   async updateSchedule(lotteryTypeId, newSchedule, adminId) {
     try {
@@ -528,9 +326,12 @@ class ScheduleManager {
         throw new Error(`Invalid schedule: ${validation.reason}`);
       }
 
+      await configManager.updateLotteryTypeConfig(lotteryTypeId, this.toLotteryTypeConfig(newSchedule), adminId);
+
       // Update in memory
       this.schedules.set(lotteryTypeId, {
         ...newSchedule,
+        timezone: newSchedule.timezone || drawSchedule.DEFAULT_TIMEZONE,
         updatedBy: adminId,
         updatedAt: new Date().toISOString()
       });
@@ -547,7 +348,8 @@ class ScheduleManager {
         success: true,
         lotteryTypeId,
         newSchedule,
-        nextDrawTime: this.calculateNextDrawTime(newSchedule).toISOString()
+        nextDrawTime: this.calculateNextDrawTime(newSchedule).toISOString(),
+        upcomingDraws: this.previewDrawTimes(newSchedule, 5)
       };
     } catch (error) {
       logger.error('Failed to update schedule:', error);
@@ -556,73 +358,118 @@ class ScheduleManager {
   }
 
   /**
-   * Validate schedule configuration
+   * Lottery type fields for a schedule: its draw times, plus whether it is enabled,
+   * its minimum participants and its draw strategy when they are set
+   */
+  toLotteryTypeConfig(schedule) {
+    const drawTimes = {};
+    for (const field of this.drawTimeFields) {
+      if (schedule[field] !== undefined) {
+        drawTimes[field] = schedule[field];
+      }
+    }
+
+    const config = {
+      schedule: { ...drawTimes, timezone: drawTimes.timezone || drawSchedule.DEFAULT_TIMEZONE }
+    };
+
+    if (schedule.enabled !== undefined) {
+      config.isEnabled = schedule.enabled;
+    }
+    if (schedule.minParticipants !== undefined) {
+      config.minParticipants = schedule.minParticipants;
+    }
+    if (schedule.drawStrategy !== undefined) {
+      config.drawStrategy = schedule.drawStrategy;
+    }
+
+    return config;
+  }
+
+  /**
+   * Validate schedule configuration: daily, weekly or monthly draw times, a cron expression
+   * or a one-off date (see drawSchedule.normalizeSchedule), plus blackout dates
    */
   validateSchedule(schedule) {
     try {
-      if (!schedule.type || !['daily', 'weekly', 'monthly'].includes(schedule.type)) {
+      if (!schedule || !schedule.type) {
         return { isValid: false, reason: 'Invalid schedule type' };
       }
 
-      if (!schedule.time || !/^\d{2}:\d{2}$/.test(schedule.time)) {
-        return { isValid: false, reason: 'Invalid time format (use HH:MM)' };
-      }
-
-      const [hours, minutes] = schedule.time.split(':').map(Number);
-      if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
-        return { isValid: false, reason: 'Invalid time values' };
-      }
+      drawSchedule.normalizeSchedule(schedule);
 
-      if (schedule.type === 'weekly') {
-        if (typeof schedule.dayOfWeek !== 'number' || schedule.dayOfWeek < 0 || schedule.dayOfWeek > 6) {
-          return { isValid: false, reason: 'Invalid day of week (0-6)' };
-        }
+      if (!drawSchedule.nextDrawTime(schedule)) {
+        return { isValid: false, reason: 'Schedule has no upcoming draws' };
       }
 
-      if (schedule.type === 'monthly') {
-        if (typeof schedule.dayOfMonth !== 'number' || 
-           (schedule.dayOfMonth < 1 || schedule.dayOfMonth > 31) && schedule.dayOfMonth !== -1) {
-          return { isValid: false, reason: 'Invalid day of month (1-31 or -1 for last day)' };
-        }
+      if (schedule.drawStrategy !== undefined && !drawingVerifier.isSupportedStrategy(schedule.drawStrategy)) {
+        return { isValid: false, reason: `Unknown draw strategy: ${schedule.drawStrategy}` };
       }
 
       return { isValid: true };
     } catch (error) {
-      return { isValid: false, reason: 'Validation error' };
+      return { isValid: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Upcoming draw times of a schedule as ISO strings (empty for an invalid schedule)
+   */
+  previewDrawTimes(schedule, count) {
+    try {
+      return drawSchedule.upcomingDrawTimes(schedule, count).map(drawTime => drawTime.toISOString());
+    } catch (error) {
+      return [];
     }
   }
 
   /**
    * Get schedule status for all lottery types
+   * @param {Object} options - { count: upcoming draws per schedule (default 5),
+   *   draft: { lotteryTypeId, schedule } to preview an unsaved schedule }
    */
-  async getScheduleStatus() {
+  async getScheduleStatus({ count = 5, draft = null } = {}) {
     try {
       const status = {
         managerRunning: this.isRunning,
-        timezoneOffset: this.timezoneOffset,
         schedules: {},
         nextDrawings: []
       };
 
       for (const [lotteryTypeId, schedule] of this.schedules.entries()) {
-        const nextDrawTime = this.calculateNextDrawTime(schedule);
+        const upcomingDraws = this.previewDrawTimes(schedule, count);
+        const nextDrawTime = upcomingDraws.length > 0 ? upcomingDraws[0] : null;
         
         status.schedules[lotteryTypeId] = {
           ...schedule,
-          nextDrawTime: nextDrawTime.toISOString(),
-          timeUntilDraw: nextDrawTime - new Date()
+          nextDrawTime,
+          timeUntilDraw: nextDrawTime ? new Date(nextDrawTime) - new Date() : null,
+          upcomingDraws
         };
 
-        status.nextDrawings.push({
-          lotteryTypeId,
-          scheduledTime: nextDrawTime.toISOString(),
-          enabled: schedule.enabled
-        });
+        if (nextDrawTime) {
+          status.nextDrawings.push({
+            lotteryTypeId,
+            scheduledTime: nextDrawTime,
+            enabled: schedule.enabled
+          });
+        }
       }
 
       // Sort by next draw time
       status.nextDrawings.sort((a, b) => new Date(a.scheduledTime) - new Date(b.scheduledTime));
 
+      if (draft) {
+        const validation = this.validateSchedule(draft.schedule);
+
+        status.preview = {
+          lotteryTypeId: draft.lotteryTypeId || null,
+          isValid: validation.isValid,
+          reason: validation.reason || null,
+          upcomingDraws: validation.isValid ? this.previewDrawTimes(draft.schedule, count) : []
+        };
+      }
+
       return status;
     } catch (error) {
       logger.error('Failed to get schedule status:', error);
@@ -742,39 +589,6 @@ class ScheduleManager {
     }
   }
 
-  /**
-   * Log schedule extension
-   */
-  async logScheduleExtension(instanceId, newScheduledTime, extensionCount) {
-    try {
-      await this.db.collection('schedule_logs').add({
-        action: 'schedule_extension',
-        instanceId,
-        newScheduledTime,
-        extensionCount,
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
-      });
-    } catch (error) {
-      logger.error('Failed to log schedule extension:', error);
-    }
-  }
-
-  /**
-   * Log schedule cancellation
-   */
-  async logScheduleCancellation(instanceId, reason) {
-    try {
-      await this.db.collection('schedule_logs').add({
-        action: 'schedule_cancellation',
-        instanceId,
-        reason,
-        timestamp: admin.firestore.FieldValue.serverTimestamp()
-      });
-    } catch (error) {
-      logger.error('Failed to log schedule cancellation:', error);
-    }
-  }
-
   /**
    * Log schedule changes
    */
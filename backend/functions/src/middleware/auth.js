@@ -1,5 +1,6 @@
 const admin = require('firebase-admin');
 const { logger } = require('../utils/logger');
+const rateLimiter = require('./rateLimiter');
 
 /**
  * Validate admin authentication and permissions
@@ -338,39 +339,11 @@ async function flagSuspiciousActivity(userId, activityType, details = {}) {
 }
 
 /**
- * Rate limiting check for specific actions
+ * Rate limiting check for specific actions (token bucket shared across instances, see rateLimiter)
  */
 async function checkRateLimit(userId, actionType, timeWindow = 3600, maxActions = 10) {
-  try {
-    const db = admin.firestore();
-    const now = new Date();
-    const windowStart = new Date(now - timeWindow * 1000);
-
-    // Check action count in time window
-    const actionsSnapshot = await db.collection('user_actions')
-      .where('userId', '==', userId)
-      .where('actionType', '==', actionType)
-      .where('timestamp', '>=', windowStart)
-      .get();
-
-    const actionCount = actionsSnapshot.size;
-
-    if (actionCount >= maxActions) {
-      throw new Error(`Rate limit exceeded for ${actionType}`);
-    }
-
-    // Log the action
-    await db.collection('user_actions').add({
-      userId,
-      actionType,
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
-    });
-
-    return true;
-  } catch (error) {
-    logger.error('Rate limit check failed:', error);
-    throw error;
-  }
+  await rateLimiter.consume(userId, actionType, { max: maxActions, windowSeconds: timeWindow });
+  return true;
 }
 
 /**
@@ -52,6 +52,30 @@ class AuthorizationError extends AppError {
   }
 }
 
+/**
+ * Two-factor verification missing or too old for the action.
+ * reason: "enrollment_required", "verification_required" or "fresh_verification_required"
+ */
+class MfaRequiredError extends AppError {
+  constructor(reason, message = 'Two-factor verification required') {
+    super(message, ErrorCategories.AUTHORIZATION, 403);
+    this.mfa = reason;
+  }
+}
+
+/**
+ * Action refused by the risk engine. action: "hold" or "block"
+ */
+class RiskRejectedError extends AppError {
+  constructor(action, assessmentId, message = null) {
+    const defaultMessage = action === 'hold'
+      ? 'This action is under review. Please try again later'
+      : 'This action is not allowed';
+    super(message || defaultMessage, ErrorCategories.AUTHORIZATION, 403);
+    this.risk = { action, assessmentId };
+  }
+}
+
 /**
  * Validation error
  */
@@ -138,6 +162,55 @@ function handleCloudFunctionError(error, context = {}) {
   }
 }
 
+/**
+ * HttpsError codes for application error status codes
+ */
+const HTTPS_ERROR_CODES = {
+  400: 'invalid-argument',
+  401: 'unauthenticated',
+  402: 'failed-precondition',
+  403: 'permission-denied',
+  404: 'not-found',
+  409: 'already-exists',
+  412: 'failed-precondition',
+  422: 'failed-precondition',
+  429: 'resource-exhausted',
+  503: 'unavailable'
+};
+
+/**
+ * Convert any error to an HttpsError without throwing it.
+ * Works with both the error classes here and the ones in utils/validators, which share status codes.
+ */
+function toHttpsError(error) {
+  if (error instanceof functions.https.HttpsError) {
+    return error;
+  }
+
+  const code = HTTPS_ERROR_CODES[error.statusCode] || 'internal';
+  const details = {};
+
+  if (error.retryAfter !== undefined) {
+    details.retryAfter = error.retryAfter;
+    details.limit = error.limit;
+    details.resetAt = error.resetAt;
+  }
+
+  if (error.mfa) {
+    details.mfa = error.mfa;
+  }
+
+  if (error.risk) {
+    details.risk = error.risk;
+  }
+
+  if (code === 'invalid-argument' && error.details) {
+    details.errors = Array.isArray(error.details.value) ? error.details.value : error.details;
+  }
+
+  return new functions.https.HttpsError(code, error.message, Object.keys(details).length > 0 ? details : undefined);
+}
+
 /**
  * Express middleware error handler
  */
@@ -473,6 +546,8 @@ module.exports = {
   AppError,
   AuthenticationError,
   AuthorizationError,
+  MfaRequiredError,
+  RiskRejectedError,
   ValidationError,
   PaymentError,
   LotteryError,
@@ -484,10 +559,12 @@ module.exports = {
   
   // Error handlers
   handleCloudFunctionError,
+  toHttpsError,
   expressErrorHandler,
   
   // Error management
   storeErrorInDatabase,
+  generateErrorId,
   validateErrorRecovery,
   getErrorStatistics,
   getRecentErrors,
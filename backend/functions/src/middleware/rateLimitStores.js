@@ -0,0 +1,134 @@
+const admin = require('firebase-admin');
+
+/**
+ * Take tokens from a bucket state. Returns the new state and the outcome.
+ * @param {Object|null} state - { tokens, updatedAt } or null for a new (full) bucket
+ * @param {Object} bucket - { capacity, refillPerSecond, cost }
+ * @param {number} now - Current time in milliseconds
+ */
+function takeTokens(state, bucket, now) {
+  const elapsedSeconds = state ? Math.max(0, now - state.updatedAt) / 1000 : 0;
+  const available = state
+    ? Math.min(bucket.capacity, state.tokens + elapsedSeconds * bucket.refillPerSecond)
+    : bucket.capacity;
+
+  const allowed = available >= bucket.cost;
+  const tokens = allowed ? available - bucket.cost : available;
+  const retryAfter = allowed ? 0 : Math.ceil((bucket.cost - available) / bucket.refillPerSecond);
+  const secondsToFull = (bucket.capacity - tokens) / bucket.refillPerSecond;
+
+  return {
+    state: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    retryAfter,
+    resetAt: now + Math.ceil(secondsToFull * 1000)
+  };
+}
+
+/**
+ * Token buckets stored in Firestore, one document per key, updated in a transaction
+ * so every function instance sees the same counts.
+ */
+class FirestoreRateLimitStore {
+  constructor(collection = 'rate_limits') {
+    this.db = admin.firestore();
+    this.collection = collection;
+  }
+
+  /**
+   * Take tokens from the bucket for a key
+   */
+  async consume(key, bucket, now = Date.now()) {
+    const ref = this.db.collection(this.collection).doc(key);
+
+    return await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ref);
+      const state = doc.exists ? doc.data() : null;
+      const result = takeTokens(state, bucket, now);
+
+      transaction.set(ref, {
+        key,
+        tokens: result.state.tokens,
+        updatedAt: now,
+        capacity: bucket.capacity,
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(doc.exists ? {} : { createdAt: admin.firestore.FieldValue.serverTimestamp() })
+      });
+
+      return result;
+    });
+  }
+
+  /**
+   * Remove the bucket for a key
+   */
+  async reset(key) {
+    await this.db.collection(this.collection).doc(key).delete();
+  }
+
+  /**
+   * Delete buckets not touched since the cutoff; an idle bucket is full again, so this loses nothing
+   */
+  async cleanup(cutoffMs, limit = 500) {
+    const snapshot = await this.db.collection(this.collection)
+      .where('updatedAt', '<', cutoffMs)
+      .limit(limit)
+      .get();
+
+    if (snapshot.empty) {
+      return 0;
+    }
+
+    const batch = this.db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+
+    return snapshot.size;
+  }
+}
+
+/**
+ * In-process token buckets, for tests and the emulator. Counts are per instance.
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take tokens from the bucket for a key
+   */
+  async consume(key, bucket, now = Date.now()) {
+    const result = takeTokens(this.buckets.get(key) || null, bucket, now);
+    this.buckets.set(key, result.state);
+    return result;
+  }
+
+  /**
+   * Remove the bucket for a key
+   */
+  async reset(key) {
+    this.buckets.delete(key);
+  }
+
+  /**
+   * Delete buckets not touched since the cutoff
+   */
+  async cleanup(cutoffMs) {
+    let removed = 0;
+    for (const [key, state] of this.buckets.entries()) {
+      if (state.updatedAt < cutoffMs) {
+        this.buckets.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  takeTokens,
+  FirestoreRateLimitStore,
+  MemoryRateLimitStore
+};
@@ -0,0 +1,95 @@
+const admin = require('firebase-admin');
+const { takeTokens, FirestoreRateLimitStore, MemoryRateLimitStore } = require('./rateLimitStores');
+
+// 5 calls a minute
+const bucket = { capacity: 5, refillPerSecond: 5 / 60, cost: 1 };
+const start = 1700000000000;
+
+describe('takeTokens', () => {
+  it('starts a new bucket full', () => {
+    const result = takeTokens(null, bucket, start);
+    expect(result).toMatchObject({ allowed: true, remaining: 4, retryAfter: 0 });
+  });
+
+  it('refills continuously up to the capacity', () => {
+    const empty = { tokens: 0, updatedAt: start };
+
+    expect(takeTokens(empty, bucket, start + 11000).allowed).toBe(false);
+    expect(takeTokens(empty, bucket, start + 12000)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(takeTokens(empty, bucket, start + 3600000).remaining).toBe(4);
+  });
+
+  it('tells a refused caller how long to wait', () => {
+    const result = takeTokens({ tokens: 0.5, updatedAt: start }, bucket, start);
+    expect(result).toMatchObject({ allowed: false, remaining: 0, retryAfter: 6 });
+    expect(result.state.tokens).toBe(0.5);
+  });
+
+  it('charges the cost of expensive calls', () => {
+    const result = takeTokens({ tokens: 2, updatedAt: start }, { ...bucket, cost: 3 }, start);
+    expect(result.allowed).toBe(false);
+  });
+
+  it('ignores a clock that moved backwards', () => {
+    const result = takeTokens({ tokens: 1, updatedAt: start }, bucket, start - 60000);
+    expect(result).toMatchObject({ allowed: true, remaining: 0 });
+  });
+});
+
+describe.each([
+  ['MemoryRateLimitStore', () => new MemoryRateLimitStore()],
+  ['FirestoreRateLimitStore', () => new FirestoreRateLimitStore()]
+])('%s', (name, createStore) => {
+  let store;
+
+  beforeEach(() => {
+    admin.__reset();
+    store = createStore();
+  });
+
+  it('allows a burst up to the capacity, then refuses', async () => {
+    const results = [];
+    for (let call = 0; call < 6; call++) {
+      results.push(await store.consume('lottery_entry:user_1', bucket, start));
+    }
+
+    expect(results.map((result) => result.allowed)).toEqual([true, true, true, true, true, false]);
+    expect(results[5].retryAfter).toBe(12);
+  });
+
+  it('lets the caller back in once a token has refilled', async () => {
+    for (let call = 0; call < 5; call++) {
+      await store.consume('lottery_entry:user_1', bucket, start);
+    }
+
+    expect((await store.consume('lottery_entry:user_1', bucket, start + 11000)).allowed).toBe(false);
+    expect((await store.consume('lottery_entry:user_1', bucket, start + 23000)).allowed).toBe(true);
+  });
+
+  it('keeps a bucket per key', async () => {
+    for (let call = 0; call < 5; call++) {
+      await store.consume('lottery_entry:user_1', bucket, start);
+    }
+
+    expect((await store.consume('lottery_entry:user_2', bucket, start)).allowed).toBe(true);
+    expect((await store.consume('ad_watch:user_1', bucket, start)).allowed).toBe(true);
+  });
+
+  it('starts over after a reset', async () => {
+    for (let call = 0; call < 5; call++) {
+      await store.consume('lottery_entry:user_1', bucket, start);
+    }
+    await store.reset('lottery_entry:user_1');
+
+    expect((await store.consume('lottery_entry:user_1', bucket, start)).remaining).toBe(4);
+  });
+
+  it('removes only buckets idle since the cutoff', async () => {
+    await store.consume('idle', bucket, start);
+    await store.consume('active', bucket, start + 60000);
+
+    expect(await store.cleanup(start + 1)).toBe(1);
+    expect((await store.consume('idle', bucket, start + 60000)).remaining).toBe(4);
+    expect((await store.consume('active', bucket, start + 60000)).remaining).toBe(3);
+  });
+});
@@ -1,420 +1,293 @@
-const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const { RateLimitError } = require('./errorHandler');
+const { FirestoreRateLimitStore, MemoryRateLimitStore } = require('./rateLimitStores');
 
 /**
- * Environment configuration management
+ * Default limits per endpoint: at most `max` calls per `windowSeconds`, refilled continuously
  */
-class EnvironmentConfig {
+const DEFAULT_LIMITS = {
+  api_general: { max: 60, windowSeconds: 60 },
+  api_auth: { max: 10, windowSeconds: 300 },
+  api_mfa: { max: 10, windowSeconds: 300 },
+  api_payment: { max: 10, windowSeconds: 60 },
+  lottery_entry: { max: 5, windowSeconds: 60 },
+  ad_watch: { max: 10, windowSeconds: 300 }
+};
+
+/**
+ * Token bucket rate limiter shared by all function instances.
+ * Limits come from, in increasing priority: DEFAULT_LIMITS, the caller (e.g. the API route),
+ * system_config/rate_limits (per endpoint) and rate_limit_overrides/{userId} (per user).
+ */
+class RateLimiter {
   constructor() {
-    this.environment = process.env.NODE_ENV || 'development';
-    this.config = this.loadConfiguration();
-    this.validateConfiguration();
+    this.db = admin.firestore();
+    this.store = null;
+    this.settings = null;
+    this.defaultLimits = DEFAULT_LIMITS;
+    this.overrideCache = new Map();
+    this.cacheTimeout = 60 * 1000; // 1 minute
   }
 
   /**
-   * Load configuration based on environment
+   * Get rate limiting settings from the environment configuration
    */
-  loadConfiguration() {
-    const baseConfig = {
-      // Firebase Configuration
-      firebase: {
-        projectId: functions.config().firebase?.project_id || process.env.FIREBASE_PROJECT_ID,
-        region: functions.config().app?.region || 'us-central1',
-        databaseURL: functions.config().firebase?.database_url || process.env.FIREBASE_DATABASE_URL
-      },
-
-      // Pi Network Configuration
-      piNetwork: {
-        apiBaseUrl: this.environment === 'production' 
-          ? 'https://api.minepi.com' 
-          : 'https://api.minepi.com/v2',
-        apiKey: functions.config().pi?.api_key || process.env.PI_API_KEY,
-        sandbox: this.environment !== 'production',
-        webhookSecret: functions.config().pi?.webhook_secret || process.env.PI_WEBHOOK_SECRET,
-        sdkVersion: '2.0'
-      },
-
-      // Application Settings
-      app: {
-        name: 'Pi Lottery Platform',
-        version: '1.0.0',
-        environment: this.environment,
-        debug: this.environment === 'development',
-        maintenanceMode: false,
-        maxConcurrentUsers: 10000
-      },
-
-      // Security Configuration
-      security: {
-        jwtSecret: functions.config().security?.jwt_secret || process.env.JWT_SECRET,
-        encryptionKey: functions.config().security?.encryption_key || process.env.ENCRYPTION_KEY,
-        corsOrigins: this.getCorsOrigins(),
-        sessionTimeout: 24 * 60 * 60 * 1000, // 24 hours
-        maxLoginAttempts: 5,
-        lockoutDuration: 30 * 60 * 1000 // 30 minutes
-      },
-
-      // Database Configuration
-      database: {
-        connectionPoolSize: this.environment === 'production' ? 10 : 5,
-        queryTimeout: 30000, // 30 seconds
-        retryAttempts: 3,
-        backupRetention: 30 // days
-      },
-
-      // Logging Configuration
-      logging: {
-        level: this.environment === 'production' ? 'info' : 'debug',
-        enableFileLogging: true,
-        enableConsoleLogging: true,
-        logRotation: {
-          maxFiles: 5,
-          maxSize: '20m'
-        }
-      },
-
-      // Performance Configuration
-      performance: {
-        functionTimeout: 540, // seconds (9 minutes max for Firebase Functions)
-        memoryLimit: 512, // MB
-        rateLimiting: {
-          enabled: true,
-          windowMs: 15 * 60 * 1000, // 15 minutes
-          maxRequests: 100
-        }
-      },
-
-      // External Services
-      external: {
-        sentry: {
-          dsn: functions.config().sentry?.dsn || process.env.SENTRY_DSN,
-          environment: this.environment,
-          enabled: this.environment === 'production'
-        },
-        analytics: {
-          googleAnalyticsId: functions.config().analytics?.ga_id || process.env.GOOGLE_ANALYTICS_ID,
-          enabled: true
-        }
-      },
-
-      // Feature Flags
-      features: {
-        adLottery: functions.config().features?.ad_lottery !== 'false',
-        multipleLotteries: functions.config().features?.multiple_lotteries !== 'false',
-        advancedReporting: functions.config().features?.advanced_reporting !== 'false',
-        maintenanceAlerts: functions.config().features?.maintenance_alerts !== 'false',
-        autoDrawing: functions.config().features?.auto_drawing !== 'false'
-      },
-
-      // Business Logic Configuration
-      business: {
-        lottery: {
-          defaultPlatformFee: 0.1,
-          defaultAdValue: 0.001,
-          minParticipants: {
-            daily_pi: 5,
-            daily_ads: 10,
-            weekly_pi: 20,
-            monthly_pi: 30
-          },
-          maxTicketsPerUser: {
-            daily_pi: 3,
-            daily_ads: 5,
-            weekly_pi: 10,
-            monthly_pi: 25
-          },
-          drawingSchedule: {
-            daily_pi: '20:00',
-            daily_ads: '21:00',
-            weekly_pi: 'sunday_18:00',
-            monthly_pi: 'last_day_21:00'
-          },
-          maxExtensions: 2,
-          extensionHours: 24
-        },
-        payments: {
-          piNetworkFee: 0.01,
-          processingTimeout: 30 * 60 * 1000, // 30 minutes
-          retryAttempts: 3,
-          webhookVerification: true
-        }
-      },
-
-      // Monitoring and Alerts
-      monitoring: {
-        healthCheck: {
-          interval: 5 * 60 * 1000, // 5 minutes
-          endpoints: ['/health', '/api/status'],
-          alertThreshold: 3 // consecutive failures
-        },
-        errorReporting: {
-          enabled: true,
-          criticalErrorAlert: true,
-          errorThreshold: 10 // errors per hour
-        },
-        performance: {
-          slowQueryThreshold: 5000, // 5 seconds
-          memoryAlertThreshold: 80, // 80% memory usage
-          cpuAlertThreshold: 80 // 80% CPU usage
-        }
-      }
-    };
-
-    // Environment-specific overrides
-    if (this.environment === 'production') {
-      return {
-        ...baseConfig,
-        app: {
-          ...baseConfig.app,
-          debug: false
-        },
-        logging: {
-          ...baseConfig.logging,
-          level: 'warn'
-        },
-        performance: {
-          ...baseConfig.performance,
-          memoryLimit: 1024 // 1GB for production
-        }
-      };
-    } else if (this.environment === 'development') {
-      return {
-        ...baseConfig,
-        piNetwork: {
-          ...baseConfig.piNetwork,
-          sandbox: true
-        },
-        security: {
-          ...baseConfig.security,
-          corsOrigins: ['http://localhost:3000', 'http://localhost:3001']
-        }
-      };
+  getSettings() {
+    if (!this.settings) {
+      this.settings = require('../config/environment').getPerformanceConfig().rateLimiting;
     }
-
-    return baseConfig;
+    return this.settings;
   }
 
   /**
-   * Get CORS origins based on environment
+   * Get the bucket store. Set rate_limit.store (or RATE_LIMIT_STORE) to "memory" for the emulator.
    */
-  getCorsOrigins() {
-    if (this.environment === 'production') {
-      return [
-        'https://pilottery.app',
-        'https://www.pilottery.app',
-        'https://app.pilottery.app'
-      ];
-    } else if (this.environment === 'staging') {
-      return [
-        'https://staging.pilottery.app',
-        'https://test.pilottery.app'
-      ];
-    } else {
-      return [
-        'http://localhost:3000',
-        'http://localhost:3001',
-        'http://localhost:8080'
-      ];
+  getStore() {
+    if (!this.store) {
+      this.store = this.getSettings().store === 'memory'
+        ? new MemoryRateLimitStore()
+        : new FirestoreRateLimitStore();
     }
+    return this.store;
   }
 
   /**
-   * Validate required configuration
+   * Replace the bucket store (used by tests)
    */
-  validateConfiguration() {
-    const requiredFields = [
-      'firebase.projectId',
-      'piNetwork.apiKey',
-      'security.jwtSecret'
-    ];
-
-    const missingFields = [];
-
-    requiredFields.forEach(field => {
-      if (!this.getNestedValue(this.config, field)) {
-        missingFields.push(field);
-      }
-    });
+  setStore(store) {
+    this.store = store;
+  }
 
-    if (missingFields.length > 0) {
-      throw new Error(`Missing required configuration fields: ${missingFields.join(', ')}`);
-    }
+  /**
+   * Check and count a call without throwing
+   * @param {string} identifier - User id, or "ip_<address>" for anonymous callers
+   * @param {string} endpoint - Endpoint or action name
+   * @param {Object} limit - Caller defaults: { max, windowSeconds, cost }
+   * @returns {Object} { allowed, limit, remaining, retryAfter, resetAt, message }
+   */
+  async checkRateLimit(identifier, endpoint = 'api_general', limit = {}) {
+    const resolved = await this.resolveLimit(identifier, endpoint, limit);
 
-    // Validate Pi Network configuration
-    if (this.config.piNetwork.sandbox && this.environment === 'production') {
-      console.warn('Warning: Pi Network sandbox mode is enabled in production environment');
+    if (!this.getSettings().enabled || resolved.exempt) {
+      return { allowed: true, limit: resolved.max, remaining: resolved.max, retryAfter: 0, resetAt: Date.now() };
     }
 
-    // Validate security configuration
-    if (this.config.security.jwtSecret && this.config.security.jwtSecret.length < 32) {
-      throw new Error('JWT secret must be at least 32 characters long');
+    try {
+      const result = await this.getStore().consume(this.getBucketKey(endpoint, identifier), {
+        capacity: resolved.max,
+        refillPerSecond: resolved.max / resolved.windowSeconds,
+        cost: resolved.cost
+      });
+
+      if (!result.allowed) {
+        logger.warn('Rate limit exceeded', { identifier, endpoint, retryAfter: result.retryAfter });
+      }
+
+      return {
+        allowed: result.allowed,
+        limit: resolved.max,
+        remaining: result.remaining,
+        retryAfter: result.retryAfter,
+        resetAt: result.resetAt,
+        message: result.allowed ? null : `Rate limit exceeded for ${endpoint}, retry in ${result.retryAfter}s`
+      };
+    } catch (error) {
+      // Fail open: a store outage must not take the whole API down
+      logger.error(`Rate limit check failed for ${endpoint}:`, error);
+      return { allowed: true, limit: resolved.max, remaining: null, retryAfter: 0, resetAt: null };
     }
   }
 
   /**
-   * Get nested configuration value
+   * Count a call and throw a RateLimitError (carrying retryAfter) when it is over the limit
    */
-  getNestedValue(obj, path) {
-    return path.split('.').reduce((current, key) => current && current[key], obj);
-  }
+  async consume(identifier, endpoint = 'api_general', limit = {}) {
+    const result = await this.checkRateLimit(identifier, endpoint, limit);
+
+    if (!result.allowed) {
+      const error = new RateLimitError(result.message, result.retryAfter);
+      error.limit = result.limit;
+      error.resetAt = result.resetAt;
+      throw error;
+    }
 
-  /**
-   * Get configuration value
-   */
-  get(key, defaultValue = null) {
-    return this.getNestedValue(this.config, key) || defaultValue;
+    return result;
   }
 
   /**
-   * Check if feature is enabled
+   * Work out the effective limit for an identifier and endpoint
    */
-  isFeatureEnabled(feature) {
-    return this.get(`features.${feature}`, false);
-  }
+  async resolveLimit(identifier, endpoint, limit = {}) {
+    const endpointOverrides = await this.getEndpointOverrides();
+    const userOverride = identifier && !identifier.startsWith('ip_')
+      ? await this.getUserOverride(identifier)
+      : null;
+
+    const resolved = {
+      cost: 1,
+      ...(this.defaultLimits[endpoint] || this.defaultLimits.api_general),
+      ...this.pickLimit(limit),
+      ...this.pickLimit(endpointOverrides[endpoint]),
+      ...this.pickLimit(userOverride?.limits?.[endpoint])
+    };
 
-  /**
-   * Get environment name
-   */
-  getEnvironment() {
-    return this.environment;
-  }
+    if (userOverride?.multiplier > 0) {
+      resolved.max = Math.max(1, Math.floor(resolved.max * userOverride.multiplier));
+    }
 
-  /**
-   * Check if development environment
-   */
-  isDevelopment() {
-    return this.environment === 'development';
-  }
+    resolved.exempt = userOverride?.exempt === true;
 
-  /**
-   * Check if production environment
-   */
-  isProduction() {
-    return this.environment === 'production';
+    return resolved;
   }
 
   /**
-   * Check if staging environment
+   * Keep only the limit fields that are set
    */
-  isStaging() {
-    return this.environment === 'staging';
-  }
+  pickLimit(limit) {
+    const picked = {};
+    if (!limit) {
+      return picked;
+    }
 
-  /**
-   * Get database configuration
-   */
-  getDatabaseConfig() {
-    return this.config.database;
+    ['max', 'windowSeconds', 'cost'].forEach(field => {
+      if (Number(limit[field]) > 0) {
+        picked[field] = Number(limit[field]);
+      }
+    });
+
+    return picked;
   }
 
   /**
-   * Get Pi Network configuration
+   * Per-endpoint limits set by admins (system_config/rate_limits)
    */
-  getPiNetworkConfig() {
-    return this.config.piNetwork;
+  async getEndpointOverrides() {
+    return await this.getCached('endpoints', async () => {
+      const doc = await this.db.collection('system_config').doc('rate_limits').get();
+      return doc.exists ? doc.data().endpoints || {} : {};
+    });
   }
 
   /**
-   * Get security configuration
+   * Per-user limits set by admins (rate_limit_overrides/{userId}): { exempt, multiplier, limits: { endpoint: limit } }
    */
-  getSecurityConfig() {
-    return this.config.security;
+  async getUserOverride(userId) {
+    return await this.getCached(`user_${userId}`, async () => {
+      const doc = await this.db.collection('rate_limit_overrides').doc(userId).get();
+      return doc.exists ? doc.data() : null;
+    });
   }
 
   /**
-   * Get business logic configuration
+   * Read through the override cache. Lookup failures fall back to no override.
    */
-  getBusinessConfig() {
-    return this.config.business;
+  async getCached(key, loader) {
+    const cached = this.overrideCache.get(key);
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+      return cached.data;
+    }
+
+    let data;
+    try {
+      data = await loader();
+    } catch (error) {
+      logger.error(`Failed to load rate limit overrides (${key}):`, error);
+      data = key === 'endpoints' ? {} : null;
+    }
+
+    this.overrideCache.set(key, { data, timestamp: Date.now() });
+    return data;
   }
 
   /**
-   * Get logging configuration
+   * Set the limit for an endpoint
    */
-  getLoggingConfig() {
-    return this.config.logging;
+  async setEndpointLimit(endpoint, limit, adminId) {
+    try {
+      await this.db.collection('system_config').doc('rate_limits').set({
+        endpoints: { [endpoint]: this.pickLimit(limit) },
+        updatedBy: adminId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      this.overrideCache.delete('endpoints');
+      logger.info(`Rate limit for ${endpoint} updated by ${adminId}`, limit);
+    } catch (error) {
+      logger.error(`Failed to set rate limit for ${endpoint}:`, error);
+      throw error;
+    }
   }
 
   /**
-   * Get monitoring configuration
+   * Set limits for a user: { exempt, multiplier, limits: { endpoint: limit } }
    */
-  getMonitoringConfig() {
-    return this.config.monitoring;
+  async setUserLimits(userId, override, adminId) {
+    try {
+      const limits = {};
+      Object.entries(override.limits || {}).forEach(([endpoint, limit]) => {
+        limits[endpoint] = this.pickLimit(limit);
+      });
+
+      await this.db.collection('rate_limit_overrides').doc(userId).set({
+        exempt: override.exempt === true,
+        multiplier: Number(override.multiplier) > 0 ? Number(override.multiplier) : null,
+        limits,
+        updatedBy: adminId,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      this.overrideCache.delete(`user_${userId}`);
+      logger.info(`Rate limits for user ${userId} updated by ${adminId}`);
+    } catch (error) {
+      logger.error(`Failed to set rate limits for user ${userId}:`, error);
+      throw error;
+    }
   }
 
   /**
-   * Get performance configuration
+   * Refill a bucket immediately
    */
-  getPerformanceConfig() {
-    return this.config.performance;
+  async reset(identifier, endpoint) {
+    await this.getStore().reset(this.getBucketKey(endpoint, identifier));
   }
 
   /**
-   * Update configuration at runtime (for feature flags, etc.)
+   * Add rate limit headers to an HTTP response
    */
-  updateConfig(key, value) {
-    const keys = key.split('.');
-    let current = this.config;
-    
-    for (let i = 0; i < keys.length - 1; i++) {
-      if (!current[keys[i]]) {
-        current[keys[i]] = {};
-      }
-      current = current[keys[i]];
+  setHeaders(res, result) {
+    if (result.limit) {
+      res.set('X-RateLimit-Limit', String(result.limit));
+    }
+    if (result.remaining !== null && result.remaining !== undefined) {
+      res.set('X-RateLimit-Remaining', String(result.remaining));
+    }
+    if (result.resetAt) {
+      res.set('X-RateLimit-Reset', String(Math.ceil(result.resetAt / 1000)));
+    }
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
     }
-    
-    current[keys[keys.length - 1]] = value;
   }
 
   /**
-   * Get all configuration (for debugging)
+   * Delete buckets idle for more than the given number of days
    */
-  getAllConfig() {
-    if (this.isDevelopment()) {
-      return { ...this.config };
-    } else {
-      // In production, hide sensitive data
-      const safeConfig = { ...this.config };
-      delete safeConfig.security.jwtSecret;
-      delete safeConfig.security.encryptionKey;
-      delete safeConfig.piNetwork.apiKey;
-      delete safeConfig.piNetwork.webhookSecret;
-      return safeConfig;
+  async cleanup(daysToKeep = 1) {
+    try {
+      return await this.getStore().cleanup(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+    } catch (error) {
+      logger.error('Failed to cleanup rate limit buckets:', error);
+      return 0;
     }
   }
 
   /**
-   * Generate configuration report
+   * Bucket key for an endpoint and identifier (Firestore ids cannot contain slashes)
    */
-  generateConfigReport() {
-    return {
-      environment: this.environment,
-      timestamp: new Date().toISOString(),
-      features: this.config.features,
-      performance: {
-        functionTimeout: this.config.performance.functionTimeout,
-        memoryLimit: this.config.performance.memoryLimit,
-        rateLimiting: this.config.performance.rateLimiting.enabled
-      },
-      integrations: {
-        piNetwork: {
-          sandbox: this.config.piNetwork.sandbox,
-          version: this.config.piNetwork.sdkVersion
-        },
-        firebase: {
-          projectId: this.config.firebase.projectId,
-          region: this.config.firebase.region
-        }
-      },
-      security: {
-        corsOriginsCount: this.config.security.corsOrigins.length,
-        sessionTimeout: this.config.security.sessionTimeout,
-        maxLoginAttempts: this.config.security.maxLoginAttempts
-      }
-    };
+  getBucketKey(endpoint, identifier) {
+    return `${endpoint}:${identifier}`.replace(/\//g, '_');
   }
 }
 
-// Create singleton instance
-const environmentConfig = new EnvironmentConfig();
-
-module.exports = environmentConfig;
+module.exports = new RateLimiter();
@@ -0,0 +1,78 @@
+jest.mock('../utils/logger');
+
+const admin = require('firebase-admin');
+const rateLimiter = require('./rateLimiter');
+const { MemoryRateLimitStore } = require('./rateLimitStores');
+const { RateLimitError } = require('./errorHandler');
+
+describe('rateLimiter', () => {
+  let store;
+
+  beforeEach(() => {
+    admin.__reset();
+    store = new MemoryRateLimitStore();
+    rateLimiter.setStore(store);
+    rateLimiter.settings = { enabled: true, store: 'memory' };
+    rateLimiter.overrideCache.clear();
+  });
+
+  const callTimes = async (count, identifier, endpoint, limit) => {
+    const results = [];
+    for (let call = 0; call < count; call++) {
+      results.push(await rateLimiter.checkRateLimit(identifier, endpoint, limit));
+    }
+    return results.map((result) => result.allowed);
+  };
+
+  it('applies the default limit of the endpoint', async () => {
+    expect(await callTimes(6, 'user_1', 'lottery_entry')).toEqual([true, true, true, true, true, false]);
+  });
+
+  it('throws a RateLimitError carrying when to retry', async () => {
+    await callTimes(5, 'user_1', 'lottery_entry');
+
+    const error = await rateLimiter.consume('user_1', 'lottery_entry').catch((caught) => caught);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfter).toBe(12);
+    expect(error.limit).toBe(5);
+  });
+
+  it('prefers an admin endpoint limit to the route default', async () => {
+    await rateLimiter.setEndpointLimit('lottery_entry', { max: 2, windowSeconds: 60 }, 'admin_1');
+
+    expect(await callTimes(3, 'user_1', 'lottery_entry', { max: 10 })).toEqual([true, true, false]);
+  });
+
+  it('scales and exempts users with overrides', async () => {
+    await rateLimiter.setUserLimits('user_vip', { multiplier: 2 }, 'admin_1');
+    await rateLimiter.setUserLimits('user_ops', { exempt: true }, 'admin_1');
+
+    expect((await callTimes(11, 'user_vip', 'lottery_entry')).filter(Boolean)).toHaveLength(10);
+    expect((await callTimes(20, 'user_ops', 'lottery_entry')).every(Boolean)).toBe(true);
+  });
+
+  it('does not look up user overrides for anonymous callers', async () => {
+    const getUserOverride = jest.spyOn(rateLimiter, 'getUserOverride');
+
+    await rateLimiter.checkRateLimit('ip_203.0.113.9', 'api_auth');
+
+    expect(getUserOverride).not.toHaveBeenCalled();
+    getUserOverride.mockRestore();
+  });
+
+  it('lets calls through when the store fails', async () => {
+    jest.spyOn(store, 'consume').mockRejectedValue(new Error('store unavailable'));
+
+    const result = await rateLimiter.checkRateLimit('user_1', 'lottery_entry');
+
+    expect(result.allowed).toBe(true);
+  });
+
+  it('refills a bucket on reset', async () => {
+    await callTimes(5, 'user_1', 'lottery_entry');
+    await rateLimiter.reset('user_1', 'lottery_entry');
+
+    expect(await callTimes(1, 'user_1', 'lottery_entry')).toEqual([true]);
+  });
+});
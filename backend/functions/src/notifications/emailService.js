@@ -0,0 +1,357 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { COLLECTIONS } = require('../utils/constants');
+const emailTemplates = require('./emailTemplates');
+const notificationPreferences = require('./notificationPreferences');
+const { createTransport } = require('./emailTransports');
+
+/**
+ * Notification email delivery: renders the per-type template, honours the user's email
+ * preferences and unsubscribe links, skips addresses suppressed after bounces, and records
+ * every send in email_deliveries.
+ */
+class EmailService {
+  constructor() {
+    this.db = admin.firestore();
+    this.settings = null;
+    this.transport = null;
+  }
+
+  /**
+   * Get email settings from the environment configuration
+   */
+  getSettings() {
+    if (!this.settings) {
+      this.settings = require('../config/environment').getNotificationConfig().email;
+    }
+    return this.settings;
+  }
+
+  /**
+   * Get the configured transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = createTransport(this.getSettings());
+    }
+    return this.transport;
+  }
+
+  /**
+   * Replace the transport (used by tests)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send the email for a notification
+   * @param {Object} notification - { id, userId, type, data }
+   * @returns {Object} { success, skipped, reason, messageId }
+   */
+  async sendNotificationEmail(notification) {
+    const { userId, type } = notification;
+
+    try {
+      const settings = this.getSettings();
+      if (!settings.enabled) {
+        return { success: false, skipped: true, reason: 'Email delivery disabled' };
+      }
+
+      if (!emailTemplates.has(type)) {
+        return { success: false, skipped: true, reason: `No email template for ${type}` };
+      }
+
+      const email = await this.getEmailAddress(userId);
+      if (!email) {
+        return { success: false, skipped: true, reason: 'User has no email address' };
+      }
+
+      const preferences = await notificationPreferences.get(userId);
+      if (!notificationPreferences.allows(preferences, 'email', type)) {
+        return { success: false, skipped: true, reason: 'User unsubscribed from these emails' };
+      }
+
+      if (await this.isSuppressed(email)) {
+        return { success: false, skipped: true, reason: 'Address suppressed after bounces' };
+      }
+
+      const links = this.getLinks(userId, type);
+      const rendered = emailTemplates.render(type, notification.data || {}, links);
+
+      const result = await this.getTransport().send({
+        from: settings.from,
+        replyTo: settings.replyTo,
+        to: email,
+        ...rendered,
+        headers: {
+          'List-Unsubscribe': `<${links.unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+      });
+
+      await this.db.collection(COLLECTIONS.EMAIL_DELIVERIES).add({
+        notificationId: notification.id || null,
+        userId,
+        type,
+        email,
+        messageId: result.messageId,
+        transport: result.transport,
+        status: 'sent',
+        sentAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      logger.info(`Notification email sent: ${type}`, { userId, transport: result.transport });
+
+      return { success: true, skipped: false, messageId: result.messageId };
+    } catch (error) {
+      logger.error(`Failed to send ${type} email:`, error);
+      return { success: false, skipped: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Address of a user, falling back to the admin profile for admins without a user profile
+   */
+  async getEmailAddress(userId) {
+    const userDoc = await this.db.collection(COLLECTIONS.USERS).doc(userId).get();
+    if (userDoc.exists && userDoc.data().email) {
+      return userDoc.data().email;
+    }
+
+    const adminDoc = await this.db.collection('admin_users').doc(userId).get();
+    return adminDoc.exists ? adminDoc.data().email || null : null;
+  }
+
+  /**
+   * Links placed in every email
+   */
+  getLinks(userId, type) {
+    const settings = this.getSettings();
+    const baseUrl = settings.unsubscribeUrl ||
+      `https://us-central1-${process.env.GCLOUD_PROJECT}.cloudfunctions.net/emailUnsubscribe`;
+
+    return {
+      appUrl: settings.appUrl,
+      unsubscribeUrl: `${baseUrl}?token=${this.createUnsubscribeToken(userId, type)}`,
+      unsubscribeAllUrl: `${baseUrl}?token=${this.createUnsubscribeToken(userId, 'all')}`
+    };
+  }
+
+  /**
+   * Signed unsubscribe token for a user and scope ("all" or a notification type).
+   * Tokens do not expire: old emails must keep working.
+   */
+  createUnsubscribeToken(userId, scope) {
+    const subject = Buffer.from(userId).toString('base64url');
+    return `${subject}.${scope}.${this.signUnsubscribe(userId, scope)}`;
+  }
+
+  /**
+   * Check an unsubscribe token
+   * @returns {Object|null} { userId, scope }
+   */
+  verifyUnsubscribeToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    const [subject, scope, signature] = parts;
+    if (scope !== 'all' && !emailTemplates.has(scope)) {
+      return null;
+    }
+
+    const userId = Buffer.from(subject, 'base64url').toString();
+    const expected = Buffer.from(this.signUnsubscribe(userId, scope));
+    const provided = Buffer.from(signature);
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return null;
+    }
+
+    return { userId, scope };
+  }
+
+  /**
+   * HMAC for unsubscribe tokens
+   */
+  signUnsubscribe(userId, scope) {
+    const secret = this.getSettings().unsubscribeSecret;
+    if (!secret) {
+      throw new Error('Unsubscribe secret not configured');
+    }
+
+    return crypto.createHmac('sha256', secret).update(`${userId}:${scope}`).digest('base64url');
+  }
+
+  /**
+   * Apply an unsubscribe link to the user's notification preferences
+   * @returns {Object|null} { userId, scope } or null for an invalid token
+   */
+  async unsubscribe(token) {
+    try {
+      const verified = this.verifyUnsubscribeToken(token);
+      if (!verified) {
+        return null;
+      }
+
+      const updates = verified.scope === 'all'
+        ? { delivery: { email: false } }
+        : { emailOptOut: { [verified.scope]: true } };
+
+      await this.db.collection(COLLECTIONS.NOTIFICATION_PREFERENCES).doc(verified.userId).set({
+        ...updates,
+        userId: verified.userId,
+        emailUnsubscribedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      logger.info(`User unsubscribed from ${verified.scope} emails`, { userId: verified.userId });
+
+      return verified;
+    } catch (error) {
+      logger.error('Failed to process unsubscribe:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Suppression document for an address
+   */
+  getSuppressionRef(email) {
+    const id = crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+    return this.db.collection(COLLECTIONS.EMAIL_SUPPRESSIONS).doc(id);
+  }
+
+  /**
+   * Whether an address is suppressed after bounces or complaints
+   */
+  async isSuppressed(email) {
+    const suppressionDoc = await this.getSuppressionRef(email).get();
+    return suppressionDoc.exists && suppressionDoc.data().suppressed === true;
+  }
+
+  /**
+   * Check a SendGrid signed event webhook request: an ECDSA (P-256, SHA-256) signature over
+   * the timestamp header followed by the raw body, made with SendGrid's key pair.
+   */
+  verifyEventWebhook(rawBody, signature, timestamp) {
+    const publicKey = this.getSettings().webhookPublicKey;
+    if (!publicKey || !signature || !timestamp) {
+      return false;
+    }
+
+    try {
+      return crypto.createVerify('sha256')
+        .update(timestamp)
+        .update(rawBody)
+        .verify({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' }, signature, 'base64');
+    } catch (error) {
+      logger.warn('Email event webhook signature could not be checked', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Normalize a provider bounce webhook body into bounce events.
+   * Accepts SendGrid event arrays and a generic { email, bounceType, reason, messageId } shape.
+   */
+  parseBounceEvents(body) {
+    const events = Array.isArray(body) ? body : (body?.events || [body]);
+
+    return events.map(event => {
+      if (!event || !event.email) {
+        return null;
+      }
+
+      let type = event.bounceType || null;
+      if (!type) {
+        switch (event.event) {
+          case 'bounce':
+            type = event.type === 'blocked' ? 'soft' : 'hard';
+            break;
+          case 'dropped':
+            type = 'hard';
+            break;
+          case 'deferred':
+            type = 'soft';
+            break;
+          case 'spamreport':
+            type = 'complaint';
+            break;
+          default:
+            return null;
+        }
+      }
+
+      return {
+        email: event.email,
+        type,
+        reason: event.reason || event.response || null,
+        messageId: event.messageId || null
+      };
+    }).filter(event => event && ['hard', 'soft', 'complaint'].includes(event.type));
+  }
+
+  /**
+   * Record a bounce. Hard bounces and complaints suppress the address at once,
+   * soft bounces after softBounceLimit in a row.
+   * @param {Object} bounce - { email, type: 'hard'|'soft'|'complaint', reason, messageId }
+   * @returns {Object} { suppressed, softBounces }
+   */
+  async handleBounce(bounce) {
+    try {
+      const suppressionRef = this.getSuppressionRef(bounce.email);
+      const softBounceLimit = this.getSettings().softBounceLimit;
+
+      const result = await this.db.runTransaction(async (transaction) => {
+        const suppressionDoc = await transaction.get(suppressionRef);
+        const existing = suppressionDoc.exists ? suppressionDoc.data() : {};
+
+        const softBounces = (existing.softBounces || 0) + (bounce.type === 'soft' ? 1 : 0);
+        const suppressed = existing.suppressed === true ||
+          bounce.type !== 'soft' ||
+          softBounces >= softBounceLimit;
+
+        transaction.set(suppressionRef, {
+          email: String(bounce.email).trim().toLowerCase(),
+          suppressed,
+          softBounces,
+          lastBounceType: bounce.type,
+          lastReason: bounce.reason || null,
+          lastBounceAt: admin.firestore.FieldValue.serverTimestamp(),
+          ...(suppressed && !existing.suppressed
+            ? { suppressedAt: admin.firestore.FieldValue.serverTimestamp() }
+            : {})
+        }, { merge: true });
+
+        return { suppressed, softBounces };
+      });
+
+      if (bounce.messageId) {
+        const deliveries = await this.db.collection(COLLECTIONS.EMAIL_DELIVERIES)
+          .where('messageId', '==', bounce.messageId)
+          .limit(1)
+          .get();
+
+        if (!deliveries.empty) {
+          await deliveries.docs[0].ref.update({
+            status: bounce.type === 'complaint' ? 'complained' : 'bounced',
+            bounceType: bounce.type,
+            bounceReason: bounce.reason || null,
+            bouncedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        }
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to record email bounce:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,230 @@
+/**
+ * Email templates per notification type. {{name}} placeholders are filled from the
+ * notification data; values are HTML-escaped in the HTML part. Push notifications reuse
+ * the subject and text.
+ */
+const TEMPLATES = {
+  lottery_entry: {
+    subject: 'Your {{lotteryName}} entry is confirmed',
+    text: 'Your entry for {{lotteryName}} has been confirmed. Good luck!',
+    html: '<p>Your entry for <strong>{{lotteryName}}</strong> has been confirmed.</p><p>Good luck!</p>'
+  },
+  lottery_win: {
+    subject: 'Congratulations! You won {{prizeAmount}} π',
+    text: 'You won {{prizeAmount}} π in the {{lotteryName}} (position {{position}}). ' +
+      'Your prize will be transferred to your Pi wallet.',
+    html: '<h2>Congratulations!</h2>' +
+      '<p>You won <strong>{{prizeAmount}} π</strong> in the {{lotteryName}} (position {{position}}).</p>' +
+      '<p>Your prize will be transferred to your Pi wallet.</p>'
+  },
+  lottery_draw: {
+    subject: 'The {{lotteryName}} drawing is complete',
+    text: 'The {{lotteryName}} drawing is complete. Check your results in the app.',
+    html: '<p>The <strong>{{lotteryName}}</strong> drawing is complete.</p><p>Check your results in the app.</p>'
+  },
+  lottery_cancelled: {
+    subject: 'The {{lotteryName}} was cancelled',
+    text: 'The {{lotteryName}} was cancelled: {{reason}}. Paid entries are refunded to your Pi wallet.',
+    html: '<p>The <strong>{{lotteryName}}</strong> was cancelled: {{reason}}.</p>' +
+      '<p>Paid entries are refunded to your Pi wallet.</p>'
+  },
+  payment_success: {
+    subject: 'Payment of {{amount}} π received',
+    text: 'Your payment of {{amount}} π was successful.',
+    html: '<p>Your payment of <strong>{{amount}} π</strong> was successful.</p>'
+  },
+  payment_failed: {
+    subject: 'Your payment of {{amount}} π failed',
+    text: 'Your payment of {{amount}} π could not be completed: {{reason}}. Please try again.',
+    html: '<p>Your payment of <strong>{{amount}} π</strong> could not be completed: {{reason}}.</p>' +
+      '<p>Please try again.</p>'
+  },
+  prize_transferred: {
+    subject: 'Your prize of {{amount}} π has been sent',
+    text: 'Your prize of {{amount}} π has been transferred to your wallet. Transaction: {{transactionId}}',
+    html: '<p>Your prize of <strong>{{amount}} π</strong> has been transferred to your wallet.</p>' +
+      '<p>Transaction: <code>{{transactionId}}</code></p>'
+  },
+  refund_issued: {
+    subject: 'Refund of {{amount}} π sent',
+    text: 'We refunded {{amount}} π for your {{lotteryName}} entry to your wallet. Transaction: {{transactionId}}',
+    html: '<p>We refunded <strong>{{amount}} π</strong> for your {{lotteryName}} entry to your wallet.</p>' +
+      '<p>Transaction: <code>{{transactionId}}</code></p>'
+  },
+  system_maintenance: {
+    subject: 'Scheduled maintenance',
+    text: 'System maintenance is scheduled. {{message}}',
+    html: '<p>System maintenance is scheduled.</p><p>{{message}}</p>'
+  },
+  ad_reward: {
+    subject: 'Ad reward earned',
+    text: 'You earned {{amount}} π for watching an advertisement!',
+    html: '<p>You earned <strong>{{amount}} π</strong> for watching an advertisement!</p>'
+  },
+  tier_upgraded: {
+    subject: 'You reached the {{tier}} tier',
+    text: 'You reached the {{tier}} ad reward tier. Your ad rewards are now multiplied by {{multiplier}}.',
+    html: '<p>You reached the <strong>{{tier}}</strong> ad reward tier.</p>' +
+      '<p>Your ad rewards are now multiplied by {{multiplier}}.</p>'
+  },
+  report_ready: {
+    subject: 'Your {{reportName}} is ready',
+    text: 'Your {{reportName}} for {{period}} is ready ({{format}}). Download it before {{expiresAt}}: {{url}}',
+    html: '<p>Your <strong>{{reportName}}</strong> for {{period}} is ready ({{format}}).</p>' +
+      '<p><a href="{{url}}">Download the report</a> before {{expiresAt}}. ' +
+      'Older copies are listed in the admin panel.</p>'
+  },
+  review_assigned: {
+    subject: 'Review case assigned to you',
+    text: 'A {{caseType}} review case ({{caseId}}) was assigned to you. Open the review queue in the admin panel.',
+    html: '<p>A {{caseType}} review case (<strong>{{caseId}}</strong>) was assigned to you.</p>' +
+      '<p>Open the review queue in the admin panel.</p>'
+  },
+  review_overdue: {
+    subject: 'Review case overdue',
+    text: 'The {{caseType}} review case {{caseId}} assigned to you is past its SLA.',
+    html: '<p>The {{caseType}} review case <strong>{{caseId}}</strong> assigned to you is past its SLA.</p>'
+  }
+};
+
+/**
+ * Placeholder values used when the notification data leaves them out
+ */
+const DEFAULTS = {
+  lotteryName: 'lottery',
+  prizeAmount: 0,
+  amount: 0,
+  position: 1,
+  reason: 'unknown error',
+  transactionId: 'pending',
+  tier: 'next',
+  multiplier: 1,
+  message: 'Please check back later.',
+  reportName: 'report',
+  period: 'the last period',
+  format: 'CSV',
+  caseType: 'review'
+};
+
+class EmailTemplates {
+  constructor() {
+    this.templates = TEMPLATES;
+  }
+
+  /**
+   * Whether a notification type has an email template
+   */
+  has(type) {
+    return Object.prototype.hasOwnProperty.call(this.templates, type);
+  }
+
+  /**
+   * Render a notification email
+   * @param {string} type - Notification type
+   * @param {Object} data - Notification data
+   * @param {Object} links - { appUrl, unsubscribeUrl, unsubscribeAllUrl }
+   * @returns {Object} { subject, text, html }
+   */
+  render(type, data = {}, links = {}) {
+    const template = this.templates[type];
+    if (!template) {
+      throw new Error(`No email template for notification type: ${type}`);
+    }
+
+    const values = { ...DEFAULTS, ...data };
+    const body = this.fill(template.html, values, true);
+
+    return {
+      subject: this.fill(template.subject, values, false),
+      text: [
+        this.fill(template.text, values, false),
+        '',
+        `Open Pi Lottery: ${links.appUrl}`,
+        '',
+        `Stop these emails: ${links.unsubscribeUrl}`,
+        `Unsubscribe from all emails: ${links.unsubscribeAllUrl}`
+      ].join('\n'),
+      html: this.layout(body, links)
+    };
+  }
+
+  /**
+   * Plain title and message for a notification type, without links (push notifications)
+   * @returns {Object} { title, body }
+   */
+  renderPlain(type, data = {}) {
+    const template = this.templates[type];
+    if (!template) {
+      throw new Error(`No email template for notification type: ${type}`);
+    }
+
+    const values = { ...DEFAULTS, ...data };
+    return {
+      title: this.fill(template.subject, values, false),
+      body: this.fill(template.text, values, false)
+    };
+  }
+
+  /**
+   * Replace {{name}} placeholders
+   */
+  fill(content, values, escape) {
+    return content.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+      const value = values[key] === undefined || values[key] === null ? '' : String(values[key]);
+      return escape ? this.escapeHtml(value) : value;
+    });
+  }
+
+  /**
+   * Shared HTML frame with the unsubscribe footer
+   */
+  layout(body, links) {
+    return [
+      '<!DOCTYPE html>',
+      '<html><body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 560px; margin: 0 auto;">',
+      '<h1 style="color: #7c3aed; font-size: 20px;">Pi Lottery</h1>',
+      body,
+      `<p><a href="${this.escapeHtml(links.appUrl)}">Open Pi Lottery</a></p>`,
+      '<hr style="border: none; border-top: 1px solid #e5e7eb;">',
+      '<p style="font-size: 12px; color: #6b7280;">',
+      `<a href="${this.escapeHtml(links.unsubscribeUrl)}">Stop emails like this</a> · `,
+      `<a href="${this.escapeHtml(links.unsubscribeAllUrl)}">Unsubscribe from all emails</a>`,
+      '</p>',
+      '</body></html>'
+    ].join('\n');
+  }
+
+  /**
+   * Confirmation page for an unsubscribe link. Opening the link only shows this form;
+   * submitting it posts the token back to the same URL.
+   */
+  renderUnsubscribePage(token, scope) {
+    const what = scope === 'all' ? 'all emails' : 'emails like this one';
+
+    return [
+      '<!DOCTYPE html>',
+      '<html><body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 560px; margin: 0 auto;">',
+      '<h1 style="color: #7c3aed; font-size: 20px;">Pi Lottery</h1>',
+      `<p>Stop receiving ${what} from Pi Lottery?</p>`,
+      '<form method="POST">',
+      `<input type="hidden" name="token" value="${this.escapeHtml(token)}">`,
+      '<button type="submit">Unsubscribe</button>',
+      '</form>',
+      '</body></html>'
+    ].join('\n');
+  }
+
+  /**
+   * Escape text for HTML
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = new EmailTemplates();
@@ -0,0 +1,199 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Email transports. Each one takes a rendered message
+ * { from, replyTo, to, subject, text, html, headers } and resolves to { messageId, transport }.
+ */
+
+/**
+ * SMTP delivery through nodemailer
+ */
+class SmtpTransport {
+  constructor(settings) {
+    this.name = 'smtp';
+    this.settings = settings;
+    this.transporter = null;
+  }
+
+  /**
+   * Create the nodemailer transporter on first use
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      if (!this.settings.host) {
+        throw new Error('SMTP host not configured');
+      }
+
+      const nodemailer = require('nodemailer');
+      this.transporter = nodemailer.createTransport({
+        host: this.settings.host,
+        port: this.settings.port,
+        secure: this.settings.secure,
+        auth: this.settings.user ? { user: this.settings.user, pass: this.settings.pass } : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Send a message
+   */
+  async send(message) {
+    const info = await this.getTransporter().sendMail(message);
+    return { messageId: info.messageId, transport: this.name };
+  }
+}
+
+/**
+ * Delivery through a provider HTTP API (SendGrid v3 mail/send format)
+ */
+class ApiTransport {
+  constructor(settings) {
+    this.name = 'api';
+    this.settings = settings;
+  }
+
+  /**
+   * Send a message
+   */
+  async send(message) {
+    if (!this.settings.key) {
+      throw new Error('Email API key not configured');
+    }
+
+    // Our own id goes in a custom arg so bounce events can be matched back to the delivery
+    const messageId = `<${crypto.randomUUID()}@pilottery.app>`;
+
+    await axios.post(this.settings.url, {
+      personalizations: [{ to: [{ email: message.to }] }],
+      from: this.parseAddress(message.from),
+      reply_to: message.replyTo ? this.parseAddress(message.replyTo) : undefined,
+      subject: message.subject,
+      content: [
+        { type: 'text/plain', value: message.text },
+        { type: 'text/html', value: message.html }
+      ],
+      headers: message.headers,
+      custom_args: { messageId }
+    }, {
+      headers: { Authorization: `Bearer ${this.settings.key}` },
+      timeout: 10000
+    });
+
+    return { messageId, transport: this.name };
+  }
+
+  /**
+   * Split "Name <address>" into { name, email }
+   */
+  parseAddress(address) {
+    const match = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(address);
+    return match ? { name: match[1] || undefined, email: match[2] } : { email: address };
+  }
+}
+
+/**
+ * Keeps sent messages in memory (tests and the emulator)
+ */
+class MemoryTransport {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  /**
+   * Send a message
+   */
+  async send(message) {
+    const messageId = `<${crypto.randomUUID()}@memory>`;
+    this.sent.push({ ...message, messageId });
+    return { messageId, transport: this.name };
+  }
+
+  /**
+   * Forget sent messages
+   */
+  clear() {
+    this.sent = [];
+  }
+}
+
+/**
+ * Writes each message to a .eml file for inspection
+ */
+class FileTransport {
+  constructor(directory) {
+    this.name = 'file';
+    this.directory = directory;
+  }
+
+  /**
+   * Send a message
+   */
+  async send(message) {
+    const id = crypto.randomUUID();
+    const messageId = `<${id}@file>`;
+    const boundary = `----=_${id}`;
+
+    const headers = {
+      'Message-ID': messageId,
+      'From': message.from,
+      'To': message.to,
+      'Reply-To': message.replyTo,
+      'Subject': message.subject,
+      'Date': new Date().toUTCString(),
+      'MIME-Version': '1.0',
+      ...(message.headers || {}),
+      'Content-Type': `multipart/alternative; boundary="${boundary}"`
+    };
+
+    const content = [
+      ...Object.entries(headers).filter(([, value]) => value).map(([key, value]) => `${key}: ${value}`),
+      '',
+      `--${boundary}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text,
+      `--${boundary}`,
+      'Content-Type: text/html; charset=utf-8',
+      '',
+      message.html,
+      `--${boundary}--`,
+      ''
+    ].join('\r\n');
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(path.join(this.directory, `${Date.now()}_${id}.eml`), content);
+
+    return { messageId, transport: this.name };
+  }
+}
+
+/**
+ * Create the transport named in the email settings
+ */
+function createTransport(settings) {
+  switch (settings.transport) {
+    case 'smtp':
+      return new SmtpTransport(settings.smtp);
+    case 'api':
+      return new ApiTransport(settings.api);
+    case 'file':
+      return new FileTransport(settings.fileDirectory);
+    case 'memory':
+      return new MemoryTransport();
+    default:
+      throw new Error(`Unknown email transport: ${settings.transport}`);
+  }
+}
+
+module.exports = {
+  SmtpTransport,
+  ApiTransport,
+  MemoryTransport,
+  FileTransport,
+  createTransport
+};
@@ -0,0 +1,175 @@
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const { COLLECTIONS } = require('../utils/constants');
+const { eventBus, EVENTS } = require('../events/eventBus');
+const notificationDispatcher = require('./notificationDispatcher');
+
+/**
+ * Turns lottery, payment and advertising events into user notifications.
+ * Every notification is keyed by the event's subject (winner, payment, refund...), so an event
+ * published twice, for example by a retried payout, still notifies the user once.
+ */
+class LifecycleNotifications {
+  constructor() {
+    this.db = admin.firestore();
+    this.batchSize = 50;
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Subscribe to the event bus. Safe to call more than once.
+   */
+  register(bus = eventBus) {
+    if (this.unsubscribers.length > 0) {
+      return;
+    }
+
+    const handlers = {
+      [EVENTS.WINNER_SELECTED]: this.onWinnerSelected,
+      [EVENTS.LOTTERY_DRAWN]: this.onLotteryDrawn,
+      [EVENTS.LOTTERY_CANCELLED]: this.onLotteryCancelled,
+      [EVENTS.PAYMENT_COMPLETED]: this.onPaymentCompleted,
+      [EVENTS.REFUND_ISSUED]: this.onRefundIssued,
+      [EVENTS.PRIZE_PAID]: this.onPrizePaid,
+      [EVENTS.TIER_UPGRADED]: this.onTierUpgraded
+    };
+
+    Object.entries(handlers).forEach(([type, handler]) => {
+      this.unsubscribers.push(bus.subscribe(type, handler.bind(this), `notifications:${type}`));
+    });
+  }
+
+  /**
+   * Remove the subscriptions (used by tests)
+   */
+  unregister() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+
+  /**
+   * Tell a winner right away; they are usually not in the app when the draw runs
+   */
+  async onWinnerSelected({ payload }) {
+    await notificationDispatcher.enqueue(payload.userId, 'lottery_win', {
+      lotteryInstanceId: payload.lotteryInstanceId,
+      lotteryName: payload.lotteryName,
+      prizeAmount: payload.prizeAmount,
+      position: payload.position
+    }, { key: payload.winnerId, priority: 'high' });
+  }
+
+  /**
+   * Tell the other participants that results are out (winners get lottery_win instead)
+   */
+  async onLotteryDrawn({ payload }) {
+    const winnerIds = new Set((payload.winners || []).map(winner => winner.userId));
+    const participantIds = await this.getParticipantIds(payload.lotteryInstanceId);
+
+    const recipients = participantIds.filter(userId => !winnerIds.has(userId));
+    await this.enqueueForUsers(recipients, 'lottery_draw', {
+      lotteryInstanceId: payload.lotteryInstanceId,
+      lotteryName: payload.lotteryName
+    }, payload.lotteryInstanceId);
+
+    logger.info(`Queued draw notifications for ${recipients.length} participants`, {
+      lotteryInstanceId: payload.lotteryInstanceId
+    });
+  }
+
+  /**
+   * Tell every participant that the lottery will not be drawn
+   */
+  async onLotteryCancelled({ payload }) {
+    const participantIds = await this.getParticipantIds(payload.lotteryInstanceId);
+
+    await this.enqueueForUsers(participantIds, 'lottery_cancelled', {
+      lotteryInstanceId: payload.lotteryInstanceId,
+      lotteryName: payload.lotteryName,
+      reason: payload.reason
+    }, payload.lotteryInstanceId);
+  }
+
+  /**
+   * Confirm a completed entry payment
+   */
+  async onPaymentCompleted({ payload }) {
+    await notificationDispatcher.enqueue(payload.userId, 'payment_success', {
+      paymentId: payload.paymentId,
+      amount: payload.amount,
+      lotteryTypeId: payload.lotteryTypeId
+    }, { key: payload.paymentId });
+  }
+
+  /**
+   * Tell the user a refund reached their wallet
+   */
+  async onRefundIssued({ payload }) {
+    await notificationDispatcher.enqueue(payload.userId, 'refund_issued', {
+      refundId: payload.refundId,
+      lotteryInstanceId: payload.lotteryInstanceId,
+      lotteryName: await this.getLotteryName(payload.lotteryTypeId),
+      amount: payload.amount,
+      transactionId: payload.txid
+    }, { key: payload.refundId, priority: 'high' });
+  }
+
+  /**
+   * Tell a winner their prize was transferred
+   */
+  async onPrizePaid({ payload }) {
+    await notificationDispatcher.enqueue(payload.userId, 'prize_transferred', {
+      winnerId: payload.winnerId,
+      amount: payload.amount,
+      transactionId: payload.txid
+    }, { key: payload.winnerId, priority: 'high' });
+  }
+
+  /**
+   * Congratulate a user on reaching a new ad reward tier
+   */
+  async onTierUpgraded({ payload }) {
+    await notificationDispatcher.enqueue(payload.userId, 'tier_upgraded', {
+      tier: payload.tier,
+      previousTier: payload.previousTier,
+      multiplier: payload.multiplier
+    }, { key: `${payload.userId}_${payload.tier}`, priority: 'low' });
+  }
+
+  /**
+   * Queue the same notification for many users, one key per user
+   */
+  async enqueueForUsers(userIds, type, data, key) {
+    for (let i = 0; i < userIds.length; i += this.batchSize) {
+      const batch = userIds.slice(i, i + this.batchSize);
+      await Promise.all(batch.map(userId => notificationDispatcher.enqueue(userId, type, data, {
+        key: `${key}_${userId}`
+      })));
+    }
+  }
+
+  /**
+   * Distinct users with an entry in a lottery instance
+   */
+  async getParticipantIds(lotteryInstanceId) {
+    const snapshot = await this.db.collection(COLLECTIONS.USER_ENTRIES)
+      .where('lotteryInstanceId', '==', lotteryInstanceId)
+      .get();
+
+    return [...new Set(snapshot.docs.map(doc => doc.data().userId))];
+  }
+
+  /**
+   * Display name of a lottery type
+   */
+  async getLotteryName(lotteryTypeId) {
+    if (!lotteryTypeId) {
+      return null;
+    }
+
+    const typeDoc = await this.db.collection(COLLECTIONS.LOTTERY_TYPES).doc(lotteryTypeId).get();
+    return typeDoc.exists ? typeDoc.data().name : lotteryTypeId;
+  }
+}
+
+module.exports = new LifecycleNotifications();
@@ -0,0 +1,391 @@
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const { COLLECTIONS } = require('../utils/constants');
+const emailTemplates = require('./emailTemplates');
+const emailService = require('./emailService');
+const pushService = require('./pushService');
+const notificationPreferences = require('./notificationPreferences');
+
+/**
+ * Delivers notification documents on each channel (in-app, email, push).
+ *
+ * A notification is picked up when it is created and by the scheduled sweep once its
+ * nextAttemptAt (scheduledFor, a retry time, or the end of the user's quiet hours) has passed.
+ * Results are kept per channel, so a retry only repeats the channels that failed.
+ *
+ * Status: pending -> processing -> delivered | retrying | failed | skipped | expired
+ */
+class NotificationDispatcher {
+  constructor() {
+    this.db = admin.firestore();
+    this.maxRetries = 3;
+    this.retryDelay = 60 * 1000; // multiplied by the attempt number; the sweep runs every minute
+    this.batchSize = 50;
+    this.processingTimeout = 10 * 60 * 1000; // reclaim notifications stuck in processing
+    this.channels = ['inApp', 'email', 'push'];
+  }
+
+  /**
+   * Create a notification for delivery. The onCreate trigger picks it up.
+   * @param {Object} options - { key, priority, scheduledFor, expiresAt }; a key makes the call
+   *   idempotent (the same key never creates a second notification)
+   * @returns {string|null} Notification id, or null when one with the same key exists
+   */
+  async enqueue(userId, type, data = {}, options = {}) {
+    try {
+      const text = emailTemplates.has(type)
+        ? emailTemplates.renderPlain(type, data)
+        : { title: 'Pi Lottery', body: data.message || 'You have a new notification.' };
+
+      const notificationsRef = this.db.collection(COLLECTIONS.NOTIFICATIONS);
+      const notificationRef = options.key ? notificationsRef.doc(`${type}_${options.key}`) : notificationsRef.doc();
+      const scheduledFor = options.scheduledFor ? new Date(options.scheduledFor) : null;
+
+      await notificationRef.create({
+        userId,
+        type,
+        title: text.title,
+        message: text.body,
+        data,
+        priority: options.priority || 'normal',
+        status: 'pending',
+        read: false,
+        delivered: false,
+        attempts: 0,
+        scheduledFor,
+        nextAttemptAt: scheduledFor || new Date(),
+        expiresAt: options.expiresAt || null,
+        source: 'backend',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return notificationRef.id;
+    } catch (error) {
+      // ALREADY_EXISTS: this key was enqueued before
+      if (error.code === 6) {
+        return null;
+      }
+      logger.error(`Failed to enqueue ${type} notification:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Prepare a newly created notification and deliver it if it is due
+   */
+  async handleCreated(notificationId, notification) {
+    try {
+      if (notification.status && notification.status !== 'pending') {
+        return null;
+      }
+
+      const scheduledFor = this.toDate(notification.scheduledFor);
+
+      if (!notification.nextAttemptAt) {
+        await this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(notificationId).update({
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: scheduledFor || new Date()
+        });
+      }
+
+      if (scheduledFor && scheduledFor > new Date()) {
+        return { notificationId, status: 'scheduled' };
+      }
+
+      return await this.dispatch(notificationId);
+    } catch (error) {
+      logger.error(`Failed to handle new notification ${notificationId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Deliver notifications that are due. Run on a schedule.
+   * @returns {Object} { processed, delivered, retrying, failed, deferred }
+   */
+  async processDueNotifications() {
+    const now = new Date();
+    const results = { processed: 0, delivered: 0, retrying: 0, failed: 0, deferred: 0, skipped: 0, expired: 0 };
+
+    try {
+      const [dueSnapshot, stuckSnapshot] = await Promise.all([
+        this.db.collection(COLLECTIONS.NOTIFICATIONS)
+          .where('status', 'in', ['pending', 'retrying'])
+          .where('nextAttemptAt', '<=', now)
+          .limit(this.batchSize)
+          .get(),
+        this.db.collection(COLLECTIONS.NOTIFICATIONS)
+          .where('status', '==', 'processing')
+          .where('processingAt', '<', new Date(now.getTime() - this.processingTimeout))
+          .limit(this.batchSize)
+          .get()
+      ]);
+
+      const ids = [...dueSnapshot.docs, ...stuckSnapshot.docs].map(doc => doc.id);
+
+      for (const notificationId of ids) {
+        const result = await this.dispatch(notificationId, { reclaim: true });
+        if (!result) {
+          continue;
+        }
+
+        results.processed++;
+        if (results[result.status] !== undefined) {
+          results[result.status]++;
+        }
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('Failed to process due notifications:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Claim a notification and deliver it on the channels that have not succeeded yet
+   * @returns {Object|null} { notificationId, status, deliveryResults } or null if not claimable
+   */
+  async dispatch(notificationId, options = {}) {
+    const notificationRef = this.db.collection(COLLECTIONS.NOTIFICATIONS).doc(notificationId);
+    const notification = await this.claim(notificationRef, options.reclaim);
+
+    if (!notification) {
+      return null;
+    }
+
+    try {
+      const expiresAt = this.toDate(notification.expiresAt);
+      if (expiresAt && expiresAt <= new Date()) {
+        return await this.finish(notificationRef, notification, 'expired', notification.deliveryResults || {});
+      }
+
+      const preferences = await notificationPreferences.get(notification.userId);
+
+      if (preferences.types?.[notification.type] === false) {
+        return await this.finish(notificationRef, notification, 'skipped', notification.deliveryResults || {});
+      }
+
+      const quietUntil = this.getQuietHoursEnd(preferences, new Date());
+      if (quietUntil && notification.priority !== 'high') {
+        await notificationRef.update({
+          status: 'pending',
+          attempts: admin.firestore.FieldValue.increment(-1),
+          nextAttemptAt: quietUntil,
+          deferredForQuietHours: true,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { notificationId, status: 'deferred', nextAttemptAt: quietUntil };
+      }
+
+      const deliveryResults = { ...(notification.deliveryResults || {}) };
+
+      for (const channel of this.channels) {
+        const previous = deliveryResults[channel];
+        if (previous && previous.status !== 'failed') {
+          continue;
+        }
+
+        const result = await this.deliver(channel, notification);
+        deliveryResults[channel] = {
+          status: result.success ? 'sent' : (result.skipped ? 'skipped' : 'failed'),
+          reason: result.reason || null,
+          attempts: (previous?.attempts || 0) + 1,
+          at: new Date()
+        };
+      }
+
+      const results = Object.values(deliveryResults);
+      const anyFailed = results.some(result => result.status === 'failed');
+      const anySent = results.some(result => result.status === 'sent');
+
+      if (anyFailed && notification.attempts < this.maxRetries) {
+        return await this.finish(notificationRef, notification, 'retrying', deliveryResults);
+      }
+
+      return await this.finish(notificationRef, notification, anySent ? 'delivered' : 'failed', deliveryResults);
+    } catch (error) {
+      logger.error(`Failed to dispatch notification ${notificationId}:`, error);
+      const status = notification.attempts < this.maxRetries ? 'retrying' : 'failed';
+      return await this.finish(notificationRef, notification, status, notification.deliveryResults || {}, error);
+    }
+  }
+
+  /**
+   * Move a due notification to processing and count the attempt
+   */
+  async claim(notificationRef, reclaim = false) {
+    return await this.db.runTransaction(async (transaction) => {
+      const notificationDoc = await transaction.get(notificationRef);
+      if (!notificationDoc.exists) {
+        return null;
+      }
+
+      const notification = notificationDoc.data();
+      const now = Date.now();
+      const nextAttemptAt = this.toDate(notification.nextAttemptAt);
+      const processingAt = this.toDate(notification.processingAt);
+
+      const due = ['pending', 'retrying'].includes(notification.status) &&
+        (!nextAttemptAt || nextAttemptAt.getTime() <= now);
+      const stuck = reclaim && notification.status === 'processing' &&
+        processingAt && now - processingAt.getTime() > this.processingTimeout;
+
+      if (!due && !stuck) {
+        return null;
+      }
+
+      const attempts = (notification.attempts || 0) + 1;
+      transaction.update(notificationRef, {
+        status: 'processing',
+        attempts,
+        processingAt: new Date(now)
+      });
+
+      return { id: notificationDoc.id, ...notification, attempts };
+    });
+  }
+
+  /**
+   * Deliver on one channel
+   * @returns {Object} { success, skipped, reason }
+   */
+  async deliver(channel, notification) {
+    try {
+      switch (channel) {
+        case 'inApp':
+          return await this.sendInApp(notification);
+        case 'email':
+          return await emailService.sendNotificationEmail(notification);
+        case 'push':
+          return await pushService.sendNotificationPush(notification);
+        default:
+          return { success: false, skipped: true, reason: `Unknown channel: ${channel}` };
+      }
+    } catch (error) {
+      logger.error(`Failed to deliver notification ${notification.id} by ${channel}:`, error);
+      return { success: false, skipped: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Store the in-app copy read by the notification bell. Always sent.
+   */
+  async sendInApp(notification) {
+    const text = emailTemplates.has(notification.type)
+      ? emailTemplates.renderPlain(notification.type, notification.data || {})
+      : { title: 'Pi Lottery', body: 'You have a new notification.' };
+
+    // Keyed by notification id so a retried attempt cannot create a second copy
+    await this.db.collection('in_app_notifications').doc(notification.id).set({
+      userId: notification.userId,
+      notificationId: notification.id,
+      type: notification.type,
+      title: notification.title || text.title,
+      message: notification.message || text.body,
+      data: notification.data || {},
+      priority: notification.priority || 'normal',
+      read: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Write the outcome of an attempt
+   */
+  async finish(notificationRef, notification, status, deliveryResults, error = null) {
+    const updates = {
+      status,
+      delivered: status === 'delivered',
+      deliveryResults,
+      processingAt: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (status === 'retrying') {
+      updates.nextAttemptAt = new Date(Date.now() + this.retryDelay * notification.attempts);
+    } else if (status === 'delivered') {
+      updates.deliveredAt = admin.firestore.FieldValue.serverTimestamp();
+    } else if (status === 'failed') {
+      updates.failedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+
+    if (error) {
+      updates.lastError = error.message;
+    }
+
+    await notificationRef.update(updates);
+
+    return { notificationId: notification.id, status, deliveryResults };
+  }
+
+  /**
+   * When the user's quiet hours end, or null if they are not in quiet hours now.
+   * Times are "HH:MM" in the user's timezone (UTC if none is stored).
+   */
+  getQuietHoursEnd(preferences, now) {
+    const quietHours = preferences.quietHours;
+    if (!quietHours || !quietHours.enabled) {
+      return null;
+    }
+
+    const currentTime = this.getLocalTime(now, quietHours.timezone || preferences.timezone || 'UTC');
+    if (!this.isInQuietHours(currentTime, quietHours)) {
+      return null;
+    }
+
+    const toMinutes = (time) => {
+      const [hours, minutes] = time.split(':').map(Number);
+      return hours * 60 + minutes;
+    };
+
+    // Deliver the minute after quiet hours end
+    const minutesLeft = (toMinutes(quietHours.end) - toMinutes(currentTime) + 1 + 24 * 60) % (24 * 60);
+    return new Date(now.getTime() + minutesLeft * 60 * 1000);
+  }
+
+  /**
+   * Whether "HH:MM" falls inside quiet hours (handles overnight ranges such as 22:00 to 08:00)
+   */
+  isInQuietHours(currentTime, quietHours) {
+    const start = quietHours.start;
+    const end = quietHours.end;
+
+    if (start > end) {
+      return currentTime >= start || currentTime <= end;
+    }
+
+    return currentTime >= start && currentTime <= end;
+  }
+
+  /**
+   * "HH:MM" in a timezone
+   */
+  getLocalTime(date, timeZone) {
+    try {
+      return new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).format(date);
+    } catch (error) {
+      return date.toISOString().substring(11, 16);
+    }
+  }
+
+  /**
+   * Firestore Timestamp, Date or string to Date
+   */
+  toDate(value) {
+    if (!value) {
+      return null;
+    }
+    return typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  }
+}
+
+module.exports = new NotificationDispatcher();
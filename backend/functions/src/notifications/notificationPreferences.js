@@ -0,0 +1,47 @@
+const admin = require('firebase-admin');
+const { COLLECTIONS } = require('../utils/constants');
+
+/**
+ * Per-user notification preferences (user_notification_preferences), shared by the delivery
+ * channels. The document is written by the frontend NotificationService and by unsubscribe links.
+ */
+class NotificationPreferences {
+  constructor() {
+    this.db = admin.firestore();
+  }
+
+  /**
+   * Get a user's preferences (defaults when none are stored)
+   */
+  async get(userId) {
+    const prefsDoc = await this.db.collection(COLLECTIONS.NOTIFICATION_PREFERENCES).doc(userId).get();
+
+    if (prefsDoc.exists) {
+      return prefsDoc.data();
+    }
+
+    return {
+      userId,
+      types: {},
+      delivery: { email: true, push: true, inApp: true },
+      emailOptOut: {}
+    };
+  }
+
+  /**
+   * Whether the preferences allow a notification type on a channel ("email", "push" or "inApp")
+   */
+  allows(preferences, channel, type) {
+    if (preferences.types?.[type] === false) {
+      return false;
+    }
+
+    if (preferences.delivery?.[channel] === false) {
+      return false;
+    }
+
+    return channel !== 'email' || preferences.emailOptOut?.[type] !== true;
+  }
+}
+
+module.exports = new NotificationPreferences();
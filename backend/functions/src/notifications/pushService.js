@@ -0,0 +1,230 @@
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { COLLECTIONS } = require('../utils/constants');
+const { ValidationError } = require('../middleware/errorHandler');
+const emailTemplates = require('./emailTemplates');
+const notificationPreferences = require('./notificationPreferences');
+
+/**
+ * Where a notification click takes the user (mirrors NotificationService.handleNotificationClick)
+ */
+const CLICK_URLS = {
+  lottery_win: '/lottery-results',
+  prize_transferred: '/profile',
+  payment_failed: '/payments',
+  refund_issued: '/payments',
+  report_ready: '/admin',
+  review_assigned: '/admin',
+  review_overdue: '/admin'
+};
+
+/**
+ * Types sent with high urgency (the "high" priority types in NotificationService)
+ */
+const HIGH_PRIORITY_TYPES = ['lottery_win', 'payment_failed', 'prize_transferred'];
+
+/**
+ * Web Push delivery signed with the platform's VAPID keys.
+ * Subscriptions are stored per browser/device (one document per push endpoint); the push
+ * service reports unsubscribed or expired endpoints with 404/410 and those are removed.
+ */
+class PushService {
+  constructor() {
+    this.db = admin.firestore();
+    this.settings = null;
+    this.webPush = null;
+  }
+
+  /**
+   * Get push settings from the environment configuration
+   */
+  getSettings() {
+    if (!this.settings) {
+      this.settings = require('../config/environment').getNotificationConfig().push;
+    }
+    return this.settings;
+  }
+
+  /**
+   * Get the web-push client with the VAPID details set
+   */
+  getWebPush() {
+    if (!this.webPush) {
+      const settings = this.getSettings();
+      if (!settings.vapidPublicKey || !settings.vapidPrivateKey) {
+        throw new Error('VAPID keys not configured');
+      }
+
+      const webPush = require('web-push');
+      webPush.setVapidDetails(settings.subject, settings.vapidPublicKey, settings.vapidPrivateKey);
+      this.webPush = webPush;
+    }
+    return this.webPush;
+  }
+
+  /**
+   * Replace the web-push client (used by tests)
+   */
+  setWebPush(webPush) {
+    this.webPush = webPush;
+  }
+
+  /**
+   * Public key the browser needs to subscribe
+   */
+  getPublicKey() {
+    return this.getSettings().vapidPublicKey || null;
+  }
+
+  /**
+   * Subscription document id for a push endpoint
+   */
+  getSubscriptionId(endpoint) {
+    return crypto.createHash('sha256').update(endpoint).digest('hex');
+  }
+
+  /**
+   * Store a browser push subscription for the user
+   * @param {Object} subscription - PushSubscription JSON: { endpoint, keys: { p256dh, auth } }
+   * @param {Object} device - { deviceId, userAgent }
+   */
+  async saveSubscription(userId, subscription, device = {}) {
+    try {
+      const { endpoint, keys } = subscription || {};
+
+      if (typeof endpoint !== 'string' || !endpoint.startsWith('https://')) {
+        throw new ValidationError('Push subscription endpoint must be an https URL');
+      }
+
+      if (!keys || typeof keys.p256dh !== 'string' || typeof keys.auth !== 'string') {
+        throw new ValidationError('Push subscription keys are missing');
+      }
+
+      const subscriptionId = this.getSubscriptionId(endpoint);
+
+      // A browser that was used by another account now belongs to this user
+      await this.db.collection(COLLECTIONS.PUSH_SUBSCRIPTIONS).doc(subscriptionId).set({
+        userId,
+        endpoint,
+        keys: { p256dh: keys.p256dh, auth: keys.auth },
+        deviceId: device.deviceId || null,
+        userAgent: device.userAgent || null,
+        failures: 0,
+        lastSeenAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }, { merge: true });
+
+      return { subscriptionId };
+    } catch (error) {
+      logger.error('Failed to save push subscription:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove one of the user's subscriptions
+   */
+  async removeSubscription(userId, endpoint) {
+    const subscriptionRef = this.db.collection(COLLECTIONS.PUSH_SUBSCRIPTIONS).doc(this.getSubscriptionId(endpoint));
+    const subscriptionDoc = await subscriptionRef.get();
+
+    if (!subscriptionDoc.exists || subscriptionDoc.data().userId !== userId) {
+      return { removed: false };
+    }
+
+    await subscriptionRef.delete();
+    return { removed: true };
+  }
+
+  /**
+   * Send a notification of a given type to all of the user's devices, if their preferences allow it
+   * @returns {Object} { success, skipped, reason, sent, failed, expired }
+   */
+  async sendNotificationPush(notification) {
+    const { userId, type } = notification;
+
+    try {
+      if (!this.getSettings().enabled) {
+        return { success: false, skipped: true, reason: 'Push delivery disabled' };
+      }
+
+      const preferences = await notificationPreferences.get(userId);
+      if (!notificationPreferences.allows(preferences, 'push', type)) {
+        return { success: false, skipped: true, reason: 'Push notifications disabled by user' };
+      }
+
+      const text = emailTemplates.has(type)
+        ? emailTemplates.renderPlain(type, notification.data || {})
+        : { title: notification.title || 'Pi Lottery', body: notification.message || '' };
+
+      return await this.sendToUser(userId, {
+        title: notification.title || text.title,
+        body: notification.message || text.body,
+        tag: notification.id || type,
+        url: CLICK_URLS[type] || '/notifications',
+        type,
+        priority: notification.priority || (HIGH_PRIORITY_TYPES.includes(type) ? 'high' : 'normal')
+      });
+    } catch (error) {
+      logger.error(`Failed to send ${type} push notification:`, error);
+      return { success: false, skipped: false, reason: error.message };
+    }
+  }
+
+  /**
+   * Send a payload to every subscription of a user
+   */
+  async sendToUser(userId, payload) {
+    const settings = this.getSettings();
+    const webPush = this.getWebPush();
+
+    const snapshot = await this.db.collection(COLLECTIONS.PUSH_SUBSCRIPTIONS)
+      .where('userId', '==', userId)
+      .get();
+
+    if (snapshot.empty) {
+      return { success: false, skipped: true, reason: 'No push subscriptions', sent: 0, failed: 0, expired: 0 };
+    }
+
+    const results = { sent: 0, failed: 0, expired: 0 };
+    const body = JSON.stringify(payload);
+
+    await Promise.all(snapshot.docs.map(async (doc) => {
+      const subscription = doc.data();
+
+      try {
+        await webPush.sendNotification(
+          { endpoint: subscription.endpoint, keys: subscription.keys },
+          body,
+          { TTL: settings.ttlSeconds, urgency: payload.priority === 'high' ? 'high' : 'normal' }
+        );
+
+        results.sent++;
+        if (subscription.failures) {
+          await doc.ref.update({ failures: 0, lastSeenAt: admin.firestore.FieldValue.serverTimestamp() });
+        }
+      } catch (error) {
+        // 404/410: the browser unsubscribed or the subscription expired
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          results.expired++;
+          await doc.ref.delete();
+          return;
+        }
+
+        results.failed++;
+        const failures = (subscription.failures || 0) + 1;
+        if (failures >= settings.maxFailures) {
+          await doc.ref.delete();
+        } else {
+          await doc.ref.update({ failures, lastError: error.message || null });
+        }
+        logger.warn(`Push to subscription ${doc.id} failed`, { statusCode: error.statusCode, failures });
+      }
+    }));
+
+    return { success: results.sent > 0, skipped: false, ...results };
+  }
+}
+
+module.exports = new PushService();
@@ -0,0 +1,270 @@
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const piNetworkConfig = require('../config/piNetwork');
+
+/**
+ * Drives app-to-user Pi payments recorded in Firestore.
+ *
+ * Each payout document moves through:
+ *   pending -> processing -> payment_created -> submitted -> completed
+ * Failures go to `failed` with a backoff, or `requires_attention` once retries run out.
+ * Every step stores its result before the next one starts, so a retry resumes where the last attempt stopped.
+ * `nextAttemptAt` holds the time a payout is next due (now, the end of its lock, or its retry time),
+ * so the due ones can be queried directly.
+ */
+class A2UPaymentProcessor {
+  constructor() {
+    this.db = admin.firestore();
+    this.maxAttempts = 5;
+    this.initialRetryDelay = 5 * 60 * 1000; // 5 minutes
+    this.backoffFactor = 2;
+    this.lockDuration = 5 * 60 * 1000; // 5 minutes
+    this.retryableStatuses = ['pending', 'failed', 'processing', 'payment_created', 'submitted'];
+  }
+
+  /**
+   * Send (or resume sending) the payment described by a payout document
+   * @param {DocumentReference} payoutRef - Document that tracks this payment
+   * @param {Object} paymentData - { uid, amount, memo, metadata }
+   */
+  async send(payoutRef, paymentData) {
+    // Payouts come out of the app wallet; until it is configured they stay queued without using an attempt
+    if (!this.getSettings().appWalletAddress) {
+      logger.warn(`A2U payment deferred for ${payoutRef.path}: app wallet address is not configured`);
+      return { success: false, skipped: true, payoutId: payoutRef.id, error: 'App wallet address is not configured' };
+    }
+
+    const claim = await this.claim(payoutRef);
+    if (!claim) {
+      return { success: false, skipped: true, payoutId: payoutRef.id };
+    }
+
+    let { piPaymentId, txid } = claim;
+
+    // Never pay to a guessed account; a payment already created keeps the uid it was created with
+    if (!piPaymentId && !paymentData.uid) {
+      return await this.holdForAttention(payoutRef, claim.attempts, 'User has no linked Pi uid');
+    }
+
+    try {
+      if (!piPaymentId) {
+        piPaymentId = await this.createPayment(payoutRef, paymentData);
+      }
+
+      if (!txid) {
+        txid = await this.submitPayment(payoutRef, piPaymentId);
+      }
+
+      await piNetworkConfig.completeA2UPayment(piPaymentId, txid);
+
+      await payoutRef.update({
+        status: 'completed',
+        completedAt: admin.firestore.FieldValue.serverTimestamp(),
+        lockedUntil: null,
+        nextRetryAt: null,
+        nextAttemptAt: null,
+        lastError: null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      logger.info(`A2U payment completed for ${payoutRef.path}: ${piPaymentId} (${txid})`);
+
+      return { success: true, payoutId: payoutRef.id, piPaymentId, txid };
+    } catch (error) {
+      return await this.recordFailure(payoutRef, claim.attempts, error);
+    }
+  }
+
+  /**
+   * Get the Pi Network settings
+   */
+  getSettings() {
+    if (!this.settings) {
+      this.settings = require('../config/environment').getPiNetworkConfig();
+    }
+    return this.settings;
+  }
+
+  /**
+   * Lock a payout document for one processing attempt
+   */
+  async claim(payoutRef) {
+    return await this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(payoutRef);
+      if (!doc.exists) {
+        throw new Error(`Payout record ${payoutRef.path} not found`);
+      }
+
+      const data = doc.data();
+      const now = Date.now();
+
+      if (!this.retryableStatuses.includes(data.status)) {
+        return null;
+      }
+
+      if (data.lockedUntil && data.lockedUntil.toMillis() > now) {
+        return null;
+      }
+
+      if (data.status === 'failed' && data.nextRetryAt && data.nextRetryAt.toMillis() > now) {
+        return null;
+      }
+
+      const attempts = (data.attempts || 0) + 1;
+
+      const lockedUntil = admin.firestore.Timestamp.fromMillis(now + this.lockDuration);
+
+      transaction.update(payoutRef, {
+        status: data.txid ? 'submitted' : (data.piPaymentId ? 'payment_created' : 'processing'),
+        attempts,
+        lockedUntil,
+        nextAttemptAt: lockedUntil,
+        lastAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { ...data, attempts };
+    });
+  }
+
+  /**
+   * Create the Pi payment, reusing one left behind by an interrupted attempt
+   */
+  async createPayment(payoutRef, paymentData) {
+    const incomplete = await piNetworkConfig.getIncompleteServerPayments();
+    const existing = incomplete.find(payment => payment.metadata?.payoutPath === payoutRef.path);
+
+    const payment = existing || await piNetworkConfig.createA2UPayment({
+      uid: paymentData.uid,
+      amount: paymentData.amount,
+      memo: paymentData.memo,
+      metadata: { ...paymentData.metadata, payoutPath: payoutRef.path }
+    });
+
+    const update = {
+      status: 'payment_created',
+      piPaymentId: payment.identifier,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (payment.transaction?.txid) {
+      update.status = 'submitted';
+      update.txid = payment.transaction.txid;
+    }
+
+    await payoutRef.update(update);
+
+    return payment.identifier;
+  }
+
+  /**
+   * Submit the payment transaction, unless the Pi Platform already has one linked
+   */
+  async submitPayment(payoutRef, piPaymentId) {
+    const payment = await piNetworkConfig.getPayment(piPaymentId);
+    const txid = payment.transaction?.txid || await piNetworkConfig.submitA2UPayment(piPaymentId);
+
+    await payoutRef.update({
+      status: 'submitted',
+      txid,
+      submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return txid;
+  }
+
+  /**
+   * Record a failed attempt and schedule the next retry
+   */
+  async recordFailure(payoutRef, attempts, error) {
+    const message = piNetworkConfig.getErrorMessage(error);
+    const exhausted = attempts >= this.maxAttempts;
+    const delay = this.initialRetryDelay * Math.pow(this.backoffFactor, attempts - 1);
+    const nextRetryAt = exhausted ? null : admin.firestore.Timestamp.fromMillis(Date.now() + delay);
+
+    logger.error(`A2U payment attempt ${attempts} failed for ${payoutRef.path}:`, error);
+
+    await payoutRef.update({
+      status: exhausted ? 'requires_attention' : 'failed',
+      lastError: message,
+      lockedUntil: null,
+      nextRetryAt,
+      nextAttemptAt: nextRetryAt,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: false,
+      payoutId: payoutRef.id,
+      error: message,
+      attempts,
+      willRetry: !exhausted
+    };
+  }
+
+  /**
+   * Stop retrying a payout that cannot be sent until someone fixes its data
+   */
+  async holdForAttention(payoutRef, attempts, message) {
+    logger.warn(`A2U payment held for ${payoutRef.path}: ${message}`);
+
+    await payoutRef.update({
+      status: 'requires_attention',
+      lastError: message,
+      lockedUntil: null,
+      nextRetryAt: null,
+      nextAttemptAt: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      success: false,
+      payoutId: payoutRef.id,
+      error: message,
+      attempts,
+      willRetry: false
+    };
+  }
+
+  /**
+   * Get a user's Pi uid for A2U payments, or null when the account has none linked
+   */
+  async getPiUid(userId) {
+    const userDoc = await this.db.collection('users').doc(userId).get();
+    return (userDoc.exists && userDoc.data().piUID) || null;
+  }
+
+  /**
+   * Get payout documents in a collection that are due for another attempt, oldest first.
+   * Needs a composite index on (status, nextAttemptAt).
+   */
+  async getDuePayouts(collectionName, limit = 50) {
+    const snapshot = await this.db.collection(collectionName)
+      .where('status', 'in', this.retryableStatuses)
+      .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+      .orderBy('nextAttemptAt')
+      .limit(limit)
+      .get();
+
+    return snapshot.docs;
+  }
+
+  /**
+   * Put a payout back in the queue after manual review
+   */
+  async resetPayout(payoutRef, adminId) {
+    await payoutRef.update({
+      status: 'failed',
+      attempts: 0,
+      nextRetryAt: null,
+      nextAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+      lockedUntil: null,
+      resetBy: adminId,
+      resetAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  }
+}
+
+module.exports = new A2UPaymentProcessor();
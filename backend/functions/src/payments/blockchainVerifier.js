@@ -0,0 +1,192 @@
+const axios = require('axios');
+const { logger } = require('../utils/logger');
+
+/**
+ * Read-only client for the Pi blockchain Horizon API
+ */
+class HorizonClient {
+  constructor({ horizonUrl, requestTimeout }) {
+    this.http = axios.create({
+      baseURL: horizonUrl,
+      timeout: requestTimeout
+    });
+  }
+
+  /**
+   * Get a transaction by hash, or null if the ledger does not know it
+   */
+  async getTransaction(txid) {
+    try {
+      const response = await this.http.get(`/transactions/${txid}`);
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the operations of a transaction
+   */
+  async getOperations(txid) {
+    const response = await this.http.get(`/transactions/${txid}/operations`, { params: { limit: 50 } });
+    return response.data._embedded?.records || [];
+  }
+
+  /**
+   * Get the sequence number of the latest closed ledger
+   */
+  async getLatestLedger() {
+    const response = await this.http.get('/');
+    return response.data.history_latest_ledger;
+  }
+}
+
+/**
+ * Verifies Pi payments against the blockchain: the transaction must exist, have succeeded,
+ * carry the payment identifier as memo, pay the expected amount to the app wallet and be deep enough.
+ */
+class BlockchainVerifier {
+  constructor() {
+    this.client = null;
+    this.settings = null;
+    this.amountTolerance = 0.0000001;
+  }
+
+  /**
+   * Get Pi Network settings from the environment configuration
+   */
+  getSettings() {
+    if (!this.settings) {
+      this.settings = require('../config/environment').getPiNetworkConfig();
+    }
+    return this.settings;
+  }
+
+  /**
+   * Get the ledger client. The stub Pi client setting also selects the fake ledger.
+   */
+  getClient() {
+    if (!this.client) {
+      const settings = this.getSettings();
+
+      if (settings.client === 'stub') {
+        const FakeLedgerClient = require('./fakeLedgerClient');
+        this.client = new FakeLedgerClient();
+        logger.warn('Using fake ledger client for blockchain verification');
+      } else {
+        this.client = new HorizonClient(settings);
+      }
+    }
+
+    return this.client;
+  }
+
+  /**
+   * Replace the ledger client (used by tests)
+   */
+  setClient(client) {
+    this.client = client;
+  }
+
+  /**
+   * Verify a transaction against the expected payment
+   * @param {string} txid - Blockchain transaction hash
+   * @param {Object} expected - { paymentId, amount, toAddress, fromAddress, minConfirmations }
+   */
+  async verifyTransaction(txid, expected) {
+    if (!txid || typeof txid !== 'string' || !/^[0-9a-f]{64}$/i.test(txid)) {
+      return this.reject('Invalid transaction ID format');
+    }
+
+    const client = this.getClient();
+    const settings = this.getSettings();
+    const toAddress = settings.appWalletAddress || expected.toAddress;
+    const minConfirmations = expected.minConfirmations || settings.minConfirmations || 1;
+
+    // Without a known destination a self-transfer with the right memo and amount would pass
+    if (!toAddress) {
+      return this.reject('App wallet address is not configured', { retryable: true });
+    }
+
+    if (expected.toAddress && expected.toAddress !== toAddress) {
+      return this.reject('Payment destination is not the app wallet');
+    }
+
+    const transaction = await client.getTransaction(txid);
+    if (!transaction) {
+      return this.reject('Transaction not found on blockchain', { retryable: true });
+    }
+
+    if (transaction.successful === false) {
+      return this.reject('Transaction failed on blockchain');
+    }
+
+    if (transaction.memo !== expected.paymentId) {
+      return this.reject('Transaction memo does not match payment');
+    }
+
+    const operations = await client.getOperations(txid);
+    const payment = operations.find(operation =>
+      operation.type === 'payment' &&
+      operation.asset_type === 'native' &&
+      operation.to === toAddress
+    );
+
+    if (!payment) {
+      return this.reject('No payment to the app wallet in transaction');
+    }
+
+    if (expected.fromAddress && payment.from !== expected.fromAddress) {
+      return this.reject('Transaction sender does not match payment');
+    }
+
+    if (Math.abs(Number(payment.amount) - Number(expected.amount)) > this.amountTolerance) {
+      return this.reject(`Transaction amount ${payment.amount} does not match expected ${expected.amount}`);
+    }
+
+    const latestLedger = await client.getLatestLedger();
+    const confirmations = latestLedger - transaction.ledger + 1;
+
+    const blockData = {
+      txid,
+      blockHeight: transaction.ledger,
+      confirmations,
+      timestamp: transaction.created_at,
+      from: payment.from,
+      to: payment.to,
+      amount: Number(payment.amount),
+      memo: transaction.memo,
+      verified: confirmations >= minConfirmations
+    };
+
+    if (confirmations < minConfirmations) {
+      return this.reject(`Transaction has ${confirmations} of ${minConfirmations} required confirmations`, {
+        retryable: true,
+        blockData
+      });
+    }
+
+    return {
+      isValid: true,
+      blockData,
+      reason: 'Transaction verified on blockchain'
+    };
+  }
+
+  /**
+   * Build a failed verification result
+   */
+  reject(reason, extra = {}) {
+    return {
+      isValid: false,
+      retryable: false,
+      reason,
+      ...extra
+    };
+  }
+}
+
+module.exports = new BlockchainVerifier();
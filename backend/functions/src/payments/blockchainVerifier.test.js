@@ -0,0 +1,90 @@
+jest.mock('../utils/logger');
+
+const blockchainVerifier = require('./blockchainVerifier');
+const FakeLedgerClient = require('./fakeLedgerClient');
+
+const APP_WALLET = 'GAPPWALLET';
+const USER_WALLET = 'GUSERWALLET';
+
+describe('blockchainVerifier', () => {
+  let ledger;
+
+  beforeEach(() => {
+    ledger = new FakeLedgerClient();
+    blockchainVerifier.setClient(ledger);
+    blockchainVerifier.settings = { appWalletAddress: APP_WALLET, minConfirmations: 2 };
+  });
+
+  const pay = (overrides = {}) => ledger.addPayment({
+    from: USER_WALLET,
+    to: APP_WALLET,
+    amount: 1,
+    memo: 'payment_1',
+    ...overrides
+  });
+  const expected = { paymentId: 'payment_1', amount: 1, fromAddress: USER_WALLET };
+
+  it('verifies a payment to the app wallet once it has enough confirmations', async () => {
+    const txid = pay();
+    ledger.closeLedgers(1);
+
+    const result = await blockchainVerifier.verifyTransaction(txid, expected);
+
+    expect(result.isValid).toBe(true);
+    expect(result.blockData).toMatchObject({ txid, confirmations: 2, amount: 1, to: APP_WALLET, verified: true });
+  });
+
+  it('asks for a retry while the transaction is too shallow', async () => {
+    const result = await blockchainVerifier.verifyTransaction(pay(), expected);
+
+    expect(result).toMatchObject({ isValid: false, retryable: true });
+    expect(result.reason).toBe('Transaction has 1 of 2 required confirmations');
+  });
+
+  it('asks for a retry while the transaction is not on the ledger yet', async () => {
+    const result = await blockchainVerifier.verifyTransaction('a'.repeat(64), expected);
+    expect(result).toMatchObject({ isValid: false, retryable: true, reason: 'Transaction not found on blockchain' });
+  });
+
+  it.each([
+    ['a failed transaction', { successful: false }, 'Transaction failed on blockchain'],
+    ['a memo for another payment', { memo: 'payment_2' }, 'Transaction memo does not match payment'],
+    ['a transfer to another wallet', { to: USER_WALLET }, 'No payment to the app wallet in transaction'],
+    ['another sender', { from: 'GSOMEONEELSE' }, 'Transaction sender does not match payment'],
+    ['a smaller amount', { amount: 0.9 }, 'Transaction amount 0.9000000 does not match expected 1']
+  ])('rejects %s', async (description, overrides, reason) => {
+    const txid = pay(overrides);
+    ledger.closeLedgers(5);
+
+    const result = await blockchainVerifier.verifyTransaction(txid, expected);
+
+    expect(result).toMatchObject({ isValid: false, retryable: false, reason });
+  });
+
+  it('rejects a malformed transaction id without reading the ledger', async () => {
+    const getTransaction = jest.spyOn(ledger, 'getTransaction');
+
+    const result = await blockchainVerifier.verifyTransaction('not-a-txid', expected);
+
+    expect(result.reason).toBe('Invalid transaction ID format');
+    expect(getTransaction).not.toHaveBeenCalled();
+  });
+
+  it('rejects a payment aimed at a destination other than the app wallet', async () => {
+    const txid = pay({ to: USER_WALLET });
+    ledger.closeLedgers(5);
+
+    const result = await blockchainVerifier.verifyTransaction(txid, { ...expected, toAddress: USER_WALLET });
+
+    expect(result.reason).toBe('Payment destination is not the app wallet');
+  });
+
+  it('does not verify anything until the app wallet is configured', async () => {
+    blockchainVerifier.settings = { minConfirmations: 1 };
+    const txid = pay();
+
+    const result = await blockchainVerifier.verifyTransaction(txid, expected);
+
+    expect(result).toMatchObject({ isValid: false, retryable: true, reason: 'App wallet address is not configured' });
+  });
+});
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory ledger with the same read methods as the Horizon client.
+ * Tests add transactions and close ledgers to control confirmation depth.
+ */
+class FakeLedgerClient {
+  constructor() {
+    this.transactions = new Map();
+    this.latestLedger = 1000;
+  }
+
+  /**
+   * Record a native payment transaction in the next ledger. Returns the txid.
+   */
+  addPayment({ txid, from, to, amount, memo, successful = true }) {
+    const hash = txid || crypto.randomBytes(32).toString('hex');
+    this.latestLedger += 1;
+
+    this.transactions.set(hash, {
+      transaction: {
+        hash,
+        ledger: this.latestLedger,
+        successful,
+        memo,
+        memo_type: 'text',
+        source_account: from,
+        created_at: new Date().toISOString()
+      },
+      operations: [{
+        type: 'payment',
+        asset_type: 'native',
+        from,
+        to,
+        amount: Number(amount).toFixed(7)
+      }]
+    });
+
+    return hash;
+  }
+
+  /**
+   * Close empty ledgers, adding confirmations to existing transactions
+   */
+  closeLedgers(count = 1) {
+    this.latestLedger += count;
+  }
+
+  /**
+   * Get a transaction by hash, or null if unknown
+   */
+  async getTransaction(txid) {
+    const entry = this.transactions.get(txid);
+    return entry ? entry.transaction : null;
+  }
+
+  /**
+   * Get the operations of a transaction
+   */
+  async getOperations(txid) {
+    const entry = this.transactions.get(txid);
+    return entry ? entry.operations : [];
+  }
+
+  /**
+   * Get the sequence number of the latest closed ledger
+   */
+  async getLatestLedger() {
+    return this.latestLedger;
+  }
+}
+
+module.exports = FakeLedgerClient;
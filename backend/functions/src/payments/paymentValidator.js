@@ -1,5 +1,6 @@
 const admin = require('firebase-admin');
 const { logger } = require('../utils/logger');
+const riskEngine = require('../fraud/riskEngine');
 
 /**
  * Payment validation and verification system
@@ -19,7 +20,7 @@ class PaymentValidator {
   /**
    * Validate payment details against expected values
    */
-  async validatePaymentDetails(payment, expectedData, userId) {
+  async validatePaymentDetails(payment, expectedData, userId, context = {}) {
     try {
       const validation = {
         isValid: true,
@@ -62,7 +63,7 @@ class PaymentValidator {
       }
 
       // Business rules validation
-      const businessValidation = await this.validateBusinessRules(payment, userId);
+      const businessValidation = await this.validateBusinessRules(payment, userId, context);
       if (!businessValidation.isValid) {
         validation.isValid = false;
         validation.errors.push(...businessValidation.errors);
@@ -73,6 +74,7 @@ class PaymentValidator {
         reason: validation.isValid ? 'Payment validation successful' : validation.errors.join('; '),
         errors: validation.errors,
         warnings: validation.warnings,
+        risk: businessValidation.risk || null,
         validationDetails: {
           structure: structureValidation.isValid,
           amount: amountValidation.isValid,
@@ -282,7 +284,7 @@ class PaymentValidator {
   /**
    * Validate business rules
    */
-  async validateBusinessRules(payment, userId) {
+  async validateBusinessRules(payment, userId, context = {}) {
     const validation = {
       isValid: true,
       errors: []
@@ -306,7 +308,8 @@ class PaymentValidator {
       }
 
       // Check for suspicious activity patterns
-      const suspiciousActivityCheck = await this.checkSuspiciousActivity(userId, payment);
+      const suspiciousActivityCheck = await this.checkSuspiciousActivity(userId, payment, context);
+      validation.risk = suspiciousActivityCheck.risk;
       if (!suspiciousActivityCheck.isValid) {
         validation.isValid = false;
         validation.errors.push(suspiciousActivityCheck.error);
@@ -488,49 +491,22 @@ class PaymentValidator {
   }
 
   /**
-   * Check for suspicious activity patterns
+   * Score the payment with the risk engine. Blocked payments fail validation;
+   * held payments pass with `risk` set so the handler can hold them for review.
+   * @param {Object} context - Request context ({ ip, deviceId }) for shared device and IP signals
    */
-  async checkSuspiciousActivity(userId, payment) {
-    try {
-      const now = new Date();
-      const oneHourAgo = new Date(now - 60 * 60 * 1000);
-
-      // Check for rapid repeated payments
-      const recentPaymentsSnapshot = await this.db.collection('payment_transactions')
-        .where('userId', '==', userId)
-        .where('createdAt', '>=', oneHourAgo)
-        .get();
-
-      const recentPayments = recentPaymentsSnapshot.size;
-      
-      if (recentPayments > 10) {
-        return {
-          isValid: false,
-          error: `Suspicious activity: ${recentPayments} payments in last hour`
-        };
-      }
-
-      // Check for identical amounts in short timeframe
-      let identicalAmountCount = 0;
-      recentPaymentsSnapshot.forEach(doc => {
-        const paymentData = doc.data();
-        if (Math.abs(paymentData.amount - payment.amount) < 0.000001) {
-          identicalAmountCount++;
-        }
-      });
+  async checkSuspiciousActivity(userId, payment, context = {}) {
+    const assessment = await riskEngine.assessPayment(userId, payment, context);
 
-      if (identicalAmountCount > 5) {
-        return {
-          isValid: false,
-          error: `Suspicious activity: ${identicalAmountCount} identical amounts in last hour`
-        };
-      }
-
-      return { isValid: true };
-    } catch (error) {
-      logger.error('Suspicious activity check failed:', error);
-      return { isValid: true }; // Allow if check fails
+    if (assessment.action === 'block') {
+      return {
+        isValid: false,
+        error: `Suspicious activity: ${assessment.signals.map(signal => signal.reason).join('; ')}`,
+        risk: assessment
+      };
     }
+
+    return { isValid: true, risk: assessment };
   }
 
   /**
@@ -3,7 +3,9 @@ const { logger } = require('../utils/logger');
 const { PaymentError, ValidationError } = require('../middleware/errorHandler');
 const piNetworkConfig = require('../config/piNetwork');
 const paymentValidator = require('./paymentValidator');
-const paymentLogger = require('./paymentLogger');
+const { paymentLogger } = require('./paymentLogger');
+const blockchainVerifier = require('./blockchainVerifier');
+const { eventBus, EVENTS } = require('../events/eventBus');
 
 /**
  * Pi Network payment processing handler
@@ -19,7 +21,7 @@ class PiPaymentHandler {
   /**
    * Handle payment approval from Pi Network
    */
-  async handlePaymentApproval(paymentId, userId, paymentData) {
+  async handlePaymentApproval(paymentId, userId, paymentData, context = {}) {
     try {
       logger.info(`Processing payment approval: ${paymentId} for user ${userId}`);
 
@@ -33,7 +35,8 @@ class PiPaymentHandler {
       const detailsValidation = await paymentValidator.validatePaymentDetails(
         piValidation.payment, 
         paymentData, 
-        userId
+        userId,
+        context
       );
       if (!detailsValidation.isValid) {
         throw new PaymentError(`Payment details validation failed: ${detailsValidation.reason}`, paymentId);
@@ -45,6 +48,34 @@ class PiPaymentHandler {
         throw new PaymentError('Payment already processed', paymentId);
       }
 
+      // Risky payments are recorded but left unapproved with Pi Network until an admin reviews them
+      if (detailsValidation.risk?.action === 'hold') {
+        const heldTransactionId = await this.createPaymentTransaction(paymentId, userId, piValidation.payment, {
+          riskAssessmentId: detailsValidation.risk.id,
+          requestedEntry: paymentData
+        });
+
+        logger.warn(`Payment held for review: ${paymentId} -> ${heldTransactionId}`);
+
+        await eventBus.publish(EVENTS.PAYMENT_HELD, {
+          transactionId: heldTransactionId,
+          paymentId,
+          userId,
+          amount: piValidation.payment.amount,
+          lotteryTypeId: piValidation.payment.metadata?.lotteryTypeId || null,
+          riskAssessmentId: detailsValidation.risk.id
+        });
+
+        return {
+          success: true,
+          paymentId,
+          transactionId: heldTransactionId,
+          amount: piValidation.payment.amount,
+          status: 'held_for_review',
+          message: 'Payment is being reviewed before approval'
+        };
+      }
+
       // Create payment transaction record
       const transactionId = await this.createPaymentTransaction(paymentId, userId, piValidation.payment);
 
@@ -55,7 +86,7 @@ class PiPaymentHandler {
       }
 
       // Process lottery entry
-      await this.processLotteryEntry(paymentData, userId, transactionId);
+      await this.processApprovedEntry(paymentId, paymentData, userId, transactionId);
 
       // Update user payment statistics
       await this.updateUserPaymentStats(userId, piValidation.payment.amount);
@@ -78,16 +109,135 @@ class PiPaymentHandler {
       
       // Log error
       await paymentLogger.logPaymentError(paymentId, userId, error.message, 'approval');
-      
-      // Cancel payment if it was approved but processing failed
-      if (error.message.includes('lottery entry')) {
-        await this.cancelFailedPayment(paymentId, 'Lottery entry processing failed');
+
+      throw error;
+    }
+  }
+
+  /**
+   * Approve a payment held by the risk engine: approve it with Pi Network and process the entry.
+   * The lottery is checked first, since it may have closed while the payment waited for review.
+   * @param {string} transactionId - Held payment transaction
+   * @param {string} adminId - Approving admin
+   * @return {Object} { success, paymentId, transactionId, status }
+   */
+  async approveHeldPayment(transactionId, adminId) {
+    const transaction = await this.getHeldTransaction(transactionId);
+    const { paymentId, userId } = transaction;
+
+    try {
+      // Required here rather than at the top to avoid a circular dependency
+      const lotteryService = require('../lottery/lotteryService');
+      await lotteryService.assertCanEnter(transaction.metadata?.lotteryTypeId, userId, 1);
+
+      const approvalResult = await piNetworkConfig.approvePayment(paymentId);
+      if (!approvalResult.success) {
+        throw new PaymentError(`Pi Network approval failed: ${approvalResult.error}`, paymentId);
+      }
+
+      await this.db.collection('payment_transactions').doc(transactionId).update({
+        status: 'approved',
+        reviewedBy: adminId,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await this.processApprovedEntry(paymentId, { paymentId, metadata: transaction.metadata }, userId, transactionId);
+      await this.updateUserPaymentStats(userId, transaction.amount);
+
+      await paymentLogger.logAdminPaymentAction(adminId, 'approve_held_payment', {
+        paymentId,
+        userId,
+        previousStatus: 'held_for_review',
+        newStatus: 'approved',
+        amount: transaction.amount
+      });
+
+      logger.info(`Held payment approved: ${paymentId} by ${adminId}`);
+
+      return { success: true, paymentId, transactionId, status: 'approved' };
+    } catch (error) {
+      logger.error(`Failed to approve held payment ${paymentId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Process the entry of a payment already approved with Pi Network. If the entry cannot be
+   * made, whatever the reason, the payment is cancelled so the user is not charged for it.
+   * @param {string} paymentId - Pi payment identifier
+   * @param {Object} paymentData - { paymentId, metadata } of the payment
+   * @param {string} userId - Paying user
+   * @param {string} transactionId - Payment transaction
+   */
+  async processApprovedEntry(paymentId, paymentData, userId, transactionId) {
+    try {
+      await this.processLotteryEntry(paymentData, userId, transactionId);
+    } catch (error) {
+      await this.cancelFailedPayment(paymentId, `Lottery entry processing failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a payment held by the risk engine and cancel it with Pi Network
+   */
+  async rejectHeldPayment(transactionId, reason, adminId) {
+    const transaction = await this.getHeldTransaction(transactionId);
+    const { paymentId, userId } = transaction;
+
+    try {
+      // The payment may already have expired on the Pi side; it is rejected here either way
+      const cancelResult = await piNetworkConfig.cancelPayment(paymentId, reason);
+      if (!cancelResult.success) {
+        logger.warn(`Could not cancel held payment ${paymentId} with Pi Network: ${cancelResult.error}`);
       }
 
+      await this.db.collection('payment_transactions').doc(transactionId).update({
+        status: 'rejected',
+        rejectionReason: reason,
+        reviewedBy: adminId,
+        reviewedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      await paymentLogger.logAdminPaymentAction(adminId, 'reject_held_payment', {
+        paymentId,
+        userId,
+        previousStatus: 'held_for_review',
+        newStatus: 'rejected',
+        reason,
+        amount: transaction.amount
+      });
+
+      logger.info(`Held payment rejected: ${paymentId} by ${adminId}`);
+
+      return { success: true, paymentId, transactionId, status: 'rejected' };
+    } catch (error) {
+      logger.error(`Failed to reject held payment ${paymentId}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Load a transaction that is waiting for review
+   * @throws {ValidationError} If it does not exist or is not held
+   */
+  async getHeldTransaction(transactionId) {
+    const transactionDoc = await this.db.collection('payment_transactions').doc(transactionId).get();
+
+    if (!transactionDoc.exists) {
+      throw new ValidationError('Payment transaction not found');
+    }
+
+    const transaction = transactionDoc.data();
+    if (transaction.status !== 'held_for_review') {
+      throw new ValidationError(`Payment is ${transaction.status}, not held for review`);
+    }
+
+    return { id: transactionDoc.id, ...transaction };
+  }
+
   /**
    * Handle payment completion from Pi Network
    */
@@ -113,7 +263,7 @@ class PiPaymentHandler {
       }
 
       // Verify blockchain transaction
-      const blockchainVerification = await this.verifyBlockchainTransaction(txid, paymentId);
+      const blockchainVerification = await this.verifyBlockchainTransaction(txid, paymentId, transaction);
       if (!blockchainVerification.isValid) {
         throw new PaymentError(`Blockchain verification failed: ${blockchainVerification.reason}`, paymentId);
       }
@@ -138,12 +288,20 @@ class PiPaymentHandler {
 
       logger.info(`Payment completed successfully: ${paymentId} with txid ${txid}`);
 
+      await eventBus.publish(EVENTS.PAYMENT_COMPLETED, {
+        paymentId,
+        userId,
+        txid,
+        amount: transaction.amount,
+        lotteryTypeId: transaction.lotteryTypeId || null
+      });
+
       return {
         success: true,
         paymentId,
         txid,
         status: 'completed',
-        blockHeight: blockchainVerification.blockData?.height,
+        blockHeight: blockchainVerification.blockData?.blockHeight,
         message: 'Payment completed successfully'
       };
     } catch (error) {
@@ -182,18 +340,20 @@ class PiPaymentHandler {
   /**
    * Create payment transaction record
    */
-  async createPaymentTransaction(paymentId, userId, paymentData) {
+  async createPaymentTransaction(paymentId, userId, paymentData, hold = null) {
     try {
       const transactionId = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
       const transactionData = {
         paymentId,
         userId,
+        // Pi account that paid, as reported by the Pi Platform; refunds go back to it
+        piUid: paymentData.user_uid || null,
         amount: paymentData.amount,
         memo: paymentData.memo,
         metadata: paymentData.metadata || {},
         lotteryTypeId: paymentData.metadata?.lotteryTypeId,
-        status: 'approved',
+        status: hold ? 'held_for_review' : 'approved',
         platformFee: this.calculatePlatformFee(paymentData.amount, paymentData.metadata?.lotteryTypeId),
         piNetworkFee: 0.01,
         netAmount: paymentData.amount - 0.01,
@@ -201,6 +361,12 @@ class PiPaymentHandler {
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
       };
 
+      if (hold) {
+        // Kept so the entry can be processed if the payment is approved on review
+        transactionData.riskAssessmentId = hold.riskAssessmentId;
+        transactionData.requestedEntry = hold.requestedEntry;
+      }
+
       await this.db.collection('payment_transactions').doc(transactionId).set(transactionData);
       
       return transactionId;
@@ -273,40 +439,51 @@ class PiPaymentHandler {
   }
 
   /**
-   * Verify blockchain transaction
+   * Verify blockchain transaction against the recorded payment
    */
-  async verifyBlockchainTransaction(txid, paymentId) {
+  async verifyBlockchainTransaction(txid, paymentId, transaction = null) {
     try {
-      // Note: This is a placeholder for blockchain verification
-      // In a real implementation, you would query the Pi Network blockchain
-      // or use Pi Network's APIs to verify the transaction
-      
-      // Basic validation
-      if (!txid || typeof txid !== 'string' || txid.length < 10) {
+      const paymentRecord = transaction || await this.getPaymentTransaction(paymentId);
+      if (!paymentRecord) {
         return {
           isValid: false,
-          reason: 'Invalid transaction ID format'
+          reason: 'Payment transaction not found'
         };
       }
 
-      // Mock blockchain verification - in production, implement actual verification
-      const mockBlockData = {
-        txid,
-        blockHeight: Math.floor(Math.random() * 1000000) + 500000,
-        confirmations: Math.floor(Math.random() * 10) + 1,
-        timestamp: new Date().toISOString(),
-        verified: true
-      };
+      // A txid can only settle one payment
+      const reuseSnapshot = await this.db.collection('payment_transactions')
+        .where('txid', '==', txid)
+        .limit(2)
+        .get();
+      if (reuseSnapshot.docs.some(doc => doc.data().paymentId !== paymentId)) {
+        return {
+          isValid: false,
+          reason: 'Transaction already used for another payment'
+        };
+      }
 
-      return {
-        isValid: true,
-        blockData: mockBlockData,
-        reason: 'Transaction verified on blockchain'
-      };
+      // The Pi Platform knows the wallets involved and the txid the user submitted.
+      // A failed lookup fails the verification (retryably) rather than skipping these checks.
+      const piPayment = await piNetworkConfig.getPayment(paymentId);
+      if (piPayment?.transaction?.txid && piPayment.transaction.txid !== txid) {
+        return {
+          isValid: false,
+          reason: 'Transaction ID does not match Pi Network payment'
+        };
+      }
+
+      return await blockchainVerifier.verifyTransaction(txid, {
+        paymentId,
+        amount: paymentRecord.amount,
+        toAddress: piPayment?.to_address,
+        fromAddress: piPayment?.from_address
+      });
     } catch (error) {
       logger.error('Blockchain verification failed:', error);
       return {
         isValid: false,
+        retryable: true,
         reason: 'Blockchain verification error'
       };
     }
@@ -333,7 +510,9 @@ class PiPaymentHandler {
         {
           paymentId: paymentData.paymentId || transactionId,
           transactionId
-        }
+        },
+        {},
+        { scored: true } // Scored with the payment
       );
 
       if (!entryResult.success) {
@@ -0,0 +1,295 @@
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const a2uPaymentProcessor = require('./a2uPaymentProcessor');
+const { eventBus, EVENTS } = require('../events/eventBus');
+
+/**
+ * Pays approved lottery winners through A2U Pi payments.
+ * There is one prize_transfers document per winner (keyed by winner id), so approving twice cannot pay twice.
+ * Transfers are only created by reviewWinner, and the amount paid always comes from the winner record.
+ */
+class PrizePayoutWorker {
+  constructor() {
+    this.db = admin.firestore();
+    this.collection = 'prize_transfers';
+    this.batchSize = 25;
+    this.transactionFee = 0.01;
+    this.origin = 'approve_winner_payout';
+  }
+
+  /**
+   * Approve or reject a winner waiting for prize approval. Approval queues the Pi payout and
+   * makes a first attempt; the scheduled worker retries it if that attempt fails.
+   * @returns {Object} { winnerData, status, payout }
+   */
+  async reviewWinner(winnerId, approved, notes, adminId) {
+    const winnerRef = this.db.collection('lottery_winners').doc(winnerId);
+    const winnerDoc = await winnerRef.get();
+
+    if (!winnerDoc.exists) {
+      throw new ValidationError('Winner not found');
+    }
+
+    const winnerData = winnerDoc.data();
+
+    if (winnerData.status !== 'pending' && winnerData.status !== 'pending_approval') {
+      throw new ValidationError(`Winner status is ${winnerData.status}, cannot approve`);
+    }
+
+    const status = approved ? 'approved' : 'rejected';
+
+    await winnerRef.update({
+      status,
+      approvedBy: adminId,
+      approvedAt: admin.firestore.FieldValue.serverTimestamp(),
+      adminNotes: notes || '',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    let payout = null;
+    if (approved) {
+      await this.createTransfer(winnerId, winnerData, adminId);
+      payout = await this.processTransfer(winnerId).catch(error => ({
+        success: false,
+        error: error.message
+      }));
+    }
+
+    return { winnerData, status: payout?.success ? 'paid' : status, payout };
+  }
+
+  /**
+   * Create the transfer for an approved winner
+   */
+  async createTransfer(winnerId, winnerData, adminId) {
+    try {
+      const transferRef = this.db.collection(this.collection).doc(winnerId);
+      const grossAmount = winnerData.prizeAmount;
+      const netAmount = this.getNetAmount(winnerData);
+
+      const created = await this.db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(transferRef);
+        if (doc.exists) {
+          return false;
+        }
+
+        transaction.set(transferRef, {
+          transferId: winnerId,
+          winnerId,
+          userId: winnerData.userId,
+          lotteryInstanceId: winnerData.lotteryInstanceId,
+          position: winnerData.position || null,
+          grossAmount,
+          netAmount,
+          transactionFee: grossAmount - netAmount,
+          status: 'pending',
+          attempts: 0,
+          nextAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+          approvedBy: adminId,
+          method: 'pi_network_transfer',
+          origin: this.origin,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return true;
+      });
+
+      if (created) {
+        logger.info(`Prize transfer created for winner ${winnerId}: ${netAmount} Pi`);
+      }
+
+      return { transferId: transferRef.id, created };
+    } catch (error) {
+      logger.error(`Failed to create prize transfer for winner ${winnerId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pay (or resume paying) a single transfer
+   */
+  async processTransfer(transferId) {
+    try {
+      const transferRef = this.db.collection(this.collection).doc(transferId);
+      const transferDoc = await transferRef.get();
+
+      if (!transferDoc.exists) {
+        throw new Error(`Prize transfer ${transferId} not found`);
+      }
+
+      const transfer = transferDoc.data();
+      const winnerRef = this.db.collection('lottery_winners').doc(transfer.winnerId);
+      const winnerDoc = await winnerRef.get();
+
+      if (!winnerDoc.exists) {
+        throw new Error(`Winner ${transfer.winnerId} not found`);
+      }
+
+      const winner = winnerDoc.data();
+
+      // Only transfers written by reviewWinner are paid
+      if (transfer.origin !== this.origin || transfer.winnerId !== transferId || transfer.userId !== winner.userId) {
+        await transferRef.update({
+          status: 'requires_attention',
+          lastError: 'Transfer was not created by the payout approval flow',
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        logger.warn(`Prize transfer ${transferId} was not created by the server, refusing to pay it`);
+        return { success: false, payoutId: transferId, error: 'Transfer not created by the payout approval flow' };
+      }
+
+      if (transfer.status === 'completed') {
+        if (winner.status !== 'paid') {
+          await this.markWinnerPaid(transfer, this.getNetAmount(winner), {
+            payoutId: transferId,
+            piPaymentId: transfer.piPaymentId,
+            txid: transfer.txid
+          });
+        }
+        return { success: true, payoutId: transferId, piPaymentId: transfer.piPaymentId, txid: transfer.txid };
+      }
+
+      // A winner that was rejected after approval must not be paid, unless money is already moving
+      if (winner.status !== 'approved' && winner.status !== 'paid' && !transfer.piPaymentId) {
+        await transferRef.update({
+          status: 'cancelled',
+          cancelReason: `Winner status is ${winner.status}`,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return { success: false, skipped: true, payoutId: transferId };
+      }
+
+      const amount = this.getNetAmount(winner);
+      const uid = await a2uPaymentProcessor.getPiUid(transfer.userId);
+
+      const result = await a2uPaymentProcessor.send(transferRef, {
+        uid,
+        amount,
+        memo: `Pi Lottery prize - position ${transfer.position || winner.position}`,
+        metadata: {
+          type: 'prize',
+          transferId,
+          winnerId: transfer.winnerId,
+          lotteryInstanceId: transfer.lotteryInstanceId
+        }
+      });
+
+      if (result.success) {
+        await this.markWinnerPaid(transfer, amount, result);
+      } else if (!result.skipped) {
+        await winnerRef.update({
+          payoutStatus: result.willRetry ? 'retrying' : 'requires_attention',
+          payoutError: result.error,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+
+      return { ...result, amount };
+    } catch (error) {
+      logger.error(`Failed to process prize transfer ${transferId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Net prize for a winner, as recorded when the winner was drawn
+   */
+  getNetAmount(winnerData) {
+    return winnerData.netPrizeAmount || Math.max(0, winnerData.prizeAmount - this.transactionFee);
+  }
+
+  /**
+   * Record the payout on the winner and the user's stats
+   */
+  async markWinnerPaid(transfer, amount, result) {
+    const batch = this.db.batch();
+
+    batch.update(this.db.collection('lottery_winners').doc(transfer.winnerId), {
+      status: 'paid',
+      payoutStatus: 'completed',
+      payoutError: null,
+      transferId: result.payoutId,
+      piPaymentId: result.piPaymentId,
+      txid: result.txid,
+      paidAmount: amount,
+      paidAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    batch.update(this.db.collection('users').doc(transfer.userId), {
+      totalPrizesPaid: admin.firestore.FieldValue.increment(amount),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    await batch.commit();
+
+    logger.info(`Winner ${transfer.winnerId} paid ${amount} Pi (${result.txid})`);
+
+    await eventBus.publish(EVENTS.PRIZE_PAID, {
+      winnerId: transfer.winnerId,
+      userId: transfer.userId,
+      amount,
+      txid: result.txid
+    });
+  }
+
+  /**
+   * Run one payout pass. Transfers fail independently; failed ones are retried on later passes.
+   */
+  async processPayouts() {
+    try {
+      const dueTransfers = await a2uPaymentProcessor.getDuePayouts(this.collection, this.batchSize);
+      const results = { processed: 0, paid: 0, failed: 0, totalPaid: 0 };
+
+      for (const doc of dueTransfers) {
+        results.processed++;
+        try {
+          const outcome = await this.processTransfer(doc.id);
+          if (outcome.success) {
+            results.paid++;
+            results.totalPaid += outcome.amount || 0;
+          } else if (!outcome.skipped) {
+            results.failed++;
+          }
+        } catch (error) {
+          results.failed++;
+        }
+      }
+
+      logger.info(`Prize payout run: ${results.paid}/${results.processed} paid`, results);
+
+      return results;
+    } catch (error) {
+      logger.error('Failed to process prize payouts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Requeue a transfer that ran out of retries
+   */
+  async retryTransfer(transferId, adminId) {
+    try {
+      const transferRef = this.db.collection(this.collection).doc(transferId);
+      const transferDoc = await transferRef.get();
+
+      if (!transferDoc.exists) {
+        throw new Error(`Prize transfer ${transferId} not found`);
+      }
+
+      if (transferDoc.data().status !== 'requires_attention') {
+        throw new Error(`Prize transfer ${transferId} is ${transferDoc.data().status}, cannot retry`);
+      }
+
+      await a2uPaymentProcessor.resetPayout(transferRef, adminId);
+
+      return await this.processTransfer(transferId);
+    } catch (error) {
+      logger.error(`Failed to retry prize transfer ${transferId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PrizePayoutWorker();
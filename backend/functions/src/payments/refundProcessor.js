@@ -0,0 +1,304 @@
+const admin = require('firebase-admin');
+const { logger } = require('../utils/logger');
+const piNetworkConfig = require('../config/piNetwork');
+const a2uPaymentProcessor = require('./a2uPaymentProcessor');
+const { eventBus, EVENTS } = require('../events/eventBus');
+
+/**
+ * Refunds for paid entries of cancelled lotteries, paid back to users as A2U Pi payments
+ */
+class RefundProcessor {
+  constructor() {
+    this.db = admin.firestore();
+    this.collection = 'refunds';
+    this.batchSize = 50;
+    this.writeBatchSize = 200; // two writes per refund, within the 500-write transaction limit
+  }
+
+  /**
+   * Create the refund records for a cancelled lottery's entries. Every record is written before
+   * any payment is sent, so a run that stops part way leaves the rest to the retry worker.
+   * Idempotent: the refund id is the entry id.
+   * @returns {Object} { refundIds, failed }
+   */
+  async createRefunds(entries, reason) {
+    const refundIds = [];
+    let failed = 0;
+
+    for (let i = 0; i < entries.length; i += this.writeBatchSize) {
+      const refunds = [];
+
+      for (const entry of entries.slice(i, i + this.writeBatchSize)) {
+        try {
+          refunds.push({ entry, data: await this.buildRefund(entry, reason) });
+        } catch (error) {
+          logger.error(`Failed to create refund for entry ${entry.id}:`, error);
+          failed++;
+        }
+      }
+
+      if (refunds.length === 0) {
+        continue;
+      }
+
+      const refundRefs = refunds.map(({ entry }) => this.db.collection(this.collection).doc(entry.id));
+
+      await this.db.runTransaction(async (transaction) => {
+        const existing = await transaction.getAll(...refundRefs);
+
+        existing.forEach((doc, index) => {
+          if (doc.exists) {
+            return;
+          }
+
+          transaction.set(refundRefs[index], refunds[index].data);
+          transaction.update(this.db.collection('user_entries').doc(refundRefs[index].id), {
+            refundId: refundRefs[index].id,
+            refundStatus: 'pending'
+          });
+        });
+      });
+
+      refundIds.push(...refundRefs.map(ref => ref.id));
+    }
+
+    logger.info(`Refunds recorded for ${refundIds.length} entries`, { failed });
+
+    return { refundIds, failed };
+  }
+
+  /**
+   * Build the refund record for an entry
+   */
+  async buildRefund(entry, reason) {
+    const payment = await this.getPaymentTransaction(entry.paymentId);
+    const amounts = await this.calculateRefundAmount(entry, payment);
+
+    return {
+      userId: entry.userId,
+      // Refunds go back to the Pi account that paid, not to the uid on the user profile
+      piUid: (payment && payment.piUid) || null,
+      lotteryInstanceId: entry.lotteryInstanceId,
+      lotteryTypeId: entry.lotteryTypeId || null,
+      entryId: entry.id,
+      paymentId: entry.paymentId,
+      ticketCount: amounts.ticketCount,
+      entryFee: amounts.entryFee,
+      paidAmount: amounts.paidAmount,
+      refundAmount: amounts.refundAmount,
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: admin.firestore.FieldValue.serverTimestamp(),
+      reason,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+  }
+
+  /**
+   * Get the payment transaction recorded for a Pi payment, or null
+   */
+  async getPaymentTransaction(paymentId) {
+    if (!paymentId) {
+      return null;
+    }
+
+    const transactionSnapshot = await this.db.collection('payment_transactions')
+      .where('paymentId', '==', paymentId)
+      .limit(1)
+      .get();
+
+    return transactionSnapshot.empty ? null : transactionSnapshot.docs[0].data();
+  }
+
+  /**
+   * Work out what an entry paid: ticket count times the lottery type's entry fee,
+   * capped at the amount of its payment transaction when there is one.
+   */
+  async calculateRefundAmount(entry, payment = null) {
+    const ticketCount = entry.ticketCount || 1;
+
+    let lotteryTypeId = entry.lotteryTypeId;
+    if (!lotteryTypeId) {
+      const instanceDoc = await this.db.collection('lottery_instances').doc(entry.lotteryInstanceId).get();
+      lotteryTypeId = instanceDoc.exists ? instanceDoc.data().lotteryTypeId : null;
+    }
+
+    const typeDoc = lotteryTypeId ? await this.db.collection('lottery_types').doc(lotteryTypeId).get() : null;
+    const entryFee = typeDoc && typeDoc.exists ? Number(typeDoc.data().entryFee) || 0 : 0;
+
+    const paidAmount = payment ? Number(payment.amount) : null;
+
+    let refundAmount = ticketCount * entryFee;
+    if (paidAmount !== null && paidAmount < refundAmount) {
+      refundAmount = paidAmount;
+    }
+
+    if (!(refundAmount > 0)) {
+      throw new Error(`Could not determine refund amount for entry ${entry.id}`);
+    }
+
+    return {
+      ticketCount,
+      entryFee,
+      paidAmount,
+      refundAmount: Math.round(refundAmount * 1e7) / 1e7
+    };
+  }
+
+  /**
+   * Send (or resume) the Pi payment for a refund
+   */
+  async processRefund(refundId) {
+    try {
+      const refundRef = this.db.collection(this.collection).doc(refundId);
+      const refundDoc = await refundRef.get();
+
+      if (!refundDoc.exists) {
+        throw new Error(`Refund ${refundId} not found`);
+      }
+
+      const refund = refundDoc.data();
+      const uid = await this.getPayerUid(refund);
+
+      const result = await a2uPaymentProcessor.send(refundRef, {
+        uid,
+        amount: refund.refundAmount,
+        memo: 'Pi Lottery refund - lottery cancelled',
+        metadata: {
+          type: 'refund',
+          refundId,
+          lotteryInstanceId: refund.lotteryInstanceId,
+          entryId: refund.entryId
+        }
+      });
+
+      if (result.success) {
+        await this.db.collection('user_entries').doc(refund.entryId).update({
+          status: 'refunded',
+          refundStatus: 'completed',
+          refundTxid: result.txid,
+          refundedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        await eventBus.publish(EVENTS.REFUND_ISSUED, {
+          refundId,
+          userId: refund.userId,
+          lotteryInstanceId: refund.lotteryInstanceId,
+          lotteryTypeId: refund.lotteryTypeId,
+          entryId: refund.entryId,
+          amount: refund.refundAmount,
+          reason: refund.reason,
+          txid: result.txid
+        });
+      } else if (!result.skipped && !result.willRetry) {
+        await this.db.collection('user_entries').doc(refund.entryId).update({
+          refundStatus: 'requires_attention'
+        });
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Failed to process refund ${refundId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pi uid a refund is paid to: the account that made the payment. Transactions recorded before
+   * the payer was stored are looked up on the Pi payment itself.
+   */
+  async getPayerUid(refund) {
+    if (refund.piUid) {
+      return refund.piUid;
+    }
+
+    if (!refund.paymentId) {
+      return null;
+    }
+
+    const payment = await piNetworkConfig.getPayment(refund.paymentId);
+    return (payment && payment.user_uid) || null;
+  }
+
+  /**
+   * Create the refunds for every paid entry of a cancelled lottery, then send them
+   */
+  async refundEntries(entries, reason) {
+    const { refundIds, failed } = await this.createRefunds(entries, reason);
+    const results = { created: refundIds.length, completed: 0, failed };
+
+    for (const refundId of refundIds) {
+      try {
+        const outcome = await this.processRefund(refundId);
+        if (outcome.success) {
+          results.completed++;
+        } else if (!outcome.skipped) {
+          results.failed++;
+        }
+      } catch (error) {
+        results.failed++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Retry refunds that are pending, failed or were interrupted mid-payment
+   */
+  async processPendingRefunds() {
+    try {
+      const dueRefunds = await a2uPaymentProcessor.getDuePayouts(this.collection, this.batchSize);
+      const results = { processed: 0, completed: 0, failed: 0 };
+
+      for (const doc of dueRefunds) {
+        results.processed++;
+        try {
+          const outcome = await this.processRefund(doc.id);
+          if (outcome.success) {
+            results.completed++;
+          } else if (!outcome.skipped) {
+            results.failed++;
+          }
+        } catch (error) {
+          results.failed++;
+        }
+      }
+
+      logger.info(`Refund retry run: ${results.completed}/${results.processed} completed`);
+
+      return results;
+    } catch (error) {
+      logger.error('Failed to process pending refunds:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Requeue a refund that ran out of retries
+   */
+  async retryRefund(refundId, adminId) {
+    try {
+      const refundRef = this.db.collection(this.collection).doc(refundId);
+      const refundDoc = await refundRef.get();
+
+      if (!refundDoc.exists) {
+        throw new Error(`Refund ${refundId} not found`);
+      }
+
+      if (refundDoc.data().status !== 'requires_attention') {
+        throw new Error(`Refund ${refundId} is ${refundDoc.data().status}, cannot retry`);
+      }
+
+      await a2uPaymentProcessor.resetPayout(refundRef, adminId);
+
+      return await this.processRefund(refundId);
+    } catch (error) {
+      logger.error(`Failed to retry refund ${refundId}:`, error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RefundProcessor();
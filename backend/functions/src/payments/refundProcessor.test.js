@@ -0,0 +1,140 @@
+jest.mock('../utils/logger');
+
+const admin = require('firebase-admin');
+const piNetworkConfig = require('../config/piNetwork');
+const StubPiPlatformClient = require('../config/piNetworkStub');
+const a2uPaymentProcessor = require('./a2uPaymentProcessor');
+const refundProcessor = require('./refundProcessor');
+const { eventBus, EVENTS } = require('../events/eventBus');
+
+const db = admin.firestore();
+
+describe('refundProcessor', () => {
+  let piClient;
+
+  beforeEach(async () => {
+    admin.__reset();
+    piClient = new StubPiPlatformClient();
+    piNetworkConfig.setClient(piClient);
+    a2uPaymentProcessor.settings = { appWalletAddress: 'GAPPWALLET' };
+
+    await db.collection('lottery_types').doc('daily_pi').set({ entryFee: 1 });
+    await db.collection('lottery_instances').doc('daily_1').set({ lotteryTypeId: 'daily_pi' });
+  });
+
+  afterEach(() => {
+    eventBus.clear();
+  });
+
+  describe('calculateRefundAmount', () => {
+    const entry = { id: 'entry_1', lotteryInstanceId: 'daily_1', lotteryTypeId: 'daily_pi', ticketCount: 3 };
+
+    it('refunds the entry fee for each ticket', async () => {
+      const amounts = await refundProcessor.calculateRefundAmount(entry, { amount: 3 });
+      expect(amounts).toEqual({ ticketCount: 3, entryFee: 1, paidAmount: 3, refundAmount: 3 });
+    });
+
+    it('never refunds more than the payment', async () => {
+      const amounts = await refundProcessor.calculateRefundAmount(entry, { amount: 1.5 });
+      expect(amounts.refundAmount).toBe(1.5);
+    });
+
+    it('ignores a payment larger than the tickets cost', async () => {
+      const amounts = await refundProcessor.calculateRefundAmount(entry, { amount: 50 });
+      expect(amounts.refundAmount).toBe(3);
+    });
+
+    it('uses the fee when the payment is not recorded', async () => {
+      const amounts = await refundProcessor.calculateRefundAmount(entry);
+      expect(amounts.paidAmount).toBeNull();
+      expect(amounts.refundAmount).toBe(3);
+    });
+
+    it('finds the lottery type through the instance for older entries', async () => {
+      const olderEntry = { ...entry, lotteryTypeId: undefined };
+      const amounts = await refundProcessor.calculateRefundAmount(olderEntry, { amount: 3 });
+      expect(amounts.refundAmount).toBe(3);
+    });
+
+    it('rounds to the smallest Pi unit', async () => {
+      await db.collection('lottery_types').doc('daily_pi').set({ entryFee: 0.1 });
+
+      const amounts = await refundProcessor.calculateRefundAmount(entry, { amount: 1 });
+      expect(amounts.refundAmount).toBe(0.3);
+    });
+
+    it('refuses an entry whose amount cannot be worked out', async () => {
+      await expect(refundProcessor.calculateRefundAmount({ ...entry, lotteryTypeId: 'retired' }, { amount: 3 }))
+        .rejects.toThrow('Could not determine refund amount for entry entry_1');
+    });
+  });
+
+  describe('refundEntries', () => {
+    beforeEach(async () => {
+      await db.collection('payment_transactions').doc('tx_1').set({
+        paymentId: 'pay_1',
+        piUid: 'pi_payer',
+        amount: 2
+      });
+      await db.collection('user_entries').doc('entry_1').set({ status: 'confirmed' });
+    });
+
+    const entry = {
+      id: 'entry_1',
+      userId: 'user_1',
+      lotteryInstanceId: 'daily_1',
+      lotteryTypeId: 'daily_pi',
+      paymentId: 'pay_1',
+      ticketCount: 3
+    };
+
+    it('pays the capped amount back to the Pi account that paid', async () => {
+      const issued = jest.fn();
+      eventBus.subscribe(EVENTS.REFUND_ISSUED, issued, 'test:refundIssued');
+
+      const results = await refundProcessor.refundEntries([entry], 'Lottery cancelled');
+
+      const [payment] = Array.from(piClient.payments.values());
+      const refund = (await db.collection('refunds').doc('entry_1').get()).data();
+      const userEntry = (await db.collection('user_entries').doc('entry_1').get()).data();
+
+      expect(results).toEqual({ created: 1, completed: 1, failed: 0 });
+      expect(payment).toMatchObject({ user_uid: 'pi_payer', amount: 2, direction: 'app_to_user' });
+      expect(payment.status.developer_completed).toBe(true);
+      expect(refund.status).toBe('completed');
+      expect(userEntry).toMatchObject({ status: 'refunded', refundStatus: 'completed' });
+      expect(issued).toHaveBeenCalledTimes(1);
+      expect(issued.mock.calls[0][0].payload).toMatchObject({ refundId: 'entry_1', amount: 2 });
+    });
+
+    it('records one refund per entry however often it runs', async () => {
+      await refundProcessor.createRefunds([entry], 'Lottery cancelled');
+      await refundProcessor.createRefunds([entry], 'Lottery cancelled');
+
+      const refunds = await db.collection('refunds').get();
+      expect(refunds.size).toBe(1);
+    });
+
+    it('looks the payer up on the Pi payment when the transaction has no uid', async () => {
+      await db.collection('payment_transactions').doc('tx_1').update({ piUid: null });
+      piClient.addUserPayment({ identifier: 'pay_1', uid: 'pi_from_payment', amount: 2 });
+
+      await refundProcessor.refundEntries([entry], 'Lottery cancelled');
+
+      const refundPayment = Array.from(piClient.payments.values())
+        .find((payment) => payment.direction === 'app_to_user');
+      expect(refundPayment.user_uid).toBe('pi_from_payment');
+    });
+
+    it('keeps the refund for a retry when the Pi payment fails', async () => {
+      piClient.failNext('createA2UPayment', 'Pi Platform unavailable');
+
+      const results = await refundProcessor.refundEntries([entry], 'Lottery cancelled');
+      const refund = (await db.collection('refunds').doc('entry_1').get()).data();
+
+      expect(results.failed).toBe(1);
+      expect(refund.status).toBe('failed');
+      expect(refund.attempts).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * Silent logger for the jest tests: jest.mock('../utils/logger') swaps it in for the real one,
+ * which writes to Firestore and is an ES module.
+ */
+const logger = {
+  debug: jest.fn(),
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  fatal: jest.fn(),
+  logApiRequest: jest.fn(),
+  logLotteryOperation: jest.fn(),
+  logPaymentOperation: jest.fn(),
+  logSecurityEvent: jest.fn(),
+  logPerformance: jest.fn(),
+  logUserAction: jest.fn(),
+  logAdminAction: jest.fn(),
+  logAnalytics: jest.fn(),
+  startTimer: jest.fn(() => jest.fn())
+};
+
+module.exports = {
+  logger,
+  ...logger,
+  default: logger
+};
@@ -43,6 +43,8 @@ export const LOTTERY = {
   
   STATUS: {
     ACTIVE: 'active',
+    FROZEN: 'frozen',
+    DRAWING: 'drawing',
     COMPLETED: 'completed',
     CANCELLED: 'cancelled',
     EXTENDED: 'extended',
@@ -64,6 +66,7 @@ export const LOTTERY = {
       minParticipants: 5,
       drawFrequency: 24,
       scheduledTime: '20:00',
+      timezone: 'UTC',
       isEnabled: true,
       extensionHours: 24,
       maxExtensions: 3
@@ -76,6 +79,7 @@ export const LOTTERY = {
       minParticipants: 10,
       drawFrequency: 24,
       scheduledTime: '21:00',
+      timezone: 'UTC',
       isEnabled: true,
       extensionHours: 24,
       maxExtensions: 2
@@ -88,6 +92,7 @@ export const LOTTERY = {
       minParticipants: 20,
       drawFrequency: 168,
       scheduledTime: 'sunday_18:00',
+      timezone: 'UTC',
       isEnabled: true,
       extensionHours: 48,
       maxExtensions: 2
@@ -100,6 +105,7 @@ export const LOTTERY = {
       minParticipants: 30,
       drawFrequency: 720,
       scheduledTime: 'last_day_21:00',
+      timezone: 'UTC',
       isEnabled: false,
       extensionHours: 72,
       maxExtensions: 1
@@ -152,10 +158,13 @@ export const PRIZE_STRUCTURES = {
 // Winner Status Constants
 export const WINNER_STATUS = {
   PENDING: 'pending',
+  PENDING_APPROVAL: 'pending_approval',
   APPROVED: 'approved',
+  PAID: 'paid',
   TRANSFERRED: 'transferred',
   FAILED: 'failed',
-  CANCELLED: 'cancelled'
+  CANCELLED: 'cancelled',
+  ROLLED_OVER: 'rolled_over'
 };
 
 // Payment Constants
@@ -246,6 +255,16 @@ export const SECURITY = {
     ALGORITHM: 'aes-256-gcm',
     KEY_LENGTH: 32,
     IV_LENGTH: 16
+  },
+
+  TOTP: {
+    ISSUER: 'Pi Lottery',
+    STEP_MS: 30000,
+    DRIFT_STEPS: 1,
+    FRESH_WINDOW: 600000, // 10 minutes: sensitive actions need a verification this recent
+    RECOVERY_CODES: 10,
+    MAX_FAILED_ATTEMPTS: 5,
+    LOCKOUT_DURATION: 900000 // 15 minutes
   }
 };
 
@@ -310,17 +329,36 @@ export const HTTP_STATUS = {
 export const COLLECTIONS = {
   USERS: 'users',
   ADMIN_USERS: 'admin_users',
+  ADMIN_MFA: 'admin_mfa',
   LOTTERY_TYPES: 'lottery_types',
   LOTTERY_INSTANCES: 'lottery_instances',
   USER_ENTRIES: 'user_entries',
   LOTTERY_WINNERS: 'lottery_winners',
+  PRIZE_TRANSFERS: 'prize_transfers',
+  REFUNDS: 'refunds',
+  JACKPOT_ROLLOVERS: 'jackpot_rollovers',
+  DRAWING_SEEDS: 'drawing_seeds',
+  DRAWING_SNAPSHOTS: 'drawing_snapshots',
   PAYMENT_TRANSACTIONS: 'payment_transactions',
   USER_TICKET_LIMITS: 'user_ticket_limits',
   AD_COMPLETIONS: 'ad_completions',
   ADMIN_LOGS: 'admin_logs',
   SYSTEM_CONFIG: 'system_config',
   ERROR_LOGS: 'error_logs',
-  PERFORMANCE_METRICS: 'performance_metrics'
+  PERFORMANCE_METRICS: 'performance_metrics',
+  NOTIFICATIONS: 'notifications',
+  NOTIFICATION_PREFERENCES: 'user_notification_preferences',
+  EMAIL_DELIVERIES: 'email_deliveries',
+  EMAIL_SUPPRESSIONS: 'email_suppressions',
+  PUSH_SUBSCRIPTIONS: 'push_subscriptions',
+  REPORT_SUBSCRIPTIONS: 'report_subscriptions',
+  REPORT_RUNS: 'report_runs',
+  SYSTEM_BACKUPS: 'system_backups',
+  SYSTEM_RESTORES: 'system_restores',
+  RISK_ASSESSMENTS: 'risk_assessments',
+  RISK_FINGERPRINTS: 'risk_fingerprints',
+  REVIEW_CASES: 'review_cases',
+  HELD_ENTRIES: 'held_entries'
 };
 
 // Time Constants
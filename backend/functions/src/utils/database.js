@@ -566,7 +566,7 @@ class LotteryQueries extends DatabaseManager {
    */
   async getRecentWinners(limit = DEFAULTS.PAGE_SIZE) {
     return await this.queryDocuments(COLLECTIONS.LOTTERY_WINNERS, [
-      { field: 'status', operator: '==', value: 'transferred' }
+      { field: 'status', operator: 'in', value: ['transferred', 'paid'] }
     ], {
       orderBy: 'createdAt',
       orderDirection: 'desc',
@@ -17,10 +17,6 @@ class SecurityManager {
     this.jwtSecret = process.env.JWT_SECRET || this.generateSecureKey();
     this.encryptionKey = process.env.ENCRYPTION_KEY || this.generateEncryptionKey();
     this.saltRounds = 12;
-    this.rateLimitStore = new Map();
-    
-    // Initialize rate limiting cleanup
-    this.startRateLimitCleanup();
   }
 
   /**
@@ -208,7 +204,7 @@ class SecurityManager {
       const encryptionKey = key || Buffer.from(this.encryptionKey, 'base64');
       const iv = crypto.randomBytes(SECURITY.ENCRYPTION.IV_LENGTH);
       
-      const cipher = crypto.createCipher(SECURITY.ENCRYPTION.ALGORITHM, encryptionKey);
+      const cipher = crypto.createCipheriv(SECURITY.ENCRYPTION.ALGORITHM, encryptionKey, iv);
       cipher.setAAD(Buffer.from('pi-lottery-platform'));
       
       let encrypted = cipher.update(text, 'utf8', 'hex');
@@ -238,7 +234,11 @@ class SecurityManager {
       const { encrypted, iv, authTag } = encryptedData;
       const decryptionKey = key || Buffer.from(this.encryptionKey, 'base64');
       
-      const decipher = crypto.createDecipher(SECURITY.ENCRYPTION.ALGORITHM, decryptionKey);
+      const decipher = crypto.createDecipheriv(
+        SECURITY.ENCRYPTION.ALGORITHM,
+        decryptionKey,
+        Buffer.from(iv, 'hex')
+      );
       decipher.setAuthTag(Buffer.from(authTag, 'hex'));
       decipher.setAAD(Buffer.from('pi-lottery-platform'));
       
@@ -316,59 +316,6 @@ class SecurityManager {
     );
   }
 
-  /**
-   * Rate limiting check
-   * @param {string} identifier - Client identifier (IP, user ID, etc.)
-   * @param {number} maxRequests - Maximum requests per window
-   * @param {number} windowMs - Time window in milliseconds
-   * @returns {Object} Rate limit result
-   */
-  checkRateLimit(identifier, maxRequests = SECURITY.RATE_LIMITING.MAX_REQUESTS_PER_MINUTE, windowMs = SECURITY.RATE_LIMITING.WINDOW_SIZE) {
-    const now = Date.now();
-    const key = `${identifier}:${Math.floor(now / windowMs)}`;
-    
-    if (!this.rateLimitStore.has(key)) {
-      this.rateLimitStore.set(key, { count: 0, resetTime: now + windowMs });
-    }
-    
-    const record = this.rateLimitStore.get(key);
-    record.count++;
-    
-    const isLimited = record.count > maxRequests;
-    const remainingRequests = Math.max(0, maxRequests - record.count);
-    const resetTime = record.resetTime;
-    
-    if (isLimited) {
-      logger.warn('Rate limit exceeded', { 
-        identifier, 
-        count: record.count, 
-        maxRequests,
-        resetTime 
-      });
-    }
-    
-    return {
-      isLimited,
-      remainingRequests,
-      resetTime,
-      retryAfter: isLimited ? Math.ceil((resetTime - now) / 1000) : 0
-    };
-  }
-
-  /**
-   * Clean up expired rate limit entries
-   */
-  startRateLimitCleanup() {
-    setInterval(() => {
-      const now = Date.now();
-      for (const [key, record] of this.rateLimitStore.entries()) {
-        if (now > record.resetTime) {
-          this.rateLimitStore.delete(key);
-        }
-      }
-    }, 60000); // Clean up every minute
-  }
-
   /**
    * Sanitize input to prevent injection attacks
    * @param {string} input - User input
@@ -518,16 +465,26 @@ class SecurityManager {
   }
 
   /**
-   * Time-based one-time password (TOTP) generation
-   * @param {string} secret - TOTP secret
-   * @param {number} window - Time window
+   * Generate a TOTP secret
+   * @param {number} bytes - Secret length in bytes (20 is the RFC 4226 recommendation)
+   * @returns {string} Base32 encoded secret
+   */
+  generateTOTPSecret(bytes = 20) {
+    return this.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  /**
+   * Time-based one-time password (TOTP) generation (RFC 6238, SHA-1, 6 digits, 30 second steps)
+   * @param {string} secret - Base32 encoded TOTP secret
+   * @param {number} window - Time step counter
    * @returns {string} TOTP
    */
-  generateTOTP(secret, window = Math.floor(Date.now() / 30000)) {
+  generateTOTP(secret, window = Math.floor(Date.now() / SECURITY.TOTP.STEP_MS)) {
     const buffer = Buffer.alloc(8);
-    buffer.writeUInt32BE(window, 4);
+    buffer.writeUInt32BE(Math.floor(window / 0x100000000), 0);
+    buffer.writeUInt32BE(window % 0x100000000, 4);
     
-    const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'base32'));
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret));
     hmac.update(buffer);
     const hash = hmac.digest();
     
@@ -540,6 +497,99 @@ class SecurityManager {
     return (code % 1000000).toString().padStart(6, '0');
   }
 
+  /**
+   * Check a TOTP against the current time step and its neighbours (clock drift)
+   * @param {string} secret - Base32 encoded TOTP secret
+   * @param {string} token - Code entered by the user
+   * @param {number} drift - Steps accepted on either side
+   * @param {number} now - Time in milliseconds
+   * @returns {number|null} Matching time step, or null. Callers store it to reject replays.
+   */
+  verifyTOTP(secret, token, drift = SECURITY.TOTP.DRIFT_STEPS, now = Date.now()) {
+    const code = String(token || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(code)) {
+      return null;
+    }
+
+    const current = Math.floor(now / SECURITY.TOTP.STEP_MS);
+    for (let step = current - drift; step <= current + drift; step++) {
+      if (this.constantTimeEqual(this.generateTOTP(secret, step), code)) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the otpauth:// URI that authenticator apps read from a QR code
+   * @param {string} secret - Base32 encoded TOTP secret
+   * @param {string} account - Account label, usually the email
+   * @param {string} issuer - Service name shown in the app
+   * @returns {string} otpauth URI
+   */
+  buildOtpAuthUrl(secret, account, issuer = SECURITY.TOTP.ISSUER) {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: '6', period: '30' });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * RFC 4648 base32 encoding without padding
+   * @param {Buffer} buffer - Data to encode
+   * @returns {string} Base32 string
+   */
+  base32Encode(buffer) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += alphabet[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += alphabet[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * RFC 4648 base32 decoding (case-insensitive, padding and spaces ignored)
+   * @param {string} input - Base32 string
+   * @returns {Buffer} Decoded data
+   */
+  base32Decode(input) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const clean = String(input).toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+      const index = alphabet.indexOf(char);
+      if (index === -1) {
+        throw new CustomError('Invalid base32 character', ERROR_CODES.INVALID_FORMAT);
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
   /**
    * Constant-time string comparison
    * @param {string} a - First string
@@ -577,7 +627,6 @@ export const {
   hashSHA256,
   createHMAC,
   verifyHMAC,
-  checkRateLimit,
   sanitizeInput,
   validateEmail,
   validatePiAmount,
@@ -588,7 +637,10 @@ export const {
   maskSensitiveData,
   validateWebhookSignature,
   generateOTP,
+  generateTOTPSecret,
   generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUrl,
   constantTimeEqual
 } = security;
 
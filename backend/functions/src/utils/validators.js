@@ -715,10 +715,22 @@ export function sanitizeAndValidate(data, schema) {
     } else if (rules.type === 'piAmount') {
       fieldValidator = fieldValidator.piAmount(value, field);
       cleanedData[field] = value !== null && value !== undefined ? Number(value) : value;
+    } else if (rules.type === 'array') {
+      fieldValidator = fieldValidator.array(value, field, rules.options);
+      cleanedData[field] = value;
+    } else if (rules.type === 'boolean' || rules.type === 'object') {
+      if (value !== null && value !== undefined && (typeof value !== rules.type || Array.isArray(value))) {
+        fieldValidator.addError(field, `Must be a ${rules.type}`, value);
+      }
+      cleanedData[field] = value;
     } else {
       cleanedData[field] = value;
     }
     
+    if (rules.enum) {
+      fieldValidator = fieldValidator.enum(value, field, rules.enum);
+    }
+    
     if (rules.custom) {
       fieldValidator = fieldValidator.custom(value, field, rules.custom);
     }
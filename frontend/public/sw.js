@@ -0,0 +1,55 @@
+/* Pi Lottery service worker: shows Web Push notifications sent by the backend */
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { body: event.data ? event.data.text() : '' };
+  }
+
+  const title = payload.title || 'Pi Lottery';
+
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: payload.body || 'You have a new notification.',
+      icon: '/icon-192x192.png',
+      badge: '/badge-72x72.png',
+      tag: payload.tag,
+      data: { url: payload.url || '/notifications', type: payload.type },
+      requireInteraction: payload.priority === 'high'
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/notifications', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find(client => client.url.startsWith(self.location.origin));
+      if (existing) {
+        return existing.navigate(url).then(client => (client || existing).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
+
+// The browser rotated the subscription: open app windows register the new one
+self.addEventListener('pushsubscriptionchange', (event) => {
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window' }).then((windows) => {
+      windows.forEach(client => client.postMessage({ type: 'pushsubscriptionchange' }));
+    })
+  );
+});
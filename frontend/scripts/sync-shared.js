@@ -0,0 +1,81 @@
+/**
+ * Copy the dependency-free modules the frontend shares with the backend into src/.
+ *
+ * The backend files are the single source; Create React App cannot import outside src/, so
+ * each one is copied with its CommonJS export rewritten as ES module exports.
+ *
+ *   node scripts/sync-shared.js          write the copies
+ *   node scripts/sync-shared.js --check  fail if a copy differs from its source
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+const SHARED_MODULES = [
+  {
+    source: 'backend/functions/src/lottery/drawingVerifier.js',
+    target: 'frontend/src/utils/drawingVerifier.js'
+  },
+  {
+    source: 'backend/functions/src/lottery/drawSchedule.js',
+    target: 'frontend/src/utils/drawSchedule.js'
+  }
+];
+
+/**
+ * Build the frontend copy of a backend module
+ */
+function toEsModule(sourcePath, code) {
+  const match = code.match(/\nmodule\.exports = \{([^}]*)\};\s*$/);
+  if (!match) {
+    throw new Error(`${sourcePath} must end with a single module.exports = { ... } object`);
+  }
+
+  const names = match[1].trim();
+  const header = `// Generated from ${sourcePath} by frontend/scripts/sync-shared.js. Do not edit.\n\n`;
+
+  return header +
+    code.slice(0, match.index) +
+    `\nexport {\n  ${names}\n};\n\nexport default {\n  ${names}\n};\n`;
+}
+
+/**
+ * Write or check every shared module
+ * @returns {string[]} targets that are missing or out of date
+ */
+function syncSharedModules(check) {
+  const stale = [];
+
+  for (const { source, target } of SHARED_MODULES) {
+    const expected = toEsModule(source, fs.readFileSync(path.join(ROOT, source), 'utf8'));
+    const targetPath = path.join(ROOT, target);
+    const current = fs.existsSync(targetPath) ? fs.readFileSync(targetPath, 'utf8') : null;
+
+    if (current === expected) {
+      continue;
+    }
+
+    stale.push(target);
+    if (!check) {
+      fs.writeFileSync(targetPath, expected);
+    }
+  }
+
+  return stale;
+}
+
+if (require.main === module) {
+  const check = process.argv.includes('--check');
+  const stale = syncSharedModules(check);
+
+  if (check && stale.length > 0) {
+    console.error(`Out of date with the backend (run npm run sync:shared): ${stale.join(', ')}`);
+    process.exit(1);
+  }
+
+  stale.forEach(target => console.log(`Updated ${target}`));
+}
+
+module.exports = { syncSharedModules };
@@ -4,9 +4,11 @@ import {
   CheckCircle, AlertCircle, Clock, Award, Eye,
   Maximize, Minimize, RotateCcw, Zap
 } from 'lucide-react';
+import adService from '../services/adService';
 
 const AdWatchModal = ({ 
   lotteryType, 
+  userId,
   onComplete, 
   onCancel, 
   isProcessing = false,
@@ -18,10 +20,11 @@ const AdWatchModal = ({
   const [isMuted, setIsMuted] = useState(false);
   const [adProgress, setAdProgress] = useState(0);
   const [canSkip, setCanSkip] = useState(false);
+  const [adSession, setAdSession] = useState(null);
   const [verification, setVerification] = useState({
+    challengeId: null,
     question: '',
     options: [],
-    correctAnswer: '',
     userAnswer: ''
   });
   const [adNetwork, setAdNetwork] = useState('Demo Ad Network');
@@ -37,9 +40,17 @@ const AdWatchModal = ({
     if (lotteryType) {
       setRewardAmount(lotteryType.adValue || 0.001);
     }
-    generateVerificationQuestion();
   }, [lotteryType]);
 
+  useEffect(() => {
+    if (!videoRef.current) return;
+    if (isPlaying) {
+      videoRef.current.play().catch(() => setIsPlaying(false));
+    } else {
+      videoRef.current.pause();
+    }
+  }, [isPlaying, adSession]);
+
   useEffect(() => {
     if (adStep === 'watching' && isPlaying) {
       timerRef.current = setInterval(() => {
@@ -68,33 +79,17 @@ const AdWatchModal = ({
     return () => clearInterval(timerRef.current);
   }, [adStep, isPlaying]);
 
-  const generateVerificationQuestion = () => {
-    const questions = [
-      {
-        question: "What was the main product advertised?",
-        options: ["Smartphone", "Headphones", "Laptop", "Tablet"],
-        correctAnswer: "Headphones"
-      },
-      {
-        question: "What color was prominently featured in the ad?",
-        options: ["Red", "Blue", "Green", "Yellow"],
-        correctAnswer: "Blue"
-      },
-      {
-        question: "What was the special offer mentioned?",
-        options: ["50% off", "Buy 1 Get 1", "Free shipping", "30% off"],
-        correctAnswer: "30% off"
-      }
-    ];
-    
-    const randomQuestion = questions[Math.floor(Math.random() * questions.length)];
-    setVerification({ ...randomQuestion, userAnswer: '' });
-  };
-
-  const handleStartWatching = () => {
-    setAdStep('watching');
-    setIsPlaying(true);
-    setViewCount(prev => prev + 1);
+  const handleStartWatching = async () => {
+    try {
+      const session = await adService.startAdSession(userId);
+      setAdSession(session);
+      setAdStep('watching');
+      setIsPlaying(true);
+      setViewCount(prev => prev + 1);
+    } catch (error) {
+      setErrorMessage(error.message || 'Unable to start the ad.');
+      setAdStep('error');
+    }
   };
 
   const handlePlayPause = () => {
@@ -105,9 +100,18 @@ const AdWatchModal = ({
     setIsMuted(!isMuted);
   };
 
-  const handleAdComplete = () => {
+  const handleAdComplete = async () => {
     setIsPlaying(false);
-    setAdStep('verification');
+
+    try {
+      // The backend times the watch and issues the question; the answer never reaches the browser
+      const result = await adService.completeAdWatch(adSession);
+      setVerification({ ...result.verification, userAnswer: '' });
+      setAdStep('verification');
+    } catch (error) {
+      setErrorMessage(error.message || 'Unable to load the verification question.');
+      setAdStep('error');
+    }
   };
 
   const handleSkipAd = () => {
@@ -116,22 +120,35 @@ const AdWatchModal = ({
     }
   };
 
-  const handleVerificationSubmit = () => {
-    if (verification.userAnswer === verification.correctAnswer) {
-      setAdStep('success');
-      setTimeout(() => {
-        const adData = {
-          completionId: `ad_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          network: adNetwork,
-          watchDuration: 30,
-          rewardAmount: rewardAmount,
-          verification: true,
-          timestamp: new Date().toISOString()
-        };
-        onComplete(adData);
-      }, 2000);
-    } else {
-      setErrorMessage('Incorrect answer. Please watch the ad more carefully.');
+  const handleVerificationSubmit = async () => {
+    try {
+      const result = await adService.verifyAdCompletion(
+        adSession,
+        verification.challengeId,
+        verification.userAnswer
+      );
+
+      if (result.verified) {
+        setAdStep('success');
+        setTimeout(() => {
+          const adData = {
+            completionId: result.reward.completionId,
+            sessionId: adSession.sessionId,
+            challengeId: result.challengeId,
+            network: adNetwork,
+            watchDuration: 30,
+            rewardAmount: rewardAmount,
+            verification: true,
+            timestamp: new Date().toISOString()
+          };
+          onComplete(adData);
+        }, 2000);
+      } else {
+        setErrorMessage(result.reason || 'Incorrect answer. Please watch the ad more carefully.');
+        setAdStep('error');
+      }
+    } catch (error) {
+      setErrorMessage(error.message || 'Verification failed. Please try again.');
       setAdStep('error');
     }
   };
@@ -143,7 +160,16 @@ const AdWatchModal = ({
     setIsPlaying(false);
     setCanSkip(false);
     setErrorMessage('');
-    generateVerificationQuestion();
+    setAdSession(null);
+    setVerification({ challengeId: null, question: '', options: [], userAnswer: '' });
+  };
+
+  const handleCancel = () => {
+    // Release the server session so it does not linger until it expires
+    if (adSession && adStep === 'watching') {
+      adService.cancelAdSession(adSession.sessionId).catch(() => {});
+    }
+    onCancel();
   };
 
   const handleFullscreenToggle = () => {
@@ -214,7 +240,7 @@ const AdWatchModal = ({
       {/* Action Buttons */}
       <div className="flex space-x-3">
         <button
-          onClick={onCancel}
+          onClick={handleCancel}
           className="flex-1 py-3 px-4 bg-white/10 hover:bg-white/20 border border-white/20 rounded-xl transition-all duration-300 font-medium"
         >
           Cancel
@@ -232,17 +258,23 @@ const AdWatchModal = ({
 
   const renderWatchingStep = () => (
     <div className="space-y-4">
-      {/* Video Player Simulation */}
+      {/* Creative chosen by the backend for this session; the verification question is about it */}
       <div className={`relative bg-black rounded-xl overflow-hidden ${isFullscreen ? 'h-80' : 'h-48'}`}>
-        <div className="absolute inset-0 bg-gradient-to-br from-purple-600 to-blue-600 flex items-center justify-center">
-          <div className="text-center text-white">
-            <div className="w-16 h-16 bg-white/20 rounded-full flex items-center justify-center mx-auto mb-4">
-              <Zap className="w-8 h-8" />
+        {adSession?.mediaUrl ? (
+          <video
+            ref={videoRef}
+            src={adSession.mediaUrl}
+            muted={isMuted}
+            playsInline
+            className="absolute inset-0 w-full h-full object-contain"
+          />
+        ) : (
+          <div className="absolute inset-0 bg-gradient-to-br from-purple-600 to-blue-600 flex items-center justify-center">
+            <div className="w-16 h-16 bg-white/20 rounded-full flex items-center justify-center">
+              <Zap className="w-8 h-8 text-white" />
             </div>
-            <h4 className="text-xl font-bold mb-2">Demo Advertisement</h4>
-            <p className="text-sm opacity-80">Premium Wireless Headphones - 30% Off!</p>
           </div>
-        </div>
+        )}
         
         {/* Video Controls Overlay */}
         <div className="absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/80 to-transparent p-4">
@@ -447,7 +479,7 @@ const AdWatchModal = ({
 
       <div className="flex space-x-3">
         <button
-          onClick={onCancel}
+          onClick={handleCancel}
           className="flex-1 py-3 px-4 bg-white/10 hover:bg-white/20 border border-white/20 rounded-xl transition-all duration-300 font-medium"
         >
           Cancel
@@ -473,7 +505,7 @@ const AdWatchModal = ({
           </div>
           {adStep !== 'watching' && !isProcessing && (
             <button
-              onClick={onCancel}
+              onClick={handleCancel}
               className="p-2 hover:bg-white/10 rounded-lg transition-all duration-300"
             >
               <X className="w-5 h-5 text-gray-400" />
@@ -9,6 +9,7 @@ import { useAdmin } from '../hooks/useAdmin';
 import LoadingSpinner from './LoadingSpinner';
 import ConfirmationModal from './ConfirmationModal';
 import ErrorBoundary from './ErrorBoundary';
+import ReviewQueue from './ReviewQueue';
 
 const AdminPanel = () => {
   const { admin, loading, signIn, signOut, isAdmin, hasPermission } = useAdminAuth();
@@ -20,6 +21,7 @@ const AdminPanel = () => {
     updatePlatformConfig,
     approvePrize,
     generateReport,
+    exportReport,
     getSystemLogs
   } = useAdmin();
   
@@ -32,6 +34,7 @@ const AdminPanel = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [reportType, setReportType] = useState('revenue');
   const [dateRange, setDateRange] = useState('30');
+  const [reportFormat, setReportFormat] = useState('json');
 
   // Configuration state management
   const [configChanges, setConfigChanges] = useState({});
@@ -112,6 +115,15 @@ const AdminPanel = () => {
 
   const handleGenerateReport = async () => {
     try {
+      if (reportFormat !== 'json') {
+        const file = await exportReport(reportType, dateRange, reportFormat);
+        const a = document.createElement('a');
+        a.href = file.url;
+        a.download = file.fileName;
+        a.click();
+        return;
+      }
+
       const report = await generateReport(reportType, dateRange);
       // Trigger download
       const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' });
@@ -189,6 +201,7 @@ const AdminPanel = () => {
     { id: 'dashboard', label: 'Dashboard', icon: TrendingUp, permission: null },
     { id: 'lotteries', label: 'Lottery Management', icon: Trophy, permission: 'manage_lotteries' },
     { id: 'prizes', label: 'Prize Confirmations', icon: Check, permission: 'approve_prizes' },
+    { id: 'review', label: 'Review Queue', icon: AlertCircle, permission: 'approve_prizes' },
     { id: 'settings', label: 'System Settings', icon: Settings, permission: 'system_config' },
     { id: 'users', label: 'User Management', icon: Users, permission: 'user_management' },
     { id: 'reports', label: 'Reports', icon: BarChart3, permission: 'view_analytics' }
@@ -425,6 +438,11 @@ const AdminPanel = () => {
             </div>
           )}
 
+          {/* Review Queue Tab */}
+          {activeTab === 'review' && hasPermission('approve_prizes') && (
+            <ReviewQueue admin={admin} />
+          )}
+
           {/* Reports Tab */}
           {activeTab === 'reports' && hasPermission('view_analytics') && (
             <div className="space-y-6">
@@ -434,7 +452,7 @@ const AdminPanel = () => {
                   System Reports
                 </h3>
                 
-                <div className="grid md:grid-cols-3 gap-4 mb-6">
+                <div className="grid md:grid-cols-4 gap-4 mb-6">
                   <div>
                     <label className="block text-sm font-medium text-gray-300 mb-2">Report Type</label>
                     <select
@@ -462,6 +480,19 @@ const AdminPanel = () => {
                       <option value="365">Last year</option>
                     </select>
                   </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-2">Format</label>
+                    <select
+                      value={reportFormat}
+                      onChange={(e) => setReportFormat(e.target.value)}
+                      className="w-full px-4 py-2 bg-white/10 border border-white/20 rounded-xl text-white focus:outline-none focus:border-blue-400"
+                    >
+                      <option value="json">JSON</option>
+                      <option value="csv">CSV</option>
+                      <option value="xlsx">Excel (XLSX)</option>
+                    </select>
+                  </div>
                   
                   <div className="flex items-end">
                     <button
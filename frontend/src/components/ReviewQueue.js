@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  AlertCircle, Check, X, Clock, User, MessageSquare, ArrowUpCircle, RefreshCw
+} from 'lucide-react';
+import { adminService } from '../services/adminService';
+import LoadingSpinner from './LoadingSpinner';
+
+const STATUS_FILTERS = [
+  { id: null, label: 'Open' },
+  { id: 'escalated', label: 'Escalated' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' }
+];
+
+// "2h 15m left" or "40m overdue"
+const formatSla = (reviewCase) => {
+  const minutes = reviewCase.sla?.remainingMinutes;
+  if (minutes === null || minutes === undefined || !['open', 'escalated'].includes(reviewCase.status)) {
+    return null;
+  }
+
+  const abs = Math.abs(minutes);
+  const text = abs >= 60 ? `${Math.floor(abs / 60)}h ${abs % 60}m` : `${abs}m`;
+  return minutes < 0 ? `${text} overdue` : `${text} left`;
+};
+
+const CASE_TYPES = {
+  payment: { title: 'Held payment', badge: 'bg-purple-500/30 text-purple-300' },
+  entry: { title: 'Held entry', badge: 'bg-blue-500/30 text-blue-300' },
+  winner: { title: 'Prize approval', badge: 'bg-yellow-500/30 text-yellow-300' }
+};
+
+const EVENT_LABELS = {
+  opened: 'Case opened',
+  assigned: 'Assigned',
+  comment: 'Comment',
+  escalated: 'Escalated',
+  approved: 'Approved',
+  rejected: 'Rejected',
+  sla_breached: 'SLA breached',
+  action_failed: 'Action failed'
+};
+
+/**
+ * Admin review queue: payments and entries held by the risk engine and winners waiting for prize approval
+ */
+const ReviewQueue = ({ admin }) => {
+  const [cases, setCases] = useState([]);
+  const [statusFilter, setStatusFilter] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [mineOnly, setMineOnly] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [comment, setComment] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      const filters = {};
+      if (statusFilter) filters.status = statusFilter;
+      if (typeFilter) filters.type = typeFilter;
+      if (mineOnly) filters.assignedTo = admin?.uid;
+
+      setCases(await adminService.getReviewQueue(filters));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, typeFilter, mineOnly, admin]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const openCase = async (caseId) => {
+    setError('');
+    try {
+      setSelected(await adminService.getReviewCase(caseId));
+      setNotes('');
+      setComment('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Run a case action, then refresh the case and the list
+  const runAction = async (action) => {
+    setWorking(true);
+    setError('');
+    try {
+      await action();
+      await openCase(selected.id);
+      await loadQueue();
+    } catch (err) {
+      setError(err.details?.mfa ? 'Verify your two-factor code again to approve or reject.' : err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const isOpen = selected && ['open', 'escalated'].includes(selected.status);
+  const assignedElsewhere = selected?.assignedTo && selected.assignedTo !== admin?.uid;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-5 gap-6">
+      {/* Case list */}
+      <div className="lg:col-span-2 bg-gradient-to-br from-white/10 to-white/5 backdrop-blur-lg rounded-3xl p-6 border border-white/10">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold flex items-center">
+            <AlertCircle className="w-6 h-6 text-orange-400 mr-2" />
+            Review Queue
+          </h3>
+          <button
+            onClick={loadQueue}
+            className="p-2 hover:bg-white/10 rounded-lg transition-all duration-300"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-4">
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.label}
+              onClick={() => setStatusFilter(filter.id)}
+              className={`px-3 py-1 rounded-lg text-sm transition-all duration-300 ${
+                statusFilter === filter.id
+                  ? 'bg-blue-500/30 text-blue-300 border border-blue-500/50'
+                  : 'bg-white/5 text-gray-400 hover:bg-white/10'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-3 mb-4">
+          <select
+            value={typeFilter}
+            onChange={(e) => setTypeFilter(e.target.value)}
+            className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:border-blue-400"
+          >
+            <option value="">All types</option>
+            <option value="payment">Held payments</option>
+            <option value="entry">Held entries</option>
+            <option value="winner">Winners</option>
+          </select>
+          <label className="flex items-center space-x-2 text-sm text-gray-300">
+            <input type="checkbox" checked={mineOnly} onChange={(e) => setMineOnly(e.target.checked)} />
+            <span>Assigned to me</span>
+          </label>
+        </div>
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : cases.length === 0 ? (
+          <p className="text-gray-400 text-sm">No cases.</p>
+        ) : (
+          <div className="space-y-3">
+            {cases.map(reviewCase => {
+              const sla = formatSla(reviewCase);
+              return (
+                <button
+                  key={reviewCase.id}
+                  onClick={() => openCase(reviewCase.id)}
+                  className={`w-full text-left p-4 rounded-xl border transition-all duration-300 ${
+                    selected?.id === reviewCase.id
+                      ? 'bg-blue-500/20 border-blue-500/50'
+                      : 'bg-white/5 border-white/10 hover:bg-white/10'
+                  }`}
+                >
+                  <div className="flex items-center justify-between mb-1">
+                    <span className={`text-xs font-bold uppercase px-2 py-0.5 rounded ${
+                      CASE_TYPES[reviewCase.type]?.badge
+                    }`}>
+                      {reviewCase.type}
+                    </span>
+                    <span className="font-bold text-yellow-400">{Number(reviewCase.amount).toFixed(4)} π</span>
+                  </div>
+                  <p className="text-sm truncate">{reviewCase.reasons?.[0] || 'No reason recorded'}</p>
+                  <div className="flex items-center justify-between mt-2 text-xs text-gray-400">
+                    <span className="flex items-center">
+                      <User className="w-3 h-3 mr-1" />
+                      {reviewCase.assignedTo ? (reviewCase.assignedTo === admin?.uid ? 'You' : reviewCase.assignedTo) : 'Unassigned'}
+                    </span>
+                    {sla && (
+                      <span className={`flex items-center ${reviewCase.sla.overdue ? 'text-red-400' : ''}`}>
+                        <Clock className="w-3 h-3 mr-1" />
+                        {sla}
+                      </span>
+                    )}
+                    {reviewCase.priority === 'high' && <span className="text-orange-400">High priority</span>}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Case detail */}
+      <div className="lg:col-span-3 bg-gradient-to-br from-white/10 to-white/5 backdrop-blur-lg rounded-3xl p-6 border border-white/10">
+        {error && (
+          <div className="mb-4 p-3 bg-red-500/20 border border-red-500/30 rounded-lg text-red-300 text-sm">{error}</div>
+        )}
+
+        {!selected ? (
+          <p className="text-gray-400">Select a case to review.</p>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex items-center justify-between">
+              <div>
+                <h4 className="text-lg font-bold">{CASE_TYPES[selected.type]?.title}</h4>
+                <p className="text-sm text-gray-400">{selected.id} · user {selected.userId}</p>
+              </div>
+              <div className="text-right">
+                <p className="font-bold text-yellow-400">{Number(selected.amount).toFixed(4)} π</p>
+                <p className="text-sm text-gray-400 capitalize">
+                  {selected.status}{selected.escalationLevel > 0 ? ` (level ${selected.escalationLevel})` : ''}
+                </p>
+                {formatSla(selected) && (
+                  <p className={`text-xs ${selected.sla.overdue ? 'text-red-400' : 'text-gray-400'}`}>{formatSla(selected)}</p>
+                )}
+              </div>
+            </div>
+
+            <div>
+              <h5 className="font-medium mb-2">Reasons</h5>
+              <ul className="list-disc list-inside text-sm text-gray-300 space-y-1">
+                {(selected.reasons || []).map((reason, index) => <li key={index}>{reason}</li>)}
+              </ul>
+            </div>
+
+            <div>
+              <h5 className="font-medium mb-2">Evidence</h5>
+              <pre className="text-xs bg-black/30 rounded-lg p-3 overflow-x-auto max-h-64">
+                {JSON.stringify(selected.evidence, null, 2)}
+              </pre>
+            </div>
+
+            {isOpen && (
+              <div className="space-y-3">
+                <div className="flex flex-wrap gap-2">
+                  {selected.assignedTo !== admin?.uid && (
+                    <button
+                      disabled={working}
+                      onClick={() => runAction(() => adminService.assignReviewCase(selected.id))}
+                      className="px-4 py-2 bg-white/10 hover:bg-white/20 border border-white/20 rounded-xl text-sm"
+                    >
+                      Assign to me
+                    </button>
+                  )}
+                  {selected.assignedTo && (
+                    <button
+                      disabled={working}
+                      onClick={() => runAction(() => adminService.assignReviewCase(selected.id, null, true))}
+                      className="px-4 py-2 bg-white/10 hover:bg-white/20 border border-white/20 rounded-xl text-sm"
+                    >
+                      Unassign
+                    </button>
+                  )}
+                </div>
+
+                <textarea
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder="Decision notes (required to reject or escalate)"
+                  rows={2}
+                  className="w-full px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400 text-sm"
+                />
+
+                {assignedElsewhere && (
+                  <p className="text-xs text-orange-300">This case is assigned to another admin. Assign it to yourself to decide it.</p>
+                )}
+
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    disabled={working || assignedElsewhere}
+                    onClick={() => runAction(() => adminService.resolveReviewCase(selected.id, 'approve', notes))}
+                    className="flex items-center space-x-2 px-4 py-2 bg-gradient-to-r from-green-500 to-emerald-600 text-white rounded-xl disabled:opacity-50"
+                  >
+                    <Check className="w-4 h-4" />
+                    <span>Approve</span>
+                  </button>
+                  <button
+                    disabled={working || assignedElsewhere || !notes.trim()}
+                    onClick={() => runAction(() => adminService.resolveReviewCase(selected.id, 'reject', notes))}
+                    className="flex items-center space-x-2 px-4 py-2 bg-red-500/30 hover:bg-red-500/40 border border-red-500/40 rounded-xl disabled:opacity-50"
+                  >
+                    <X className="w-4 h-4" />
+                    <span>Reject</span>
+                  </button>
+                  <button
+                    disabled={working || !notes.trim()}
+                    onClick={() => runAction(() => adminService.escalateReviewCase(selected.id, notes))}
+                    className="flex items-center space-x-2 px-4 py-2 bg-orange-500/20 hover:bg-orange-500/30 border border-orange-500/30 rounded-xl disabled:opacity-50"
+                  >
+                    <ArrowUpCircle className="w-4 h-4" />
+                    <span>Escalate</span>
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div>
+              <h5 className="font-medium mb-2 flex items-center">
+                <MessageSquare className="w-4 h-4 mr-2" />
+                History
+              </h5>
+              <div className="space-y-2 max-h-72 overflow-y-auto">
+                {(selected.events || []).map(event => (
+                  <div key={event.id} className="p-3 bg-white/5 rounded-lg border border-white/10 text-sm">
+                    <div className="flex justify-between text-xs text-gray-400">
+                      <span>{EVENT_LABELS[event.type] || event.type} · {event.actorId === admin?.uid ? 'You' : event.actorId}</span>
+                      <span>{event.createdAt ? new Date(event.createdAt).toLocaleString() : ''}</span>
+                    </div>
+                    {event.details?.text && <p className="mt-1">{event.details.text}</p>}
+                    {(event.details?.notes || event.details?.reason || event.details?.error) && (
+                      <p className="mt-1 text-gray-300">{event.details.notes || event.details.reason || event.details.error}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex gap-2 mt-3">
+                <input
+                  type="text"
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  placeholder="Add a comment..."
+                  className="flex-1 px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-blue-400 text-sm"
+                />
+                <button
+                  disabled={working || !comment.trim()}
+                  onClick={() => runAction(() => adminService.commentOnReviewCase(selected.id, comment.trim()))}
+                  className="px-4 py-2 bg-blue-500/30 hover:bg-blue-500/40 border border-blue-500/40 rounded-xl text-sm disabled:opacity-50"
+                >
+                  Comment
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReviewQueue;
@@ -208,10 +208,10 @@ const WinnersList = ({
                 <p className="text-xs text-gray-400">
                   {getPositionText(winner.position)} Place
                 </p>
-                {winner.status === 'transferred' && (
+                {(winner.status === 'transferred' || winner.status === 'paid') && (
                   <div className="flex items-center space-x-1 mt-1">
                     <div className="w-2 h-2 bg-green-400 rounded-full"></div>
-                    <span className="text-xs text-green-400">Transferred</span>
+                    <span className="text-xs text-green-400">{winner.status === 'paid' ? 'Paid' : 'Transferred'}</span>
                   </div>
                 )}
               </div>
@@ -258,11 +258,11 @@ const WinnersList = ({
                     <p className="text-gray-400 mb-1">Status</p>
                     <div className="flex items-center space-x-2">
                       <div className={`w-2 h-2 rounded-full ${
-                        winner.status === 'transferred' ? 'bg-green-400' : 
+                        winner.status === 'transferred' || winner.status === 'paid' ? 'bg-green-400' : 
                         winner.status === 'pending' ? 'bg-yellow-400' : 'bg-gray-400'
                       }`}></div>
                       <span className={`text-xs capitalize ${
-                        winner.status === 'transferred' ? 'text-green-400' : 
+                        winner.status === 'transferred' || winner.status === 'paid' ? 'text-green-400' : 
                         winner.status === 'pending' ? 'text-yellow-400' : 'text-gray-400'
                       }`}>
                         {winner.status || 'Unknown'}
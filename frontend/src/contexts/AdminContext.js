@@ -557,53 +557,71 @@ export function AdminProvider({ children }) {
     }
   };
 
-  // Prize management
-  const approvePrize = async (winnerId) => {
+  // Prize management. The backend approveWinnerPayout callable decides the winner, creates the
+  // prize transfer and pays it; it asks for a fresh two-factor verification.
+  const reviewPrize = async (winnerId, approved, notes = '') => {
     try {
       dispatch({ type: ActionTypes.APPROVE_PRIZE_START });
 
-      const result = await adminService.approvePrize(winnerId);
+      const winner = state.pendingWinners.find(w => w.id === winnerId);
+      const result = approved
+        ? await adminService.approvePrize(winnerId, notes)
+        : await adminService.rejectPrize(winnerId, notes);
 
       if (result.success) {
         // Update pending winners list
         const updatedWinners = state.pendingWinners.filter(w => w.id !== winnerId);
         dispatch({ type: ActionTypes.UPDATE_PENDING_WINNERS, payload: updatedWinners });
 
-        // Log prize approval
+        // Log prize decision
         dispatch({
           type: ActionTypes.ADD_ADMIN_LOG,
           payload: {
             id: Date.now(),
-            action: 'prize_approved',
+            action: approved ? 'prize_approved' : 'prize_rejected',
             adminId: state.admin?.uid,
             adminEmail: state.admin?.email,
             timestamp: new Date(),
-            details: { winnerId, amount: result.amount }
+            details: { winnerId, amount: winner?.prizeAmount, status: result.status }
           }
         });
 
+        let message = 'The prize has been rejected.';
+        if (approved) {
+          message = result.status === 'paid'
+            ? `Prize of ${winner?.prizeAmount} π has been transferred successfully.`
+            : 'Prize approved. The transfer is queued and will be retried automatically.';
+        }
+
         dispatch({
           type: ActionTypes.ADD_NOTIFICATION,
           payload: {
             id: Date.now(),
             type: 'success',
-            title: 'Prize Approved',
-            message: `Prize of ${result.amount} π has been transferred successfully.`,
+            title: approved ? 'Prize Approved' : 'Prize Rejected',
+            message,
             timestamp: new Date()
           }
         });
 
         return result;
       } else {
-        throw new Error('Prize approval failed');
+        throw new Error(approved ? 'Prize approval failed' : 'Prize rejection failed');
       }
     } catch (error) {
-      console.error('Failed to approve prize:', error);
-      dispatch({ type: ActionTypes.SET_ADMIN_ERROR, payload: error.message });
+      console.error(`Failed to ${approved ? 'approve' : 'reject'} prize:`, error);
+      const message = error.details?.mfa
+        ? 'Verify your two-factor code again to approve or reject prizes.'
+        : error.message;
+      dispatch({ type: ActionTypes.SET_ADMIN_ERROR, payload: message });
       throw error;
     }
   };
 
+  const approvePrize = (winnerId, notes = '') => reviewPrize(winnerId, true, notes);
+
+  const rejectPrize = (winnerId, reason) => reviewPrize(winnerId, false, reason);
+
   // Report generation
   const generateReport = async (reportType, dateRange) => {
     try {
@@ -630,6 +648,31 @@ export function AdminProvider({ children }) {
     }
   };
 
+  // Report export (CSV / XLSX files built by the backend)
+  const exportReport = async (reportType, dateRange, format) => {
+    try {
+      const file = await adminService.exportReport(reportType, dateRange, format);
+
+      dispatch({
+        type: ActionTypes.ADD_ADMIN_LOG,
+        payload: {
+          id: Date.now(),
+          action: 'report_exported',
+          adminId: state.admin?.uid,
+          adminEmail: state.admin?.email,
+          timestamp: new Date(),
+          details: { reportType, dateRange, format }
+        }
+      });
+
+      return file;
+    } catch (error) {
+      console.error('Failed to export report:', error);
+      dispatch({ type: ActionTypes.SET_ADMIN_ERROR, payload: error.message });
+      throw error;
+    }
+  };
+
   // Permission checking
   const hasPermission = (permission) => {
     return state.hasFullAccess || state.permissions.includes(permission);
@@ -681,7 +724,9 @@ export function AdminProvider({ children }) {
     signOut: handleAdminLogout,
     updatePlatformConfig,
     approvePrize,
+    rejectPrize,
     generateReport,
+    exportReport,
     hasPermission,
     addSystemAlert,
     clearSystemAlert,
@@ -554,7 +554,7 @@ export function LotteryProvider({ children }) {
       // Subscribe to winners updates
       const winnersQuery = query(
         collection(db, 'lottery_winners'),
-        where('status', '==', 'transferred'),
+        where('status', 'in', ['transferred', 'paid']),
         orderBy('createdAt', 'desc'),
         limit(10)
       );
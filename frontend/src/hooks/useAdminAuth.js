@@ -7,13 +7,16 @@ import {
   onAuthStateChanged as firebaseOnAuthStateChanged 
 } from 'firebase/auth';
 import { doc, setDoc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
-import { auth, db } from '../config/firebase';
+import { httpsCallable } from 'firebase/functions';
+import { auth, db, functions } from '../config/firebase';
 
 export function useAdminAuth() {
   const [admin, setAdmin] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAdmin, setIsAdmin] = useState(false);
   const [error, setError] = useState(null);
+  // Two-factor state of this sign-in session: { enabled, sessionVerified, fresh, recoveryCodesRemaining }
+  const [mfa, setMfa] = useState(null);
 
   useEffect(() => {
     const unsubscribe = firebaseOnAuthStateChanged(auth, async (user) => {
@@ -93,12 +96,18 @@ export function useAdminAuth() {
         throw new Error('Access denied: Admin privileges required');
       }
 
+      const authenticateAdmin = httpsCallable(functions, 'authenticateAdmin');
+      const result = await authenticateAdmin();
+      setMfa(result.data.mfa);
+
       console.log('Admin authentication successful:', credential.user.email);
       
       return {
         success: true,
         admin: adminStatus.adminData,
-        isAdmin: true
+        isAdmin: true,
+        // Ask for a code before using the panel
+        mfaRequired: result.data.mfa.enabled && !result.data.mfa.sessionVerified
       };
 
     } catch (error) {
@@ -115,6 +124,7 @@ export function useAdminAuth() {
       await firebaseSignOut(auth);
       setAdmin(null);
       setIsAdmin(false);
+      setMfa(null);
       setError(null);
       console.log('Admin signed out');
     } catch (error) {
@@ -124,6 +134,37 @@ export function useAdminAuth() {
     }
   }, []);
 
+  const refreshMfaStatus = useCallback(async () => {
+    const getMfaStatus = httpsCallable(functions, 'getMfaStatus');
+    const result = await getMfaStatus();
+    setMfa(result.data.mfa);
+    return result.data.mfa;
+  }, []);
+
+  // Pass { code } from the authenticator app or { recoveryCode }. Sensitive actions
+  // (platform config, admin users, prize approval) need a verification from the last 10 minutes.
+  const verifyMfa = useCallback(async (factor) => {
+    const verify = httpsCallable(functions, 'verifyMfa');
+    const result = await verify(factor);
+    await refreshMfaStatus();
+    return result.data;
+  }, [refreshMfaStatus]);
+
+  // Returns { secret, otpauthUrl } to show as a QR code
+  const startMfaEnrollment = useCallback(async () => {
+    const startEnrollment = httpsCallable(functions, 'startMfaEnrollment');
+    const result = await startEnrollment();
+    return result.data;
+  }, []);
+
+  // Returns the recovery codes, which are only shown once
+  const confirmMfaEnrollment = useCallback(async (code) => {
+    const confirmEnrollment = httpsCallable(functions, 'confirmMfaEnrollment');
+    const result = await confirmEnrollment({ code });
+    await refreshMfaStatus();
+    return result.data.recoveryCodes;
+  }, [refreshMfaStatus]);
+
   const createAdmin = useCallback(async (email, password, permissions = []) => {
     if (!isAdmin) {
       throw new Error('Only existing admins can create new admin accounts');
@@ -226,8 +267,13 @@ export function useAdminAuth() {
     loading,
     isAdmin,
     error,
+    mfa,
     signIn,
     signOut,
+    refreshMfaStatus,
+    verifyMfa,
+    startMfaEnrollment,
+    confirmMfaEnrollment,
     createAdmin,
     hasPermission,
     updatePermissions,
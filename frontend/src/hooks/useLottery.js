@@ -262,7 +262,7 @@ export function useLottery() {
   const subscribeToWinners = useCallback((callback) => {
     const winnersQuery = query(
       collection(db, 'lottery_winners'),
-      where('status', '==', 'transferred'),
+      where('status', 'in', ['transferred', 'paid']),
       orderBy('createdAt', 'desc'),
       limit(10)
     );
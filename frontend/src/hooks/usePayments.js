@@ -7,12 +7,13 @@ export function usePayment() {
   const [paymentState, setPaymentState] = useState({
     processing: false,
     error: null,
-    currentPayment: null
+    currentPayment: null,
+    heldForReview: false
   });
 
   const createPayment = useCallback(async (paymentData) => {
     try {
-      setPaymentState(prev => ({ ...prev, processing: true, error: null }));
+      setPaymentState(prev => ({ ...prev, processing: true, error: null, heldForReview: false }));
 
       if (typeof window === 'undefined' || typeof window.Pi === 'undefined') {
         throw new Error('Pi Network SDK not available');
@@ -28,7 +29,13 @@ export function usePayment() {
               paymentData 
             });
             
-            if (result.data.success) {
+            if (result.data.status === 'held_for_review') {
+              // Approved with Pi only after an admin review; until then the payment waits
+              console.log('Payment held for review by server');
+              await recordPaymentTransaction(paymentId, paymentData, 'held_for_review');
+              setPaymentState(prev => ({ ...prev, heldForReview: true }));
+              return { approved: false, heldForReview: true };
+            } else if (result.data.success) {
               console.log('Payment approved by server');
               await recordPaymentTransaction(paymentId, paymentData, 'approved');
               return { approved: true };
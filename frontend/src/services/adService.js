@@ -1,7 +1,6 @@
 import { 
   collection, 
   doc, 
-  getDoc, 
   setDoc, 
   updateDoc, 
   addDoc,
@@ -12,8 +11,8 @@ import {
   serverTimestamp,
   getDocs 
 } from 'firebase/firestore';
-import { db } from '../config/firebase';
-import { v4 as uuidv4 } from 'uuid';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
 
 class AdService {
   constructor() {
@@ -43,35 +42,6 @@ class AdService {
     
     this.dailyAdLimit = 5;
     this.cooldownPeriod = 300000; // 5 minutes in milliseconds
-    this.userCooldowns = new Map();
-    this.adSessions = new Map();
-    this.verificationQuestions = [
-      {
-        question: "What was the main product advertised?",
-        options: ["Smartphone", "Headphones", "Laptop", "Tablet"],
-        correctAnswer: "Headphones"
-      },
-      {
-        question: "What color was prominently featured in the ad?",
-        options: ["Red", "Blue", "Green", "Yellow"],
-        correctAnswer: "Blue"
-      },
-      {
-        question: "What was the special offer mentioned?",
-        options: ["50% off", "Buy 1 Get 1", "Free shipping", "30% off"],
-        correctAnswer: "30% off"
-      },
-      {
-        question: "What brand was advertised?",
-        options: ["TechCorp", "SoundMax", "AudioPro", "MegaSound"],
-        correctAnswer: "SoundMax"
-      },
-      {
-        question: "What was the discount percentage?",
-        options: ["20%", "25%", "30%", "35%"],
-        correctAnswer: "30%"
-      }
-    ];
   }
 
   async getAdNetworks() {
@@ -114,34 +84,39 @@ class AdService {
     }
   }
 
+  async getAdStatus() {
+    const getAdNetworkStatus = httpsCallable(functions, 'getAdNetworkStatus');
+    const { data } = await getAdNetworkStatus();
+    return data;
+  }
+
   async canWatchAd(userId) {
     try {
-      // Check daily limit
-      const dailyCount = await this.getUserDailyAdCount(userId);
-      if (dailyCount >= this.dailyAdLimit) {
+      // Cooldown and daily limits are enforced by the backend; this only reports them
+      const { userLimits } = await this.getAdStatus();
+
+      if (userLimits.remainingAds <= 0) {
         return {
           canWatch: false,
-          reason: `Daily ad limit reached (${this.dailyAdLimit} ads per day)`,
+          reason: `Daily ad limit reached (${userLimits.dailyLimit} ads per day)`,
           remainingAds: 0,
           cooldownTime: 0
         };
       }
 
-      // Check cooldown
-      const cooldownRemaining = this.getUserCooldownTime(userId);
-      if (cooldownRemaining > 0) {
+      if (!userLimits.cooldownStatus.allowed) {
         return {
           canWatch: false,
           reason: 'Cooldown period active',
-          remainingAds: this.dailyAdLimit - dailyCount,
-          cooldownTime: cooldownRemaining
+          remainingAds: userLimits.remainingAds,
+          cooldownTime: userLimits.cooldownStatus.remainingTime * 1000
         };
       }
 
       return {
         canWatch: true,
         reason: null,
-        remainingAds: this.dailyAdLimit - dailyCount,
+        remainingAds: userLimits.remainingAds,
         cooldownTime: 0
       };
     } catch (error) {
@@ -155,64 +130,27 @@ class AdService {
     }
   }
 
-  async getUserDailyAdCount(userId) {
-    try {
-      const today = new Date().toISOString().split('T')[0];
-      const adCountDoc = await getDoc(doc(db, 'user_ad_limits', `${userId}_${today}`));
-      
-      if (adCountDoc.exists()) {
-        return adCountDoc.data().adsWatched || 0;
-      }
-      
-      return 0;
-    } catch (error) {
-      console.error('Failed to get user daily ad count:', error);
-      return this.dailyAdLimit; // Return limit to prevent watching if error
-    }
-  }
-
-  getUserCooldownTime(userId) {
-    const cooldownEnd = this.userCooldowns.get(userId);
-    if (!cooldownEnd) return 0;
-    
-    const remaining = cooldownEnd - Date.now();
-    return Math.max(0, remaining);
-  }
-
   async startAdSession(userId, networkId = 'google_admob') {
     try {
-      const eligibility = await this.canWatchAd(userId);
-      if (!eligibility.canWatch) {
-        throw new Error(eligibility.reason);
-      }
-
       const network = this.adNetworks[networkId];
       if (!network || !network.isEnabled) {
         throw new Error('Ad network not available');
       }
 
-      const sessionId = uuidv4();
-      const adSession = {
-        sessionId,
-        userId,
-        networkId,
-        startTime: Date.now(),
-        duration: network.adDuration,
-        minWatchTime: network.minWatchTime,
-        status: 'started',
-        watchedTime: 0,
-        verificationRequired: true,
-        rewardAmount: network.revenueShare
-      };
-
-      this.adSessions.set(sessionId, adSession);
-      
-      // Record ad session in database
-      await this.recordAdSession(adSession);
+      // The backend checks cooldown and daily limit, records the start time and signs the session
+      const startSession = httpsCallable(functions, 'startAdSession');
+      const { data } = await startSession({ networkId, lotteryTypeId: 'daily_ads' });
 
       return {
-        sessionId,
+        sessionId: data.sessionId,
+        sessionToken: data.sessionToken,
+        networkId: data.networkId,
+        adUnitId: data.adUnitId,
+        creativeId: data.creativeId,
+        mediaUrl: data.mediaUrl,
+        expiresAt: data.expiresAt,
         duration: network.adDuration,
+        minWatchTime: data.minWatchSeconds,
         networkName: network.name,
         rewardAmount: network.revenueShare
       };
@@ -222,45 +160,34 @@ class AdService {
     }
   }
 
-  async completeAdWatch(sessionId, watchedTime) {
+  async completeAdWatch(session) {
     try {
-      const adSession = this.adSessions.get(sessionId);
-      if (!adSession) {
+      if (!session?.sessionId || !session?.sessionToken) {
         throw new Error('Ad session not found');
       }
 
-      const network = this.adNetworks[adSession.networkId];
-      if (!network) {
-        throw new Error('Ad network configuration not found');
-      }
+      // Watch time is measured by the backend from the session start
+      const completeSession = httpsCallable(functions, 'completeAdSession');
+      const { data: completion } = await completeSession({
+        sessionId: session.sessionId,
+        sessionToken: session.sessionToken
+      });
 
-      // Validate watched time
-      if (watchedTime < network.minWatchTime) {
-        throw new Error(`Insufficient watch time. Required: ${network.minWatchTime}s, watched: ${watchedTime}s`);
-      }
+      // The backend issues the verification question and keeps the answer
+      const requestAdChallenge = httpsCallable(functions, 'requestAdChallenge');
+      const { data } = await requestAdChallenge({ sessionId: session.sessionId });
 
-      // Update session
-      adSession.watchedTime = watchedTime;
-      adSession.completedAt = Date.now();
-      adSession.status = 'completed';
-      
-      // Generate verification question
-      const verification = this.generateVerificationQuestion();
-      adSession.verification = verification;
-
-      // Update database record
-      await this.updateAdSession(sessionId, {
-        watchedTime,
-        completedAt: serverTimestamp(),
-        status: 'completed',
-        verification: verification
-      });
+      const verification = {
+        challengeId: data.challengeId,
+        question: data.question,
+        options: data.options,
+        expiresAt: data.expiresAt
+      };
 
       return {
-        sessionId,
-        watchedTime,
-        verification,
-        rewardAmount: adSession.rewardAmount
+        sessionId: session.sessionId,
+        watchedTime: completion.watchDuration,
+        verification
       };
     } catch (error) {
       console.error('Failed to complete ad watch:', error);
@@ -268,228 +195,71 @@ class AdService {
     }
   }
 
-  async verifyAdCompletion(sessionId, userAnswer) {
+  async verifyAdCompletion(session, challengeId, userAnswer) {
     try {
-      const adSession = this.adSessions.get(sessionId);
-      if (!adSession) {
+      if (!session?.sessionId || !session?.sessionToken) {
         throw new Error('Ad session not found');
       }
 
-      if (adSession.status !== 'completed') {
-        throw new Error('Ad session not completed');
-      }
-
-      const verification = adSession.verification;
-      if (!verification) {
-        throw new Error('No verification data found');
+      if (!challengeId) {
+        throw new Error('No verification challenge found');
       }
 
-      const isCorrect = userAnswer === verification.correctAnswer;
-      
-      if (isCorrect) {
-        // Mark as verified
-        adSession.status = 'verified';
-        adSession.verifiedAt = Date.now();
-        
-        // Process reward
-        const reward = await this.processAdReward(adSession);
-        
-        // Update database
-        await this.updateAdSession(sessionId, {
-          status: 'verified',
-          verifiedAt: serverTimestamp(),
-          userAnswer,
-          rewardProcessed: true,
-          rewardAmount: reward.amount
-        });
-
-        // Set cooldown
-        this.setCooldown(adSession.userId);
-        
-        // Update daily count
-        await this.updateDailyAdCount(adSession.userId);
-        
-        // Clean up session
-        this.adSessions.delete(sessionId);
+      const answerAdChallenge = httpsCallable(functions, 'answerAdChallenge');
+      const { data: answerResult } = await answerAdChallenge({
+        challengeId,
+        answer: userAnswer
+      });
 
+      if (!answerResult.passed) {
         return {
-          verified: true,
-          reward: reward,
-          cooldownTime: this.cooldownPeriod
+          verified: false,
+          reason: answerResult.reason
         };
-      } else {
-        // Mark as failed
-        adSession.status = 'verification_failed';
-        adSession.failedAt = Date.now();
-        
-        await this.updateAdSession(sessionId, {
-          status: 'verification_failed',
-          failedAt: serverTimestamp(),
-          userAnswer
-        });
+      }
 
-        // Set a shorter cooldown for failed verification
-        this.setCooldown(adSession.userId, this.cooldownPeriod / 2);
-        
-        this.adSessions.delete(sessionId);
+      // Redeem the passed challenge for the lottery entry; the backend records the reward.
+      // Network, ad unit and request ids come from the server-side session.
+      const validateAdCompletion = httpsCallable(functions, 'validateAdCompletion');
+      const { data } = await validateAdCompletion({
+        adCompletionData: {
+          sessionId: session.sessionId,
+          sessionToken: session.sessionToken,
+          challengeId
+        },
+        lotteryTypeId: 'daily_ads'
+      });
 
+      if (!data.result.isValid) {
         return {
           verified: false,
-          correctAnswer: verification.correctAnswer,
-          cooldownTime: this.cooldownPeriod / 2
+          reason: data.result.reason,
+          cooldownTime: data.result.cooldownRemaining * 1000
         };
       }
-    } catch (error) {
-      console.error('Failed to verify ad completion:', error);
-      throw error;
-    }
-  }
-
-  generateVerificationQuestion() {
-    const question = this.verificationQuestions[
-      Math.floor(Math.random() * this.verificationQuestions.length)
-    ];
-    
-    // Shuffle options
-    const shuffledOptions = [...question.options].sort(() => Math.random() - 0.5);
-    
-    return {
-      question: question.question,
-      options: shuffledOptions,
-      correctAnswer: question.correctAnswer
-    };
-  }
-
-  async processAdReward(adSession) {
-    try {
-      const rewardAmount = adSession.rewardAmount;
-      
-      // In a real implementation, this would credit the user's account
-      // For now, we'll just record the reward
-      const rewardId = uuidv4();
-      const rewardData = {
-        rewardId,
-        userId: adSession.userId,
-        sessionId: adSession.sessionId,
-        amount: rewardAmount,
-        type: 'ad_reward',
-        networkId: adSession.networkId,
-        status: 'processed',
-        createdAt: serverTimestamp()
-      };
-
-      await setDoc(doc(db, 'ad_rewards', rewardId), rewardData);
 
       return {
-        rewardId,
-        amount: rewardAmount,
-        type: 'ad_reward'
+        verified: true,
+        challengeId,
+        reward: data.reward,
+        cooldownTime: this.cooldownPeriod
       };
     } catch (error) {
-      console.error('Failed to process ad reward:', error);
-      throw error;
-    }
-  }
-
-  setCooldown(userId, duration = this.cooldownPeriod) {
-    const cooldownEnd = Date.now() + duration;
-    this.userCooldowns.set(userId, cooldownEnd);
-    
-    // Clear cooldown after duration
-    setTimeout(() => {
-      this.userCooldowns.delete(userId);
-    }, duration);
-  }
-
-  async updateDailyAdCount(userId) {
-    try {
-      const today = new Date().toISOString().split('T')[0];
-      const limitRef = doc(db, 'user_ad_limits', `${userId}_${today}`);
-      const limitDoc = await getDoc(limitRef);
-      
-      if (limitDoc.exists()) {
-        const currentCount = limitDoc.data().adsWatched || 0;
-        await updateDoc(limitRef, {
-          adsWatched: currentCount + 1,
-          updatedAt: serverTimestamp()
-        });
-      } else {
-        await setDoc(limitRef, {
-          userId,
-          date: today,
-          adsWatched: 1,
-          createdAt: serverTimestamp(),
-          updatedAt: serverTimestamp()
-        });
-      }
-    } catch (error) {
-      console.error('Failed to update daily ad count:', error);
-      throw error;
-    }
-  }
-
-  async recordAdSession(adSession) {
-    try {
-      const sessionData = {
-        ...adSession,
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp()
-      };
-      
-      await setDoc(doc(db, 'ad_sessions', adSession.sessionId), sessionData);
-    } catch (error) {
-      console.error('Failed to record ad session:', error);
-      throw error;
-    }
-  }
-
-  async updateAdSession(sessionId, updates) {
-    try {
-      const sessionRef = doc(db, 'ad_sessions', sessionId);
-      await updateDoc(sessionRef, {
-        ...updates,
-        updatedAt: serverTimestamp()
-      });
-    } catch (error) {
-      console.error('Failed to update ad session:', error);
+      console.error('Failed to verify ad completion:', error);
       throw error;
     }
   }
 
   async getUserAdStats(userId) {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      const todayDoc = await getDoc(doc(db, 'user_ad_limits', `${userId}_${today}`));
-      
-      const todayWatched = todayDoc.exists() ? todayDoc.data().adsWatched || 0 : 0;
-      const cooldownTime = this.getUserCooldownTime(userId);
-      
-      // Get total ad rewards
-      const rewardsCollection = collection(db, 'ad_rewards');
-      const rewardsQuery = query(
-        rewardsCollection,
-        where('userId', '==', userId),
-        where('status', '==', 'processed')
-      );
-      
-      const rewardsSnapshot = await getDocs(rewardsQuery);
-      let totalRewards = 0;
-      let totalAdsWatched = 0;
-      
-      rewardsSnapshot.forEach(doc => {
-        const data = doc.data();
-        totalRewards += data.amount || 0;
-        totalAdsWatched += 1;
-      });
+      const { userLimits } = await this.getAdStatus();
 
       return {
-        todayWatched,
-        dailyLimit: this.dailyAdLimit,
-        remainingToday: Math.max(0, this.dailyAdLimit - todayWatched),
-        cooldownTime,
-        totalAdsWatched,
-        totalRewards,
-        averageReward: totalAdsWatched > 0 ? totalRewards / totalAdsWatched : 0
+        todayWatched: userLimits.adsWatchedToday,
+        dailyLimit: userLimits.dailyLimit,
+        remainingToday: userLimits.remainingAds,
+        cooldownTime: userLimits.cooldownStatus.remainingTime * 1000,
+        totalAdsWatched: userLimits.totalAdsWatched
       };
     } catch (error) {
       console.error('Failed to get user ad stats:', error);
@@ -523,24 +293,10 @@ class AdService {
 
   async cancelAdSession(sessionId, reason = 'user_cancelled') {
     try {
-      const adSession = this.adSessions.get(sessionId);
-      if (!adSession) {
-        throw new Error('Ad session not found');
-      }
-
-      adSession.status = 'cancelled';
-      adSession.cancelledAt = Date.now();
-      adSession.cancelReason = reason;
-
-      await this.updateAdSession(sessionId, {
-        status: 'cancelled',
-        cancelledAt: serverTimestamp(),
-        cancelReason: reason
-      });
+      const cancelSession = httpsCallable(functions, 'cancelAdSession');
+      const { data } = await cancelSession({ sessionId });
 
-      this.adSessions.delete(sessionId);
-      
-      return { success: true, reason };
+      return { success: data.success, reason };
     } catch (error) {
       console.error('Failed to cancel ad session:', error);
       throw error;
@@ -618,34 +374,9 @@ class AdService {
       throw error;
     }
   }
-
-  getActiveAdSessions() {
-    return Array.from(this.adSessions.values());
-  }
-
-  cleanupExpiredSessions() {
-    const now = Date.now();
-    const expiredThreshold = 10 * 60 * 1000; // 10 minutes
-    
-    for (const [sessionId, session] of this.adSessions.entries()) {
-      if (now - session.startTime > expiredThreshold) {
-        this.cancelAdSession(sessionId, 'expired');
-      }
-    }
-  }
-
-  // Clean up expired sessions periodically
-  startSessionCleanup() {
-    setInterval(() => {
-      this.cleanupExpiredSessions();
-    }, 5 * 60 * 1000); // Every 5 minutes
-  }
 }
 
 // Export singleton instance
 export const adService = new AdService();
 
-// Start session cleanup when service is imported
-adService.startSessionCleanup();
-
 export default adService;
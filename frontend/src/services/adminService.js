@@ -16,8 +16,8 @@ import {
   writeBatch,
   onSnapshot 
 } from 'firebase/firestore';
-import { db } from '../config/firebase';
-import { v4 as uuidv4 } from 'uuid';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
 
 class AdminService {
   constructor() {
@@ -125,6 +125,29 @@ class AdminService {
     }
   }
 
+  async getRiskSettings() {
+    try {
+      const getCallable = httpsCallable(functions, 'getRiskSettings');
+      const result = await getCallable();
+      return result.data.settings;
+    } catch (error) {
+      console.error('Failed to get risk settings:', error);
+      throw error;
+    }
+  }
+
+  // updates: any of { enabled, thresholds: { hold, block }, onError, rules: { <rule>: { ... } } }
+  async updateRiskSettings(updates) {
+    try {
+      const updateCallable = httpsCallable(functions, 'updateRiskSettings');
+      const result = await updateCallable(updates);
+      return result.data.settings;
+    } catch (error) {
+      console.error('Failed to update risk settings:', error);
+      throw error;
+    }
+  }
+
   // =============================================
   // LOTTERY MANAGEMENT
   // =============================================
@@ -247,7 +270,7 @@ class AdminService {
       });
 
       // Process refunds if needed
-      await this.processLotteryCancellationRefunds(instanceId, instanceData);
+      const refunds = await this.processLotteryCancellationRefunds(instanceId, reason);
 
       // Log the cancellation
       await this.logAdminAction(adminId, 'cancel_lottery', {
@@ -257,48 +280,44 @@ class AdminService {
         prizePool: instanceData.prizePool
       });
 
-      return { success: true, refundsProcessed: instanceData.participants };
+      return { success: true, refundsProcessed: refunds?.created || 0, refunds };
     } catch (error) {
       console.error('Failed to cancel lottery instance:', error);
       throw error;
     }
   }
 
-  async processLotteryCancellationRefunds(instanceId, instanceData) {
+  async processLotteryCancellationRefunds(instanceId, reason) {
     try {
-      // Get all entries for this lottery
-      const entriesQuery = query(
-        collection(db, 'user_entries'),
-        where('lotteryInstanceId', '==', instanceId),
-        where('status', '==', 'confirmed')
-      );
-
-      const entriesSnapshot = await getDocs(entriesQuery);
-      const batch = writeBatch(db);
+      // Refund amounts and Pi payouts are handled by the backend
+      const processCancellationRefunds = httpsCallable(functions, 'processCancellationRefunds');
+      const result = await processCancellationRefunds({ instanceId, reason });
+      return result.data;
+    } catch (error) {
+      console.error('Failed to process cancellation refunds:', error);
+      throw error;
+    }
+  }
 
-      entriesSnapshot.forEach(doc => {
-        const entryData = doc.data();
-        
-        // Only process refunds for Pi payment entries
-        if (entryData.entryMethod === 'pi_payment' && entryData.paymentId) {
-          // Create refund record
-          const refundRef = doc(collection(db, 'refunds'));
-          batch.set(refundRef, {
-            userId: entryData.userId,
-            lotteryInstanceId: instanceId,
-            entryId: doc.id,
-            paymentId: entryData.paymentId,
-            refundAmount: instanceData.entryFee || 1.0,
-            status: 'pending',
-            reason: 'lottery_cancelled',
-            createdAt: serverTimestamp()
-          });
-        }
-      });
+  // Pass a schedule to preview its next draw times before saving it
+  async getScheduleStatus(count = 5, lotteryTypeId = null, schedule = null) {
+    try {
+      const statusCallable = httpsCallable(functions, 'getScheduleStatus');
+      const result = await statusCallable(schedule ? { count, lotteryTypeId, schedule } : { count });
+      return result.data.status;
+    } catch (error) {
+      console.error('Failed to get schedule status:', error);
+      throw error;
+    }
+  }
 
-      await batch.commit();
+  async updateLotterySchedule(lotteryTypeId, schedule) {
+    try {
+      const updateCallable = httpsCallable(functions, 'updateLotterySchedule');
+      const result = await updateCallable({ lotteryTypeId, schedule });
+      return result.data;
     } catch (error) {
-      console.error('Failed to process cancellation refunds:', error);
+      console.error('Failed to update lottery schedule:', error);
       throw error;
     }
   }
@@ -319,7 +338,7 @@ class AdminService {
 
       const winnersQuery = query(
         collection(db, 'lottery_winners'),
-        where('status', '==', 'pending'),
+        where('status', 'in', ['pending', 'pending_approval']),
         orderBy('createdAt', 'desc'),
         limit(limit)
       );
@@ -339,123 +358,101 @@ class AdminService {
     }
   }
 
-  async approvePrize(winnerId, adminId, notes = '') {
-    try {
-      const winnerRef = doc(db, 'lottery_winners', winnerId);
-      const winnerDoc = await getDoc(winnerRef);
-
-      if (!winnerDoc.exists()) {
-        throw new Error('Winner record not found');
-      }
-
-      const winnerData = winnerDoc.data();
-      if (winnerData.status !== 'pending') {
-        throw new Error('Prize can only be approved for pending winners');
-      }
-
-      // Calculate net prize amount (minus transaction fees)
-      const transactionFee = 0.01;
-      const netPrizeAmount = Math.max(0, winnerData.prizeAmount - transactionFee);
-
-      // Update winner status
-      await updateDoc(winnerRef, {
-        status: 'approved',
-        approvedBy: adminId,
-        approvedAt: serverTimestamp(),
-        approvalNotes: notes,
-        netPrizeAmount: netPrizeAmount,
-        transactionFee: transactionFee
-      });
+  // Approval and rejection run on the backend, which creates the prize transfer and pays it.
+  // Both need a fresh two-factor verification.
+  async approvePrize(winnerId, notes = '') {
+    return this.reviewWinner(winnerId, true, notes);
+  }
 
-      // Create prize transfer record
-      await this.createPrizeTransferRecord(winnerId, winnerData, adminId, netPrizeAmount);
+  async rejectPrize(winnerId, reason) {
+    return this.reviewWinner(winnerId, false, reason);
+  }
 
-      // Log the approval
-      await this.logAdminAction(adminId, 'approve_prize', {
-        winnerId: winnerId,
-        userId: winnerData.userId,
-        prizeAmount: winnerData.prizeAmount,
-        netPrizeAmount: netPrizeAmount,
-        lotteryInstanceId: winnerData.lotteryInstanceId,
-        notes: notes
-      });
+  async reviewWinner(winnerId, approved, notes = '') {
+    try {
+      const approveCallable = httpsCallable(functions, 'approveWinnerPayout');
+      const result = await approveCallable({ winnerId, approved, notes });
 
       // Clear pending winners cache
       this.cache.delete('pending_winners');
 
-      return { 
-        success: true, 
-        netPrizeAmount: netPrizeAmount,
-        transactionFee: transactionFee
-      };
+      return result.data;
     } catch (error) {
-      console.error('Failed to approve prize:', error);
+      console.error(`Failed to ${approved ? 'approve' : 'reject'} prize:`, error);
       throw error;
     }
   }
 
-  async createPrizeTransferRecord(winnerId, winnerData, adminId, netAmount) {
-    try {
-      const transferId = uuidv4();
-      const transferData = {
-        transferId,
-        winnerId,
-        userId: winnerData.userId,
-        lotteryInstanceId: winnerData.lotteryInstanceId,
-        grossAmount: winnerData.prizeAmount,
-        netAmount: netAmount,
-        transactionFee: winnerData.prizeAmount - netAmount,
-        status: 'approved',
-        approvedBy: adminId,
-        method: 'pi_network_transfer',
-        createdAt: serverTimestamp()
-      };
+  // =============================================
+  // REVIEW QUEUE (held payments and winners)
+  // =============================================
 
-      await setDoc(doc(db, 'prize_transfers', transferId), transferData);
-      return transferId;
+  // filters: { status, type, assignedTo, limit }; open and escalated cases by default
+  async getReviewQueue(filters = {}) {
+    try {
+      const getCallable = httpsCallable(functions, 'getReviewQueue');
+      const result = await getCallable(filters);
+      return result.data.cases;
     } catch (error) {
-      console.error('Failed to create prize transfer record:', error);
+      console.error('Failed to get review queue:', error);
       throw error;
     }
   }
 
-  async rejectPrize(winnerId, adminId, reason) {
+  // The case with its events (audit trail and comments)
+  async getReviewCase(caseId) {
     try {
-      const winnerRef = doc(db, 'lottery_winners', winnerId);
-      const winnerDoc = await getDoc(winnerRef);
-
-      if (!winnerDoc.exists()) {
-        throw new Error('Winner record not found');
-      }
-
-      const winnerData = winnerDoc.data();
-      if (winnerData.status !== 'pending') {
-        throw new Error('Prize can only be rejected for pending winners');
-      }
+      const getCallable = httpsCallable(functions, 'getReviewCase');
+      const result = await getCallable({ caseId });
+      return result.data.case;
+    } catch (error) {
+      console.error('Failed to get review case:', error);
+      throw error;
+    }
+  }
 
-      // Update winner status
-      await updateDoc(winnerRef, {
-        status: 'rejected',
-        rejectedBy: adminId,
-        rejectedAt: serverTimestamp(),
-        rejectionReason: reason
-      });
+  // Without assigneeId the case is assigned to the signed-in admin
+  async assignReviewCase(caseId, assigneeId = null, unassign = false) {
+    try {
+      const assignCallable = httpsCallable(functions, 'assignReviewCase');
+      const result = await assignCallable({ caseId, ...(assigneeId ? { assigneeId } : {}), unassign });
+      return result.data;
+    } catch (error) {
+      console.error('Failed to assign review case:', error);
+      throw error;
+    }
+  }
 
-      // Log the rejection
-      await this.logAdminAction(adminId, 'reject_prize', {
-        winnerId: winnerId,
-        userId: winnerData.userId,
-        prizeAmount: winnerData.prizeAmount,
-        lotteryInstanceId: winnerData.lotteryInstanceId,
-        reason: reason
-      });
+  async commentOnReviewCase(caseId, comment) {
+    try {
+      const commentCallable = httpsCallable(functions, 'commentOnReviewCase');
+      const result = await commentCallable({ caseId, comment });
+      return result.data;
+    } catch (error) {
+      console.error('Failed to comment on review case:', error);
+      throw error;
+    }
+  }
 
-      // Clear pending winners cache
-      this.cache.delete('pending_winners');
+  async escalateReviewCase(caseId, reason, assigneeId = null) {
+    try {
+      const escalateCallable = httpsCallable(functions, 'escalateReviewCase');
+      const result = await escalateCallable({ caseId, reason, ...(assigneeId ? { assigneeId } : {}) });
+      return result.data;
+    } catch (error) {
+      console.error('Failed to escalate review case:', error);
+      throw error;
+    }
+  }
 
-      return { success: true };
+  // decision: 'approve' or 'reject' (rejecting needs notes). Needs a fresh two-factor verification.
+  async resolveReviewCase(caseId, decision, notes = '') {
+    try {
+      const resolveCallable = httpsCallable(functions, 'resolveReviewCase');
+      const result = await resolveCallable({ caseId, decision, notes });
+      return result.data;
     } catch (error) {
-      console.error('Failed to reject prize:', error);
+      console.error('Failed to resolve review case:', error);
       throw error;
     }
   }
@@ -747,6 +744,94 @@ class AdminService {
     }
   }
 
+  async exportReport(reportType, dateRange, format) {
+    try {
+      const end = new Date();
+      const start = new Date(end.getTime() - Number(dateRange) * 24 * 60 * 60 * 1000);
+
+      // The backend streams the file into Cloud Storage and returns a short-lived download link
+      const exportReportCallable = httpsCallable(functions, 'exportReport');
+      const result = await exportReportCallable({
+        reportType,
+        format,
+        dateRange: { start: start.toISOString(), end: end.toISOString() }
+      });
+
+      return result.data.file;
+    } catch (error) {
+      console.error('Failed to export report:', error);
+      throw error;
+    }
+  }
+
+  // Scheduled reports run on the backend; these wrap the report subscription callables
+
+  async createReportSubscription(subscription) {
+    try {
+      const createCallable = httpsCallable(functions, 'createReportSubscription');
+      const result = await createCallable(subscription);
+      return result.data.subscription;
+    } catch (error) {
+      console.error('Failed to create report subscription:', error);
+      throw error;
+    }
+  }
+
+  async updateReportSubscription(subscriptionId, updates) {
+    try {
+      const updateCallable = httpsCallable(functions, 'updateReportSubscription');
+      const result = await updateCallable({ subscriptionId, updates });
+      return result.data.subscription;
+    } catch (error) {
+      console.error('Failed to update report subscription:', error);
+      throw error;
+    }
+  }
+
+  async deleteReportSubscription(subscriptionId) {
+    try {
+      const deleteCallable = httpsCallable(functions, 'deleteReportSubscription');
+      await deleteCallable({ subscriptionId });
+    } catch (error) {
+      console.error('Failed to delete report subscription:', error);
+      throw error;
+    }
+  }
+
+  async getReportSubscriptions() {
+    try {
+      const listCallable = httpsCallable(functions, 'listReportSubscriptions');
+      const result = await listCallable();
+      return result.data.subscriptions;
+    } catch (error) {
+      console.error('Failed to get report subscriptions:', error);
+      throw error;
+    }
+  }
+
+  async getReportRuns(subscriptionId = null, limit = 20) {
+    try {
+      const runsCallable = httpsCallable(functions, 'getReportRuns');
+      const result = await runsCallable(subscriptionId ? { subscriptionId, limit } : { limit });
+      return result.data.runs;
+    } catch (error) {
+      console.error('Failed to get report runs:', error);
+      throw error;
+    }
+  }
+
+  async getReportRunDownload(runId) {
+    try {
+      // Links in report emails expire after a week; this signs a fresh one
+      const downloadCallable = httpsCallable(functions, 'getReportRunDownload');
+      const result = await downloadCallable({ runId });
+      return result.data.file;
+    } catch (error) {
+      console.error('Failed to get report download:', error);
+      throw error;
+    }
+  }
+
   async generateRevenueReport(startDate, endDate) {
     try {
       const paymentsQuery = query(
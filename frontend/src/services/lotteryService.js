@@ -117,7 +117,21 @@ class PaymentService {
 
       // Call backend for approval
       const approvalResult = await this.requestBackendApproval(paymentId, internalPaymentId);
-      
+
+      // Approved with Pi only after an admin review; until then the payment waits
+      if (approvalResult.status === 'held_for_review') {
+        this.updatePendingPayment(internalPaymentId, {
+          status: 'held_for_review'
+        });
+
+        await this.updatePaymentRecord(internalPaymentId, {
+          status: 'held_for_review',
+          backendResponse: approvalResult
+        });
+
+        return { approved: false, heldForReview: true };
+      }
+
       if (approvalResult.approved) {
         this.updatePendingPayment(internalPaymentId, {
           status: 'approved',
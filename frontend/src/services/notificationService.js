@@ -5,7 +5,6 @@ import {
   getDoc, 
   setDoc, 
   updateDoc, 
-  addDoc,
   deleteDoc,
   query, 
   where, 
@@ -15,16 +14,13 @@ import {
   onSnapshot,
   writeBatch 
 } from 'firebase/firestore';
-import { db } from '../config/firebase';
+import { httpsCallable } from 'firebase/functions';
+import { db, functions } from '../config/firebase';
 import { v4 as uuidv4 } from 'uuid';
 
 class NotificationService {
   constructor() {
     this.listeners = new Map();
-    this.notificationQueue = [];
-    this.isProcessingQueue = false;
-    this.maxRetries = 3;
-    this.retryDelay = 5000;
     this.batchSize = 10;
     
     // Notification types and their default settings
@@ -47,6 +43,12 @@ class NotificationService {
         category: 'lottery',
         defaultEnabled: true
       },
+      lottery_cancelled: {
+        title: 'Lottery Cancelled',
+        priority: 'normal',
+        category: 'lottery',
+        defaultEnabled: true
+      },
       payment_success: {
         title: 'Payment Successful',
         priority: 'normal',
@@ -65,6 +67,12 @@ class NotificationService {
         category: 'prize',
         defaultEnabled: true
       },
+      refund_issued: {
+        title: 'Refund Sent',
+        priority: 'high',
+        category: 'payment',
+        defaultEnabled: true
+      },
       system_maintenance: {
         title: 'System Maintenance',
         priority: 'normal',
@@ -76,10 +84,34 @@ class NotificationService {
         priority: 'low',
         category: 'ad',
         defaultEnabled: true
+      },
+      tier_upgraded: {
+        title: 'New Reward Tier',
+        priority: 'low',
+        category: 'ad',
+        defaultEnabled: true
+      },
+      report_ready: {
+        title: 'Report Ready',
+        priority: 'normal',
+        category: 'system',
+        defaultEnabled: true
+      },
+      review_assigned: {
+        title: 'Review Case Assigned',
+        priority: 'normal',
+        category: 'system',
+        defaultEnabled: true
+      },
+      review_overdue: {
+        title: 'Review Case Overdue',
+        priority: 'high',
+        category: 'system',
+        defaultEnabled: true
       }
     };
 
-    this.startQueueProcessor();
+    this.listenForPushSubscriptionChanges();
   }
 
   // =============================================
@@ -95,13 +127,6 @@ class NotificationService {
         throw new Error(`Unknown notification type: ${type}`);
       }
 
-      // Check user preferences
-      const userPrefs = await this.getUserNotificationPreferences(userId);
-      if (!this.shouldSendNotification(type, userPrefs)) {
-        console.log(`Notification ${type} disabled for user ${userId}`);
-        return null;
-      }
-
       const notification = {
         id: notificationId,
         userId,
@@ -116,18 +141,14 @@ class NotificationService {
         delivered: false,
         attempts: 0,
         createdAt: serverTimestamp(),
-        scheduledFor: options.scheduledFor || null,
+        scheduledFor: options.scheduledFor ? new Date(options.scheduledFor) : null,
+        nextAttemptAt: options.scheduledFor ? new Date(options.scheduledFor) : new Date(),
         expiresAt: options.expiresAt || null
       };
 
-      // Store notification in database
+      // The backend dispatcher delivers it (when due, honouring preferences and quiet hours)
       await setDoc(doc(db, 'notifications', notificationId), notification);
 
-      // Add to processing queue if not scheduled
-      if (!options.scheduledFor || new Date(options.scheduledFor) <= new Date()) {
-        this.addToQueue(notification);
-      }
-
       return notificationId;
     } catch (error) {
       console.error('Failed to create notification:', error);
@@ -143,143 +164,129 @@ class NotificationService {
         return `🎉 You won ${data.prizeAmount || 0} π in the ${data.lotteryName || 'lottery'}!`;
       case 'lottery_draw':
         return `The ${data.lotteryName || 'lottery'} drawing is complete. Check your results!`;
+      case 'lottery_cancelled':
+        return `The ${data.lotteryName || 'lottery'} was cancelled. Paid entries are refunded.`;
       case 'payment_success':
         return `Payment of ${data.amount || 0} π was successful.`;
       case 'payment_failed':
         return `Payment of ${data.amount || 0} π failed. Please try again.`;
       case 'prize_transferred':
         return `Your prize of ${data.amount || 0} π has been transferred to your wallet.`;
+      case 'refund_issued':
+        return `Your refund of ${data.amount || 0} π has been sent to your wallet.`;
       case 'system_maintenance':
         return `System maintenance is scheduled. ${data.message || 'Please check back later.'}`;
       case 'ad_reward':
         return `You earned ${data.amount || 0} π for watching an advertisement!`;
+      case 'tier_upgraded':
+        return `You reached the ${data.tier || 'next'} ad reward tier!`;
+      case 'report_ready':
+        return `Your ${data.reportName || 'report'} is ready to download.`;
+      case 'review_assigned':
+        return `A ${data.caseType || 'review'} case was assigned to you.`;
+      case 'review_overdue':
+        return `The ${data.caseType || 'review'} case ${data.caseId || ''} is past its SLA.`;
       default:
         return data.message || 'You have a new notification.';
     }
   }
 
-  async sendNotification(notification) {
-    try {
-      const userId = notification.userId;
-      const userDoc = await getDoc(doc(db, 'users', userId));
-      
-      if (!userDoc.exists()) {
-        throw new Error('User not found');
-      }
-
-      const userData = userDoc.data();
-      const deliveryMethods = await this.getDeliveryMethods(userId, notification.type);
-
-      const deliveryResults = [];
+  // =============================================
+  // WEB PUSH SUBSCRIPTIONS
+  // =============================================
 
-      // Send via in-app notification (always enabled)
-      const inAppResult = await this.sendInAppNotification(notification);
-      deliveryResults.push({ method: 'in_app', success: inAppResult.success });
+  isPushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+  }
 
-      // Send via email if enabled and available
-      if (deliveryMethods.email && userData.email) {
-        const emailResult = await this.sendEmailNotification(notification, userData.email);
-        deliveryResults.push({ method: 'email', success: emailResult.success });
+  async subscribeToPush() {
+    try {
+      if (!this.isPushSupported()) {
+        return { success: false, error: 'Push notifications not supported' };
       }
 
-      // Send via push notification if enabled (browser notifications)
-      if (deliveryMethods.push) {
-        const pushResult = await this.sendPushNotification(notification);
-        deliveryResults.push({ method: 'push', success: pushResult.success });
+      const getPushConfig = httpsCallable(functions, 'getPushConfig');
+      const { data: config } = await getPushConfig();
+      if (!config.enabled || !config.vapidPublicKey) {
+        return { success: false, error: 'Push notifications not available' };
       }
 
-      // Update notification status
-      const successful = deliveryResults.some(result => result.success);
-      await this.updateNotificationStatus(
-        notification.id, 
-        successful ? 'delivered' : 'failed',
-        deliveryResults
-      );
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        return { success: false, error: 'Push notifications not permitted' };
+      }
 
-      return { success: successful, deliveryResults };
-    } catch (error) {
-      console.error('Failed to send notification:', error);
-      throw error;
-    }
-  }
+      const registration = await navigator.serviceWorker.register('/sw.js');
+      await navigator.serviceWorker.ready;
 
-  async sendInAppNotification(notification) {
-    try {
-      // In-app notifications are stored in database and delivered via real-time listeners
-      const inAppNotification = {
-        userId: notification.userId,
-        notificationId: notification.id,
-        type: notification.type,
-        title: notification.title,
-        message: notification.message,
-        data: notification.data,
-        priority: notification.priority,
-        read: false,
-        createdAt: serverTimestamp()
-      };
+      const subscription = await registration.pushManager.getSubscription() ||
+        await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: this.urlBase64ToUint8Array(config.vapidPublicKey)
+        });
 
-      await addDoc(collection(db, 'in_app_notifications'), inAppNotification);
-      
-      // Notify real-time listeners
-      this.notifyInAppListeners(notification.userId, inAppNotification);
+      const registerPushSubscription = httpsCallable(functions, 'registerPushSubscription');
+      await registerPushSubscription({
+        subscription: subscription.toJSON(),
+        deviceId: this.getDeviceId(),
+        userAgent: navigator.userAgent
+      });
 
       return { success: true };
     } catch (error) {
-      console.error('Failed to send in-app notification:', error);
+      console.error('Failed to subscribe to push notifications:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async sendEmailNotification(notification, email) {
+  async unsubscribeFromPush() {
     try {
-      // In a real implementation, this would integrate with an email service
-      // For now, we'll simulate email sending
-      const emailData = {
-        to: email,
-        subject: notification.title,
-        body: notification.message,
-        template: 'notification',
-        data: notification.data
-      };
+      if (!this.isPushSupported()) {
+        return { success: true };
+      }
+
+      const registration = await navigator.serviceWorker.getRegistration('/sw.js');
+      const subscription = registration && await registration.pushManager.getSubscription();
+      if (!subscription) {
+        return { success: true };
+      }
+
+      const unregisterPushSubscription = httpsCallable(functions, 'unregisterPushSubscription');
+      await unregisterPushSubscription({ endpoint: subscription.endpoint });
+      await subscription.unsubscribe();
 
-      // Simulate email sending delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      console.log('Email notification sent:', emailData);
       return { success: true };
     } catch (error) {
-      console.error('Failed to send email notification:', error);
+      console.error('Failed to unsubscribe from push notifications:', error);
       return { success: false, error: error.message };
     }
   }
 
-  async sendPushNotification(notification) {
-    try {
-      // Browser push notifications
-      if ('Notification' in window && Notification.permission === 'granted') {
-        const pushNotification = new Notification(notification.title, {
-          body: notification.message,
-          icon: '/icon-192x192.png',
-          badge: '/badge-72x72.png',
-          tag: notification.id,
-          data: notification.data,
-          requireInteraction: notification.priority === 'high'
-        });
-
-        // Handle notification click
-        pushNotification.onclick = () => {
-          this.handleNotificationClick(notification);
-          pushNotification.close();
-        };
+  listenForPushSubscriptionChanges() {
+    // The service worker reports when the browser rotates the subscription; register the new one
+    if (typeof navigator !== 'undefined' && 'serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'pushsubscriptionchange') {
+          this.subscribeToPush();
+        }
+      });
+    }
+  }
 
-        return { success: true };
-      } else {
-        return { success: false, error: 'Push notifications not supported or not permitted' };
-      }
-    } catch (error) {
-      console.error('Failed to send push notification:', error);
-      return { success: false, error: error.message };
+  getDeviceId() {
+    let deviceId = localStorage.getItem('pi_lottery_device_id');
+    if (!deviceId) {
+      deviceId = uuidv4();
+      localStorage.setItem('pi_lottery_device_id', deviceId);
     }
+    return deviceId;
+  }
+
+  urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - base64String.length % 4) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const rawData = window.atob(base64);
+    return Uint8Array.from(rawData, char => char.charCodeAt(0));
   }
 
   handleNotificationClick(notification) {
@@ -320,10 +327,14 @@ class NotificationService {
           push: true,
           inApp: true
         },
+        // Per-type email opt-outs, set by the unsubscribe links in notification emails
+        emailOptOut: {},
         quietHours: {
           enabled: false,
           start: '22:00',
-          end: '08:00'
+          end: '08:00',
+          // Quiet hours are checked by the backend, so it needs the user's timezone
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
         },
         createdAt: serverTimestamp()
       };
@@ -349,170 +360,20 @@ class NotificationService {
         updatedAt: serverTimestamp()
       });
 
-      return { success: true };
-    } catch (error) {
-      console.error('Failed to update notification preferences:', error);
-      throw error;
-    }
-  }
-
-  shouldSendNotification(type, userPrefs) {
-    // Check if notification type is enabled
-    if (userPrefs.types && userPrefs.types[type] === false) {
-      return false;
-    }
-
-    // Check quiet hours
-    if (userPrefs.quietHours && userPrefs.quietHours.enabled) {
-      const now = new Date();
-      const currentTime = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-      
-      if (this.isInQuietHours(currentTime, userPrefs.quietHours)) {
-        // Only send high priority notifications during quiet hours
-        const typeConfig = this.notificationTypes[type];
-        return typeConfig && typeConfig.priority === 'high';
+      // Keep this device's push subscription in step with the push setting
+      if (preferences.delivery?.push === true) {
+        await this.subscribeToPush();
+      } else if (preferences.delivery?.push === false) {
+        await this.unsubscribeFromPush();
       }
-    }
-
-    return true;
-  }
 
-  isInQuietHours(currentTime, quietHours) {
-    const start = quietHours.start;
-    const end = quietHours.end;
-    
-    // Handle overnight quiet hours (e.g., 22:00 to 08:00)
-    if (start > end) {
-      return currentTime >= start || currentTime <= end;
-    }
-    
-    return currentTime >= start && currentTime <= end;
-  }
-
-  async getDeliveryMethods(userId, notificationType) {
-    try {
-      const prefs = await this.getUserNotificationPreferences(userId);
-      return {
-        email: prefs.delivery?.email || false,
-        push: prefs.delivery?.push || false,
-        inApp: prefs.delivery?.inApp !== false // Default to true if not specified
-      };
-    } catch (error) {
-      console.error('Failed to get delivery methods:', error);
-      return { email: false, push: false, inApp: true };
-    }
-  }
-
-  // =============================================
-  // NOTIFICATION QUEUE PROCESSING
-  // =============================================
-
-  addToQueue(notification) {
-    this.notificationQueue.push(notification);
-    this.processQueue();
-  }
-
-  async processQueue() {
-    if (this.isProcessingQueue || this.notificationQueue.length === 0) {
-      return;
-    }
-
-    this.isProcessingQueue = true;
-
-    try {
-      while (this.notificationQueue.length > 0) {
-        const batch = this.notificationQueue.splice(0, this.batchSize);
-        
-        const promises = batch.map(notification => 
-          this.processNotification(notification)
-        );
-
-        await Promise.allSettled(promises);
-        
-        // Small delay between batches
-        if (this.notificationQueue.length > 0) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
-      }
-    } finally {
-      this.isProcessingQueue = false;
-    }
-  }
-
-  async processNotification(notification) {
-    try {
-      const result = await this.sendNotification(notification);
-      
-      if (!result.success && notification.attempts < this.maxRetries) {
-        // Retry failed notification
-        notification.attempts += 1;
-        
-        setTimeout(() => {
-          this.addToQueue(notification);
-        }, this.retryDelay * notification.attempts);
-      }
-
-      return result;
+      return { success: true };
     } catch (error) {
-      console.error('Failed to process notification:', error);
+      console.error('Failed to update notification preferences:', error);
       throw error;
     }
   }
 
-  startQueueProcessor() {
-    // Process queue every 5 seconds
-    setInterval(() => {
-      this.processQueue();
-    }, 5000);
-
-    // Process scheduled notifications every minute
-    setInterval(() => {
-      this.processScheduledNotifications();
-    }, 60000);
-  }
-
-  async processScheduledNotifications() {
-    try {
-      const now = new Date();
-      const scheduledQuery = query(
-        collection(db, 'notifications'),
-        where('status', '==', 'pending'),
-        where('scheduledFor', '<=', now),
-        limit(50)
-      );
-
-      const snapshot = await getDocs(scheduledQuery);
-      
-      snapshot.forEach(doc => {
-        const notification = { id: doc.id, ...doc.data() };
-        this.addToQueue(notification);
-      });
-    } catch (error) {
-      console.error('Failed to process scheduled notifications:', error);
-    }
-  }
-
-  async updateNotificationStatus(notificationId, status, deliveryResults = []) {
-    try {
-      const updates = {
-        status,
-        delivered: status === 'delivered',
-        deliveryResults,
-        updatedAt: serverTimestamp()
-      };
-
-      if (status === 'delivered') {
-        updates.deliveredAt = serverTimestamp();
-      } else if (status === 'failed') {
-        updates.failedAt = serverTimestamp();
-      }
-
-      await updateDoc(doc(db, 'notifications', notificationId), updates);
-    } catch (error) {
-      console.error('Failed to update notification status:', error);
-    }
-  }
-
   // =============================================
   // NOTIFICATION RETRIEVAL AND MANAGEMENT
   // =============================================
@@ -801,8 +662,6 @@ class NotificationService {
 
   getQueueStats() {
     return {
-      queueLength: this.notificationQueue.length,
-      isProcessing: this.isProcessingQueue,
       listeners: this.listeners.size
     };
   }
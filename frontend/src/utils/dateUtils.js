@@ -2,6 +2,8 @@
 // Date and Time Utilities
 // ============================================
 
+import { nextDrawTime } from './drawSchedule';
+
 /**
  * Format date for display in various formats
  * @param {Date|string|number} date - Date to format
@@ -161,85 +163,13 @@ export const formatDuration = (duration, short = false) => {
 };
 
 /**
- * Calculate next lottery drawing time based on schedule
- * @param {string} scheduleType - Type of schedule ('daily', 'weekly', 'monthly')
- * @param {string} scheduleTime - Time specification (e.g., '20:00', 'sunday_18:00')
+ * Calculate next lottery drawing time in the lottery type's timezone (same logic as the backend)
+ * @param {Object} lotteryType - Lottery type ({ scheduledTime, timezone }, e.g. 'sunday_18:00', 'Europe/Berlin')
  * @param {Date} fromDate - Base date to calculate from (default: now)
  * @returns {Date} Next scheduled drawing time
  */
-export const calculateNextDrawTime = (scheduleType, scheduleTime, fromDate = new Date()) => {
-  const now = new Date(fromDate);
-  const drawTime = new Date(now);
-  
-  switch (scheduleType) {
-    case 'daily':
-      if (scheduleTime.includes(':')) {
-        const [hours, minutes] = scheduleTime.split(':').map(Number);
-        drawTime.setHours(hours, minutes, 0, 0);
-        
-        // If time has passed today, move to tomorrow
-        if (drawTime <= now) {
-          drawTime.setDate(drawTime.getDate() + 1);
-        }
-      }
-      break;
-      
-    case 'weekly':
-      if (scheduleTime.includes('_')) {
-        const [dayName, time] = scheduleTime.split('_');
-        const [hours, minutes] = time.split(':').map(Number);
-        
-        const targetDay = getDayOfWeek(dayName);
-        const currentDay = drawTime.getDay();
-        
-        let daysUntilTarget = (targetDay - currentDay + 7) % 7;
-        if (daysUntilTarget === 0 && drawTime.getHours() * 60 + drawTime.getMinutes() >= hours * 60 + minutes) {
-          daysUntilTarget = 7; // Move to next week
-        }
-        
-        drawTime.setDate(drawTime.getDate() + daysUntilTarget);
-        drawTime.setHours(hours, minutes, 0, 0);
-      }
-      break;
-      
-    case 'monthly':
-      if (scheduleTime === 'last_day_21:00') {
-        // Set to last day of current month
-        drawTime.setMonth(drawTime.getMonth() + 1, 0);
-        drawTime.setHours(21, 0, 0, 0);
-        
-        // If we've passed this month's draw, move to next month
-        if (drawTime <= now) {
-          drawTime.setMonth(drawTime.getMonth() + 2, 0);
-          drawTime.setHours(21, 0, 0, 0);
-        }
-      } else if (scheduleTime.includes(':')) {
-        // First day of next month
-        const [hours, minutes] = scheduleTime.split(':').map(Number);
-        drawTime.setMonth(drawTime.getMonth() + 1, 1);
-        drawTime.setHours(hours, minutes, 0, 0);
-      }
-      break;
-      
-    default:
-      // Default to 24 hours from now
-      drawTime.setHours(drawTime.getHours() + 24);
-  }
-  
-  return drawTime;
-};
-
-/**
- * Get day of week number from day name
- * @param {string} dayName - Day name (e.g., 'sunday', 'monday')
- * @returns {number} Day number (0 = Sunday, 1 = Monday, etc.)
- */
-const getDayOfWeek = (dayName) => {
-  const days = {
-    sunday: 0, monday: 1, tuesday: 2, wednesday: 3,
-    thursday: 4, friday: 5, saturday: 6
-  };
-  return days[dayName.toLowerCase()] || 0;
+export const calculateNextDrawTime = (lotteryType, fromDate = new Date()) => {
+  return nextDrawTime(lotteryType, fromDate);
 };
 
 /**
@@ -0,0 +1,653 @@
+// Generated from backend/functions/src/lottery/drawingVerifier.js by frontend/scripts/sync-shared.js. Do not edit.
+
+/**
+ * Drawing verifier
+ *
+ * Dependency-free implementation of the commit-reveal drawing algorithm. The drawing
+ * engine draws winners through these functions, and anyone holding the published
+ * verification data can replay the draw with them. frontend/src/utils/drawingVerifier.js is
+ * generated from this file by frontend/scripts/sync-shared.js; edit this one.
+ */
+
+const ALGORITHM_VERSION = 'commit_reveal_shuffle_v1';
+const SUPPORTED_ALGORITHMS = [ALGORITHM_VERSION];
+const DEFAULT_STRATEGY = 'shuffle_unique';
+
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @return {number[]} UTF-8 bytes
+ */
+function utf8Bytes(text) {
+  return Array.from(new TextEncoder().encode(String(text)));
+}
+
+/**
+ * SHA-256 over a byte array, returning a byte array
+ * @param {number[]} bytes - Message bytes
+ * @return {number[]} 32-byte digest
+ */
+function sha256(bytes) {
+  const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+  const bitLength = bytes.length * 8;
+  const padded = bytes.concat([0x80]);
+
+  while (padded.length % 64 !== 56) {
+    padded.push(0);
+  }
+  for (let i = 7; i >= 0; i--) {
+    padded.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+  }
+
+  const w = new Array(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (padded[j] << 24) | (padded[j + 1] << 16) | (padded[j + 2] << 8) | padded[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    h[0] = (h[0] + a) | 0;
+    h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0;
+    h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0;
+    h[5] = (h[5] + f) | 0;
+    h[6] = (h[6] + g) | 0;
+    h[7] = (h[7] + hh) | 0;
+  }
+
+  const digest = [];
+  h.forEach((word) => {
+    digest.push((word >>> 24) & 0xff, (word >>> 16) & 0xff, (word >>> 8) & 0xff, word & 0xff);
+  });
+  return digest;
+}
+
+/**
+ * Rotate a 32-bit word right
+ * @param {number} value - 32-bit word
+ * @param {number} bits - Bits to rotate by
+ * @return {number} Rotated word
+ */
+function rotr(value, bits) {
+  return (value >>> bits) | (value << (32 - bits));
+}
+
+/**
+ * Convert bytes to a lowercase hex string
+ * @param {number[]} bytes - Bytes to convert
+ * @return {string} Hex string
+ */
+function toHex(bytes) {
+  return bytes.map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * SHA-256 of a string as hex
+ * @param {string} text - Text to hash
+ * @return {string} Hex digest
+ */
+function sha256Hex(text) {
+  return toHex(sha256(utf8Bytes(text)));
+}
+
+/**
+ * HMAC-SHA256 keyed with a string, returning a byte array
+ * @param {string} key - HMAC key
+ * @param {string} message - Message to authenticate
+ * @return {number[]} 32-byte MAC
+ */
+function hmacSha256(key, message) {
+  let keyBytes = utf8Bytes(key);
+  if (keyBytes.length > 64) {
+    keyBytes = sha256(keyBytes);
+  }
+  while (keyBytes.length < 64) {
+    keyBytes.push(0);
+  }
+
+  const inner = keyBytes.map((byte) => byte ^ 0x36).concat(utf8Bytes(message));
+  const outer = keyBytes.map((byte) => byte ^ 0x5c).concat(sha256(inner));
+  return sha256(outer);
+}
+
+/**
+ * Hash a drawing seed for the pre-draw commitment
+ * @param {string} seed - Drawing seed
+ * @return {string} Seed hash
+ */
+function hashSeed(seed) {
+  return sha256Hex(seed);
+}
+
+/**
+ * Pseudonymous participant id, scoped to one lottery instance
+ * @param {string} lotteryInstanceId - Lottery instance
+ * @param {string} userId - User the id stands for
+ * @return {string} Participant id
+ */
+function participantId(lotteryInstanceId, userId) {
+  return sha256Hex(`${lotteryInstanceId}:${userId}`).slice(0, 32);
+}
+
+/**
+ * Build the canonical entry snapshot (sorted by entry id) from raw entries
+ * @param {Object[]} entries - Entries with id, userId and ticketCount
+ * @param {string} lotteryInstanceId - Lottery instance drawn
+ * @return {Object[]} Snapshot of { entryId, participant, ticketCount }
+ */
+function buildEntrySnapshot(entries, lotteryInstanceId) {
+  return entries
+    .map((entry) => ({
+      entryId: entry.id,
+      participant: participantId(lotteryInstanceId, entry.userId),
+      ticketCount: entry.ticketCount || 1
+    }))
+    .sort((a, b) => (a.entryId < b.entryId ? -1 : a.entryId > b.entryId ? 1 : 0));
+}
+
+/**
+ * Hash a canonical entry snapshot
+ * @param {Object[]} snapshot - Canonical entry snapshot
+ * @return {string} Snapshot hash
+ */
+function hashEntrySnapshot(snapshot) {
+  const canonical = snapshot.map((entry) => [entry.entryId, entry.participant, entry.ticketCount]);
+  return sha256Hex(JSON.stringify(canonical));
+}
+
+/**
+ * Expand a snapshot into the ordered ticket pool (one element per ticket)
+ * @param {Object[]} snapshot - Canonical entry snapshot
+ * @return {Object[]} Tickets of { entryId, participant, ticketIndex }
+ */
+function buildTicketPool(snapshot) {
+  const pool = [];
+  snapshot.forEach((entry) => {
+    for (let i = 0; i < entry.ticketCount; i++) {
+      pool.push({
+        entryId: entry.entryId,
+        participant: entry.participant,
+        ticketIndex: i
+      });
+    }
+  });
+  return pool;
+}
+
+/**
+ * Merkle leaf hash for one ticket
+ * @param {Object} ticket - Ticket from the pool
+ * @return {string} Leaf hash
+ */
+function merkleLeaf(ticket) {
+  return sha256Hex(`leaf:${ticket.entryId}:${ticket.participant}:${ticket.ticketIndex}`);
+}
+
+/**
+ * Merkle parent hash of two child hashes
+ * @param {string} left - Left child hash
+ * @param {string} right - Right child hash
+ * @return {string} Parent hash
+ */
+function merkleParent(left, right) {
+  return sha256Hex(`node:${left}:${right}`);
+}
+
+/**
+ * Build all levels of a Merkle tree, leaves first. An unpaired node is promoted unchanged.
+ * @param {string[]} leaves - Leaf hashes
+ * @return {Array<string[]>} Tree levels
+ */
+function buildMerkleTree(leaves) {
+  const levels = [leaves];
+
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? merkleParent(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+
+  return levels;
+}
+
+/**
+ * Merkle root of a ticket pool
+ * @param {Object[]} ticketPool - Ordered ticket pool
+ * @return {string} Root hash
+ */
+function merkleRoot(ticketPool) {
+  if (ticketPool.length === 0) {
+    return sha256Hex('empty');
+  }
+  const levels = buildMerkleTree(ticketPool.map(merkleLeaf));
+  return levels[levels.length - 1][0];
+}
+
+/**
+ * Inclusion proof for the leaf at index: sibling hashes from the leaf up to the root
+ * @param {Array<string[]>} levels - Tree levels from buildMerkleTree
+ * @param {number} index - Leaf index
+ * @return {Object[]} Proof of { hash, side }
+ */
+function merkleProof(levels, index) {
+  const proof = [];
+  let position = index;
+
+  for (let depth = 0; depth < levels.length - 1; depth++) {
+    const level = levels[depth];
+    const siblingIndex = position % 2 === 0 ? position + 1 : position - 1;
+    if (siblingIndex < level.length) {
+      proof.push({
+        hash: level[siblingIndex],
+        side: position % 2 === 0 ? 'right' : 'left'
+      });
+    }
+    position = Math.floor(position / 2);
+  }
+
+  return proof;
+}
+
+/**
+ * Check that a leaf hash is included under a Merkle root
+ * @param {string} leaf - Leaf hash
+ * @param {Object[]} proof - Proof from merkleProof
+ * @param {string} root - Published root
+ * @return {boolean} Whether the proof leads to the root
+ */
+function verifyMerkleProof(leaf, proof, root) {
+  const computed = proof.reduce((hash, sibling) => (
+    sibling.side === 'left' ? merkleParent(sibling.hash, hash) : merkleParent(hash, sibling.hash)
+  ), leaf);
+  return computed === root;
+}
+
+/**
+ * Uniform random number in [0, max) derived from the seed and a label.
+ * HMAC output is rejection-sampled to avoid modulo bias.
+ * @param {number} max - Exclusive upper bound
+ * @param {string} seed - Drawing seed
+ * @param {string} label - Label that separates the draws made from one seed
+ * @return {number} Index
+ */
+function randomIndex(max, seed, label) {
+  const limit = Math.floor(0x100000000 / max) * max;
+
+  for (let counter = 0; ; counter++) {
+    const hash = hmacSha256(seed, `${label}:${counter}`);
+    const value = ((hash[0] << 24) | (hash[1] << 16) | (hash[2] << 8) | hash[3]) >>> 0;
+    if (value < limit) {
+      return value % max;
+    }
+  }
+}
+
+/**
+ * Seeded Fisher-Yates shuffle
+ * @param {Array} array - Items to shuffle
+ * @param {string} seed - Drawing seed
+ * @return {Array} Shuffled copy
+ */
+function shuffle(array, seed) {
+  const shuffled = [...array];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = randomIndex(i + 1, seed, `shuffle_${i}`);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+}
+
+/**
+ * Select one winner per prize position, at most one prize per participant
+ * @param {Object[]} shuffledPool - Shuffled ticket pool
+ * @param {string} seed - Drawing seed
+ * @param {number} positionCount - Prize positions
+ * @return {Object[]} Winners
+ */
+function selectWinners(shuffledPool, seed, positionCount) {
+  const winners = [];
+  const selectedParticipants = new Set();
+
+  for (let position = 1; position <= positionCount; position++) {
+    for (let attempts = 0; attempts < shuffledPool.length; attempts++) {
+      const selectionIndex = randomIndex(shuffledPool.length, seed, `select_${position}_${attempts}`);
+      const ticket = shuffledPool[selectionIndex];
+
+      if (!selectedParticipants.has(ticket.participant)) {
+        winners.push({
+          position,
+          entryId: ticket.entryId,
+          participant: ticket.participant,
+          ticketIndex: ticket.ticketIndex,
+          selectionIndex
+        });
+        selectedParticipants.add(ticket.participant);
+        break;
+      }
+    }
+  }
+
+  return winners;
+}
+
+/**
+ * Shuffle the pool, then pick positions from it with at most one prize per participant
+ * @param {Object[]} ticketPool - Ordered ticket pool
+ * @param {string} seed - Drawing seed
+ * @param {number} positionCount - Prize positions
+ * @return {Object[]} Winners
+ */
+function selectShuffleUnique(ticketPool, seed, positionCount) {
+  return selectWinners(shuffle(ticketPool, seed), seed, positionCount);
+}
+
+/**
+ * Weighted by tickets, without replacement: each position draws one ticket from the remaining
+ * pool, then all of the winner's tickets leave the pool
+ * @param {Object[]} ticketPool - Ordered ticket pool
+ * @param {string} seed - Drawing seed
+ * @param {number} positionCount - Prize positions
+ * @return {Object[]} Winners
+ */
+function selectWeightedUnique(ticketPool, seed, positionCount) {
+  const winners = [];
+  let remaining = [...ticketPool];
+
+  for (let position = 1; position <= positionCount && remaining.length > 0; position++) {
+    const selectionIndex = randomIndex(remaining.length, seed, `weighted_${position}`);
+    const ticket = remaining[selectionIndex];
+
+    winners.push({
+      position,
+      entryId: ticket.entryId,
+      participant: ticket.participant,
+      ticketIndex: ticket.ticketIndex,
+      selectionIndex
+    });
+    remaining = remaining.filter((candidate) => candidate.participant !== ticket.participant);
+  }
+
+  return winners;
+}
+
+/**
+ * Weighted by tickets, removing only the winning ticket, so one participant can win several prizes
+ * @param {Object[]} ticketPool - Ordered ticket pool
+ * @param {string} seed - Drawing seed
+ * @param {number} positionCount - Prize positions
+ * @return {Object[]} Winners
+ */
+function selectWeightedMulti(ticketPool, seed, positionCount) {
+  const winners = [];
+  const remaining = [...ticketPool];
+
+  for (let position = 1; position <= positionCount && remaining.length > 0; position++) {
+    const selectionIndex = randomIndex(remaining.length, seed, `multi_${position}`);
+    const [ticket] = remaining.splice(selectionIndex, 1);
+
+    winners.push({
+      position,
+      entryId: ticket.entryId,
+      participant: ticket.participant,
+      ticketIndex: ticket.ticketIndex,
+      selectionIndex
+    });
+  }
+
+  return winners;
+}
+
+/**
+ * Rank every ticket by its keyed hash; the lowest-ranked tickets win, one prize per participant.
+ * The result does not depend on pool order.
+ * @param {Object[]} ticketPool - Ordered ticket pool
+ * @param {string} seed - Drawing seed
+ * @param {number} positionCount - Prize positions
+ * @return {Object[]} Winners
+ */
+function selectHashRanking(ticketPool, seed, positionCount) {
+  const ranked = ticketPool
+    .map((ticket) => ({
+      ticket,
+      rank: toHex(hmacSha256(seed, `rank:${ticket.entryId}:${ticket.ticketIndex}`))
+    }))
+    .sort((a, b) => (a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0));
+
+  const winners = [];
+  const selectedParticipants = new Set();
+
+  for (let i = 0; i < ranked.length && winners.length < positionCount; i++) {
+    const ticket = ranked[i].ticket;
+    if (!selectedParticipants.has(ticket.participant)) {
+      winners.push({
+        position: winners.length + 1,
+        entryId: ticket.entryId,
+        participant: ticket.participant,
+        ticketIndex: ticket.ticketIndex,
+        selectionIndex: i
+      });
+      selectedParticipants.add(ticket.participant);
+    }
+  }
+
+  return winners;
+}
+
+const DRAW_STRATEGIES = {
+  shuffle_unique: {
+    description: 'Seeded shuffle, one prize per participant',
+    select: selectShuffleUnique
+  },
+  weighted_unique: {
+    description: 'Weighted by tickets without replacement, one prize per participant',
+    select: selectWeightedUnique
+  },
+  weighted_multi: {
+    description: 'Weighted by tickets, participants may win multiple prizes',
+    select: selectWeightedMulti
+  },
+  hash_ranking: {
+    description: 'Deterministic keyed-hash ranking, one prize per participant',
+    select: selectHashRanking
+  }
+};
+
+/**
+ * Whether a draw strategy id is known
+ * @param {string} strategy - Strategy id
+ * @return {boolean} Whether it is known
+ */
+function isSupportedStrategy(strategy) {
+  return Object.prototype.hasOwnProperty.call(DRAW_STRATEGIES, strategy);
+}
+
+/**
+ * List available draw strategies
+ * @return {Object[]} Strategies of { id, description }
+ */
+function listStrategies() {
+  return Object.keys(DRAW_STRATEGIES).map((id) => ({
+    id,
+    description: DRAW_STRATEGIES[id].description
+  }));
+}
+
+/**
+ * Run a drawing over a canonical snapshot with the given strategy
+ * @param {Object[]} snapshot - Canonical entry snapshot
+ * @param {string} seed - Revealed seed
+ * @param {Object} prizeStructure - Prize positions
+ * @param {string} strategy - Draw strategy id
+ * @return {Object} { ticketPool, strategy, winners }
+ */
+function runDrawing(snapshot, seed, prizeStructure, strategy = DEFAULT_STRATEGY) {
+  if (!isSupportedStrategy(strategy)) {
+    throw new Error(`Unsupported draw strategy: ${strategy}`);
+  }
+
+  const ticketPool = buildTicketPool(snapshot);
+  const winners = DRAW_STRATEGIES[strategy].select(ticketPool, seed, Object.keys(prizeStructure).length);
+
+  return {
+    ticketPool,
+    strategy,
+    winners
+  };
+}
+
+/**
+ * Replay a drawing from published verification data and compare it with the recorded result
+ * @param {Object} data - Published verification data
+ * @return {Object} { valid, checks, errors, expectedWinners }
+ */
+function verifyDrawing(data) {
+  const errors = [];
+  const strategy = data.drawStrategy || DEFAULT_STRATEGY;
+  const checks = {
+    algorithmSupported: SUPPORTED_ALGORITHMS.includes(data.algorithmVersion) && isSupportedStrategy(strategy),
+    seedMatchesCommitment: false,
+    entrySnapshotMatches: false,
+    ticketPoolMatches: true,
+    merkleRootMatches: true,
+    winnersMatch: false
+  };
+
+  if (!checks.algorithmSupported) {
+    errors.push(`Unsupported algorithm version or strategy: ${data.algorithmVersion}/${strategy}`);
+    return { valid: false, checks, errors, expectedWinners: [] };
+  }
+
+  checks.seedMatchesCommitment = Boolean(data.seed) && hashSeed(data.seed) === data.seedHash;
+  if (!checks.seedMatchesCommitment) {
+    errors.push('Revealed seed does not match the published seed hash');
+  }
+
+  const snapshot = data.entrySnapshot || [];
+  checks.entrySnapshotMatches = hashEntrySnapshot(snapshot) === data.entrySnapshotHash;
+  if (!checks.entrySnapshotMatches) {
+    errors.push('Entry snapshot does not match the recorded snapshot hash');
+  }
+
+  const result = runDrawing(snapshot, data.seed || '', data.prizeStructure || {}, strategy);
+
+  if (Array.isArray(data.ticketPool)) {
+    const expected = result.ticketPool.map((ticket) => `${ticket.entryId}:${ticket.ticketIndex}`);
+    const published = data.ticketPool.map((ticket) => `${ticket.entryId}:${ticket.ticketIndex}`);
+    checks.ticketPoolMatches = expected.join('|') === published.join('|');
+    if (!checks.ticketPoolMatches) {
+      errors.push('Published ticket pool ordering differs from the snapshot');
+    }
+  }
+
+  if (data.merkleRoot) {
+    checks.merkleRootMatches = merkleRoot(result.ticketPool) === data.merkleRoot;
+    if (!checks.merkleRootMatches) {
+      errors.push('Ticket pool does not match the published Merkle root');
+    }
+  }
+
+  const recorded = [...(data.winners || [])].sort((a, b) => a.position - b.position);
+  checks.winnersMatch = recorded.length === result.winners.length &&
+    recorded.every((winner, index) => {
+      const expected = result.winners[index];
+      return winner.position === expected.position &&
+        winner.entryId === expected.entryId &&
+        winner.ticketIndex === expected.ticketIndex;
+    });
+  if (!checks.winnersMatch) {
+    errors.push('Recorded winners differ from the replayed drawing');
+  }
+
+  return {
+    valid: errors.length === 0,
+    checks,
+    errors,
+    expectedWinners: result.winners
+  };
+}
+
+export {
+  ALGORITHM_VERSION,
+  SUPPORTED_ALGORITHMS,
+  DEFAULT_STRATEGY,
+  sha256Hex,
+  hmacSha256,
+  hashSeed,
+  participantId,
+  buildEntrySnapshot,
+  hashEntrySnapshot,
+  buildTicketPool,
+  merkleLeaf,
+  buildMerkleTree,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof,
+  randomIndex,
+  shuffle,
+  selectWinners,
+  isSupportedStrategy,
+  listStrategies,
+  runDrawing,
+  verifyDrawing
+};
+
+export default {
+  ALGORITHM_VERSION,
+  SUPPORTED_ALGORITHMS,
+  DEFAULT_STRATEGY,
+  sha256Hex,
+  hmacSha256,
+  hashSeed,
+  participantId,
+  buildEntrySnapshot,
+  hashEntrySnapshot,
+  buildTicketPool,
+  merkleLeaf,
+  buildMerkleTree,
+  merkleRoot,
+  merkleProof,
+  verifyMerkleProof,
+  randomIndex,
+  shuffle,
+  selectWinners,
+  isSupportedStrategy,
+  listStrategies,
+  runDrawing,
+  verifyDrawing
+};
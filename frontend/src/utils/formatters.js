@@ -477,7 +477,8 @@ export const formatStatus = (status, options = {}) => {
     cancelled: { color: 'red', text: 'Cancelled' },
     processing: { color: 'blue', text: 'Processing' },
     confirmed: { color: 'green', text: 'Confirmed' },
-    transferred: { color: 'green', text: 'Transferred' }
+    transferred: { color: 'green', text: 'Transferred' },
+    paid: { color: 'green', text: 'Paid' }
   };
 
   const statusInfo = statusMap[status?.toLowerCase()] || { 